@@ -17,6 +17,8 @@ exports.MCP_ANNOTATION_MAPPING = new Map([
     ["@mcp.name", "name"],
     ["@mcp.description", "description"],
     ["@mcp.resource", "resource"],
+    // Kept apart from `resource`, which is a boolean or an option list.
+    ["@mcp.resource.list", "resourceList"],
     ["@mcp.tool", "tool"],
     ["@mcp.prompts", "prompts"],
     ["@mcp.wrap", "wrap"],
@@ -28,6 +30,7 @@ exports.MCP_ANNOTATION_MAPPING = new Map([
     ["@mcp.wrap.hint.create", "wrap.hint.create"],
     ["@mcp.wrap.hint.update", "wrap.hint.update"],
     ["@mcp.wrap.hint.delete", "wrap.hint.delete"],
+    ["@mcp.wrap.hint.media", "wrap.hint.media"],
     // Draft-lifecycle hint keys. CDS flattens struct-literal keys in the CSN
     // (e.g. `hint: { ![draft-new]: '...' }` becomes "@mcp.wrap.hint.draft-new"),
     // so each lifecycle mode needs its own mapping entry. `constructHintMessage`
@@ -38,6 +41,18 @@ exports.MCP_ANNOTATION_MAPPING = new Map([
     ["@mcp.wrap.hint.draft-activate", "wrap.hint.draft-activate"],
     ["@mcp.wrap.hint.draft-discard", "wrap.hint.draft-discard"],
     ["@mcp.wrap.hint.draft-upsert", "wrap.hint.draft-upsert"],
+    // Per-mode elicitation for wrapper tools, flattened the same way
+    // (`elicit: { delete: ['confirm'] }` → "@mcp.wrap.elicit.delete").
+    ["@mcp.wrap.elicit", "wrap.elicit"],
+    ["@mcp.wrap.elicit.create", "wrap.elicit.create"],
+    ["@mcp.wrap.elicit.update", "wrap.elicit.update"],
+    ["@mcp.wrap.elicit.delete", "wrap.elicit.delete"],
+    ["@mcp.wrap.elicit.draft-new", "wrap.elicit.draft-new"],
+    ["@mcp.wrap.elicit.draft-edit", "wrap.elicit.draft-edit"],
+    ["@mcp.wrap.elicit.draft-patch", "wrap.elicit.draft-patch"],
+    ["@mcp.wrap.elicit.draft-activate", "wrap.elicit.draft-activate"],
+    ["@mcp.wrap.elicit.draft-discard", "wrap.elicit.draft-discard"],
+    ["@mcp.wrap.elicit.draft-upsert", "wrap.elicit.draft-upsert"],
     ["@mcp.elicit", "elicit"],
     ["@mcp.expand", "expand"],
     ["@requires", "requires"],
@@ -46,7 +61,7 @@ exports.MCP_ANNOTATION_MAPPING = new Map([
 /**
  * Default set of all available OData query options for MCP resources
  * Used when @mcp.resource is set to `true` to enable all capabilities
- * Includes: $filter, $orderby, $top, $skip, $select, $expand
+ * Includes: $filter, $orderby, $top, $skip, $select, $expand, $count
  */
 exports.DEFAULT_ALL_RESOURCE_OPTIONS = new Set([
     "filter",
@@ -55,6 +70,7 @@ exports.DEFAULT_ALL_RESOURCE_OPTIONS = new Set([
     "skip",
     "select",
     "expand",
+    "count",
 ]);
 /**
  * Hint key for annotations made on specific properties/elements
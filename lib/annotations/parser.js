@@ -169,7 +169,9 @@ function constructResourceAnnotation(serviceName, target, annotations, definitio
     const expandMode = typeof annotations.expand === "string" && ["compositions", "none", "all"].includes(annotations.expand)
         ? annotations.expand
         : undefined;
-    return new structures_1.McpResourceAnnotation(annotations.name, annotations.description, target, serviceName, functionalities, properties, resourceKeys, foreignKeys, annotations.wrap, restrictions, computedFields, propertyHints, omittedFields, expandMode, navigations);
+    const list = (0, utils_1.determineResourceList)(annotations);
+    const mediaFields = (0, utils_1.parseMediaFields)(elements, omittedFields);
+    return new structures_1.McpResourceAnnotation(annotations.name, annotations.description, target, serviceName, functionalities, properties, resourceKeys, foreignKeys, annotations.wrap, restrictions, computedFields, propertyHints, omittedFields, expandMode, navigations, list, mediaFields);
 }
 /**
  * Constructs a tool annotation from parsed annotation data
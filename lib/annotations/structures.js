@@ -102,6 +102,10 @@ class McpResourceAnnotation extends McpAnnotation {
     _expandMode;
     /** Map of navigation property name -> { kind: 'Composition' | 'Association', target: string } */
     _navigations;
+    /** `resources/list` enumeration of rows: { max } or undefined */
+    _list;
+    /** Map of `@Core.MediaType` element name -> { mimeType } or { mimeTypeElement } */
+    _mediaFields;
     /**
      * Creates a new MCP resource annotation
      * @param name - Unique identifier for this resource
@@ -117,8 +121,10 @@ class McpResourceAnnotation extends McpAnnotation {
      * @param computedFields - Optional set of fields that are computed and should be ignored in create scenarios
      * @param propertyHints - Optional map of hints for specific properties on resource
      * @param omittedFields - Optional set of fields that should be omitted from MCP entity
+     * @param list - Optional `resources/list` enumeration settings from `@mcp.resource.list`
+     * @param mediaFields - Optional map of `@Core.MediaType` binary elements to their media type
      */
-    constructor(name, description, target, serviceName, functionalities, properties, resourceKeys, foreignKeys, wrap, restrictions, computedFields, propertyHints, omittedFields, expandMode, navigations) {
+    constructor(name, description, target, serviceName, functionalities, properties, resourceKeys, foreignKeys, wrap, restrictions, computedFields, propertyHints, omittedFields, expandMode, navigations, list, mediaFields) {
         super(name, description, target, serviceName, restrictions ?? [], propertyHints ?? new Map());
         this._functionalities = functionalities;
         this._properties = properties;
@@ -129,6 +135,8 @@ class McpResourceAnnotation extends McpAnnotation {
         this._omittedFields = omittedFields;
         this._expandMode = expandMode;
         this._navigations = navigations ?? new Map();
+        this._list = list;
+        this._mediaFields = mediaFields ?? new Map();
     }
     /**
      * Gets the set of enabled OData query functionalities
@@ -190,6 +198,29 @@ class McpResourceAnnotation extends McpAnnotation {
     get navigations() {
         return this._navigations;
     }
+    /**
+     * Row enumeration for `resources/list`, enabled by `@mcp.resource.list`.
+     * @returns `{ max }` with the most rows ever listed, or undefined
+     */
+    get list() {
+        return this._list;
+    }
+    /**
+     * Binary elements annotated with `@Core.MediaType`. Each maps to a fixed
+     * `mimeType`, or to the `mimeTypeElement` holding the row's media type.
+     * @returns Map of element name to its media type source
+     */
+    get mediaFields() {
+        return this._mediaFields;
+    }
+    /**
+     * Restrictions that carry an instance-based `where` clause, together with
+     * the `$user` attributes the clause refers to.
+     * @returns List of row-level restrictions, empty if there are none
+     */
+    get instanceRestrictions() {
+        return (this._restrictions ?? []).filter((r) => !!r.where);
+    }
 }
 exports.McpResourceAnnotation = McpResourceAnnotation;
 /**
@@ -8,10 +8,13 @@ exports.isValidResourceAnnotation = isValidResourceAnnotation;
 exports.isValidToolAnnotation = isValidToolAnnotation;
 exports.isValidPromptsAnnotation = isValidPromptsAnnotation;
 exports.determineResourceOptions = determineResourceOptions;
+exports.determineResourceList = determineResourceList;
 exports.parseResourceElements = parseResourceElements;
+exports.parseMediaFields = parseMediaFields;
 exports.parseOperationElements = parseOperationElements;
 exports.parseEntityKeys = parseEntityKeys;
 exports.parseCdsRestrictions = parseCdsRestrictions;
+exports.parseUserAttributeRefs = parseUserAttributeRefs;
 const constants_1 = require("./constants");
 const logger_1 = require("../logger");
 /**
@@ -124,7 +127,23 @@ function isValidPromptsAnnotation(annotations) {
         throw new Error(`Invalid annotation '${annotations.definition?.target}' - Missing prompts annotations`);
     }
     for (const prompt of annotations.prompts) {
-        if (!prompt.template || prompt.template.length <= 0) {
+        if (prompt.messages !== undefined) {
+            if (!Array.isArray(prompt.messages) || prompt.messages.length <= 0) {
+                throw new Error(`Invalid annotation '${annotations.definition?.target}' - Messages must be a non-empty list`);
+            }
+            prompt.messages.forEach((msg) => {
+                if (!["system", "user", "assistant"].includes(msg?.role)) {
+                    throw new Error(`Invalid annotation '${annotations.definition?.target}' - Message role must be 'system', 'user' or 'assistant'`);
+                }
+                if (!msg.template === !msg.resource) {
+                    throw new Error(`Invalid annotation '${annotations.definition?.target}' - Message needs either a template or a resource`);
+                }
+                if (msg.resource && (msg.role === "system" || !String(msg.resource).startsWith("odata://"))) {
+                    throw new Error(`Invalid annotation '${annotations.definition?.target}' - Message resource must be an odata:// URI in a user or assistant message`);
+                }
+            });
+        }
+        else if (!prompt.template || prompt.template.length <= 0) {
             throw new Error(`Invalid annotation '${annotations.definition?.target}' - Missing valid template`);
         }
         if (!prompt.name || prompt.name.length <= 0) {
@@ -133,8 +152,8 @@ function isValidPromptsAnnotation(annotations) {
         if (!prompt.title || prompt.title.length <= 0) {
             throw new Error(`Invalid annotation '${annotations.definition?.target}' - Missing valid title`);
         }
-        if (!prompt.role ||
-            (prompt.role !== "user" && prompt.role !== "assistant")) {
+        if (prompt.messages === undefined &&
+            (!prompt.role || (prompt.role !== "user" && prompt.role !== "assistant"))) {
             throw new Error(`Invalid annotation '${annotations.definition?.target}' - Role must be 'user' or 'assistant'`);
         }
         prompt.inputs?.forEach((el) => {
@@ -159,6 +178,58 @@ function determineResourceOptions(annotations) {
         return constants_1.DEFAULT_ALL_RESOURCE_OPTIONS;
     return new Set(annotations.resource);
 }
+// Rows listed by `@mcp.resource.list: true`, the default `top` of a resource read.
+const DEFAULT_RESOURCE_LIST_MAX = 100;
+// Upper bound for `@mcp.resource.list: <n>`, the largest `top` a read accepts.
+const MAX_RESOURCE_LIST_MAX = 1000;
+/**
+ * Determines the `resources/list` enumeration of an entity's rows from
+ * `@mcp.resource.list`: `true` lists up to 100 rows, a number up to that
+ * many (at most 1000).
+ * @param annotations - The annotation structure
+ * @returns `{ max }`, or undefined when rows are not listed
+ */
+function determineResourceList(annotations) {
+    const value = annotations.resourceList;
+    if (value === undefined || value === null || value === false)
+        return undefined;
+    if (value === true)
+        return { max: DEFAULT_RESOURCE_LIST_MAX };
+    if (Number.isInteger(value) && value > 0)
+        return { max: Math.min(value, MAX_RESOURCE_LIST_MAX) };
+    throw new Error(`Invalid annotation '${annotations.target}' - @mcp.resource.list must be true or a positive integer`);
+}
+/**
+ * Collects the `Binary` / `LargeBinary` elements annotated with
+ * `@Core.MediaType`. A string value is the fixed media type; a path such as
+ * `@Core.MediaType: mimeType` names the element holding each row's type.
+ * Elements hidden with `@mcp.omit` are left out, so they are not served as
+ * media either.
+ * @param elements - Elements of the entity definition
+ * @param omitted - Names of the entity's `@mcp.omit` elements
+ * @returns Map of element name to `{ mimeType }` or `{ mimeTypeElement }`
+ */
+function parseMediaFields(elements, omitted) {
+    const media = new Map();
+    for (const [name, el] of Object.entries(elements ?? {})) {
+        if (omitted?.has(name))
+            continue;
+        const value = el?.["@Core.MediaType"];
+        const type = el?._type ?? el?.type;
+        if (value === undefined || (type !== "cds.Binary" && type !== "cds.LargeBinary"))
+            continue;
+        if (typeof value === "string") {
+            media.set(name, { mimeType: value });
+        }
+        else if (typeof value?.["="] === "string" && elements[value["="]]) {
+            media.set(name, { mimeTypeElement: value["="] });
+        }
+        else {
+            media.set(name, { mimeType: "application/octet-stream" });
+        }
+    }
+    return media;
+}
 /**
  * Parses resource elements from a definition to extract properties and keys
  * @param definition - The definition to parse
@@ -223,6 +294,12 @@ function parseOperationElements(annotations, model) {
     let parameters;
     const propertyHints = new Map();
     const parseParam = (k, v, suffix) => {
+        // Inline structs carry `elements` instead of a type; their schema is
+        // built from the CSN parameter itself (see buildStructuredZodType).
+        if (v.type === undefined && v.elements) {
+            parameters?.set(k, `Struct${suffix ?? ""}`);
+            return;
+        }
         if (typeof v.type !== "string") {
             const referencedType = parseTypedReference(v.type, model);
             parameters?.set(k, `${referencedType}${suffix ?? ""}`);
@@ -306,10 +383,16 @@ function parseCdsRestrictions(restrictions, requires) {
         return result;
     for (const el of restrictions) {
         const ops = mapOperationRestriction(el.grant);
+        // Instance-based rules keep their `where` so callers can tell a
+        // row-level grant from an unconditional one.
+        const instance = typeof el.where === "string" && el.where.trim().length > 0
+            ? { where: el.where, userAttributes: parseUserAttributeRefs(el.where) }
+            : {};
         if (!el.to) {
             result.push({
                 role: "authenticated-user",
                 operations: ops,
+                ...instance,
             });
             continue;
         }
@@ -317,12 +400,25 @@ function parseCdsRestrictions(restrictions, requires) {
             ? el.to.map((to) => ({
                 role: to,
                 operations: ops,
+                ...instance,
             }))
-            : [{ role: el.to, operations: ops }];
+            : [{ role: el.to, operations: ops, ...instance }];
         result.push(...mapped);
     }
     return result;
 }
+/**
+ * Collects the `$user` references of a `@restrict` where clause
+ * @param where - CDS expression string, e.g. "country = $user.country"
+ * @returns Distinct attribute names; a bare `$user` is reported as "id"
+ */
+function parseUserAttributeRefs(where) {
+    const refs = new Set();
+    for (const match of String(where).matchAll(/\$user(?:\.([A-Za-z_][\w]*))?/g)) {
+        refs.add(match[1] ?? "id");
+    }
+    return Array.from(refs);
+}
 /**
  * Maps the "grant" property from CdsRestriction to McpRestriction
  */
@@ -8,6 +8,7 @@ exports.getAccessRights = getAccessRights;
 exports.registerAuthMiddleware = registerAuthMiddleware;
 exports.hasToolOperationAccess = hasToolOperationAccess;
 exports.getWrapAccesses = getWrapAccesses;
+exports.getInstanceRestrictions = getInstanceRestrictions;
 exports.useMockAuth = useMockAuth;
 exports.resolvePublicBaseUrl = resolvePublicBaseUrl;
 exports.wwwAuthenticateHeader = wwwAuthenticateHeader;
@@ -700,6 +701,8 @@ function getWrapAccesses(user, restrictions) {
         // If the user does not even have the role then no reason to check
         if (!user.is(el.role))
             continue;
+        if (!canMatchInstanceRule(user, el))
+            continue;
         if (!el.operations || el.operations.length <= 0) {
             access.canRead = true;
             access.canCreate = true;
@@ -722,6 +725,82 @@ function getWrapAccesses(user, restrictions) {
     }
     return access;
 }
+/**
+ * Resolves the instance-based filters CAP applies to one operation for a user
+ * @param user
+ * @param restrictions
+ * @param operation - "READ", "CREATE", "UPDATE" or "DELETE"
+ * @returns undefined when access is not row-restricted (no restrictions, a
+ * privileged user, or an applicable grant without `where`); otherwise the
+ * `where` clauses of the applicable rules — empty if none can match
+ */
+function getInstanceRestrictions(user, restrictions, operation) {
+    if (!restrictions || restrictions.length === 0 || user?._is_privileged)
+        return undefined;
+    const wheres = [];
+    for (const el of restrictions) {
+        if (!user.is(el.role))
+            continue;
+        if (el.operations && el.operations.length > 0 && !el.operations.includes(operation))
+            continue;
+        if (!el.where)
+            return undefined;
+        if (canMatchInstanceRule(user, el) && !wheres.includes(el.where))
+            wheres.push(el.where);
+    }
+    return wheres;
+}
+/**
+ * A row-level rule whose clause is a conjunction with a plain comparison
+ * against a `$user` attribute the caller does not carry compares against
+ * null in CAP and can never match a row, so it grants nothing. Anything
+ * else — disjunctions, negations, null tests, clauses that fail to parse —
+ * may still match and is kept.
+ */
+function canMatchInstanceRule(user, restriction) {
+    if (!restriction.where)
+        return true;
+    const missing = (restriction.userAttributes ?? []).filter((attr) => {
+        if (attr === "id")
+            return false;
+        const value = user.attr?.[attr];
+        return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    });
+    if (missing.length === 0)
+        return true;
+    let parsed;
+    try {
+        parsed = cds.parse.expr(restriction.where);
+    }
+    catch {
+        return true;
+    }
+    return !conjunctionComparesMissing(parsed?.xpr ?? [parsed], new Set(missing));
+}
+const COMPARISON_OPERATORS = new Set(["=", "==", "!=", "<>", "<", ">", "<=", ">=", "like", "in"]);
+/**
+ * True when `tokens` form a pure `and` chain in which at least one conjunct
+ * is `<operand> <op> $user.<attr>` (either side) for an attribute in `missing`.
+ */
+function conjunctionComparesMissing(tokens, missing) {
+    const conjuncts = [[]];
+    for (const token of tokens) {
+        if (typeof token === "string" && token.toLowerCase() === "or")
+            return false;
+        if (typeof token === "string" && token.toLowerCase() === "and")
+            conjuncts.push([]);
+        else
+            conjuncts[conjuncts.length - 1].push(token);
+    }
+    const isMissingRef = (t) => t?.ref?.length === 2 && t.ref[0] === "$user" && missing.has(t.ref[1]);
+    return conjuncts.some((c) => {
+        if (c.length === 1 && Array.isArray(c[0]?.xpr))
+            return conjunctionComparesMissing(c[0].xpr, missing);
+        return c.length === 3 &&
+            typeof c[1] === "string" && COMPARISON_OPERATORS.has(c[1].toLowerCase()) &&
+            (isMissingRef(c[0]) || isMissingRef(c[2]));
+    });
+}
 /**
  * Utility method for checking whether auth used is mocked and not live
  * @returns boolean
@@ -22,6 +22,10 @@ function loadConfiguration() {
     const oauthCfg = cdsEnv?.oauth ?? {};
     const sessionStoreCfg = cdsEnv?.session_store ?? {};
     const expandCfg = cdsEnv?.expand ?? {};
+    const paginationCfg = cdsEnv?.pagination ?? {};
+    const batchCfg = cdsEnv?.batch ?? {};
+    const mediaCfg = cdsEnv?.media ?? {};
+    const adminCfg = cdsEnv?.admin ?? {};
     const expandDefault = expandCfg.default ?? "compositions";
     if (!["compositions", "none", "all"].includes(expandDefault)) {
         logger_1.LOGGER.warn(`Invalid mcp.expand.default "${expandDefault}" — falling back to "compositions"`);
@@ -80,6 +84,34 @@ function loadConfiguration() {
             // Local in-memory cache TTL for hydrated transports in "db" kind.
             // A shorter value frees memory faster; rehydration is cheap.
             local_cache_ttl_ms: Number(sessionStoreCfg.local_cache_ttl_ms) || 10 * 60 * 1000,
+            // Entities behind resource subscriptions in "db" kind, injected
+            // like `entity` when capabilities.resources.subscribe is on.
+            subscriptions_entity: sessionStoreCfg.subscriptions_entity ?? "cap.mcp.Subscriptions",
+            events_entity: sessionStoreCfg.events_entity ?? "cap.mcp.ResourceEvents",
+            // Event bus carrying notifications to the instance that holds a
+            // session's GET /mcp stream: "memory", "db" (default for the
+            // "db" kind) or the path of a module exporting a bus class.
+            event_bus: sessionStoreCfg.event_bus,
+            // Entity behind the "db" event bus, injected like `entity`.
+            notifications_entity: sessionStoreCfg.notifications_entity ?? "cap.mcp.Notifications",
+            // Where SSE stream events are kept for `Last-Event-ID`
+            // resumption: "memory", "db" (default for the "db" kind), "none"
+            // or the path of a module exporting a store class. Events expire
+            // with CDS_MCP_SESSION_TTL_MS.
+            event_store: sessionStoreCfg.event_store,
+            // Entity behind the "db" event store, injected like `entity`.
+            stream_events_entity: sessionStoreCfg.stream_events_entity ?? "cap.mcp.StreamEvents",
+            // How often each instance polls `events_entity` and
+            // `notifications_entity` for what other instances published.
+            poll_ms: Number(sessionStoreCfg.poll_ms) || 2000,
+        },
+        // REST endpoints under /mcp/admin/sessions to list and terminate
+        // sessions. Off by default; needs auth "inherit". See README
+        // "Session administration".
+        admin: {
+            enabled: adminCfg.enabled ?? false,
+            // Role a user must have to call the admin endpoints.
+            role: adminCfg.role ?? "mcp-admin",
         },
         // Controls for OData $expand / deep-read behaviour of query/get tools.
         // See README "Expand & deep reads".
@@ -96,6 +128,31 @@ function loadConfiguration() {
             // Per-entity override via `@mcp.expand` annotation.
             default: ["compositions", "none", "all"].includes(expandDefault) ? expandDefault : "compositions",
         },
+        // Keyset cursors for `_query` tools and `resources/list`.
+        // See README "Cursor pagination".
+        pagination: {
+            // HMAC secret for signing cursors. Must be identical on every
+            // instance behind a load balancer; when unset, a random
+            // per-process secret is generated.
+            cursor_secret: paginationCfg.cursor_secret ?? process.env.CDS_MCP_CURSOR_SECRET,
+            // Entries per `resources/list` page.
+            list_page_size: Number(paginationCfg.list_page_size) || 100,
+        },
+        // Transactional `<Service>_batch` tool over the wrapped entities.
+        // See README "Batch writes".
+        batch: {
+            // Off by default. `true` enables it for every service with
+            // wrapped write modes; a list of service names opts in only those.
+            enabled: batchCfg.enabled ?? false,
+            // Upper bound on operations per call.
+            max_operations: Number(batchCfg.max_operations) || 50,
+        },
+        // `@Core.MediaType` elements served by `_media` tools and media URIs.
+        // See README "Media".
+        media: {
+            // Largest media value read or uploaded, in bytes.
+            max_bytes: Number(mediaCfg.max_bytes) || 5 * 1024 * 1024,
+        },
     };
 }
 /**
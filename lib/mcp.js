@@ -12,6 +12,8 @@ const constants_1 = require("./mcp/constants");
 const loader_1 = require("./config/loader");
 const session_manager_1 = require("./mcp/session-manager");
 const session_model_1 = require("./mcp/session-model");
+const subscriptions_1 = require("./mcp/subscriptions");
+const admin_1 = require("./mcp/admin");
 const utils_2 = require("./auth/utils");
 const helmet_1 = __importDefault(require("helmet"));
 const cors_1 = __importDefault(require("cors"));
@@ -68,6 +70,15 @@ class McpPlugin {
             return;
         const entity = storeCfg.entity ?? "cap.mcp.Sessions";
         (0, session_model_1.applySessionModel)(model, entity);
+        if (this.config.capabilities?.resources?.subscribe) {
+            (0, session_model_1.applySubscriptionModel)(model, storeCfg.subscriptions_entity ?? "cap.mcp.Subscriptions", storeCfg.events_entity ?? "cap.mcp.ResourceEvents");
+        }
+        if ((storeCfg.event_bus ?? "db") === "db") {
+            (0, session_model_1.applyNotificationModel)(model, storeCfg.notifications_entity ?? "cap.mcp.Notifications");
+        }
+        if ((storeCfg.event_store ?? "db") === "db") {
+            (0, session_model_1.applyEventStoreModel)(model, storeCfg.stream_events_entity ?? "cap.mcp.StreamEvents");
+        }
     }
     /**
      * Handles the bootstrap event by setting up Express app and API endpoints
@@ -122,6 +133,12 @@ class McpPlugin {
         // identical MCP server on ANY instance — not just the one that
         // originally handled `initialize`.
         this.sessionManager?.setRuntimeConfig?.(this.config, this.annotations);
+        // Writes to @mcp.resource entities notify subscribed sessions. Runs on
+        // every 'serving' so services served later get their handlers too.
+        const subscriptions = this.sessionManager?.subscriptions;
+        if (subscriptions) {
+            (0, subscriptions_1.registerResourceChangeHandlers)(this.annotations, (uri) => subscriptions.publish(uri));
+        }
         logger_1.LOGGER.debug("Annotations have been loaded");
     }
     /**
@@ -145,7 +162,8 @@ class McpPlugin {
     }
     /**
      * Sets up HTTP endpoints for MCP communication and health checks
-     * Registers /mcp and /mcp/health routes with appropriate handlers
+     * Registers /mcp and /mcp/health routes with appropriate handlers, plus
+     * /mcp/admin/sessions when `admin.enabled` is set
      */
     async registerApiEndpoints() {
         if (!this.expressApp) {
@@ -158,6 +176,7 @@ class McpPlugin {
                 status: "UP",
             });
         });
+        (0, admin_1.registerSessionAdmin)(this.expressApp, () => this.sessionManager);
         this.registerMcpSessionRoute();
         this.expressApp?.get("/mcp", (req, res) => (0, utils_1.handleMcpSessionRequest)(req, res, this.sessionManager));
         this.expressApp?.delete("/mcp", async (req, res) => {
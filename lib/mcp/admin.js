@@ -0,0 +1,85 @@
+"use strict";
+/**
+ * Admin endpoints for operators: list the active MCP sessions and
+ * terminate them, one at a time or all sessions of a user. They sit under
+ * /mcp/admin, behind the plugin's auth middleware, and require the role
+ * configured as `admin.role`.
+ *
+ *   GET    /mcp/admin/sessions[?principal=&tenant=]  list sessions
+ *   DELETE /mcp/admin/sessions/:id                   terminate one session
+ *   DELETE /mcp/admin/sessions?principal=[&tenant=]  terminate a user's sessions
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.registerSessionAdmin = registerSessionAdmin;
+const logger_1 = require("../logger");
+const loader_1 = require("../config/loader");
+/* @ts-ignore */
+const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
+const ADMIN_SESSIONS_PATH = "/mcp/admin/sessions";
+function respondError(res, status, message) {
+    res.status(status).json({ error: { code: String(status), message } });
+}
+/** Sessions of `list` matching the `principal` and `tenant` query options. */
+function filterSessions(list, query) {
+    return list.filter((s) => (query.principal === undefined || s.principal === query.principal) &&
+        (query.tenant === undefined || s.tenant === query.tenant));
+}
+/**
+ * Registers the admin endpoints when `admin.enabled` is set. They are only
+ * registered with auth "inherit", since without authentication there is no
+ * user whose roles could be checked.
+ * @param app - Express app of the CAP server
+ * @param storeOf - Returns the session store
+ */
+function registerSessionAdmin(app, storeOf) {
+    const config = (0, loader_1.loadConfiguration)();
+    if (!config.admin?.enabled)
+        return;
+    if (config.auth !== "inherit") {
+        logger_1.LOGGER.warn(`[ADMIN] admin.enabled is ignored with auth '${config.auth}'; the admin endpoints need authenticated users`);
+        return;
+    }
+    const role = config.admin.role;
+    const authorize = (req, res, next) => {
+        const user = (global.cds || cds).context?.user;
+        if (!user?.is?.(role)) {
+            logger_1.LOGGER.warn(`[ADMIN] ${user?.id ?? "anonymous"} lacks role '${role}' for ${req.method} ${req.path}`);
+            return respondError(res, 403, "Forbidden");
+        }
+        next();
+    };
+    const handle = (fn) => async (req, res) => {
+        try {
+            await fn(req, res, (global.cds || cds).context.user);
+        }
+        catch (e) {
+            logger_1.LOGGER.error(`[ADMIN] ${req.method} ${req.path} failed: ${e?.message || e}`);
+            if (!res.headersSent)
+                respondError(res, 500, "Internal Server Error");
+        }
+    };
+    app.get(ADMIN_SESSIONS_PATH, authorize, handle(async (req, res) => {
+        const sessions = filterSessions(await storeOf().listSessions(), req.query);
+        res.json({ sessions });
+    }));
+    app.delete(`${ADMIN_SESSIONS_PATH}/:id`, authorize, handle(async (req, res, user) => {
+        const store = storeOf();
+        const id = req.params.id;
+        if (!(await store.listSessions()).some((s) => s.id === id))
+            return respondError(res, 404, `Session ${id} not found`);
+        await store.deleteSession(id);
+        logger_1.LOGGER.info(`[ADMIN] ${user.id} terminated session ${id}`);
+        res.status(204).end();
+    }));
+    app.delete(ADMIN_SESSIONS_PATH, authorize, handle(async (req, res, user) => {
+        if (typeof req.query.principal !== "string" || !req.query.principal)
+            return respondError(res, 400, "The principal query option is required");
+        const store = storeOf();
+        const revoked = filterSessions(await store.listSessions(), req.query).map((s) => s.id);
+        for (const id of revoked)
+            await store.deleteSession(id);
+        logger_1.LOGGER.info(`[ADMIN] ${user.id} revoked ${revoked.length} session(s) of ${req.query.principal}`);
+        res.json({ revoked });
+    }));
+    logger_1.LOGGER.debug(`[ADMIN] Session admin endpoints registered for role '${role}'`);
+}
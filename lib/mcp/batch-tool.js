@@ -0,0 +1,348 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.registerBatchTools = registerBatchTools;
+exports.batchToolName = batchToolName;
+exports.isBatchEnabledFor = isBatchEnabledFor;
+exports.resolveReferences = resolveReferences;
+const zod_1 = require("zod");
+const utils_1 = require("../auth/utils");
+const logger_1 = require("../logger");
+const utils_2 = require("./utils");
+const entity_tools_1 = require("./entity-tools");
+const elicited_input_1 = require("./elicited-input");
+const BATCH_OPS = ["create", "update", "delete"];
+const ALIAS_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+/**
+ * Raised inside the batch transaction. Carries the 1-based step number so
+ * the error returned to the client names the operation that broke the
+ * batch, plus an optional tool error code that bypasses CAP classification
+ * (e.g. INVALID_REFERENCE).
+ */
+class BatchStepError extends Error {
+    constructor(step, cause, code) {
+        super(cause?.message ?? String(cause));
+        this.name = "BatchStepError";
+        this.step = step;
+        this.cause = cause;
+        this.code = code;
+    }
+}
+/**
+ * Name of the batch tool for a service: `<Service>_batch`, using the last
+ * segment of the service name like the legacy wrapper tool names.
+ */
+function batchToolName(serviceName) {
+    return `${String(serviceName || "Service").split(".").pop()}_batch`;
+}
+/**
+ * `mcp.batch.enabled` is either a boolean or a list of service names, so a
+ * project can opt in one service without exposing batch writes everywhere.
+ */
+function isBatchEnabledFor(batchConfig, serviceName) {
+    const enabled = batchConfig?.enabled;
+    if (Array.isArray(enabled))
+        return enabled.includes(serviceName) || enabled.includes(String(serviceName).split(".").pop());
+    return enabled === true;
+}
+/**
+ * Registers one `<Service>_batch` tool per service that has wrapped entities
+ * with at least one write mode. Draft-enabled roots are left out — their
+ * writes go through the draft-* lifecycle, which does not fit a single
+ * active-row transaction.
+ *
+ * @param {import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} server
+ * @param {{entry: import("../annotations/structures").McpResourceAnnotation, modes: string[]}[]} wrapped
+ * @param {boolean} authEnabled
+ * @param {{enabled: boolean|string[], max_operations: number}} batchConfig
+ * @returns {Map<string, import("../annotations/structures").McpResourceAnnotation[]>} tool name → batchable entities
+ */
+function registerBatchTools(server, wrapped, authEnabled, batchConfig) {
+    const byService = new Map();
+    for (const { entry, modes } of wrapped) {
+        if (!isBatchEnabledFor(batchConfig, entry.serviceName))
+            continue;
+        const ops = BATCH_OPS.filter((op) => modes.includes(op));
+        if (ops.length === 0)
+            continue;
+        const def = (0, entity_tools_1.resolveEntityDefinition)(entry);
+        if ((0, entity_tools_1.isDraftEnabledRoot)(def) && !(0, entity_tools_1.isDraftBypassEnabled)(def)) {
+            logger_1.LOGGER.debug(`[batch] ${entry.serviceName}.${entry.target} is a draft root — not included in ${batchToolName(entry.serviceName)}`);
+            continue;
+        }
+        if (!byService.has(entry.serviceName))
+            byService.set(entry.serviceName, []);
+        byService.get(entry.serviceName).push({ resAnno: entry, ops });
+    }
+    const registered = new Map();
+    for (const [serviceName, targets] of byService) {
+        const toolName = registerBatchTool(server, serviceName, targets, authEnabled, batchConfig);
+        registered.set(toolName, targets.map((t) => t.resAnno));
+    }
+    return registered;
+}
+function entityLabel(resAnno) {
+    return String(resAnno.target).split(".").pop();
+}
+function registerBatchTool(server, serviceName, targets, authEnabled, batchConfig) {
+    const toolName = batchToolName(serviceName);
+    const maxOperations = batchConfig?.max_operations || 50;
+    const byEntity = new Map(targets.map((t) => [entityLabel(t.resAnno), t]));
+    const entityNames = Array.from(byEntity.keys());
+    const operation = zod_1.z.object({
+        op: zod_1.z.enum(BATCH_OPS).describe("Operation to run"),
+        entity: zod_1.z.enum(entityNames).describe("Target entity"),
+        keys: zod_1.z.record(zod_1.z.any()).optional().describe("Key fields of the row (update, delete)"),
+        data: zod_1.z.record(zod_1.z.any()).optional().describe("Fields to write (create, update). Same shape as the entity's _create / _update tool input"),
+        etag: zod_1.z.string().max(200).optional().describe("@odata.etag last read for the row (update, delete on etag-enabled entities); the step fails with CONFLICT if the row changed since"),
+        as: zod_1.z.string().regex(ALIAS_PATTERN).optional().describe("Alias for this step's resulting row, referenced by later steps as { \"$ref\": \"<alias>.<field>\" }"),
+    });
+    const inputSchema = {
+        operations: zod_1.z.array(operation).min(1).max(maxOperations)
+            .describe(`Ordered operations (max ${maxOperations}), run in one transaction`),
+    };
+    // Rows differ per entity, so steps carry them untyped; the entity's
+    // _get tool describes each row shape.
+    const outputSchema = zod_1.z.object({
+        committed: zod_1.z.boolean().optional(),
+        results: zod_1.z.array(zod_1.z.object({
+            step: zod_1.z.number(),
+            op: zod_1.z.enum(BATCH_OPS),
+            entity: zod_1.z.string(),
+            as: zod_1.z.string().optional(),
+            row: zod_1.z.record(zod_1.z.unknown()).nullable().optional(),
+            deleted: zod_1.z.record(zod_1.z.unknown()).optional(),
+        }).passthrough()).optional(),
+    }).passthrough();
+    const catalogue = targets
+        .map(({ resAnno, ops }) => `${entityLabel(resAnno)} (${ops.join("/")}; keys: ${Array.from(resAnno.resourceKeys.keys()).join(", ")})`)
+        .join("; ");
+    const desc = `Run several create/update/delete operations on ${serviceName} in ONE transaction: either every step commits or none does. Entities: ${catalogue}. Name a step with "as" and use { "$ref": "<alias>.<field>" } anywhere in a later step's keys or data to pass on a value from it — typically a key generated by an earlier create. On failure nothing is written and the error names the failing step.`;
+    const batchHandler = async (args) => {
+        const CDS = global.cds;
+        const svc = await (0, entity_tools_1.resolveServiceInstance)(serviceName);
+        if (!svc) {
+            const msg = `Service not found: ${serviceName}. Available: ${Object.keys(CDS.services || {}).join(", ")}`;
+            logger_1.LOGGER.error(msg);
+            return (0, utils_2.toolError)("ERR_MISSING_SERVICE", msg);
+        }
+        const steps = args.operations;
+        // Reject the whole batch before opening a transaction when a step
+        // could never succeed: op not enabled for the entity, the caller
+        // lacks the grant the matching wrapper tool would require, or a
+        // reference points at an alias that is not defined earlier.
+        const user = authEnabled ? CDS.context?.user : undefined;
+        const seenAliases = new Set();
+        const toConfirm = {};
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const label = `step ${i + 1} (${step.op} ${step.entity})`;
+            const target = byEntity.get(step.entity);
+            if (!target.ops.includes(step.op)) {
+                return (0, utils_2.toolError)("INVALID_INPUT", `${label}: ${step.op} is not enabled for ${step.entity} (enabled: ${target.ops.join(", ")})`, { step: i + 1 });
+            }
+            if (user) {
+                const access = (0, utils_1.getWrapAccesses)(user, target.resAnno.restrictions);
+                const allowed = step.op === "create" ? access.canCreate
+                    : step.op === "update" ? access.canUpdate
+                        : access.canDelete;
+                if (!allowed) {
+                    return (0, utils_2.toolError)("FORBIDDEN", `${label}: user '${user.id}' is not authorized to ${step.op} ${step.entity}`, { step: i + 1 });
+                }
+            }
+            if (step.op === "create" && step.keys !== undefined) {
+                return (0, utils_2.toolError)("INVALID_INPUT", `${label}: pass key values of a new row in data, not keys`, { step: i + 1 });
+            }
+            if (step.op !== "delete" && step.data === undefined) {
+                return (0, utils_2.toolError)("INVALID_INPUT", `${label}: data is required`, { step: i + 1 });
+            }
+            if (step.op !== "create" && step.keys === undefined) {
+                return (0, utils_2.toolError)("MISSING_KEY", `${label}: keys are required`, { step: i + 1 });
+            }
+            for (const ref of collectReferences([step.keys, step.data])) {
+                const alias = ref.split(".")[0];
+                if (!seenAliases.has(alias)) {
+                    return (0, utils_2.toolError)("INVALID_REFERENCE", `${label}: "${ref}" does not refer to an earlier step — name the step with "as": "${alias}"`, { step: i + 1 });
+                }
+            }
+            if (step.as !== undefined) {
+                if (seenAliases.has(step.as)) {
+                    return (0, utils_2.toolError)("INVALID_INPUT", `${label}: alias "${step.as}" is already used by an earlier step`, { step: i + 1 });
+                }
+                seenAliases.add(step.as);
+            }
+            // Steps whose wrapper tool would ask for confirmation are
+            // confirmed together, before the transaction opens.
+            if ((0, elicited_input_1.wrapperElicits)(target.resAnno, step.op).includes("confirm")) {
+                toConfirm[label] = { ...(step.keys ? { keys: step.keys } : {}), ...(step.data ? { data: step.data } : {}) };
+            }
+        }
+        if (Object.keys(toConfirm).length > 0) {
+            const declined = await (0, elicited_input_1.confirmWrapperCall)(server, ["confirm"], toolName, undefined, toConfirm);
+            if (declined)
+                return declined;
+        }
+        try {
+            const results = await (0, entity_tools_1.withTimeout)(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, async (tx) => {
+                const aliases = new Map();
+                const out = [];
+                for (let i = 0; i < steps.length; i++) {
+                    const step = steps[i];
+                    const { resAnno } = byEntity.get(step.entity);
+                    let keys;
+                    let data;
+                    try {
+                        keys = resolveReferences(step.keys, aliases);
+                        data = resolveReferences(step.data, aliases);
+                    }
+                    catch (error) {
+                        throw new BatchStepError(i + 1, error, "INVALID_REFERENCE");
+                    }
+                    let row;
+                    try {
+                        row = await runStep(tx, resAnno, i + 1, step.op, keys, data, step.etag);
+                    }
+                    catch (error) {
+                        throw error instanceof BatchStepError ? error : new BatchStepError(i + 1, error);
+                    }
+                    // Aliases hold what the step reports, so a later $ref cannot
+                    // read an @mcp.omit field the caller never gets to see.
+                    const visible = step.op === "delete"
+                        ? row
+                        : (0, utils_2.applyOmissionFilter)((0, entity_tools_1.annotateEtag)({ ...row }, (0, entity_tools_1.etagElementName)((0, entity_tools_1.resolveEntityDefinition)(resAnno))), resAnno);
+                    if (step.as !== undefined)
+                        aliases.set(step.as, visible);
+                    const result = { step: i + 1, op: step.op, entity: step.entity };
+                    if (step.as !== undefined)
+                        result.as = step.as;
+                    if (step.op === "delete")
+                        result.deleted = visible;
+                    else
+                        result.row = visible;
+                    out.push(result);
+                }
+                return out;
+            }), entity_tools_1.TIMEOUT_MS, toolName);
+            return (0, utils_2.asMcpResult)({ committed: true, results });
+        }
+        catch (error) {
+            if (!(error instanceof BatchStepError)) {
+                const cls = (0, entity_tools_1.classifyCapError)(error, "BATCH_FAILED", toolName);
+                return (0, utils_2.toolError)(cls.code, `${cls.msg} — no step was committed`, { ...cls.extra, committed: false }, error);
+            }
+            const step = steps[error.step - 1];
+            const label = `step ${error.step} (${step.op} ${step.entity})`;
+            if (error.code) {
+                return (0, utils_2.toolError)(error.code, `${label}: ${error.message} — no step was committed`, { step: error.step, committed: false });
+            }
+            const cls = (0, entity_tools_1.classifyCapError)(error.cause, `${step.op.toUpperCase()}_FAILED`, toolName);
+            return (0, utils_2.toolError)(cls.code, `${label}: ${cls.msg} — no step was committed`, { ...cls.extra, step: error.step, committed: false }, error.cause);
+        }
+    };
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema }, batchHandler);
+    return toolName;
+}
+/**
+ * Runs one batch step inside the shared transaction. Resolves to the row the
+ * step produced: the created / updated row, or the keys of a deleted one.
+ * @throws {BatchStepError} For input problems detected before hitting CAP
+ */
+async function runStep(tx, resAnno, stepNo, op, keys, data, etag) {
+    const { INSERT, SELECT } = global.cds.ql;
+    const def = (0, entity_tools_1.resolveEntityDefinition)(resAnno);
+    const fail = (code, message) => new BatchStepError(stepNo, new Error(message), code);
+    const unknown = Object.keys(data ?? {}).filter((k) => resAnno.computedFields?.has(k));
+    if (unknown.length > 0) {
+        throw fail("INVALID_INPUT", `computed field(s) cannot be written: ${unknown.join(", ")}`);
+    }
+    if (op === "create") {
+        const payload = (0, entity_tools_1.buildCreatePayload)(resAnno, def, data);
+        if (payload.error)
+            throw fail("INVALID_INPUT", payload.error);
+        const ignored = Object.keys(data).filter((k) => !(k in payload.data));
+        if (ignored.length > 0)
+            throw fail("INVALID_INPUT", `unknown field(s): ${ignored.join(", ")}`);
+        const response = await tx.run(INSERT.into(resAnno.target).entries(payload.data));
+        // Same merge as the create wrapper: CAP returns the enriched input
+        // (generated UUID keys, managed fields) but not every column.
+        return { ...payload.data, ...(response && typeof response === "object" && !Array.isArray(response) ? response : {}) };
+    }
+    const where = {};
+    for (const k of resAnno.resourceKeys.keys()) {
+        if (keys[k] === undefined)
+            throw fail("MISSING_KEY", `missing key '${k}'`);
+        where[k] = (0, entity_tools_1.coerceNumeric)(keys[k]);
+    }
+    (0, entity_tools_1.ensureDraftIsActiveEntityKey)(where, resAnno);
+    const precondition = (0, entity_tools_1.etagCondition)(resAnno, etag);
+    if (op === "delete") {
+        const guarded = { ...where, ...precondition };
+        const existing = await tx.run(SELECT.one.from(resAnno.target).columns(Object.keys(where)).where(guarded));
+        if (!existing && precondition)
+            await (0, entity_tools_1.rejectFailedPrecondition)(tx, resAnno, where);
+        if (!existing) {
+            throw Object.assign(new Error(`No ${resAnno.target} with key(s) ${JSON.stringify(where)}`), { code: 404 });
+        }
+        await (0, entity_tools_1.deleteWithPrecondition)(tx, resAnno, where, precondition);
+        return where;
+    }
+    const payload = (0, entity_tools_1.buildUpdatePayload)(resAnno, def, data);
+    if (payload.error)
+        throw fail("INVALID_INPUT", payload.error);
+    const { updates, compositionPayloads } = payload;
+    const ignored = Object.keys(data).filter((k) => !(k in updates) && !compositionPayloads.has(k));
+    if (ignored.length > 0)
+        throw fail("INVALID_INPUT", `unknown or key field(s) in data: ${ignored.join(", ")}`);
+    if (Object.keys(updates).length === 0 && compositionPayloads.size === 0)
+        throw fail("NO_FIELDS", "no fields provided to update");
+    return (0, entity_tools_1.applyDeepUpdate)(tx, resAnno, def, where, updates, compositionPayloads, precondition);
+}
+function isReference(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value)
+        && Object.keys(value).length === 1 && typeof value.$ref === "string";
+}
+function collectReferences(value, out = []) {
+    if (isReference(value)) {
+        out.push(value.$ref);
+    }
+    else if (Array.isArray(value)) {
+        for (const v of value)
+            collectReferences(v, out);
+    }
+    else if (value !== null && typeof value === "object") {
+        for (const v of Object.values(value))
+            collectReferences(v, out);
+    }
+    return out;
+}
+/**
+ * Replaces every `{ "$ref": "<alias>.<field>" }` in a step's keys / data
+ * with the value of that field on the row an earlier step produced. Nested
+ * paths (`order.items.0.ID`) are followed through objects and arrays.
+ * @throws {Error} When the alias or field does not exist
+ */
+function resolveReferences(value, aliases) {
+    if (isReference(value)) {
+        const [alias, ...path] = value.$ref.split(".");
+        if (!aliases.has(alias))
+            throw new Error(`unknown alias "${alias}" in "${value.$ref}"`);
+        if (path.length === 0)
+            throw new Error(`"${value.$ref}" must name a field, e.g. "${alias}.ID"`);
+        let current = aliases.get(alias);
+        for (const segment of path) {
+            if (current === null || typeof current !== "object" || !(segment in current)) {
+                throw new Error(`"${value.$ref}": step "${alias}" has no field "${segment}"`);
+            }
+            current = current[segment];
+        }
+        return current;
+    }
+    if (Array.isArray(value))
+        return value.map((v) => resolveReferences(v, aliases));
+    if (value !== null && typeof value === "object") {
+        const out = {};
+        for (const [k, v] of Object.entries(value))
+            out[k] = resolveReferences(v, aliases);
+        return out;
+    }
+    return value;
+}
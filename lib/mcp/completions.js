@@ -0,0 +1,254 @@
+"use strict";
+/**
+ * Argument completion (`completion/complete`) for the `odata://` resource
+ * templates and for `@mcp.prompts` inputs.
+ *
+ * Field names come from the resource's properties, enum values from the CDS
+ * enum type of an element, and key or value suggestions from a bounded
+ * `SELECT DISTINCT` against the entity — or against the target of the
+ * element's `@Common.ValueList`. Queries run as the caller, so `@restrict`
+ * applies; a caller who may not read the entity gets no suggestions.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.collectionCompleters = collectionCompleters;
+exports.rowKeyCompleter = rowKeyCompleter;
+exports.promptInputCompleter = promptInputCompleter;
+exports.valueSourceFor = valueSourceFor;
+const logger_1 = require("../logger");
+const utils_1 = require("../auth/utils");
+const entity_tools_1 = require("./entity-tools");
+const row_uri_1 = require("./row-uri");
+/* @ts-ignore */
+const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
+// Suggestions returned per request; the SDK caps the response at 100.
+const COMPLETION_LIMIT = 20;
+// Non-string columns cannot be prefix-matched portably in SQL, so the first
+// rows of their distinct values are read and matched here instead.
+const SCAN_LIMIT = 100;
+const STRING_TYPES = new Set(["String", "LargeString"]);
+// An unfinished comparison at the end of a filter, with a quoted or a bare value.
+const COMPARISONS = [
+    /([A-Za-z_]\w*)\s+(?:eq|ne|gt|ge|lt|le)\s+(')((?:[^']|'')*)$/,
+    /([A-Za-z_]\w*)\s+(?:eq|ne|gt|ge|lt|le)\s+()([^\s'()]*)$/,
+];
+function definitions() {
+    return (global.cds || cds).model?.definitions ?? {};
+}
+/** CDS type name without the `cds.` prefix, as used in the annotation maps. */
+function typeName(element) {
+    let type = element?._type ?? element?.type;
+    // Named types (e.g. an enum type) resolve to their builtin base type.
+    for (let i = 0; typeof type === "string" && !type.startsWith("cds.") && i < 8; i++) {
+        const def = definitions()[type];
+        type = def?._type ?? def?.type;
+    }
+    return typeof type === "string" ? type.replace(/^cds\./, "") : undefined;
+}
+function enumValues(element) {
+    const values = element?.enum ?? definitions()[element?.type]?.enum;
+    if (!values)
+        return undefined;
+    return Object.entries(values).map(([name, v]) => String(v?.val ?? name));
+}
+function byPrefix(candidates, prefix) {
+    const lower = prefix.toLowerCase();
+    return candidates.filter((c) => c.toLowerCase().startsWith(lower));
+}
+function formatFilterLiteral(value, element) {
+    const type = typeName(element);
+    return STRING_TYPES.has(type) ? `'${String(value).replace(/'/g, "''")}'` : String(value);
+}
+/**
+ * Where the suggested values of an element come from: the `@Common.ValueList`
+ * collection when the element has one, else the element's own entity.
+ * @param entityName - Qualified name of the entity holding the element
+ * @param elementName - Name of the element
+ * @returns `{ service, entity, element }`, or undefined for unknown elements
+ */
+function valueSourceFor(entityName, elementName) {
+    const defs = definitions();
+    const entity = defs[entityName];
+    const element = entity?.elements?.[elementName];
+    if (!element)
+        return undefined;
+    const service = entity._service?.name ?? entityName.slice(0, entityName.lastIndexOf("."));
+    const collection = element["@Common.ValueList.CollectionPath"] ?? element["@Common.ValueList"]?.CollectionPath;
+    if (typeof collection === "string") {
+        const target = defs[`${service}.${collection}`] ? `${service}.${collection}` : collection;
+        const parameters = element["@Common.ValueList.Parameters"] ?? element["@Common.ValueList"]?.Parameters ?? [];
+        const local = (p) => p?.LocalDataProperty?.["="] ?? p?.LocalDataProperty;
+        const parameter = parameters.find((p) => local(p) === elementName) ?? parameters[0];
+        const valueElement = parameter?.ValueListProperty;
+        if (defs[target]?.elements?.[valueElement])
+            return { service, entity: target, element: valueElement };
+    }
+    return { service, entity: entityName, element: elementName };
+}
+/**
+ * Distinct values of `source.element` starting with `prefix`, read as the
+ * caller. Access or query errors yield no suggestions.
+ */
+async function distinctValues(source, prefix, authEnabled) {
+    const element = definitions()[source.entity]?.elements?.[source.element];
+    const values = enumValues(element);
+    if (values)
+        return byPrefix(values, prefix);
+    const service = await (0, entity_tools_1.resolveServiceInstance)(source.service);
+    if (!service)
+        return [];
+    const stringy = STRING_TYPES.has(typeName(element));
+    const query = SELECT.distinct
+        .from(source.entity)
+        .columns(source.element)
+        .orderBy(`${source.element} asc`)
+        .limit(stringy ? COMPLETION_LIMIT : SCAN_LIMIT);
+    if (stringy && prefix) {
+        query.where([{ func: "startswith", args: [{ ref: [source.element] }, { val: prefix }] }]);
+    }
+    try {
+        const accessRights = (0, utils_1.getAccessRights)(authEnabled);
+        const rows = await service.tx({ user: accessRights }, (tx) => tx.run(query));
+        const found = rows
+            .map((row) => row[source.element])
+            .filter((v) => v !== null && v !== undefined)
+            .map(String);
+        return (stringy ? found : found.filter((v) => v.startsWith(prefix))).slice(0, COMPLETION_LIMIT);
+    }
+    catch (e) {
+        logger_1.LOGGER.debug(`Completion for ${source.entity}.${source.element} skipped: ${e?.message || e}`);
+        return [];
+    }
+}
+/** Splits off the last comma-separated item: `["a,b,", "c"]` for `a,b,c`. */
+function splitLast(value) {
+    const comma = value.lastIndexOf(",");
+    return [value.slice(0, comma + 1), value.slice(comma + 1)];
+}
+/**
+ * Completers for the variables of a collection template
+ * (`odata://<service>/<name>{?filter,...}`). Each returns whole values for
+ * the variable: the typed text with its last item completed.
+ * @param model - The resource annotation of the entity
+ * @param authEnabled - Whether queries run as the caller
+ */
+function collectionCompleters(model, authEnabled) {
+    const entityName = `${model.serviceName}.${model.target}`;
+    const omitted = model.omittedFields ?? new Set();
+    const fields = Array.from(model.properties?.keys() ?? []).filter((f) => !omitted.has(f));
+    const fieldNames = (head, partial) => byPrefix(fields, partial.trimStart()).map((f) => `${head}${partial.match(/^\s*/)[0]}${f}`);
+    const element = (name) => definitions()[entityName]?.elements?.[name];
+    const completers = {
+        select: async (value = "") => {
+            const [head, partial] = splitLast(value);
+            const chosen = new Set(head.split(",").map((s) => s.trim()));
+            return fieldNames(head, partial).filter((v) => !chosen.has(v.slice(head.length).trim()));
+        },
+        orderby: async (value = "") => {
+            const [head, partial] = splitLast(value);
+            const direction = /^(\s*[A-Za-z_]\w*\s+)(\w*)$/.exec(partial);
+            if (direction)
+                return byPrefix(["asc", "desc"], direction[2]).map((d) => `${head}${direction[1]}${d}`);
+            return fieldNames(head, partial);
+        },
+        expand: async (value = "") => {
+            const [head, partial] = splitLast(value);
+            const names = Array.from(model.navigations?.keys() ?? []);
+            return byPrefix(names, partial.trimStart()).map((n) => `${head}${n}`);
+        },
+        count: async (value = "") => byPrefix(["true", "false"], value),
+        filter: async (value = "") => {
+            // Inside an unterminated comparison: suggest values of its field.
+            const comparison = COMPARISONS.map((re) => re.exec(value)).find(Boolean);
+            if (comparison) {
+                const [, field, quote, typed] = comparison;
+                if (!fields.includes(field))
+                    return [];
+                const head = value.slice(0, value.length - quote.length - typed.length);
+                const source = valueSourceFor(entityName, field);
+                const values = await distinctValues(source, typed.replace(/''/g, "'"), authEnabled);
+                return values.map((v) => `${head}${formatFilterLiteral(v, element(field))}`);
+            }
+            if ((value.match(/'/g)?.length ?? 0) % 2 === 1)
+                return [];
+            const [, head, partial] = /^(.*?[\s(]?)([A-Za-z_]\w*)?$/s.exec(value) ?? [];
+            if (head === undefined || (head && !/[\s(]$/.test(head)))
+                return [];
+            return byPrefix(fields, partial ?? "").map((f) => `${head}${f}`);
+        },
+    };
+    return Object.fromEntries(Object.entries(completers).filter(([name]) => model.functionalities.has(name)));
+}
+/**
+ * Completer for the `keys` variable of a row template
+ * (`odata://<service>/<name>({keys})`): key predicates of rows whose first
+ * key starts with the typed value, in key order.
+ * @param model - The resource annotation of the entity
+ * @param authEnabled - Whether queries run as the caller
+ */
+function rowKeyCompleter(model, authEnabled) {
+    const keyNames = Array.from(model.resourceKeys.keys());
+    const first = keyNames[0];
+    const stringy = STRING_TYPES.has(model.resourceKeys.get(first));
+    return async (value = "") => {
+        let prefix = String(value).split(",")[0].replace(/^[A-Za-z_]\w*=/, "").replace(/^'/, "").replace(/'$/, "");
+        try {
+            prefix = decodeURIComponent(prefix.replace(/''/g, "'"));
+        }
+        catch {
+            return [];
+        }
+        const service = await (0, entity_tools_1.resolveServiceInstance)(model.serviceName);
+        if (!service)
+            return [];
+        const query = SELECT.from(model.target)
+            .columns(keyNames)
+            .orderBy(keyNames.map((k) => `${k} asc`).join(", "))
+            .limit(stringy ? COMPLETION_LIMIT : SCAN_LIMIT);
+        if (stringy && prefix) {
+            query.where([{ func: "startswith", args: [{ ref: [first] }, { val: prefix }] }]);
+        }
+        let rows;
+        try {
+            const accessRights = (0, utils_1.getAccessRights)(authEnabled);
+            rows = await service.tx({ user: accessRights }, (tx) => tx.run(query));
+        }
+        catch (e) {
+            logger_1.LOGGER.debug(`Key completion for ${model.target} skipped: ${e?.message || e}`);
+            return [];
+        }
+        const predicates = [];
+        for (const row of rows) {
+            if (predicates.length >= COMPLETION_LIMIT)
+                break;
+            if (!stringy && !String(row[first]).startsWith(prefix))
+                continue;
+            const uri = (0, row_uri_1.rowUri)(model, row);
+            if (uri)
+                predicates.push(uri.slice(uri.lastIndexOf("(") + 1, -1));
+        }
+        return predicates;
+    };
+}
+/**
+ * Completer for one `@mcp.prompts` input, or undefined when there is nothing
+ * to suggest. Inputs typed with a CDS enum type complete its values, Boolean
+ * inputs `true` / `false`, and inputs with a `valueList` — the qualified
+ * `entity` and an `element` of it — distinct values of that element (or of
+ * its own `@Common.ValueList`).
+ * @param input - Prompt input definition `{ key, type, valueList? }`
+ * @param authEnabled - Whether queries run as the caller
+ */
+function promptInputCompleter(input, authEnabled) {
+    const values = enumValues(definitions()[input.type]);
+    if (values)
+        return async (value = "") => byPrefix(values, value);
+    if (input.type === "Boolean")
+        return async (value = "") => byPrefix(["true", "false"], value);
+    const { entity, element } = input.valueList ?? {};
+    if (!entity || !element)
+        return undefined;
+    return async (value = "") => {
+        const source = valueSourceFor(entity, element);
+        return source ? distinctValues(source, value, authEnabled) : [];
+    };
+}
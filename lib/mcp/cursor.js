@@ -0,0 +1,152 @@
+"use strict";
+/**
+ * Opaque, tamper-checked pagination cursors shared by the `_query` wrapper
+ * tools and the paginated `resources/list` handler.
+ *
+ * A cursor is `base64url(JSON payload) + "." + base64url(HMAC-SHA256)`. The
+ * MAC covers a caller-supplied scope (tool name / list id) as well as the
+ * payload, so a cursor minted for one tool cannot be replayed against
+ * another, and any edit to the key values it carries is rejected.
+ *
+ * The signing secret comes from `cds.env.mcp.pagination.cursor_secret` or
+ * `CDS_MCP_CURSOR_SECRET`. Without either, a random per-process secret is
+ * used — fine for single-instance apps, but cursors then do not survive a
+ * restart or a load-balancer hop to another instance.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CursorError = void 0;
+exports.encodeCursor = encodeCursor;
+exports.decodeCursor = decodeCursor;
+exports.queryFingerprint = queryFingerprint;
+exports.buildKeysetPredicate = buildKeysetPredicate;
+const crypto_1 = require("crypto");
+const logger_1 = require("../logger");
+const loader_1 = require("../config/loader");
+const CURSOR_VERSION = 1;
+const MAX_CURSOR_LENGTH = 4096;
+/**
+ * Raised for malformed, tampered or mismatched cursors. Messages start with
+ * `cursor:` so callers can map them to a stable tool error code.
+ */
+class CursorError extends Error {
+    constructor(message) {
+        super(`cursor: ${message}`);
+        this.name = "CursorError";
+    }
+}
+exports.CursorError = CursorError;
+let _processSecret;
+function resolveSecret() {
+    const configured = (0, loader_1.loadConfiguration)().pagination?.cursor_secret;
+    if (configured)
+        return String(configured);
+    if (!_processSecret) {
+        _processSecret = (0, crypto_1.randomBytes)(32).toString("hex");
+        logger_1.LOGGER.debug("[cursor] No mcp.pagination.cursor_secret configured — using a per-process secret; cursors will not survive restarts or instance hops");
+    }
+    return _processSecret;
+}
+function sign(scope, body) {
+    return (0, crypto_1.createHmac)("sha256", resolveSecret())
+        .update(`${scope}.${body}`)
+        .digest("base64url");
+}
+/**
+ * Mints a signed cursor for the given scope.
+ * @param {string} scope - Binds the cursor to one tool or list
+ * @param {object} payload - JSON-serialisable paging state
+ * @returns {string}
+ */
+function encodeCursor(scope, payload) {
+    const body = Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...payload })).toString("base64url");
+    return `${body}.${sign(scope, body)}`;
+}
+/**
+ * Verifies and unpacks a cursor previously minted by {@link encodeCursor}.
+ * @param {string} scope - Must equal the scope used when encoding
+ * @param {string} token - Cursor string received from the client
+ * @returns {object} The payload
+ * @throws {CursorError} On malformed, tampered or foreign cursors
+ */
+function decodeCursor(scope, token) {
+    if (typeof token !== "string" || token.length === 0 || token.length > MAX_CURSOR_LENGTH) {
+        throw new CursorError("malformed cursor");
+    }
+    const dot = token.indexOf(".");
+    if (dot <= 0)
+        throw new CursorError("malformed cursor");
+    const body = token.slice(0, dot);
+    const mac = Buffer.from(token.slice(dot + 1), "base64url");
+    const expected = Buffer.from(sign(scope, body), "base64url");
+    if (mac.length !== expected.length || !(0, crypto_1.timingSafeEqual)(mac, expected)) {
+        throw new CursorError("signature check failed — the cursor was modified or belongs to another tool");
+    }
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    }
+    catch {
+        throw new CursorError("malformed cursor");
+    }
+    if (payload?.v !== CURSOR_VERSION)
+        throw new CursorError("unsupported cursor version");
+    return payload;
+}
+/**
+ * Short digest of the query shape a cursor was minted for. Stored in the
+ * cursor so a page token cannot be replayed with a different filter or sort
+ * order, which would silently skip or repeat rows.
+ */
+function queryFingerprint(shape) {
+    return (0, crypto_1.createHash)("sha256").update(JSON.stringify(shape ?? null)).digest("base64url").slice(0, 16);
+}
+/**
+ * Builds the CQN "comes after" predicate for keyset pagination:
+ *
+ *   (s1 > v1) or (s1 = v1 and s2 > v2) or … (flipped to `<` for desc)
+ *
+ * `sort` is the full ordering (user orderby followed by the entity keys as
+ * tie-breakers), `values` the sort values of the last row already returned.
+ * NULLs sort first in ascending and last in descending order — the paged
+ * query sets `nulls` on its orderBy to match — so a NULL in an asc column is
+ * passed by every non-NULL value and a non-NULL in a desc column is followed
+ * by the NULLs.
+ *
+ * @param {{field: string, dir: "asc"|"desc"}[]} sort
+ * @param {any[]} values
+ * @returns {object} CQN `{xpr}` usable in `.where()`
+ */
+function buildKeysetPredicate(sort, values) {
+    const branches = [];
+    for (let i = 0; i < sort.length; i++) {
+        const ref = { ref: [sort[i].field] };
+        const v = values[i];
+        let after;
+        if (v === null || v === undefined) {
+            if (sort[i].dir === "desc")
+                continue; // NULLs are last in desc — nothing follows on this column
+            after = [ref, "is", "not", "null"];
+        }
+        else if (sort[i].dir === "desc") {
+            after = [{ xpr: [ref, "<", { val: v }, "or", ref, "is", "null"] }];
+        }
+        else {
+            after = [ref, ">", { val: v }];
+        }
+        const branch = [];
+        for (let j = 0; j < i; j++) {
+            const prev = { ref: [sort[j].field] };
+            const pv = values[j];
+            branch.push(...(pv === null || pv === undefined ? [prev, "is", "null"] : [prev, "=", { val: pv }]), "and");
+        }
+        branch.push(...after);
+        if (branches.length)
+            branches.push("or");
+        branches.push({ xpr: branch });
+    }
+    if (branches.length === 0) {
+        // Last row was the final one in every sort column — match nothing.
+        return { xpr: [{ val: 1 }, "=", { val: 0 }] };
+    }
+    return { xpr: branches };
+}
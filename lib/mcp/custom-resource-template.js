@@ -10,7 +10,7 @@
  * Upon the SDK being fixed, we should switch over to that implementation.
  */
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.CustomResourceTemplate = exports.CustomUriTemplate = void 0;
+exports.CustomResourceTemplate = exports.CustomMediaUriTemplate = exports.CustomRowUriTemplate = exports.CustomUriTemplate = void 0;
 // TODO: Get rid of 'any' typing for better type safety
 /**
  * Custom URI template class that properly handles grouped query parameters
@@ -49,10 +49,15 @@ class CustomUriTemplate {
      * @returns Object with extracted variables or null if no match
      */
     match(uri) {
-        // Check if base URI matches
+        // Check if base URI matches. Only a query string may follow it, so
+        // `books(1)` and `books2` are not taken for `books`.
         if (!uri.startsWith(this.baseUri)) {
             return null;
         }
+        const rest = uri.substring(this.baseUri.length);
+        if (rest.length > 0 && !rest.startsWith("?")) {
+            return null;
+        }
         // Extract query string
         const queryStart = uri.indexOf("?");
         if (queryStart === -1) {
@@ -123,6 +128,66 @@ class CustomUriTemplate {
     }
 }
 exports.CustomUriTemplate = CustomUriTemplate;
+/**
+ * URI template for single rows: `odata://CatalogService/books({keys})`.
+ * Captures the key predicate between the parentheses as the `keys`
+ * variable; see ./row-uri for its syntax.
+ */
+class CustomRowUriTemplate {
+    baseUri;
+    constructor(baseUri) {
+        this.baseUri = baseUri;
+    }
+    toString() {
+        return `${this.baseUri}({keys})`;
+    }
+    match(uri) {
+        if (!uri.startsWith(`${this.baseUri}(`) || !uri.endsWith(")")) {
+            return null;
+        }
+        const keys = uri.substring(this.baseUri.length + 1, uri.length - 1);
+        return keys.length > 0 ? { keys } : null;
+    }
+    expand(variables) {
+        return `${this.baseUri}(${variables.keys ?? ""})`;
+    }
+    get variableNames() {
+        return ["keys"];
+    }
+}
+exports.CustomRowUriTemplate = CustomRowUriTemplate;
+/**
+ * URI template for media elements of single rows:
+ * `odata://CatalogService/pictures({keys})/{field}`.
+ */
+class CustomMediaUriTemplate {
+    baseUri;
+    constructor(baseUri) {
+        this.baseUri = baseUri;
+    }
+    toString() {
+        return `${this.baseUri}({keys})/{field}`;
+    }
+    match(uri) {
+        if (!uri.startsWith(`${this.baseUri}(`)) {
+            return null;
+        }
+        const close = uri.lastIndexOf(")/");
+        const keys = uri.substring(this.baseUri.length + 1, close);
+        const field = uri.substring(close + 2);
+        if (close < 0 || keys.length === 0 || !/^[A-Za-z_]\w*$/.test(field)) {
+            return null;
+        }
+        return { keys, field };
+    }
+    expand(variables) {
+        return `${this.baseUri}(${variables.keys ?? ""})/${variables.field ?? ""}`;
+    }
+    get variableNames() {
+        return ["keys", "field"];
+    }
+}
+exports.CustomMediaUriTemplate = CustomMediaUriTemplate;
 /**
  * Custom ResourceTemplate that uses our CustomUriTemplate for proper URI matching
  * Duck-types the MCP SDK's ResourceTemplate interface for compatibility
@@ -132,7 +197,9 @@ class CustomResourceTemplate {
     _callbacks;
     constructor(uriTemplate, callbacks) {
         this._callbacks = callbacks;
-        this._uriTemplate = new CustomUriTemplate(uriTemplate);
+        this._uriTemplate = typeof uriTemplate === "string"
+            ? new CustomUriTemplate(uriTemplate)
+            : uriTemplate;
     }
     /**
      * Gets the URI template pattern - must match MCP SDK interface
@@ -4,6 +4,7 @@ exports.registerDescribeModelTool = registerDescribeModelTool;
 exports.registerWhoAmITool = registerWhoAmITool;
 const utils_1 = require("./utils");
 const entity_tools_1 = require("./entity-tools");
+const utils_2 = require("../annotations/utils");
 const zod_1 = require("zod");
 /**
  * Registers a `cap_whoami` introspection tool. Returns the plugin's view of
@@ -55,8 +56,10 @@ function registerWhoAmITool(server) {
 /**
  * Registers a discovery tool that describes CAP services/entities and fields.
  * Helpful for models to plan correct tool calls without trial-and-error.
+ * @param annotations - Parsed MCP annotations; their restrictions (including
+ * `@restrict` where clauses) are reported per entity
  */
-function registerDescribeModelTool(server) {
+function registerDescribeModelTool(server, annotations) {
     const inputZod = zod_1.z
         .object({
         service: zod_1.z.string().optional(),
@@ -111,6 +114,10 @@ function registerDescribeModelTool(server) {
                 isArray: !!el.items,
             }));
             const keys = elements.filter((e) => e.key).map((e) => e.name);
+            // Entities without @mcp annotations still report their grants,
+            // parsed the same way.
+            const restrictions = annotations?.get(ent.name)?.restrictions
+                ?? (0, utils_2.parseCdsRestrictions)(ent["@restrict"], ent["@requires"]);
             const sampleTop = 5;
             // Prefer scalar fields for sample selects; exclude associations
             const scalarFields = elements
@@ -131,6 +138,15 @@ function registerDescribeModelTool(server) {
                 entity: ent.name,
                 keys,
                 fields: elements,
+                ...(restrictions.length > 0 && {
+                    authorization: {
+                        restrictions,
+                        instanceBased: restrictions.some((r) => !!r.where),
+                        note: restrictions.some((r) => !!r.where)
+                            ? "Rules with a where clause are row-level: CAP only returns or changes rows that match it for the caller ($user is the user id, $user.<attr> a user attribute). Wrapper tools report such rows as FORBIDDEN instead of NOT_FOUND."
+                            : undefined,
+                    },
+                }),
                 usage: {
                     rationale: "Entity wrapper tools expose CRUD-like operations for LLMs. Prefer query/get globally; create/update must be explicitly enabled by the developer.",
                     guidance: "Use the *_query tool for retrieval with filters and projections. All fields in select/where are consistent. For associations, use foreign key fields (e.g., author_ID not author). Use *_get with keys for a single record; use *_create/*_update only if enabled and necessary.",
@@ -3,7 +3,12 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.isElicitInput = isElicitInput;
 exports.constructElicitationFunctions = constructElicitationFunctions;
 exports.handleElicitationRequests = handleElicitationRequests;
+exports.wrapperElicits = wrapperElicits;
+exports.elicitWrapperInput = elicitWrapperInput;
+exports.confirmWrapperCall = confirmWrapperCall;
+exports.WRAPPER_ELICIT_MODES = void 0;
 const zod_1 = require("zod");
+const utils_1 = require("./utils");
 /**
  * Message displayed to users when requesting input parameters
  */
@@ -66,7 +71,8 @@ async function handleElicitationRequests(requests, server) {
     };
 }
 /**
- * Converts elicit response action into appropriate MCP result
+ * Converts elicit response action into appropriate MCP result. The result
+ * carries structured content so it passes tools with an output schema.
  * @param elicitResponse - Result from MCP server elicit input call
  * @returns MCP result for decline/cancel actions, undefined for accept
  * @throws Error if invalid response action is received
@@ -83,6 +89,7 @@ function handleElicitResponse(elicitResponse) {
                         text: "Action was declined.",
                     },
                 ],
+                structuredContent: { action: "decline" },
             };
         case "cancel":
             return {
@@ -92,6 +99,7 @@ function handleElicitResponse(elicitResponse) {
                         text: "Action was cancelled",
                     },
                 ],
+                structuredContent: { action: "cancel" },
             };
         default:
             throw new Error("Invalid elicit response received");
@@ -160,3 +168,155 @@ function constructElicitInput(params) {
     }
     return elicitSpec;
 }
+/**
+ * Elicitation types each entity-wrapper mode accepts in `@mcp.wrap.elicit`.
+ * Read modes are left out on purpose; `input` only applies to modes that
+ * take a data payload.
+ */
+exports.WRAPPER_ELICIT_MODES = new Map([
+    ["create", ["input", "confirm"]],
+    ["update", ["input", "confirm"]],
+    ["delete", ["confirm"]],
+    ["draft-new", ["input", "confirm"]],
+    ["draft-edit", ["confirm"]],
+    ["draft-patch", ["input", "confirm"]],
+    ["draft-activate", ["confirm"]],
+    ["draft-discard", ["confirm"]],
+    ["draft-upsert", ["input", "confirm"]],
+]);
+/**
+ * Reads the `@mcp.wrap.elicit` entry for one wrapper mode
+ * @param resAnno - Resource annotation of the wrapped entity
+ * @param mode - Wrapper mode, e.g. "delete" or "draft-patch"
+ * @returns Array of elicit types, empty when none are configured
+ * @throws Error if the annotation names a type the mode does not support
+ */
+function wrapperElicits(resAnno, mode) {
+    const configured = resAnno.wrap?.elicit?.[mode];
+    if (!configured)
+        return [];
+    const elicits = Array.isArray(configured) ? configured : [configured];
+    const allowed = exports.WRAPPER_ELICIT_MODES.get(mode) ?? [];
+    for (const el of elicits) {
+        if (!allowed.includes(el)) {
+            throw new Error(`Invalid annotation '${resAnno.serviceName}.${resAnno.target}' - @mcp.wrap.elicit.${mode} does not support '${el}'`);
+        }
+    }
+    return elicits;
+}
+/**
+ * Asks the user to review and fill the scalar payload fields of a wrapper
+ * call. Values the model already supplied are offered as defaults.
+ * @param server - MCP server instance for making elicit calls
+ * @param elicits - Elicit types configured for the wrapper mode
+ * @param inputSchema - Zod shape of the wrapper tool
+ * @param args - Arguments the model called the tool with
+ * @param skip - Field names that are not offered (keys, control flags)
+ * @returns The merged arguments, or an early MCP result on decline/cancel
+ */
+async function elicitWrapperInput(server, elicits, inputSchema, args, skip) {
+    if (!isElicitInput(elicits))
+        return { args };
+    const request = {
+        message: INPUT_MSG,
+        requestedSchema: { type: "object", properties: {}, required: [] },
+    };
+    for (const [key, zodType] of Object.entries(inputSchema)) {
+        if (skip.has(key))
+            continue;
+        const schema = scalarElicitSchema(zodType);
+        if (!schema)
+            continue;
+        request.requestedSchema.properties[key] = {
+            ...schema,
+            title: key,
+            description: zodType.description ?? key,
+            ...(args[key] !== undefined && args[key] !== null ? { default: args[key] } : {}),
+        };
+    }
+    const res = await requestWrapperElicitation(server, request);
+    if (res.earlyResponse)
+        return res;
+    // Only the offered fields are taken from the form, and the merged call
+    // goes through the tool schema again so elicited values get the same
+    // constraints and transforms as the model's own arguments.
+    const merged = { ...args };
+    for (const [key, value] of Object.entries(res.content ?? {})) {
+        if (Object.hasOwn(request.requestedSchema.properties, key))
+            merged[key] = value;
+    }
+    const parsed = zod_1.z.object(inputSchema).safeParse(merged);
+    if (!parsed.success) {
+        return {
+            earlyResponse: (0, utils_1.toolError)("INVALID_INPUT", "Elicited input failed validation", {
+                issues: parsed.error.issues,
+            }),
+        };
+    }
+    return { args: parsed.data };
+}
+/**
+ * Asks the user to confirm a wrapper call, showing the resolved keys and
+ * the payload that is about to be written.
+ * @param server - MCP server instance for making elicit calls
+ * @param elicits - Elicit types configured for the wrapper mode
+ * @param toolName - Name of the wrapper tool
+ * @param keys - Resolved keys of the target row, if any
+ * @param payload - Data that will be written, if any
+ * @returns Early MCP result when the user does not confirm, otherwise undefined
+ */
+async function confirmWrapperCall(server, elicits, toolName, keys, payload) {
+    if (!elicits.includes("confirm"))
+        return undefined;
+    const lines = [`Please confirm that you want to run '${toolName}'.`];
+    if (keys && Object.keys(keys).length > 0)
+        lines.push(`Keys: ${JSON.stringify(keys)}`);
+    if (payload && Object.keys(payload).length > 0)
+        lines.push(`Payload: ${JSON.stringify(payload, null, 2)}`);
+    const request = contructElicitConfirm({ description: toolName });
+    request.message = lines.join("\n");
+    const res = await requestWrapperElicitation(server, request);
+    if (res.earlyResponse)
+        return res.earlyResponse;
+    // A form accepted with the box unticked is not a confirmation.
+    return res.content?.confirm === true ? undefined : handleElicitResponse({ action: "decline" });
+}
+/**
+ * Sends one elicitation request for a wrapper tool. Wrappers only elicit
+ * before writes, so a client without elicitation support fails the call
+ * instead of running it unconfirmed.
+ */
+async function requestWrapperElicitation(server, request) {
+    let res;
+    try {
+        res = await server.server.elicitInput(request);
+    }
+    catch (error) {
+        return {
+            earlyResponse: (0, utils_1.toolError)("ELICITATION_UNAVAILABLE", `This call needs the user's input, but the elicitation request failed: ${error?.message ?? String(error)}`, undefined, error),
+        };
+    }
+    const earlyResponse = handleElicitResponse(res);
+    return earlyResponse ? { earlyResponse } : { content: res.content };
+}
+/**
+ * Maps a wrapper field's Zod type to an elicitation primitive schema
+ * @param param - Zod schema of the field, possibly optional/nullable
+ * @returns `{ type }` for strings, numbers and booleans, `{ type: "string",
+ *   enum }` for enums, or undefined for other types
+ */
+function scalarElicitSchema(param) {
+    let inner = param;
+    while (inner instanceof zod_1.z.ZodOptional || inner instanceof zod_1.z.ZodNullable || inner instanceof zod_1.z.ZodDefault) {
+        inner = inner instanceof zod_1.z.ZodDefault ? inner.removeDefault() : inner.unwrap();
+    }
+    if (inner instanceof zod_1.z.ZodBoolean)
+        return { type: "boolean" };
+    if (inner instanceof zod_1.z.ZodString)
+        return { type: "string" };
+    if (inner instanceof zod_1.z.ZodNumber)
+        return { type: "number" };
+    if (inner instanceof zod_1.z.ZodEnum)
+        return { type: "string", enum: [...inner.options] };
+    return undefined;
+}
@@ -4,12 +4,37 @@ exports.registerEntityWrappers = registerEntityWrappers;
 exports.toolNameFor = toolNameFor;
 exports.withTimeout = withTimeout;
 exports.classifyCapError = classifyCapError;
+exports.buildCreatePayload = buildCreatePayload;
+exports.buildUpdatePayload = buildUpdatePayload;
+exports.applyDeepUpdate = applyDeepUpdate;
+exports.resolveServiceInstance = resolveServiceInstance;
+exports.resolveEntityDefinition = resolveEntityDefinition;
+exports.isDraftEnabledRoot = isDraftEnabledRoot;
+exports.isDraftBypassEnabled = isDraftBypassEnabled;
+exports.ensureDraftIsActiveEntityKey = ensureDraftIsActiveEntityKey;
+exports.coerceNumeric = coerceNumeric;
+exports.draftRequiredError = draftRequiredError;
+exports.nameFor = nameFor;
+exports.etagElementName = etagElementName;
+exports.annotateEtag = annotateEtag;
+exports.etagCondition = etagCondition;
+exports.rejectFailedPrecondition = rejectFailedPrecondition;
+exports.withPrecondition = withPrecondition;
+exports.deleteWithPrecondition = deleteWithPrecondition;
+exports.readByKeys = readByKeys;
+exports.buildCountQuery = buildCountQuery;
+exports.runCountQuery = runCountQuery;
 const zod_1 = require("zod");
 const utils_1 = require("../auth/utils");
 const logger_1 = require("../logger");
 const utils_2 = require("./utils");
 const expand_parser_1 = require("./expand-parser");
 const loader_1 = require("../config/loader");
+const cursor_1 = require("./cursor");
+const elicited_input_1 = require("./elicited-input");
+const output_schema_1 = require("./output-schema");
+const row_uri_1 = require("./row-uri");
+const media_1 = require("./media");
 /**
  * Wraps a promise with a timeout to avoid indefinite hangs in MCP tool calls.
  * Ensures we always either resolve within the expected time or fail gracefully.
@@ -35,6 +60,92 @@ async function withTimeout(promise, ms, label, onTimeout) {
             clearTimeout(timeoutId);
     }
 }
+/**
+ * Thrown at the end of a dry-run transaction: makes CAP roll the managed
+ * tx back and carries the preview out of the `svc.tx(fn)` callback.
+ */
+class DryRunRollback extends Error {
+    constructor(preview) {
+        super("dry run");
+        this.name = "DryRunRollback";
+        this.preview = preview;
+    }
+}
+/**
+ * Runs `work(tx)` in a managed service transaction that is always rolled
+ * back, so CAP's handlers, @assert checks and DB constraints all fire but
+ * nothing persists. Resolves to a ready tool result: `{ dryRun, committed,
+ * ...preview }` on success, or the classified CAP error marked `dryRun`.
+ */
+async function runDryRun(svc, authEnabled, toolName, defaultCode, work) {
+    try {
+        await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, async (tx) => {
+            throw new DryRunRollback(await work(tx));
+        }), TIMEOUT_MS, toolName);
+    }
+    catch (error) {
+        if (error instanceof DryRunRollback)
+            return (0, utils_2.asMcpResult)({ dryRun: true, committed: false, ...error.preview });
+        const cls = classifyCapError(error, defaultCode, toolName);
+        return (0, utils_2.toolError)(cls.code, cls.msg, { ...cls.extra, dryRun: true, committed: false }, error);
+    }
+    throw new Error(`${toolName}: dry run completed without rolling back`);
+}
+/**
+ * Field-level diff of two reads of the same row for update previews.
+ * Nested values (expanded compositions) compare by their JSON form.
+ */
+function diffRows(before, after) {
+    const changes = {};
+    for (const k of new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})])) {
+        const from = before?.[k] ?? null;
+        const to = after?.[k] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to))
+            changes[k] = { from, to };
+    }
+    return changes;
+}
+/**
+ * Optional `dryRun` input shared by every write wrapper.
+ */
+function dryRunInputSchema(preview) {
+    return zod_1.z
+        .boolean()
+        .optional()
+        .describe(`Preview only: run the operation in a transaction that is always rolled back and return ${preview}, or the validation errors CAP raised. Nothing is saved.`);
+}
+// Tool inputs that steer the call rather than carry row data; never
+// offered in an `@mcp.wrap.elicit` input form. Dry runs skip `confirm`
+// since nothing is committed.
+const CONTROL_FIELDS = new Set(["etag", "dryRun"]);
+/**
+ * CONTROL_FIELDS plus the entity's keys, for modes where the keys pick the
+ * row rather than being part of the payload.
+ */
+function withKeys(resAnno, fields) {
+    return new Set([...fields, ...resAnno.resourceKeys.keys()]);
+}
+/**
+ * The key fields present in a create/draft payload, for the confirm prompt.
+ */
+function pickKeys(resAnno, data) {
+    const keys = {};
+    for (const k of resAnno.resourceKeys.keys()) {
+        if (data[k] !== undefined)
+            keys[k] = data[k];
+    }
+    return keys;
+}
+/**
+ * Flattens scalar updates and composition items into one object for the
+ * confirm prompt.
+ */
+function describePayload(updates, compositionPayloads) {
+    const payload = { ...updates };
+    for (const [name, { items }] of compositionPayloads)
+        payload[name] = items;
+    return payload;
+}
 // Elements CAP's draft runtime manages itself — stamping IsActiveEntity,
 // maintaining the SiblingEntity link, tracking the DraftAdministrativeData
 // header. Exposing these as writable parameters tempts the LLM to supply
@@ -106,6 +217,8 @@ async function resolveServiceInstance(serviceName) {
 }
 // NOTE: We use plain entity names (service projection) for queries.
 const MAX_TOP = 200;
+const AGGREGATE_FNS = ["sum", "avg", "min", "max", "count"];
+const AGGREGATE_ALIAS_PATTERN = /^(sum|avg|min|max|count)_[A-Za-z_][A-Za-z0-9_]*$/;
 const TIMEOUT_MS = 10_000; // Standard timeout for tool calls (ms)
 exports.TIMEOUT_MS = TIMEOUT_MS;
 /**
@@ -243,6 +356,129 @@ function ensureDraftIsActiveEntityKey(keys, resAnno) {
     keys.IsActiveEntity = true;
     logger_1.LOGGER.debug(`Draft root ${resAnno.serviceName}.${resAnno.target}: defaulted IsActiveEntity=true for CQN keys`);
 }
+/**
+ * Name of the element annotated `@odata.etag` on an entity, if any. CAP only
+ * evaluates If-Match for OData requests, so the wrapper tools carry the
+ * precondition themselves (see {@link etagCondition}).
+ */
+function etagElementName(def) {
+    for (const [name, el] of Object.entries(def?.elements ?? {})) {
+        if (el?.["@odata.etag"])
+            return name;
+    }
+    return undefined;
+}
+/**
+ * Adds the OData-style `@odata.etag` (`W/"<value>"`) to a row read from an
+ * etag-enabled entity. Mutates and returns the row.
+ */
+function annotateEtag(row, etagName) {
+    if (etagName && row && typeof row === "object" && row[etagName] !== undefined) {
+        row["@odata.etag"] = row[etagName] === null ? null : `W/"${row[etagName]}"`;
+    }
+    return row;
+}
+/**
+ * Turns an `etag` tool input into an extra WHERE condition on the etag
+ * element, the same check CAP's generic handler adds for If-Match. Accepts
+ * the value as returned in `@odata.etag` (`W/"…"`), quoted, or bare; `*`
+ * matches any version. Returns undefined when no check applies.
+ */
+function etagCondition(resAnno, etag) {
+    if (etag === undefined || etag === null)
+        return undefined;
+    const etagName = etagElementName(resolveEntityDefinition(resAnno));
+    if (!etagName)
+        return undefined;
+    let value = String(etag).trim();
+    if (value === "*")
+        return undefined;
+    if (value.startsWith("W/"))
+        value = value.slice(2);
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"'))
+        value = value.slice(1, -1);
+    return { [etagName]: value };
+}
+/**
+ * Called when a write guarded by {@link etagCondition} matched no row:
+ * throws 404 when the row is gone, otherwise 412 (the row changed since the
+ * caller read its etag). Both map through {@link classifyCapError}.
+ */
+async function rejectFailedPrecondition(tx, resAnno, keys) {
+    const { SELECT } = global.cds.ql;
+    const current = await tx.run(SELECT.one.from(resAnno.target).columns(Object.keys(keys)).where(keys));
+    if (!current) {
+        throw Object.assign(new Error(`No ${resAnno.target} with key(s) ${JSON.stringify(keys)}`), { code: 404 });
+    }
+    throw Object.assign(new Error(`${resAnno.target} ${JSON.stringify(keys)} was modified since its etag was read — re-read it with ${nameFor(resAnno, "get")} and retry with the new @odata.etag`), { code: 412 });
+}
+/**
+ * Row-level `@restrict` filters CAP applies to the current caller for one
+ * operation, or undefined when the caller's access is not row-restricted.
+ */
+function instanceFiltersFor(resAnno, authEnabled, operation) {
+    const user = authEnabled ? global.cds?.context?.user : undefined;
+    if (!user || (resAnno.instanceRestrictions ?? []).length === 0)
+        return undefined;
+    return (0, utils_1.getInstanceRestrictions)(user, resAnno.restrictions, operation);
+}
+/**
+ * Called when a keyed read or write found no row or was rejected: if the row
+ * exists but the caller's instance-based `@restrict` rules filter it out,
+ * returns a FORBIDDEN result naming those rules. Otherwise undefined, and the
+ * caller reports its own error.
+ */
+async function explainInstanceFilter(resAnno, authEnabled, operation, keys, toolName) {
+    const filters = {};
+    for (const op of new Set([operation, "READ"])) {
+        const wheres = instanceFiltersFor(resAnno, authEnabled, op);
+        if (wheres)
+            filters[op] = wheres;
+    }
+    if (Object.keys(filters).length === 0 || keys.IsActiveEntity === false)
+        return undefined;
+    const { IsActiveEntity, ...rowKeys } = keys;
+    let exists;
+    try {
+        const { SELECT } = global.cds.ql;
+        // Unfiltered existence check at the DB layer, below CAP's auth handlers.
+        exists = await global.cds.db.run(SELECT.one.from(resAnno.target).columns(Object.keys(rowKeys)).where(rowKeys));
+    }
+    catch {
+        return undefined;
+    }
+    if (!exists)
+        return undefined;
+    const rules = Object.entries(filters)
+        .map(([op, wheres]) => `${op}: ${wheres.length > 0 ? wheres.join(" or ") : "no rule matches the user's attributes"}`)
+        .join("; ");
+    const caller = global.cds?.context?.user?.id ?? "<unknown>";
+    return (0, utils_2.toolError)("FORBIDDEN", `${toolName}: ${resAnno.target} ${JSON.stringify(rowKeys)} exists but is filtered out for user '${caller}' by instance-based authorization (@restrict where — ${rules})`, { instanceAuthorization: filters });
+}
+/**
+ * Shared catch-block result for keyed wrappers: classifies the CAP error and,
+ * for NOT_FOUND / FORBIDDEN, explains an instance-auth filter if that is the
+ * cause.
+ */
+async function keyedErrorResult(error, defaultCode, toolName, resAnno, authEnabled, operation, keys) {
+    const cls = classifyCapError(error, defaultCode, toolName);
+    if (cls.code === "NOT_FOUND" || cls.code === "FORBIDDEN") {
+        const explained = await explainInstanceFilter(resAnno, authEnabled, operation, keys, toolName);
+        if (explained)
+            return explained;
+    }
+    return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
+}
+/**
+ * Optional `etag` input of the update / delete tools on etag-enabled entities.
+ */
+function etagInputSchema(resAnno, op) {
+    return zod_1.z
+        .string()
+        .max(200)
+        .optional()
+        .describe(`@odata.etag of the row as last read via ${nameFor(resAnno, "get")} or ${nameFor(resAnno, "query")}. When given, the ${op} only runs if the row is unchanged since then; otherwise it fails with CONFLICT. "*" skips the check.`);
+}
 /**
  * Extracts the structured fields CAP errors carry so MCP clients get the
  * same detail an OData client would receive (raw `code`, `target`, nested
@@ -598,6 +834,13 @@ function registerEntityWrappers(resAnno, server, authEnabled, defaultModes, acce
         accesses.canDelete) {
         registerDeleteTool(resAnno, server, authEnabled);
     }
+    if (modes.includes("media") &&
+        resAnno.mediaFields?.size > 0 &&
+        resAnno.resourceKeys &&
+        resAnno.resourceKeys.size > 0 &&
+        accesses.canRead) {
+        registerMediaTool(resAnno, server, authEnabled);
+    }
     // Draft lifecycle tools — only registered when the entity is actually a
     // draft-enabled root. Skipping non-draft entities prevents dead tools in
     // the client's list even if a caller mistakenly puts `draft-*` in
@@ -684,7 +927,8 @@ function registerQueryTool(resAnno, server, authEnabled) {
     const allKeys = Array.from(resAnno.properties.keys());
     const scalarKeys = Array.from(resAnno.properties.entries())
         .filter(([k, cdsType]) => !String(cdsType).toLowerCase().includes("association") &&
-        !resAnno.omittedFields?.has(k))
+        !resAnno.omittedFields?.has(k) &&
+        !resAnno.mediaFields?.has(k))
         .map(([name]) => name);
     // Build where field enum: use same fields as select (scalar + foreign keys)
     // This ensures consistency - what you can select, you can filter by
@@ -699,6 +943,40 @@ function registerQueryTool(resAnno, server, authEnabled) {
         : zod_1.z
             .enum(["__dummy__"])
             .transform(() => "__dummy__"));
+    // Structured filter tree: leaves are single conditions, groups combine
+    // children with and/or or negate one child. Leaves stay restricted to
+    // the scalar field enum at every depth, so nesting cannot reach omitted
+    // fields or association names.
+    const whereConditionSchema = zod_1.z.object({
+        field: whereFieldEnum.describe(`FILTERABLE FIELDS: ${scalarKeys.join(", ")}. For associations use foreign key (author_ID), NOT association name (author).`),
+        op: zod_1.z.enum([
+            "eq",
+            "ne",
+            "gt",
+            "ge",
+            "lt",
+            "le",
+            "contains",
+            "startswith",
+            "endswith",
+            "in",
+        ]),
+        value: zod_1.z.union([
+            zod_1.z.string(),
+            zod_1.z.number(),
+            zod_1.z.boolean(),
+            zod_1.z.array(zod_1.z.union([zod_1.z.string(), zod_1.z.number()])),
+        ]),
+    });
+    const whereNodeSchema = zod_1.z.lazy(() => zod_1.z.union([
+        whereConditionSchema,
+        zod_1.z.object({ and: zod_1.z.array(whereNodeSchema).min(1) }).strict(),
+        zod_1.z.object({ or: zod_1.z.array(whereNodeSchema).min(1) }).strict(),
+        zod_1.z.object({ not: whereNodeSchema }).strict(),
+    ]));
+    const aggregateAliasSchema = zod_1.z
+        .string()
+        .regex(AGGREGATE_ALIAS_PATTERN, "Aggregate alias must look like {fn}_{field}, e.g. sum_stock");
     const inputZod = zod_1.z
         .object({
         top: zod_1.z
@@ -716,49 +994,56 @@ function registerQueryTool(resAnno, server, authEnabled) {
             .describe(`Select/orderby allow only scalar fields: ${scalarKeys.join(", ")}`),
         orderby: zod_1.z
             .array(zod_1.z.object({
-            field: selectFieldEnum,
+            field: zod_1.z
+                .union([selectFieldEnum, aggregateAliasSchema])
+                .describe("Scalar field, or an aggregate alias (e.g. sum_stock) when return is 'aggregate'"),
             dir: zod_1.z.enum(["asc", "desc"]).default("asc"),
         }))
             .optional()
             .transform((val) => val && val.length > 0 ? val : undefined),
         where: zod_1.z
-            .array(zod_1.z.object({
-            field: whereFieldEnum.describe(`FILTERABLE FIELDS: ${scalarKeys.join(", ")}. For associations use foreign key (author_ID), NOT association name (author).`),
-            op: zod_1.z.enum([
-                "eq",
-                "ne",
-                "gt",
-                "ge",
-                "lt",
-                "le",
-                "contains",
-                "startswith",
-                "endswith",
-                "in",
-            ]),
-            value: zod_1.z.union([
-                zod_1.z.string(),
-                zod_1.z.number(),
-                zod_1.z.boolean(),
-                zod_1.z.array(zod_1.z.union([zod_1.z.string(), zod_1.z.number()])),
-            ]),
-        }))
+            .array(whereNodeSchema)
             .optional()
-            .transform((val) => val && val.length > 0 ? val : undefined),
+            .transform((val) => val && val.length > 0 ? val : undefined)
+            .describe('Entries are AND-ed. Each entry is a condition {field, op, value} or a group: {"or": [...]}, {"and": [...]}, {"not": {...}}. Groups nest, e.g. {"or": [{"field": "stock", "op": "eq", "value": 0}, {"not": {"field": "genre_ID", "op": "in", "value": [1, 2]}}]}.'),
         q: zod_1.z.string().optional().describe("Quick text search"),
+        cursor: zod_1.z
+            .string()
+            .max(4096)
+            .optional()
+            .describe('Keyset paging, stable under concurrent inserts. Pass "" for the first page, then the nextCursor of the previous response; keep where/q/orderby unchanged and leave skip at 0. Response becomes {rows, nextCursor}; nextCursor is null on the last page.'),
         expand: zod_1.z
             .string()
             .max(2000)
             .optional()
             .describe(buildExpandDescription(resAnno)),
         return: zod_1.z.enum(["rows", "count", "aggregate"]).default("rows").optional(),
+        includeCount: zod_1.z
+            .boolean()
+            .optional()
+            .describe("With return 'rows': respond with {rows, count, hasMore} in one call. count is the total matching where/q, ignoring top/skip."),
         aggregate: zod_1.z
             .array(zod_1.z.object({
             field: selectFieldEnum,
-            fn: zod_1.z.enum(["sum", "avg", "min", "max", "count"]),
+            fn: zod_1.z.enum(AGGREGATE_FNS),
         }))
             .optional()
-            .transform((val) => (val && val.length > 0 ? val : undefined)),
+            .transform((val) => (val && val.length > 0 ? val : undefined))
+            .describe("Aggregations for return 'aggregate'. Each result column is aliased {fn}_{field}, e.g. sum_stock."),
+        groupby: zod_1.z
+            .array(selectFieldEnum)
+            .optional()
+            .transform((val) => (val && val.length > 0 ? val : undefined))
+            .describe(`Group aggregate rows by these scalar fields (return 'aggregate' only): ${scalarKeys.join(", ")}`),
+        having: zod_1.z
+            .array(zod_1.z.object({
+            alias: aggregateAliasSchema.describe("Aggregate alias declared in `aggregate`, e.g. sum_stock"),
+            op: zod_1.z.enum(["eq", "ne", "gt", "ge", "lt", "le"]),
+            value: zod_1.z.number(),
+        }))
+            .optional()
+            .transform((val) => (val && val.length > 0 ? val : undefined))
+            .describe("Filter grouped rows by aggregate value (return 'aggregate' only). Conditions are AND-ed."),
         explain: zod_1.z.boolean().optional(),
         ...(isDraftEnabledRoot(resolveEntityDefinition(resAnno)) && {
             IsActiveEntity: zod_1.z
@@ -775,16 +1060,27 @@ function registerQueryTool(resAnno, server, authEnabled) {
         orderby: inputZod.shape.orderby,
         where: inputZod.shape.where,
         q: inputZod.shape.q,
+        cursor: inputZod.shape.cursor,
         expand: inputZod.shape.expand,
         return: inputZod.shape.return,
+        includeCount: inputZod.shape.includeCount,
         aggregate: inputZod.shape.aggregate,
+        groupby: inputZod.shape.groupby,
+        having: inputZod.shape.having,
         explain: inputZod.shape.explain,
     };
     if (inputZod.shape.IsActiveEntity) {
         inputSchema.IsActiveEntity = inputZod.shape.IsActiveEntity;
     }
     const hint = constructHintMessage(resAnno, "query");
-    const desc = `Resource description: ${resAnno.description}. ${buildEnhancedQueryDescription(resAnno)} CRITICAL: Use foreign key fields (e.g., author_ID) for associations - association names (e.g., author) won't work in filters.` +
+    const etagName = etagElementName(resolveEntityDefinition(resAnno));
+    const etagHint = etagName
+        ? ` Each row carries @odata.etag; pass it as etag to the update/delete tools to fail with CONFLICT instead of overwriting a concurrent change.`
+        : "";
+    const instanceHint = (resAnno.instanceRestrictions ?? []).length > 0
+        ? ` Rows are filtered by instance-based authorization (@restrict where); for callers it applies to, the result is { rows, restricted: { where } } naming the filters applied.`
+        : "";
+    const desc = `Resource description: ${resAnno.description}. ${buildEnhancedQueryDescription(resAnno)} CRITICAL: Use foreign key fields (e.g., author_ID) for associations - association names (e.g., author) won't work in filters.${etagHint}${instanceHint}` +
         hint;
     const queryHandler = async (rawArgs) => {
         const parsed = inputZod.safeParse(rawArgs);
@@ -803,43 +1099,121 @@ function registerQueryTool(resAnno, server, authEnabled) {
             return (0, utils_2.toolError)("ERR_MISSING_SERVICE", msg);
         }
         let q;
+        let aggQuery;
+        let countQuery;
+        let paging;
+        let etagHidden = false;
+        const readFilters = instanceFiltersFor(resAnno, authEnabled, "READ");
+        const restricted = !!readFilters && (args.return ?? "rows") === "rows";
         try {
             q = buildQuery(CDS, args, resAnno, allKeys);
+            if (args.return === "aggregate")
+                aggQuery = buildAggregateQuery(CDS, args, q, scalarKeys);
+            else if (args.groupby || args.having)
+                throw new Error("groupby/having require return: 'aggregate'");
+            if (args.includeCount) {
+                if (args.return && args.return !== "rows")
+                    throw new Error("includeCount: only supported with return: 'rows'");
+                // Built before cursor paging narrows q, so the total covers
+                // every matching row rather than the rows after the cursor.
+                countQuery = buildCountQuery(CDS, q);
+            }
+            if (args.cursor !== undefined)
+                paging = applyCursorPaging(q, args, resAnno, toolName);
+            if (etagName && (args.return ?? "rows") === "rows")
+                etagHidden = addHiddenColumn(q, etagName);
         }
         catch (e) {
             const msg = e?.message || String(e);
-            const code = msg.startsWith("$expand") ? "EXPAND_PARSE_ERROR" : "FILTER_PARSE_ERROR";
+            const code = msg.startsWith("$expand")
+                ? "EXPAND_PARSE_ERROR"
+                : msg.startsWith("cursor:")
+                    ? "INVALID_CURSOR"
+                    : msg.startsWith("includeCount:")
+                        ? "INVALID_INPUT"
+                    : /^(groupby|having|orderby)/.test(msg)
+                        ? "AGGREGATE_PARSE_ERROR"
+                        : "FILTER_PARSE_ERROR";
             return (0, utils_2.toolError)(code, msg);
         }
         try {
             const t0 = Date.now();
-            const response = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, (tx) => executeQuery(CDS, tx, args, q)), TIMEOUT_MS, toolName);
+            const [response, total] = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, async (tx) => [
+                await executeQuery(CDS, tx, args, q, aggQuery),
+                countQuery ? await runCountQuery(tx, countQuery) : undefined,
+            ]), TIMEOUT_MS, toolName);
             // response shape depends on args.return:
             //   - "rows" (default): array of rows
             //   - "count": { count: number } scalar object
-            //   - "aggregate": array of one aggregation row (or empty)
+            //   - "aggregate": one row per group (a single total row when
+            //     no groupby is given), or empty
             // Only iterate with omission filter when the result is a row array.
-            const result = Array.isArray(response)
-                ? response.map((obj) => (0, utils_2.applyOmissionFilter)(obj, resAnno))
+            let result = Array.isArray(response)
+                ? response.map((obj) => {
+                    const row = (0, utils_2.applyOmissionFilter)(annotateEtag(obj, etagName), resAnno);
+                    if (etagHidden)
+                        delete row[etagName];
+                    return row;
+                })
                 : response;
+            if (paging) {
+                // One extra row was fetched to learn whether another page
+                // exists; the cursor is minted from the raw (unfiltered) row
+                // so sort columns hidden by select/@mcp.omit still count.
+                const raw = Array.isArray(response) ? response : [];
+                const hasMore = raw.length > paging.top;
+                const rows = (hasMore ? result.slice(0, paging.top) : result).map((row) => {
+                    for (const f of paging.hidden)
+                        delete row[f];
+                    return row;
+                });
+                result = {
+                    rows,
+                    nextCursor: hasMore ? paging.next(raw[paging.top - 1]) : null,
+                };
+            }
+            if (countQuery) {
+                const rows = paging ? result.rows : result;
+                result = {
+                    rows,
+                    count: total,
+                    hasMore: paging
+                        ? result.nextCursor !== null
+                        : (args.skip ?? 0) + rows.length < total,
+                    ...(paging && { nextCursor: result.nextCursor }),
+                };
+            }
+            if (restricted) {
+                // Row-restricted callers always get the object shape, so
+                // the note on filtered rows cannot be missed.
+                result = {
+                    ...(Array.isArray(result) ? { rows: result } : result),
+                    restricted: { where: readFilters },
+                };
+            }
             logger_1.LOGGER.debug(`[EXECUTION TIME] Query tool completed: ${toolName} in ${Date.now() - t0}ms`, { resultKind: args.return ?? "rows" });
+            const linkRows = Array.isArray(response) && (args.return ?? "rows") === "rows"
+                ? response.slice(0, paging ? paging.top : response.length)
+                : [];
             if (args.explain) {
-                return (0, utils_2.asMcpResult)({
+                return withResourceLinks((0, utils_2.asMcpResult)({
                     data: result,
                     plan: {
                         mode: args.return ?? "rows",
-                        cqn: q?.SELECT ? { SELECT: q.SELECT } : q,
+                        cqn: aggQuery?.SELECT
+                            ? { SELECT: aggQuery.SELECT }
+                            : q?.SELECT ? { SELECT: q.SELECT } : q,
                     },
-                });
+                }), resAnno, linkRows);
             }
-            return (0, utils_2.asMcpResult)(result);
+            return withResourceLinks((0, utils_2.asMcpResult)(result), resAnno, linkRows);
         }
         catch (error) {
             const cls = classifyCapError(error, "QUERY_FAILED", toolName);
             return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, queryHandler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "query") }, queryHandler);
 }
 /**
  * Registers the get-by-keys tool for an entity.
@@ -861,7 +1235,7 @@ function registerGetTool(resAnno, server, authEnabled) {
                 .describe("Draft selector: true (default) reads the active row, false reads the draft sibling.");
             continue;
         }
-        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType, k, `${resAnno.serviceName}.${resAnno.target}`).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
     }
     // `expand` mirrors the query tool: optional OData $expand with subqueries.
     // Clients that want the "lean" (no-compositions) shape can pass "" to
@@ -873,17 +1247,12 @@ function registerGetTool(resAnno, server, authEnabled) {
         .describe(buildExpandDescription(resAnno));
     const keyList = Array.from(resAnno.resourceKeys.keys()).join(", ");
     const hint = constructHintMessage(resAnno, "get");
-    const desc = `Resource description: ${resAnno.description}. Get one ${resAnno.target} by key(s): ${keyList}. For fields & examples call cap_describe_model.${hint}`;
+    const etagHint = etagElementName(resolveEntityDefinition(resAnno))
+        ? " The row carries @odata.etag; pass it as etag to the update/delete tools to detect concurrent changes."
+        : "";
+    const desc = `Resource description: ${resAnno.description}. Get one ${resAnno.target} by key(s): ${keyList}. For fields & examples call cap_describe_model.${etagHint}${hint}`;
     const getHandler = async (args) => {
-        const startTime = Date.now();
-        const CDS = global.cds;
         logger_1.LOGGER.debug(`[EXECUTION TIME] Get tool invoked: ${toolName}`, { args });
-        const svc = await resolveServiceInstance(resAnno.serviceName);
-        if (!svc) {
-            const msg = `Service not found: ${resAnno.serviceName}. Available: ${Object.keys(CDS.services || {}).join(", ")}`;
-            logger_1.LOGGER.error(msg);
-            return (0, utils_2.toolError)("ERR_MISSING_SERVICE", msg);
-        }
         // Normalize single-key shorthand, case-insensitive keys, and value-only payloads
         let normalizedArgs = args;
         if (resAnno.resourceKeys.size === 1) {
@@ -923,46 +1292,189 @@ function registerGetTool(resAnno, server, authEnabled) {
             }
             keys[k] = coerceNumeric(provided);
         }
+        return readByKeys(resAnno, keys, authEnabled, args?.expand, toolName);
+    };
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "get") }, getHandler);
+}
+/**
+ * Reads one row by its keys for the get tool and the per-row resource
+ * template: expands per `expand` or the entity's default, reports rows
+ * hidden by instance-based authorization, and returns the row as a tool
+ * result with a `resource_link` to it (or a toolError result).
+ * @param resAnno - Resource annotation of the entity
+ * @param keys - Key values; draft roots default IsActiveEntity to true
+ * @param expand - Optional OData $expand string
+ * @param label - Tool or URI used in logs and timeouts
+ */
+async function readByKeys(resAnno, keys, authEnabled, expand, label) {
+    const startTime = Date.now();
+    const CDS = global.cds;
+    const svc = await resolveServiceInstance(resAnno.serviceName);
+    if (!svc) {
+        const msg = `Service not found: ${resAnno.serviceName}. Available: ${Object.keys(CDS.services || {}).join(", ")}`;
+        logger_1.LOGGER.error(msg);
+        return (0, utils_2.toolError)("ERR_MISSING_SERVICE", msg);
+    }
+    ensureDraftIsActiveEntityKey(keys, resAnno);
+    logger_1.LOGGER.debug(`Executing READ on ${resAnno.target} with keys`, keys);
+    try {
+        const { SELECT } = CDS.ql;
+        const runtimeCfg = (0, loader_1.loadConfiguration)();
+        const modelDefs = CDS.model?.definitions ?? {};
+        const entityDef = modelDefs[`${resAnno.serviceName}.${resAnno.target}`] || modelDefs[resAnno.target];
+        let expandColumns = [];
+        try {
+            expandColumns = (0, expand_parser_1.resolveExpand)({
+                userExpand: expand,
+                defaultMode: resAnno.expandMode ?? runtimeCfg.expand.default,
+                entityDef,
+                modelDefs,
+                limits: { max_depth: runtimeCfg.expand.max_depth, max_breadth: runtimeCfg.expand.max_breadth },
+            });
+        }
+        catch (e) {
+            return (0, utils_2.toolError)("EXPAND_PARSE_ERROR", e?.message || String(e));
+        }
+        let query = SELECT.from(resAnno.target).where(keys);
+        if (expandColumns.length > 0) {
+            query = query.columns(["*", ...expandColumns]);
+        }
+        let response = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, (tx) => tx.run(query)), TIMEOUT_MS, `${label}`);
+        // svc.run(SELECT … where(keys)) returns an array; unwrap to a single row.
+        if (Array.isArray(response)) response = response[0] ?? null;
+        logger_1.LOGGER.debug(`[EXECUTION TIME] Get tool completed: ${label} in ${Date.now() - startTime}ms`, { found: !!response });
+        if (response == null) {
+            const explained = await explainInstanceFilter(resAnno, authEnabled, "READ", keys, label);
+            if (explained)
+                return explained;
+            return (0, utils_2.toolError)("NOT_FOUND", `No ${resAnno.target} found for keys ${JSON.stringify(keys)}`);
+        }
+        const result = (0, utils_2.applyOmissionFilter)(annotateEtag(response, etagElementName(entityDef)), resAnno);
+        const read = withResourceLinks((0, utils_2.asMcpResult)(result), resAnno, [response]);
+        read.content.push(...(0, media_1.mediaLinksFor)(resAnno, response));
+        return read;
+    }
+    catch (error) {
+        return keyedErrorResult(error, "GET_FAILED", label, resAnno, authEnabled, "READ", keys);
+    }
+}
+/**
+ * Appends `resource_link` items for the given rows to a tool result. Links
+ * are built from the rows as read, before `@mcp.omit` and cursor columns
+ * are stripped; rows without all key values get none.
+ */
+function withResourceLinks(result, resAnno, rows) {
+    result.content.push(...(0, row_uri_1.resourceLinksFor)(resAnno, rows));
+    return result;
+}
+/**
+ * Registers the media tool for an entity with `@Core.MediaType` elements.
+ * Without `data` it reads one media element as `image`, `audio` or `blob`
+ * content; with base64 `data` it replaces the element. Both directions are
+ * capped at `media.max_bytes`.
+ */
+function registerMediaTool(resAnno, server, authEnabled) {
+    const toolName = nameFor(resAnno, "media");
+    const inputSchema = {};
+    const draftEnabled = isDraftEnabledRoot(resolveEntityDefinition(resAnno));
+    for (const [k, cdsType] of resAnno.resourceKeys.entries()) {
+        if (draftEnabled && k === "IsActiveEntity") {
+            inputSchema[k] = zod_1.z
+                .boolean()
+                .optional()
+                .default(true)
+                .describe("Draft selector: true (default) targets the active row, false the draft sibling.");
+            continue;
+        }
+        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType, k, `${resAnno.serviceName}.${resAnno.target}`).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+    }
+    const fields = Array.from(resAnno.mediaFields.keys());
+    inputSchema.field = zod_1.z
+        .enum(fields)
+        .optional()
+        .default(fields[0])
+        .describe(`Media element: ${fields.join(", ")}`);
+    inputSchema.data = zod_1.z
+        .string()
+        .optional()
+        .describe("Base64 content to upload. Omit to read the element.");
+    inputSchema.mimeType = zod_1.z
+        .string()
+        .optional()
+        .describe("Media type of the uploaded content");
+    if (etagElementName(resolveEntityDefinition(resAnno))) {
+        inputSchema.etag = etagInputSchema(resAnno, "upload");
+    }
+    const keyList = Array.from(resAnno.resourceKeys.keys()).join(", ");
+    const hint = constructHintMessage(resAnno, "media");
+    const desc = `Resource description: ${resAnno.description}. Read or upload media (${fields.join(", ")}) of one ${resAnno.target} by key(s): ${keyList}. Pass base64 data to upload.${hint}`;
+    const mediaHandler = async (args) => {
+        const CDS = global.cds;
+        const svc = await resolveServiceInstance(resAnno.serviceName);
+        if (!svc) {
+            const msg = `Service not found: ${resAnno.serviceName}. Available: ${Object.keys(CDS.services || {}).join(", ")}`;
+            logger_1.LOGGER.error(msg);
+            return (0, utils_2.toolError)("ERR_MISSING_SERVICE", msg);
+        }
+        const keys = {};
+        for (const [k] of resAnno.resourceKeys.entries()) {
+            const provided = k === "IsActiveEntity" && draftEnabled ? (args[k] ?? true) : args[k];
+            if (provided === undefined)
+                return (0, utils_2.toolError)("MISSING_KEY", `Missing key '${k}'`);
+            keys[k] = coerceNumeric(provided);
+        }
         ensureDraftIsActiveEntityKey(keys, resAnno);
-        logger_1.LOGGER.debug(`Executing READ on ${resAnno.target} with keys`, keys);
+        const field = args.field ?? fields[0];
+        const media = resAnno.mediaFields.get(field);
+        const maxBytes = (0, loader_1.loadConfiguration)().media.max_bytes;
+        const operation = args.data === undefined ? "READ" : "UPDATE";
         try {
-            const { SELECT } = CDS.ql;
-            const runtimeCfg = (0, loader_1.loadConfiguration)();
-            const modelDefs = CDS.model?.definitions ?? {};
-            const entityDef = modelDefs[`${resAnno.serviceName}.${resAnno.target}`] || modelDefs[resAnno.target];
-            let expandColumns = [];
-            try {
-                expandColumns = (0, expand_parser_1.resolveExpand)({
-                    userExpand: args?.expand,
-                    defaultMode: resAnno.expandMode ?? runtimeCfg.expand.default,
-                    entityDef,
-                    modelDefs,
-                    limits: { max_depth: runtimeCfg.expand.max_depth, max_breadth: runtimeCfg.expand.max_breadth },
-                });
-            }
-            catch (e) {
-                return (0, utils_2.toolError)("EXPAND_PARSE_ERROR", e?.message || String(e));
+            if (operation === "READ") {
+                const { row, data, mimeType } = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, (tx) => (0, media_1.readMedia)(tx, resAnno, keys, field, maxBytes)), TIMEOUT_MS, toolName);
+                if (!row) {
+                    const explained = await explainInstanceFilter(resAnno, authEnabled, "READ", keys, toolName);
+                    return explained ?? (0, utils_2.toolError)("NOT_FOUND", `No ${resAnno.target} found for keys ${JSON.stringify(keys)}`);
+                }
+                if (!data)
+                    return (0, utils_2.asMcpResult)({ keys, field, mimeType, empty: true });
+                return { content: [(0, media_1.mediaToolContent)((0, media_1.mediaUri)(resAnno, row, field), data, mimeType)] };
             }
-            let query = SELECT.from(resAnno.target).where(keys);
-            if (expandColumns.length > 0) {
-                query = query.columns(["*", ...expandColumns]);
+            if (media.mimeType && args.mimeType && args.mimeType !== media.mimeType) {
+                return (0, utils_2.toolError)("MEDIA_TYPE_MISMATCH", `Media '${field}' is always ${media.mimeType}, got ${args.mimeType}`);
             }
-            let response = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, (tx) => tx.run(query)), TIMEOUT_MS, `${toolName}`);
-            // svc.run(SELECT … where(keys)) returns an array; unwrap to a single row.
-            if (Array.isArray(response)) response = response[0] ?? null;
-            logger_1.LOGGER.debug(`[EXECUTION TIME] Get tool completed: ${toolName} in ${Date.now() - startTime}ms`, { found: !!response });
-            if (response == null) {
-                return (0, utils_2.toolError)("NOT_FOUND", `No ${resAnno.target} found for keys ${JSON.stringify(keys)}`);
+            const data = (0, media_1.decodeMediaUpload)(field, args.data, maxBytes);
+            const updates = { [field]: data };
+            if (media.mimeTypeElement && args.mimeType)
+                updates[media.mimeTypeElement] = args.mimeType;
+            const precondition = etagCondition(resAnno, args.etag);
+            const found = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, async (tx) => {
+                // Same check-then-write as applyDeepUpdate: the guarded read
+                // tells a stale etag from a missing row, the keyed UPDATE still
+                // carries the condition for a write racing in between.
+                const guarded = { ...keys, ...precondition };
+                const row = await tx.run(CDS.ql.SELECT.one.from(resAnno.target).columns(Object.keys(keys)).where(guarded));
+                if (!row) {
+                    if (precondition)
+                        await rejectFailedPrecondition(tx, resAnno, keys);
+                    return false;
+                }
+                await tx.run(withPrecondition(CDS.ql.UPDATE(resAnno.target, keys).set(updates), precondition));
+                return true;
+            }), TIMEOUT_MS, toolName);
+            if (!found) {
+                const explained = await explainInstanceFilter(resAnno, authEnabled, "UPDATE", keys, toolName);
+                return explained ?? (0, utils_2.toolError)("NOT_FOUND", `No ${resAnno.target} found for keys ${JSON.stringify(keys)}`);
             }
-            const result = (0, utils_2.applyOmissionFilter)(response, resAnno);
-            return (0, utils_2.asMcpResult)(result);
+            const mimeType = media.mimeType ?? args.mimeType;
+            return (0, utils_2.asMcpResult)({ uploaded: true, keys, field, bytes: data.length, ...(mimeType ? { mimeType } : {}) });
         }
         catch (error) {
-            const cls = classifyCapError(error, "GET_FAILED", toolName);
-            return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
+            if (error instanceof media_1.MediaTooLargeError)
+                return (0, utils_2.toolError)(error.code, error.message, { maxBytes });
+            return keyedErrorResult(error, operation === "READ" ? "MEDIA_READ_FAILED" : "MEDIA_UPLOAD_FAILED", toolName, resAnno, authEnabled, operation, keys);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, getHandler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, mediaHandler);
 }
 /**
  * Registers the create tool for an entity.
@@ -983,7 +1495,7 @@ function registerCreateTool(resAnno, server, authEnabled) {
             // + technicalObject_ObjectType). Single-key associations degenerate to
             // `<propName>_ID`, preserving the existing contract.
             for (const fk of expandAssociationKeys(entityDef, propName)) {
-                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType)
+                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType, fk.fkColumn, `${resAnno.serviceName}.${resAnno.target}`)
                     .optional()
                     .describe(`FK to ${propName}.${fk.targetKey}. ${resAnno.propertyHints.get(propName) ?? ""}`);
             }
@@ -994,8 +1506,13 @@ function registerCreateTool(resAnno, server, authEnabled) {
             .optional()
             .describe(describeWritableField(resAnno, propName, cdsType));
     }
+    inputSchema.dryRun = dryRunInputSchema("the row as it would be created");
     const hint = constructHintMessage(resAnno, "create");
-    const desc = `Resource description: ${resAnno.description}. Create a new ${resAnno.target}. Provide fields; service applies defaults. Note: auto-generated integer keys are not returned in the response — if you need the new key, follow up with a query by the fields you supplied.${hint}`;
+    const deepHint = compositionNames(resAnno).length > 0
+        ? ` Composition children (${compositionNames(resAnno).join(", ")}) can be supplied as nested arrays and are inserted in the same transaction.`
+        : "";
+    const desc = `Resource description: ${resAnno.description}. Create a new ${resAnno.target}. Provide fields; service applies defaults.${deepHint} Note: auto-generated integer keys are not returned in the response — if you need the new key, follow up with a query by the fields you supplied.${hint}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "create");
     const createHandler = async (args) => {
         const CDS = global.cds;
         const { INSERT } = CDS.ql;
@@ -1017,29 +1534,35 @@ function registerCreateTool(resAnno, server, authEnabled) {
                 return draftRequiredError(resAnno, "create");
             }
         }
-        // Build data object from provided args, limited to known properties.
-        // Association FKs are expanded per-target-key so composite keys write
-        // every generated column (not just `_ID`). Coercion is type-aware:
-        // a string-keyed FK (e.g. SAP material number "7500008") stays a
-        // string, numeric columns coerce "42" → 42, temporal columns get
-        // wire-format strings.
+        const elicited = await (0, elicited_input_1.elicitWrapperInput)(server, elicits, inputSchema, args, CONTROL_FIELDS);
+        if (elicited.earlyResponse)
+            return elicited.earlyResponse;
+        args = elicited.args;
         const def = resolveEntityDefinition(resAnno);
-        const data = {};
-        for (const [propName, cdsType] of resAnno.properties.entries()) {
-            const isAssociation = String(cdsType)
-                .toLowerCase()
-                .includes("association");
-            if (isAssociation) {
-                for (const fk of expandAssociationKeys(def, propName)) {
-                    if (args[fk.fkColumn] !== undefined) {
-                        data[fk.fkColumn] = coerceScalarForType(args[fk.fkColumn], fk.fullCdsType);
-                    }
+        const payload = buildCreatePayload(resAnno, def, args);
+        if (payload.error)
+            return (0, utils_2.toolError)("INVALID_INPUT", payload.error);
+        const { data } = payload;
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, pickKeys(resAnno, data), data);
+        if (declined)
+            return declined;
+        if (args.dryRun) {
+            return runDryRun(svc, authEnabled, toolName, "CREATE_FAILED", async (tx) => {
+                const response = await tx.run(INSERT.into(resAnno.target).entries(data));
+                const merged = { ...data, ...(response && typeof response === "object" ? response : {}) };
+                // Re-read inside the tx so defaults and DB-generated values
+                // show up in the preview too.
+                const keys = {};
+                for (const k of resAnno.resourceKeys.keys()) {
+                    if (merged[k] !== undefined)
+                        keys[k] = merged[k];
                 }
-                continue;
-            }
-            if (args[propName] !== undefined) {
-                data[propName] = coerceScalarForField(args[propName], propName, def);
-            }
+                const reread = Object.keys(keys).length === resAnno.resourceKeys.size
+                    ? await tx.run(CDS.ql.SELECT.one.from(resAnno.target).where(keys))
+                    : null;
+                const row = annotateEtag({ ...merged, ...(reread ?? {}) }, etagElementName(def));
+                return { row: (0, utils_2.applyOmissionFilter)(row, resAnno) };
+            });
         }
         const tx = svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) });
         try {
@@ -1066,7 +1589,7 @@ function registerCreateTool(resAnno, server, authEnabled) {
             return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, createHandler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "create") }, createHandler);
 }
 /**
  * Registers the update tool for an entity.
@@ -1078,7 +1601,7 @@ function registerUpdateTool(resAnno, server, authEnabled) {
     const entityDef = resolveEntityDefinition(resAnno);
     // Keys required
     for (const [k, cdsType] of resAnno.resourceKeys.entries()) {
-        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType, k, `${resAnno.serviceName}.${resAnno.target}`).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
     }
     // Other fields optional
     for (const [propName, cdsType] of resAnno.properties.entries()) {
@@ -1090,22 +1613,40 @@ function registerUpdateTool(resAnno, server, authEnabled) {
         const isAssociation = String(cdsType).toLowerCase().includes("association");
         if (isAssociation) {
             for (const fk of expandAssociationKeys(entityDef, propName)) {
-                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType)
+                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType, fk.fkColumn, `${resAnno.serviceName}.${resAnno.target}`)
                     .optional()
                     .describe(`FK to ${propName}.${fk.targetKey}. ${resAnno.propertyHints.get(propName) ?? ""}`);
             }
             continue;
         }
         if (isComputed) continue;
+        if (cdsType === "Composition") {
+            inputSchema[propName] = (0, utils_2.buildCompositionZodType)(propName, `${resAnno.serviceName}.${resAnno.target}`, { allowDelete: true })
+                .optional()
+                .describe(`Composition ${propName}. Items whose key matches an existing child are updated, the rest are inserted, items with _delete: true are removed; children not listed stay unchanged. ${resAnno.propertyHints.get(propName) ?? ""}`);
+            continue;
+        }
         inputSchema[propName] = (0, utils_2.determineMcpParameterType)(cdsType, propName, `${resAnno.serviceName}.${resAnno.target}`)
             .optional()
             .describe(resAnno.foreignKeys.has(propName)
             ? `Foreign key to ${resAnno.foreignKeys.get(propName)} on ${propName}. ${resAnno.propertyHints.get(propName) ?? ""}`
             : `Field ${propName}. ${resAnno.propertyHints.get(propName) ?? ""}`);
     }
+    const etagName = etagElementName(entityDef);
+    if (etagName) {
+        inputSchema.etag = etagInputSchema(resAnno, "update");
+    }
+    inputSchema.dryRun = dryRunInputSchema("the row before and after with the changed fields");
     const keyList = Array.from(resAnno.resourceKeys.keys()).join(", ");
     const hint = constructHintMessage(resAnno, "update");
-    const desc = `Resource description: ${resAnno.description}. Update ${resAnno.target} by key(s): ${keyList}. Provide fields to update.${hint}`;
+    const deepHint = compositionNames(resAnno).length > 0
+        ? ` Composition children (${compositionNames(resAnno).join(", ")}) are upserted by key; mark an item with _delete: true to remove it.`
+        : "";
+    const etagHint = etagName
+        ? ` Returns the updated row with its new @odata.etag.`
+        : "";
+    const desc = `Resource description: ${resAnno.description}. Update ${resAnno.target} by key(s): ${keyList}. Provide fields to update.${deepHint}${etagHint}${hint}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "update");
     const updateHandler = async (args) => {
         const CDS = global.cds;
         const { UPDATE } = CDS.ql;
@@ -1126,6 +1667,10 @@ function registerUpdateTool(resAnno, server, authEnabled) {
                 return draftRequiredError(resAnno, "update");
             }
         }
+        const elicited = await (0, elicited_input_1.elicitWrapperInput)(server, elicits, inputSchema, args, withKeys(resAnno, CONTROL_FIELDS));
+        if (elicited.earlyResponse)
+            return elicited.earlyResponse;
+        args = elicited.args;
         // Extract keys and update fields
         const keys = {};
         for (const [k] of resAnno.resourceKeys.entries()) {
@@ -1144,35 +1689,42 @@ function registerUpdateTool(resAnno, server, authEnabled) {
             keys[k] = coerceNumeric(provided);
         }
         ensureDraftIsActiveEntityKey(keys, resAnno);
-        // Normalize updates: expand composite-key associations into all
-        // generated FK columns and coerce values against the CSN type of
-        // each target field.
-        const updates = {};
         const defForUpdate = resolveEntityDefinition(resAnno);
-        for (const [propName, cdsType] of resAnno.properties.entries()) {
-            if (resAnno.resourceKeys.has(propName))
-                continue;
-            const isAssociation = String(cdsType)
-                .toLowerCase()
-                .includes("association");
-            if (isAssociation) {
-                for (const fk of expandAssociationKeys(defForUpdate, propName)) {
-                    if (args[fk.fkColumn] !== undefined) {
-                        updates[fk.fkColumn] = coerceScalarForType(args[fk.fkColumn], fk.fullCdsType);
-                    }
-                }
-                continue;
+        const payload = buildUpdatePayload(resAnno, defForUpdate, args);
+        if (payload.error)
+            return (0, utils_2.toolError)("INVALID_INPUT", payload.error);
+        const { updates, compositionPayloads } = payload;
+        if (Object.keys(updates).length === 0 && compositionPayloads.size === 0) {
+            return (0, utils_2.toolError)("NO_FIELDS", "No fields provided to update");
+        }
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, keys, describePayload(updates, compositionPayloads));
+        if (declined)
+            return declined;
+        const precondition = etagCondition(resAnno, args.etag);
+        if (args.dryRun) {
+            return runDryRun(svc, authEnabled, toolName, "UPDATE_FAILED", async (tx) => {
+                const columns = ["*", ...Array.from(compositionPayloads.keys(), (name) => ({ ref: [name], expand: ["*"] }))];
+                const before = await tx.run(CDS.ql.SELECT.one.from(resAnno.target).columns(columns).where(keys));
+                const after = await applyDeepUpdate(tx, resAnno, defForUpdate, keys, updates, compositionPayloads, precondition);
+                const shown = (row) => (0, utils_2.applyOmissionFilter)(annotateEtag(row, etagName), resAnno);
+                return { before: shown(before), after: shown(after), changes: diffRows(shown(before), shown(after)) };
+            });
+        }
+        if (compositionPayloads.size > 0 || etagName) {
+            // Several statements: run them in a managed tx so any failing
+            // child rolls back the parent change and earlier children, and
+            // a failed etag check leaves the row untouched.
+            try {
+                const row = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, (tx) => applyDeepUpdate(tx, resAnno, defForUpdate, keys, updates, compositionPayloads, precondition)), TIMEOUT_MS, toolName);
+                return (0, utils_2.asMcpResult)((0, utils_2.applyOmissionFilter)(annotateEtag(row, etagName), resAnno) ?? {});
             }
-            if (args[propName] !== undefined) {
-                updates[propName] = coerceScalarForField(args[propName], propName, defForUpdate);
+            catch (error) {
+                return keyedErrorResult(error, "UPDATE_FAILED", toolName, resAnno, authEnabled, "UPDATE", keys);
             }
         }
-        if (Object.keys(updates).length === 0) {
-            return (0, utils_2.toolError)("NO_FIELDS", "No fields provided to update");
-        }
         const tx = svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) });
         try {
-            const response = await withTimeout(tx.run(UPDATE(resAnno.target).set(updates).where(keys)), TIMEOUT_MS, toolName, async () => {
+            const response = await withTimeout(tx.run(UPDATE(resAnno.target, keys).set(updates)), TIMEOUT_MS, toolName, async () => {
                 try {
                     await tx.rollback();
                 }
@@ -1187,11 +1739,161 @@ function registerUpdateTool(resAnno, server, authEnabled) {
                 await tx.rollback();
             }
             catch { }
-            const cls = classifyCapError(error, "UPDATE_FAILED", toolName);
-            return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
+            return keyedErrorResult(error, "UPDATE_FAILED", toolName, resAnno, authEnabled, "UPDATE", keys);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, updateHandler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "update") }, updateHandler);
+}
+/**
+ * Names of the writable composition elements on a resource.
+ */
+function compositionNames(resAnno) {
+    return Array.from(resAnno.properties.entries())
+        .filter(([name, cdsType]) => cdsType === "Composition" && !resAnno.computedFields?.has(name))
+        .map(([name]) => name);
+}
+/**
+ * Builds the INSERT payload for a create call from tool args, limited to
+ * known properties. Association FKs are expanded per-target-key so composite
+ * keys write every generated column (not just `_ID`). Coercion is type-aware:
+ * a string-keyed FK (e.g. SAP material number "7500008") stays a string,
+ * numeric columns coerce "42" → 42, temporal columns get wire-format strings.
+ * Shared by the create wrapper and the batch tool.
+ * @returns {{data: object} | {error: string}}
+ */
+function buildCreatePayload(resAnno, def, args) {
+    const data = {};
+    // Composition children ride along as nested arrays — CAP's deep
+    // insert fills their back-reference FKs and generated keys within
+    // the same INSERT, so parent and children commit atomically.
+    const compositionPayloads = collectCompositionPayloads(def, args);
+    for (const [compName, { element, items }] of compositionPayloads) {
+        const normalised = normaliseCompositionItems(compName, element, items);
+        if (normalised.error)
+            return { error: normalised.error };
+        if (normalised.items.some((item) => item.remove))
+            return { error: `${compName}: _delete is only supported by ${nameFor(resAnno, "update")}` };
+        data[compName] = normalised.items.map((item) => item.fields);
+    }
+    for (const [propName, cdsType] of resAnno.properties.entries()) {
+        if (compositionPayloads.has(propName))
+            continue;
+        const isAssociation = String(cdsType)
+            .toLowerCase()
+            .includes("association");
+        if (isAssociation) {
+            for (const fk of expandAssociationKeys(def, propName)) {
+                if (args[fk.fkColumn] !== undefined) {
+                    data[fk.fkColumn] = coerceScalarForType(args[fk.fkColumn], fk.fullCdsType);
+                }
+            }
+            continue;
+        }
+        if (args[propName] !== undefined) {
+            data[propName] = coerceScalarForField(args[propName], propName, def);
+        }
+    }
+    return { data };
+}
+/**
+ * Builds the scalar `set` payload and normalised composition payloads for an
+ * update call. Key columns are skipped; association FKs and values are
+ * expanded and coerced exactly as in {@link buildCreatePayload}.
+ * @returns {{updates: object, compositionPayloads: Map} | {error: string}}
+ */
+function buildUpdatePayload(resAnno, def, args) {
+    const updates = {};
+    const compositionPayloads = new Map();
+    for (const [compName, { element, items }] of collectCompositionPayloads(def, args)) {
+        const normalised = normaliseCompositionItems(compName, element, items);
+        if (normalised.error)
+            return { error: normalised.error };
+        compositionPayloads.set(compName, { element, normalised });
+    }
+    for (const [propName, cdsType] of resAnno.properties.entries()) {
+        if (resAnno.resourceKeys.has(propName))
+            continue;
+        if (compositionPayloads.has(propName))
+            continue;
+        const isAssociation = String(cdsType)
+            .toLowerCase()
+            .includes("association");
+        if (isAssociation) {
+            for (const fk of expandAssociationKeys(def, propName)) {
+                if (args[fk.fkColumn] !== undefined) {
+                    updates[fk.fkColumn] = coerceScalarForType(args[fk.fkColumn], fk.fullCdsType);
+                }
+            }
+            continue;
+        }
+        if (args[propName] !== undefined) {
+            updates[propName] = coerceScalarForField(args[propName], propName, def);
+        }
+    }
+    return { updates, compositionPayloads };
+}
+/**
+ * Deep update of an active parent: scalar UPDATE plus per-composition
+ * upserts/deletes in the caller's transaction, so a failing child rolls back
+ * the parent change too. Resolves to the re-read parent with the touched
+ * compositions expanded. `precondition` is an optional etag condition from
+ * {@link etagCondition}; the scalar UPDATE carries it too, so a concurrent
+ * write between the check and the update still fails.
+ */
+async function applyDeepUpdate(tx, resAnno, def, keys, updates, compositionPayloads, precondition) {
+    const { UPDATE, SELECT } = global.cds.ql;
+    const keyColumns = Object.keys(keys);
+    const guarded = { ...keys, ...precondition };
+    const parent = await tx.run(SELECT.one.from(resAnno.target).columns(keyColumns).where(guarded));
+    if (!parent) {
+        if (precondition)
+            await rejectFailedPrecondition(tx, resAnno, keys);
+        throw Object.assign(new Error(`No ${resAnno.target} with key(s) ${JSON.stringify(keys)}`), { code: 404 });
+    }
+    // Runs even without scalar changes: the keyed UPDATE is what makes CAP
+    // check UPDATE rights, including instance filters, on the parent before
+    // any of its children are written.
+    const affected = await tx.run(withPrecondition(UPDATE(resAnno.target, keys).set(updates), precondition));
+    if (precondition && affected === 0)
+        await rejectFailedPrecondition(tx, resAnno, keys);
+    for (const [compName, { element, normalised }] of compositionPayloads) {
+        await applyCompositionUpsert(tx, resAnno, def, compName, element, normalised, keys);
+    }
+    const columns = ["*", ...Array.from(compositionPayloads.keys(), (name) => ({ ref: [name], expand: ["*"] }))];
+    return tx.run(SELECT.one.from(resAnno.target).columns(columns).where(keys));
+}
+/**
+ * Adds an optional etag condition to a keyed UPDATE / DELETE. Keys stay in
+ * the target ref rather than the where clause: CAP's instance-based
+ * authorization compares restricted and unrestricted counts over the ref,
+ * so a key in the where would count every row and reject the write.
+ */
+function withPrecondition(query, precondition) {
+    return precondition ? query.where(precondition) : query;
+}
+/**
+ * Runs a keyed DELETE with an optional etag condition. A write between the
+ * caller's etag check and the DELETE leaves the guarded DELETE no row; CAP
+ * answers that with 404 (or a zero count on some adapters), which is
+ * re-checked here so it surfaces as 412 when the row still exists.
+ */
+async function deleteWithPrecondition(tx, resAnno, keys, precondition) {
+    const { DELETE } = global.cds.ql;
+    const query = withPrecondition(DELETE.from(resAnno.target, keys), precondition);
+    if (!precondition)
+        return tx.run(query);
+    let affected;
+    try {
+        affected = await tx.run(query);
+    }
+    catch (error) {
+        if (error?.code != 404)
+            throw error;
+        affected = 0;
+    }
+    if ((typeof affected === "number" ? affected : affected?.affectedRows) === 0)
+        await rejectFailedPrecondition(tx, resAnno, keys);
+    return affected;
 }
 /**
  * Registers the delete tool for an entity.
@@ -1214,11 +1916,16 @@ function registerDeleteTool(resAnno, server, authEnabled) {
                 .describe("Draft selector: true (default) deletes the active row, false discards the draft sibling.");
             continue;
         }
-        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType, k, `${resAnno.serviceName}.${resAnno.target}`).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+    }
+    if (etagElementName(resolveEntityDefinition(resAnno))) {
+        inputSchema.etag = etagInputSchema(resAnno, "delete");
     }
+    inputSchema.dryRun = dryRunInputSchema("the row that would be deleted");
     const keyList = Array.from(resAnno.resourceKeys.keys()).join(", ");
     const hint = constructHintMessage(resAnno, "delete");
     const desc = `Resource description: ${resAnno.description}. Delete ${resAnno.target} by key(s): ${keyList}. This operation cannot be undone.${hint}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "delete");
     const deleteHandler = async (args) => {
         const CDS = global.cds;
         const { DELETE } = CDS.ql;
@@ -1258,9 +1965,42 @@ function registerDeleteTool(resAnno, server, authEnabled) {
         }
         ensureDraftIsActiveEntityKey(keys, resAnno);
         logger_1.LOGGER.debug(`Executing DELETE on ${resAnno.target} with keys`, keys);
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, keys);
+        if (declined)
+            return declined;
+        const precondition = etagCondition(resAnno, args.etag);
+        if (args.dryRun) {
+            return runDryRun(svc, authEnabled, toolName, "DELETE_FAILED", async (tx) => {
+                const guarded = { ...keys, ...precondition };
+                const row = await tx.run(CDS.ql.SELECT.one.from(resAnno.target).where(guarded));
+                if (!row && precondition)
+                    await rejectFailedPrecondition(tx, resAnno, keys);
+                if (!row)
+                    throw Object.assign(new Error(`No ${resAnno.target} with key(s) ${JSON.stringify(keys)}`), { code: 404 });
+                await deleteWithPrecondition(tx, resAnno, keys, precondition);
+                const shown = annotateEtag(row, etagElementName(resolveEntityDefinition(resAnno)));
+                return { deleted: true, keys, row: (0, utils_2.applyOmissionFilter)(shown, resAnno) };
+            });
+        }
+        if (precondition) {
+            try {
+                await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, async (tx) => {
+                    const { SELECT } = CDS.ql;
+                    const guarded = { ...keys, ...precondition };
+                    const match = await tx.run(SELECT.one.from(resAnno.target).columns(Object.keys(keys)).where(guarded));
+                    if (!match)
+                        await rejectFailedPrecondition(tx, resAnno, keys);
+                    await deleteWithPrecondition(tx, resAnno, keys, precondition);
+                }), TIMEOUT_MS, toolName);
+                return (0, utils_2.asMcpResult)({ deleted: true, affectedRows: 1, keys });
+            }
+            catch (error) {
+                return keyedErrorResult(error, "DELETE_FAILED", toolName, resAnno, authEnabled, "DELETE", keys);
+            }
+        }
         const tx = svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) });
         try {
-            const response = await withTimeout(tx.run(DELETE.from(resAnno.target).where(keys)), TIMEOUT_MS, toolName, async () => {
+            const response = await withTimeout(tx.run(DELETE.from(resAnno.target, keys)), TIMEOUT_MS, toolName, async () => {
                 try {
                     await tx.rollback();
                 }
@@ -1278,11 +2018,10 @@ function registerDeleteTool(resAnno, server, authEnabled) {
                 await tx.rollback();
             }
             catch { }
-            const cls = classifyCapError(error, "DELETE_FAILED", toolName);
-            return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
+            return keyedErrorResult(error, "DELETE_FAILED", toolName, resAnno, authEnabled, "DELETE", keys);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, deleteHandler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "delete") }, deleteHandler);
 }
 /**
  * Helpers shared by the draft lifecycle tools.
@@ -1561,25 +2300,6 @@ async function applyDraftCompositionPatch(dbTx, parentResAnno, parentDef, compNa
     if (!childTargetFqn) return;
     const childDef = CDS.model?.definitions?.[childTargetFqn];
     if (!childDef?.elements) return;
-    // Locate the child's back-reference Association — its name determines
-    // the flat FK column names on the child (`${backRef}_${parentKey}`).
-    // Prefer the on-clause hint (`items.parent = $self`); fall back to
-    // scanning the child for an Association whose target matches the parent.
-    const parentFqn = `${parentResAnno.serviceName}.${parentResAnno.target}`;
-    let backRefName = null;
-    if (Array.isArray(compElement.on)) {
-        for (const part of compElement.on) {
-            if (part && Array.isArray(part.ref) && part.ref[0] === compName && part.ref[1]) {
-                backRefName = part.ref[1];
-                break;
-            }
-        }
-    }
-    if (!backRefName) {
-        const found = Object.entries(childDef.elements).find(([, v]) => v?.type === "cds.Association" &&
-            (v?.target === parentFqn || v?.target === parentDef?.name));
-        backRefName = found?.[0] ?? null;
-    }
     // Resolve the child's drafts table. Prefer the service-scoped name so
     // CAP's draft runtime sees the expected handlers; fall back to the raw
     // CSN target if the service doesn't re-project the child.
@@ -1591,15 +2311,7 @@ async function applyDraftCompositionPatch(dbTx, parentResAnno, parentDef, compNa
     const childKeys = Object.entries(childDef.elements)
         .filter(([, v]) => v?.key === true)
         .map(([k]) => k);
-    const backRefFks = {};
-    if (backRefName) {
-        for (const [pkName, pkVal] of Object.entries(parentKeys)) {
-            const col = `${backRefName}_${pkName}`;
-            if (childDef.elements[col]) {
-                backRefFks[col] = pkVal;
-            }
-        }
-    }
+    const backRefFks = resolveCompositionBackRefFks(parentResAnno, parentDef, compName, compElement, childDef, parentKeys);
     for (const rawItem of items) {
         if (!rawItem || typeof rawItem !== "object") continue;
         const fields = {};
@@ -1636,6 +2348,152 @@ async function applyDraftCompositionPatch(dbTx, parentResAnno, parentDef, compNa
         }
     }
 }
+/**
+ * Locates the child's back-reference Association — its name determines the
+ * flat FK column names on the child (`${backRef}_${parentKey}`) — and maps
+ * the parent's key values onto those columns. Prefers the on-clause hint
+ * (`items.parent = $self`); falls back to scanning the child for an
+ * Association whose target matches the parent.
+ */
+function resolveCompositionBackRefFks(parentResAnno, parentDef, compName, compElement, childDef, parentKeys) {
+    const parentFqn = `${parentResAnno.serviceName}.${parentResAnno.target}`;
+    let backRefName = null;
+    if (Array.isArray(compElement.on)) {
+        for (const part of compElement.on) {
+            if (part && Array.isArray(part.ref) && part.ref[0] === compName && part.ref[1]) {
+                backRefName = part.ref[1];
+                break;
+            }
+        }
+    }
+    if (!backRefName) {
+        const found = Object.entries(childDef.elements).find(([, v]) => v?.type === "cds.Association" &&
+            (v?.target === parentFqn || v?.target === parentDef?.name));
+        backRefName = found?.[0] ?? null;
+    }
+    const backRefFks = {};
+    if (backRefName) {
+        for (const [pkName, pkVal] of Object.entries(parentKeys)) {
+            const col = `${backRefName}_${pkName}`;
+            if (childDef.elements[col]) {
+                backRefFks[col] = pkVal;
+            }
+        }
+    }
+    return backRefFks;
+}
+/**
+ * Picks the composition arrays out of a tool call's args, keyed by element
+ * name. Shared by draft-patch and the non-draft create/update tools, which
+ * must keep children out of the scalar payload.
+ */
+function collectCompositionPayloads(def, args) {
+    const payloads = new Map();
+    for (const [elName, el] of Object.entries(def?.elements ?? {})) {
+        if (el?.type !== "cds.Composition") continue;
+        if (!Array.isArray(args[elName])) continue;
+        payloads.set(elName, { element: el, items: args[elName] });
+    }
+    return payloads;
+}
+/**
+ * Normalises composition items for a deep write: drops draft bookkeeping
+ * and unknown fields, coerces scalars against the child's CSN types and
+ * keeps the `_delete` marker. Returns `{ error }` when an item is not an
+ * object or asks for deletion without its full key.
+ */
+function normaliseCompositionItems(compName, compElement, items) {
+    const CDS = global.cds;
+    const childDef = CDS.model?.definitions?.[compElement?.target];
+    if (!childDef?.elements)
+        return { error: `${compName}: composition target ${compElement?.target} is not in the model` };
+    const childKeys = compositionChildKeys(childDef);
+    const out = [];
+    for (const [i, rawItem] of items.entries()) {
+        if (!rawItem || typeof rawItem !== "object" || Array.isArray(rawItem))
+            return { error: `${compName}[${i}]: expected an object` };
+        const fields = {};
+        for (const [k, v] of Object.entries(rawItem)) {
+            if (DRAFT_INTERNAL_FIELDS.has(k)) continue;
+            if (!childDef.elements[k]) continue;
+            fields[k] = coerceScalarForField(v, k, childDef);
+        }
+        if (rawItem._delete === true) {
+            const missing = childKeys.filter((k) => fields[k] === undefined);
+            if (missing.length > 0)
+                return { error: `${compName}[${i}]: _delete requires the child key(s) ${missing.join(", ")}` };
+            out.push({ fields, remove: true });
+            continue;
+        }
+        out.push({ fields, remove: false });
+    }
+    return { childDef, childKeys, items: out };
+}
+/**
+ * Key columns a caller identifies a composition child by. Association-typed
+ * keys and their generated foreign keys are left out: for a composition of
+ * an aspect the child is keyed by `up_` / `up__ID` plus its own keys, and
+ * the back-reference is filled from the parent, never from the item.
+ */
+function compositionChildKeys(childDef) {
+    const isAssociation = (el) => el?.type === "cds.Association" || el?.type === "cds.Composition";
+    return Object.entries(childDef.elements)
+        .filter(([k, v]) => {
+            if (v?.key !== true || DRAFT_INTERNAL_FIELDS.has(k) || isAssociation(v))
+                return false;
+            const fkOf = v["@odata.foreignKey4"];
+            return !(fkOf && isAssociation(childDef.elements[fkOf]));
+        })
+        .map(([k]) => k);
+}
+/**
+ * Applies one composition's items to an existing active parent inside the
+ * caller's service transaction. Items are matched to existing children by
+ * their full key *and* the back-reference to this parent: matches are
+ * updated, everything else is inserted with the back-reference filled in,
+ * and `_delete` items are removed. Children not mentioned are left alone —
+ * unlike a CAP deep UPDATE, which replaces the whole composition.
+ */
+async function applyCompositionUpsert(tx, parentResAnno, parentDef, compName, compElement, normalised, parentKeys) {
+    const CDS = global.cds;
+    const { INSERT, UPDATE, DELETE, SELECT } = CDS.ql;
+    const { childDef, childKeys, items } = normalised;
+    const childTarget = compElement.target;
+    // Auto-exposed children (every composition of an aspect) reject direct
+    // writes through the service. applyDeepUpdate has already run a keyed
+    // UPDATE of the parent through the service, so the caller's UPDATE
+    // rights are checked; the children go through a nested DB transaction.
+    if (childDef["@cds.autoexposed"] && !childDef["@cds.autoexpose"])
+        tx = CDS.db.tx(tx);
+    const backRefFks = resolveCompositionBackRefFks(parentResAnno, parentDef, compName, compElement, childDef, parentKeys);
+    for (const [i, { fields, remove }] of items.entries()) {
+        const hasKeys = childKeys.length > 0 && childKeys.every((k) => fields[k] !== undefined);
+        const whereKeys = {};
+        if (hasKeys)
+            for (const k of childKeys) whereKeys[k] = fields[k];
+        // The back-reference is part of every match: children of an aspect
+        // share their own keys (`pos`) across parents.
+        const childWhere = { ...whereKeys, ...backRefFks };
+        const existing = hasKeys
+            ? await tx.run(SELECT.one.from(childTarget).columns(childKeys).where(childWhere))
+            : undefined;
+        if (remove) {
+            if (!existing) {
+                throw Object.assign(new Error(`${compName}[${i}]: no child with key(s) ${JSON.stringify(whereKeys)} under this ${parentResAnno.target}`), { code: 404 });
+            }
+            await tx.run(DELETE.from(childTarget).where(childWhere));
+            continue;
+        }
+        if (existing) {
+            const setFields = { ...fields };
+            for (const k of [...childKeys, ...Object.keys(backRefFks)]) delete setFields[k];
+            if (Object.keys(setFields).length > 0)
+                await tx.run(UPDATE(childTarget).set(setFields).where(childWhere));
+            continue;
+        }
+        await tx.run(INSERT.into(childTarget).entries({ ...fields, ...backRefFks }));
+    }
+}
 /**
  * Registers the `draft-new` tool: creates a pending draft row without
  * activating it. Backed by `INSERT.into(<Entity>.drafts)` — CAP's lean-draft
@@ -1653,7 +2511,7 @@ function registerDraftNewTool(resAnno, server, authEnabled) {
         const isComputed = resAnno.computedFields?.has(propName);
         if (isAssociation) {
             for (const fk of expandAssociationKeys(entityDef, propName)) {
-                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType)
+                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType, fk.fkColumn, `${resAnno.serviceName}.${resAnno.target}`)
                     .optional()
                     .describe(`FK to ${propName}.${fk.targetKey}. ${resAnno.propertyHints.get(propName) ?? ""}`);
             }
@@ -1666,13 +2524,19 @@ function registerDraftNewTool(resAnno, server, authEnabled) {
             .optional()
             .describe(describeWritableField(resAnno, propName, cdsType));
     }
+    inputSchema.dryRun = dryRunInputSchema("the draft row as it would be created");
     const hint = constructHintMessage(resAnno, ["draft-new", "create"]);
     const desc = `Resource description: ${resAnno.description}. Create a new draft of ${resAnno.target} (IsActiveEntity=false). Follow up with ${nameFor(resAnno, "draft-patch")} to edit fields and ${nameFor(resAnno, "draft-activate")} to publish.${hint}${DRAFT_LIFECYCLE_HINT}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "draft-new");
     const handler = async (args) => {
         const svc = await resolveServiceInstance(resAnno.serviceName);
         if (!svc) {
             return (0, utils_2.toolError)("ERR_MISSING_SERVICE", `Service not found: ${resAnno.serviceName}`);
         }
+        const elicited = await (0, elicited_input_1.elicitWrapperInput)(server, elicits, inputSchema, args, CONTROL_FIELDS);
+        if (elicited.earlyResponse)
+            return elicited.earlyResponse;
+        args = elicited.args;
         const data = {};
         const def = resolveEntityDefinition(resAnno);
         for (const [propName, cdsType] of resAnno.properties.entries()) {
@@ -1698,7 +2562,17 @@ function registerDraftNewTool(resAnno, server, authEnabled) {
         // when the caller didn't supply the key (CAP best practice for
         // draft-enabled entities is UUIDs; this is a pragmatic safety net).
         await preAssignIntegerKey(resAnno, def, data);
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, pickKeys(resAnno, data), data);
+        if (declined)
+            return declined;
         logDraftOp("new", resAnno, data);
+        if (args.dryRun) {
+            return runDryRun(svc, authEnabled, toolName, "DRAFT_NEW_FAILED", async (tx) => {
+                const created = await tx.send("NEW", `${resAnno.target}.drafts`, data);
+                const row = { ...data, ...(created && typeof created === "object" ? created : {}) };
+                return { row: (0, utils_2.applyOmissionFilter)(row, resAnno) };
+            });
+        }
         const outerUserIdNew = global.cds?.context?.user?.id;
         try {
             // Route through CAP's 'NEW' event via the callback form of srv.tx
@@ -1740,7 +2614,7 @@ function registerDraftNewTool(resAnno, server, authEnabled) {
             return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, handler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "draft-new") }, handler);
 }
 /**
  * Registers the `draft-edit` tool: produces a draft copy of an existing
@@ -1753,11 +2627,13 @@ function registerDraftEditTool(resAnno, server, authEnabled) {
     for (const [k, cdsType] of resAnno.resourceKeys.entries()) {
         if (k === "IsActiveEntity")
             continue;
-        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType, k, `${resAnno.serviceName}.${resAnno.target}`).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
     }
     const keyList = Array.from(resAnno.resourceKeys.keys()).filter((k) => k !== "IsActiveEntity").join(", ");
+    inputSchema.dryRun = dryRunInputSchema("the draft copy that would be opened");
     const hint = constructHintMessage(resAnno, ["draft-edit", "update"]);
     const desc = `Resource description: ${resAnno.description}. Start editing ${resAnno.target} by key(s): ${keyList} — creates a draft copy of the active row. Follow up with ${nameFor(resAnno, "draft-patch")} and ${nameFor(resAnno, "draft-activate")}.${hint}${DRAFT_LIFECYCLE_HINT}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "draft-edit");
     const handler = async (args) => {
         const svc = await resolveServiceInstance(resAnno.serviceName);
         if (!svc) {
@@ -1766,7 +2642,15 @@ function registerDraftEditTool(resAnno, server, authEnabled) {
         const extracted = extractBusinessKeys(args, resAnno, toolName, "edit");
         if (extracted.error)
             return extracted.error;
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, extracted.keys);
+        if (declined)
+            return declined;
         logDraftOp("edit", resAnno, extracted.keys);
+        if (args.dryRun) {
+            return runDryRun(svc, authEnabled, toolName, "DRAFT_EDIT_FAILED", async (tx) => ({
+                row: (0, utils_2.applyOmissionFilter)(await tx.send("EDIT", resAnno.target, extracted.keys), resAnno),
+            }));
+        }
         try {
             const response = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, (tx) => tx.send("EDIT", resAnno.target, extracted.keys)), TIMEOUT_MS, toolName);
             return (0, utils_2.asMcpResult)((0, utils_2.applyOmissionFilter)(response, resAnno) ?? {});
@@ -1776,7 +2660,7 @@ function registerDraftEditTool(resAnno, server, authEnabled) {
             return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, handler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "draft-edit") }, handler);
 }
 /**
  * Registers the `draft-patch` tool: updates fields on an existing draft row.
@@ -1791,7 +2675,7 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
     for (const [k, cdsType] of resAnno.resourceKeys.entries()) {
         if (k === "IsActiveEntity")
             continue;
-        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType, k, `${resAnno.serviceName}.${resAnno.target}`).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
     }
     for (const [propName, cdsType] of resAnno.properties.entries()) {
         if (resAnno.resourceKeys.has(propName))
@@ -1802,7 +2686,7 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
         const isAssociation = String(cdsType).toLowerCase().includes("association");
         if (isAssociation) {
             for (const fk of expandAssociationKeys(entityDef, propName)) {
-                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType)
+                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType, fk.fkColumn, `${resAnno.serviceName}.${resAnno.target}`)
                     .optional()
                     .describe(`FK to ${propName}.${fk.targetKey}. ${resAnno.propertyHints.get(propName) ?? ""}`);
             }
@@ -1816,8 +2700,10 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
             : `Field ${propName}. ${resAnno.propertyHints.get(propName) ?? ""}`);
     }
     const keyList = Array.from(resAnno.resourceKeys.keys()).filter((k) => k !== "IsActiveEntity").join(", ");
+    inputSchema.dryRun = dryRunInputSchema("the draft before and after with the changed fields");
     const hint = constructHintMessage(resAnno, ["draft-patch", "update"]);
     const desc = `Resource description: ${resAnno.description}. Patch an existing draft of ${resAnno.target} by key(s): ${keyList}. Requires a draft to already exist — call ${nameFor(resAnno, "draft-new")} or ${nameFor(resAnno, "draft-edit")} first. Follow up with ${nameFor(resAnno, "draft-activate")} to publish.${hint}${DRAFT_LIFECYCLE_HINT}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "draft-patch");
     const handler = async (args) => {
         const CDS = global.cds;
         const { UPDATE, SELECT } = CDS.ql;
@@ -1825,6 +2711,10 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
         if (!svc) {
             return (0, utils_2.toolError)("ERR_MISSING_SERVICE", `Service not found: ${resAnno.serviceName}`);
         }
+        const elicited = await (0, elicited_input_1.elicitWrapperInput)(server, elicits, inputSchema, args, withKeys(resAnno, CONTROL_FIELDS));
+        if (elicited.earlyResponse)
+            return elicited.earlyResponse;
+        args = elicited.args;
         const extracted = extractBusinessKeys(args, resAnno, toolName, "patch");
         if (extracted.error)
             return extracted.error;
@@ -1855,14 +2745,7 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
         // UPDATE won't propagate `DraftAdministrativeData_DraftUUID` onto
         // newly-inserted child rows, and SQLite rejects them with
         // NOT NULL. We handle them below via `applyDraftCompositionPatch`.
-        const compositionPayloads = new Map();
-        if (def?.elements) {
-            for (const [elName, el] of Object.entries(def.elements)) {
-                if (el?.type !== "cds.Composition") continue;
-                if (!Array.isArray(args[elName])) continue;
-                compositionPayloads.set(elName, { element: el, items: args[elName] });
-            }
-        }
+        const compositionPayloads = collectCompositionPayloads(def, args);
         for (const [propName, cdsType] of resAnno.properties.entries()) {
             if (resAnno.resourceKeys.has(propName))
                 continue;
@@ -1883,6 +2766,9 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
         if (Object.keys(updates).length === 0 && compositionPayloads.size === 0) {
             return (0, utils_2.toolError)("NO_FIELDS", "No fields provided to patch");
         }
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, extracted.keys, describePayload(updates, compositionPayloads));
+        if (declined)
+            return declined;
         logDraftOp("patch", resAnno, keys);
         const outerUserIdPatch = global.cds?.context?.user?.id;
         // Bypass CAP's lean-draft PATCH handler entirely: its `_cleanseWhere`
@@ -1895,6 +2781,26 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
         // Re-read goes through the service layer so the returned shape
         // matches what an active-facing read would produce.
         const draftsTarget = `${resAnno.serviceName}.${resAnno.target}.drafts`;
+        const applyPatch = async (dbTx) => {
+            if (Object.keys(updates).length > 0) {
+                await dbTx.run(UPDATE(draftsTarget).set(updates).where(keys));
+            }
+            for (const [compName, { element, items }] of compositionPayloads) {
+                await applyDraftCompositionPatch(dbTx, resAnno, def, compName, element, items, extracted.keys, resolved.ownDraftUUID);
+            }
+        };
+        if (args.dryRun) {
+            // DB-layer writes join the service tx opened by runDryRun, so
+            // the rollback covers them as well.
+            return runDryRun(svc, authEnabled, toolName, "DRAFT_PATCH_FAILED", async (tx) => {
+                const draftKeys = { ...extracted.keys, IsActiveEntity: false };
+                const columns = ["*", ...Array.from(compositionPayloads.keys(), (name) => ({ ref: [name], expand: ["*"] }))];
+                const before = (0, utils_2.applyOmissionFilter)(await tx.run(SELECT.one.from(resAnno.target).columns(columns).where(draftKeys)), resAnno);
+                await applyPatch(CDS.db);
+                const after = (0, utils_2.applyOmissionFilter)(await tx.run(SELECT.one.from(resAnno.target).columns(columns).where(draftKeys)), resAnno);
+                return { before, after, changes: diffRows(before, after) };
+            });
+        }
         try {
             const row = await withTimeout((async () => {
                 // UPDATE runs at the DB layer (no service-level read filter to
@@ -1903,14 +2809,7 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
                 // $user` stamping honest instead of smearing "privileged" onto
                 // every draft patch. Scalar UPDATE + composition deep-writes
                 // share one DB tx so they roll back together on any failure.
-                await global.cds.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, async (dbTx) => {
-                    if (Object.keys(updates).length > 0) {
-                        await dbTx.run(UPDATE(draftsTarget).set(updates).where(keys));
-                    }
-                    for (const [compName, { element, items }] of compositionPayloads) {
-                        await applyDraftCompositionPatch(dbTx, resAnno, def, compName, element, items, extracted.keys, resolved.ownDraftUUID);
-                    }
-                });
+                await global.cds.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, applyPatch);
                 return svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, (tx) => {
                     logDraftTxDispatch("patch", outerUserIdPatch, tx);
                     return tx.run(SELECT.from(resAnno.target).where({
@@ -1927,7 +2826,7 @@ function registerDraftPatchTool(resAnno, server, authEnabled) {
             return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, handler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "draft-patch") }, handler);
 }
 /**
  * Registers the `draft-activate` tool: activates an existing draft via
@@ -1941,11 +2840,13 @@ function registerDraftActivateTool(resAnno, server, authEnabled) {
     for (const [k, cdsType] of resAnno.resourceKeys.entries()) {
         if (k === "IsActiveEntity")
             continue;
-        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType, k, `${resAnno.serviceName}.${resAnno.target}`).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
     }
     const keyList = Array.from(resAnno.resourceKeys.keys()).filter((k) => k !== "IsActiveEntity").join(", ");
+    inputSchema.dryRun = dryRunInputSchema("the row as it would be activated");
     const hint = constructHintMessage(resAnno, ["draft-activate", "update"]);
     const desc = `Resource description: ${resAnno.description}. Activate (publish) the pending draft of ${resAnno.target} by key(s): ${keyList}. Requires a draft to exist; otherwise returns DRAFT_NOT_FOUND.${hint}${DRAFT_LIFECYCLE_HINT}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "draft-activate");
     const handler = async (args) => {
         const svc = await resolveServiceInstance(resAnno.serviceName);
         if (!svc) {
@@ -1967,7 +2868,17 @@ function registerDraftActivateTool(resAnno, server, authEnabled) {
             ...extracted.keys,
             DraftAdministrativeData_DraftUUID: resolved.ownDraftUUID,
         };
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, extracted.keys);
+        if (declined)
+            return declined;
         logDraftOp("activate", resAnno, saveKeys);
+        if (args.dryRun) {
+            // A failed SAVE still leaves CAP's DraftMessages on the draft —
+            // lean-draft writes them in a tx of its own, same as a real call.
+            return runDryRun(svc, authEnabled, toolName, "DRAFT_ACTIVATE_FAILED", async (tx) => ({
+                row: (0, utils_2.applyOmissionFilter)(await tx.send("SAVE", resAnno.target, saveKeys), resAnno),
+            }));
+        }
         try {
             const response = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, (tx) => tx.send("SAVE", resAnno.target, saveKeys)), TIMEOUT_MS, toolName);
             return (0, utils_2.asMcpResult)((0, utils_2.applyOmissionFilter)(response, resAnno) ?? {});
@@ -1977,7 +2888,7 @@ function registerDraftActivateTool(resAnno, server, authEnabled) {
             return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, handler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "draft-activate") }, handler);
 }
 /**
  * Registers the `draft-discard` tool: deletes a pending draft without
@@ -1990,15 +2901,17 @@ function registerDraftDiscardTool(resAnno, server, authEnabled) {
     for (const [k, cdsType] of resAnno.resourceKeys.entries()) {
         if (k === "IsActiveEntity")
             continue;
-        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
+        inputSchema[k] = (0, utils_2.determineMcpParameterType)(cdsType, k, `${resAnno.serviceName}.${resAnno.target}`).describe(`Key ${k}. ${resAnno.propertyHints.get(k) ?? ""}`);
     }
     const keyList = Array.from(resAnno.resourceKeys.keys()).filter((k) => k !== "IsActiveEntity").join(", ");
     // Deliberately does NOT fall back to the "delete" hint — the two operations
     // target different things. Delete removes the active row; discard only
     // removes the pending draft. Mixing hints leads to misleading guidance
     // like "Irreversible; prefer setting stock to 0 first" on discard.
+    inputSchema.dryRun = dryRunInputSchema("the draft that would be discarded");
     const hint = constructHintMessage(resAnno, ["draft-discard"]);
     const desc = `Resource description: ${resAnno.description}. Discard the pending draft of ${resAnno.target} by key(s): ${keyList}. The active row is untouched. This operation cannot be undone.${hint}${DRAFT_LIFECYCLE_HINT}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "draft-discard");
     const handler = async (args) => {
         const svc = await resolveServiceInstance(resAnno.serviceName);
         if (!svc) {
@@ -2024,7 +2937,18 @@ function registerDraftDiscardTool(resAnno, server, authEnabled) {
             ...extracted.keys,
             DraftAdministrativeData_DraftUUID: resolved.ownDraftUUID,
         };
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, extracted.keys);
+        if (declined)
+            return declined;
         logDraftOp("discard", resAnno, cancelKeys);
+        if (args.dryRun) {
+            return runDryRun(svc, authEnabled, toolName, "DRAFT_DISCARD_FAILED", async (tx) => {
+                const { SELECT } = global.cds.ql;
+                const row = await tx.run(SELECT.one.from(resAnno.target).where({ ...extracted.keys, IsActiveEntity: false }));
+                await tx.send("CANCEL", `${resAnno.target}.drafts`, cancelKeys);
+                return { discarded: true, keys: extracted.keys, row: (0, utils_2.applyOmissionFilter)(row, resAnno) };
+            });
+        }
         try {
             // Route through CAP's 'CANCEL' event on the .drafts sibling — the
             // draft runtime wires CANCEL to onCancel, which handles lock
@@ -2037,7 +2961,7 @@ function registerDraftDiscardTool(resAnno, server, authEnabled) {
             return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, handler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "draft-discard") }, handler);
 }
 /**
  * Registers the `draft-upsert` tool: creates a draft AND activates it in a
@@ -2069,7 +2993,7 @@ function registerDraftUpsertTool(resAnno, server, authEnabled) {
         const isComputed = resAnno.computedFields?.has(propName);
         if (isAssociation) {
             for (const fk of expandAssociationKeys(entityDef, propName)) {
-                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType)
+                inputSchema[fk.fkColumn] = (0, utils_2.determineMcpParameterType)(fk.cdsType, fk.fkColumn, `${resAnno.serviceName}.${resAnno.target}`)
                     .optional()
                     .describe(`FK to ${propName}.${fk.targetKey}. ${resAnno.propertyHints.get(propName) ?? ""}`);
             }
@@ -2080,13 +3004,19 @@ function registerDraftUpsertTool(resAnno, server, authEnabled) {
             .optional()
             .describe(describeWritableField(resAnno, propName, cdsType));
     }
+    inputSchema.dryRun = dryRunInputSchema("the row as it would be activated");
     const hint = constructHintMessage(resAnno, ["draft-upsert", "create"]);
     const desc = `Resource description: ${resAnno.description}. One-shot create: opens a draft of ${resAnno.target} and immediately activates it in a single transaction. Use this when you have all required fields up front — safer than ${nameFor(resAnno, "draft-new")} + ${nameFor(resAnno, "draft-activate")} across two calls, because the principal stays consistent (no cross-call DRAFT_LOCKED).${hint}${DRAFT_LIFECYCLE_HINT}`;
+    const elicits = (0, elicited_input_1.wrapperElicits)(resAnno, "draft-upsert");
     const handler = async (args) => {
         const svc = await resolveServiceInstance(resAnno.serviceName);
         if (!svc) {
             return (0, utils_2.toolError)("ERR_MISSING_SERVICE", `Service not found: ${resAnno.serviceName}`);
         }
+        const elicited = await (0, elicited_input_1.elicitWrapperInput)(server, elicits, inputSchema, args, CONTROL_FIELDS);
+        if (elicited.earlyResponse)
+            return elicited.earlyResponse;
+        args = elicited.args;
         const data = {};
         const def = resolveEntityDefinition(resAnno);
         for (const [propName, cdsType] of resAnno.properties.entries()) {
@@ -2104,23 +3034,32 @@ function registerDraftUpsertTool(resAnno, server, authEnabled) {
         }
         // B-NEW-1 mitigation — same reasoning as registerDraftNewTool.
         await preAssignIntegerKey(resAnno, def, data);
+        const declined = !args.dryRun && await (0, elicited_input_1.confirmWrapperCall)(server, elicits, toolName, pickKeys(resAnno, data), data);
+        if (declined)
+            return declined;
         logDraftOp("upsert", resAnno, data);
+        const newAndSave = async (tx) => {
+            // 1. NEW — returns the inserted draft row with any CAP-generated keys.
+            const draftRow = await tx.send("NEW", `${resAnno.target}.drafts`, data);
+            // 2. Gather business keys for SAVE, preferring what the caller supplied
+            //    and falling back to whatever CAP put on the draft row (UUIDs for
+            //    @cuid roots, etc.). IsActiveEntity is never a business key here.
+            const saveKeys = {};
+            for (const k of resAnno.resourceKeys.keys()) {
+                if (k === "IsActiveEntity") continue;
+                if (data[k] !== undefined) saveKeys[k] = data[k];
+                else if (draftRow && draftRow[k] !== undefined) saveKeys[k] = draftRow[k];
+            }
+            // 3. SAVE on the SAME tx — same user, no cross-call lock check.
+            return await tx.send("SAVE", resAnno.target, saveKeys);
+        };
+        if (args.dryRun) {
+            return runDryRun(svc, authEnabled, toolName, "DRAFT_UPSERT_FAILED", async (tx) => ({
+                row: (0, utils_2.applyOmissionFilter)(await newAndSave(tx), resAnno),
+            }));
+        }
         try {
-            const activated = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, async (tx) => {
-                // 1. NEW — returns the inserted draft row with any CAP-generated keys.
-                const draftRow = await tx.send("NEW", `${resAnno.target}.drafts`, data);
-                // 2. Gather business keys for SAVE, preferring what the caller supplied
-                //    and falling back to whatever CAP put on the draft row (UUIDs for
-                //    @cuid roots, etc.). IsActiveEntity is never a business key here.
-                const saveKeys = {};
-                for (const k of resAnno.resourceKeys.keys()) {
-                    if (k === "IsActiveEntity") continue;
-                    if (data[k] !== undefined) saveKeys[k] = data[k];
-                    else if (draftRow && draftRow[k] !== undefined) saveKeys[k] = draftRow[k];
-                }
-                // 3. SAVE on the SAME tx — same user, no cross-call lock check.
-                return await tx.send("SAVE", resAnno.target, saveKeys);
-            }), TIMEOUT_MS, toolName);
+            const activated = await withTimeout(svc.tx({ user: (0, utils_1.getAccessRights)(authEnabled) }, newAndSave), TIMEOUT_MS, toolName);
             return (0, utils_2.asMcpResult)((0, utils_2.applyOmissionFilter)(activated, resAnno) ?? {});
         }
         catch (error) {
@@ -2128,7 +3067,7 @@ function registerDraftUpsertTool(resAnno, server, authEnabled) {
             return (0, utils_2.toolError)(cls.code, cls.msg, cls.extra, error);
         }
     };
-    server.registerTool(toolName, { title: toolName, description: desc, inputSchema }, handler);
+    server.registerTool(toolName, { title: toolName, description: desc, inputSchema, outputSchema: (0, output_schema_1.wrapperOutputSchema)(resAnno, resolveEntityDefinition(resAnno), "draft-upsert") }, handler);
 }
 // Helper: compile structured inputs into a CDS query
 // The function translates the validated MCP input into CQN safely,
@@ -2159,9 +3098,21 @@ function buildQuery(CDS, args, resAnno, propKeys) {
         qy = qy.columns(["*", ...expandColumns]);
     }
     if (args.orderby?.length) {
+        // Aggregate aliases (sum_stock, …) only exist on the grouped query
+        // built by buildAggregateQuery; outside aggregate mode they are
+        // meaningless, so reject them rather than letting CAP fail on an
+        // unknown element.
+        const known = new Set(propKeys);
+        const unknown = args.orderby.find((o) => !known.has(o.field));
+        if (unknown && args.return !== "aggregate") {
+            throw new Error(`orderby: '${unknown.field}' is not a field of ${resAnno.target}. Aggregate aliases are only valid with return: 'aggregate'.`);
+        }
         // Map to CQN-compatible order by fragments
-        const orderFragments = args.orderby.map((o) => `${o.field} ${o.dir}`);
-        qy = qy.orderBy(...orderFragments);
+        const orderFragments = args.orderby
+            .filter((o) => known.has(o.field))
+            .map((o) => `${o.field} ${o.dir}`);
+        if (orderFragments.length)
+            qy = qy.orderBy(...orderFragments);
     }
     // Draft-aware WHERE: only applied on draft-enabled roots (enforced by the
     // Zod schema — `IsActiveEntity` isn't in the shape for non-draft entities).
@@ -2179,26 +3130,8 @@ function buildQuery(CDS, args, resAnno, propKeys) {
                 ands.push(CDS.parse.expr(orExpr));
             }
         }
-        for (const c of args.where || []) {
-            const { field, op, value } = c;
-            // Field names are now consistent - use them directly
-            const actualField = field;
-            if (op === "in" && Array.isArray(value)) {
-                const list = value
-                    .map((v) => typeof v === "string" ? `'${v.replace(/'/g, "''")}'` : String(v))
-                    .join(",");
-                ands.push(CDS.parse.expr(`${actualField} in (${list})`));
-                continue;
-            }
-            const lit = typeof value === "string"
-                ? `'${String(value).replace(/'/g, "''")}'`
-                : String(value);
-            // Map OData operators to CDS/SQL operators
-            const cdsOp = ODATA_TO_CDS_OPERATORS.get(op) ?? op;
-            const expr = ["contains", "startswith", "endswith"].includes(op)
-                ? `${op}(${actualField}, ${lit})`
-                : `${actualField} ${cdsOp} ${lit}`;
-            ands.push(CDS.parse.expr(expr));
+        for (const node of args.where || []) {
+            ands.push(compileWhereNode(node, 0));
         }
         if (ands.length) {
             // Apply each condition individually - CDS will AND them together
@@ -2209,31 +3142,202 @@ function buildQuery(CDS, args, resAnno, propKeys) {
     }
     return qy;
 }
+// Helper: switch a built rows query to keyset paging. The sort order is
+// the caller's orderby followed by the entity keys as tie-breakers, which
+// makes it total; a decoded cursor then becomes a "comes after" predicate
+// on those columns instead of an OFFSET, so rows inserted concurrently
+// cannot shift the window. Returns the page size, the columns added only
+// to read sort values (stripped again before returning), and a minting
+// function for the next cursor.
+function applyCursorPaging(qy, args, resAnno, toolName) {
+    if (args.return && args.return !== "rows")
+        throw new Error("cursor: only supported with return: 'rows'");
+    if (args.skip)
+        throw new Error("cursor: cannot be combined with skip");
+    const keys = Array.from(resAnno.resourceKeys?.keys?.() ?? []);
+    if (keys.length === 0)
+        throw new Error(`cursor: ${resAnno.target} has no keys to page by`);
+    const sort = (args.orderby ?? []).map((o) => ({ field: o.field, dir: o.dir ?? "asc" }));
+    const tieBreakers = keys.filter((k) => !sort.some((s) => s.field === k));
+    sort.push(...tieBreakers.map((k) => ({ field: k, dir: "asc" })));
+    const fingerprint = (0, cursor_1.queryFingerprint)({
+        where: args.where ?? null,
+        q: args.q ?? null,
+        sort,
+        IsActiveEntity: args.IsActiveEntity ?? null,
+    });
+    if (args.cursor) {
+        const payload = (0, cursor_1.decodeCursor)(toolName, args.cursor);
+        if (payload.f !== fingerprint)
+            throw new Error("cursor: was issued for a different where/q/orderby — restart paging with cursor \"\"");
+        if (!Array.isArray(payload.k) || payload.k.length !== sort.length)
+            throw new Error("cursor: malformed cursor");
+        qy.where((0, cursor_1.buildKeysetPredicate)(sort, payload.k));
+    }
+    // The keyset predicate assumes NULLs first in asc and last in desc;
+    // spell that out so databases with another default (PostgreSQL) agree.
+    qy.SELECT.orderBy = sort.map(({ field, dir }) => ({
+        ref: [field],
+        sort: dir,
+        nulls: dir === "desc" ? "last" : "first",
+    }));
+    const hidden = sort.filter(({ field }) => addHiddenColumn(qy, field)).map(({ field }) => field);
+    const top = args.top ?? 25;
+    qy.limit(top + 1);
+    return {
+        top,
+        hidden,
+        next: (row) => (0, cursor_1.encodeCursor)(toolName, {
+            f: fingerprint,
+            k: sort.map((s) => row?.[s.field] ?? null),
+        }),
+    };
+}
+// Helper: make sure an explicit column list reads `field`, e.g. a sort
+// column for the cursor or the etag element. Returns true when the column
+// had to be added, so the caller strips it again before returning rows.
+function addHiddenColumn(qy, field) {
+    const columns = qy.SELECT.columns;
+    if (!Array.isArray(columns) || columns.some((c) => c === "*" || c?.ref?.[0] === "*"))
+        return false;
+    if (columns.some((c) => c === field || (c?.ref?.length === 1 && c.ref[0] === field)))
+        return false;
+    columns.push({ ref: [field] });
+    return true;
+}
+const MAX_WHERE_DEPTH = 8;
+// Helper: compile one node of the structured `where` tree into a CQN
+// expression. Values travel as `{val}` literals and fields as `{ref}`, so
+// no filter text is ever parsed — quoting and injection are CAP's concern.
+// Groups are wrapped in their own `xpr` to keep and/or precedence explicit.
+function compileWhereNode(node, depth) {
+    if (depth > MAX_WHERE_DEPTH) {
+        throw new Error(`where: filter groups nested deeper than ${MAX_WHERE_DEPTH} levels`);
+    }
+    if (Array.isArray(node?.and) || Array.isArray(node?.or)) {
+        const conj = node.and ? "and" : "or";
+        const xpr = [];
+        for (const child of node[conj]) {
+            if (xpr.length)
+                xpr.push(conj);
+            xpr.push(compileWhereNode(child, depth + 1));
+        }
+        return { xpr };
+    }
+    if (node?.not) {
+        return { xpr: ["not", compileWhereNode(node.not, depth + 1)] };
+    }
+    const { field, op, value } = node;
+    const ref = { ref: [field] };
+    if (op === "in") {
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length === 0)
+            throw new Error(`where: 'in' on ${field} needs at least one value`);
+        return { xpr: [ref, "in", { list: values.map((v) => ({ val: v })) }] };
+    }
+    if (Array.isArray(value)) {
+        throw new Error(`where: operator '${op}' on ${field} takes a single value, not a list`);
+    }
+    if (["contains", "startswith", "endswith"].includes(op)) {
+        return { func: op, args: [ref, { val: value }] };
+    }
+    return { xpr: [ref, ODATA_TO_CDS_OPERATORS.get(op), { val: value }] };
+}
+// Helper: compile `aggregate` / `groupby` / `having` / `orderby` into a
+// grouped CQN SELECT that reuses the FROM and WHERE of the base query.
+// Everything is emitted as CQN refs/funcs (no string building), and every
+// field is re-checked against the selectable scalar fields so `@mcp.omit`
+// columns can neither be grouped, aggregated nor leak through an alias.
+// Without groupby the result stays a single total row (top/skip/orderby
+// have nothing to act on); with groupby, orderby may name group fields or
+// aggregate aliases and top/skip page through the groups.
+function buildAggregateQuery(CDS, args, baseQuery, scalarKeys) {
+    if (!args.aggregate?.length) {
+        if (args.groupby || args.having)
+            throw new Error("groupby/having require at least one entry in `aggregate`");
+        return undefined;
+    }
+    const { SELECT } = CDS.ql;
+    const allowed = new Set(scalarKeys);
+    const aliases = new Map();
+    for (const a of args.aggregate) {
+        if (!allowed.has(a.field))
+            throw new Error(`aggregate: '${a.field}' is not an aggregatable field`);
+        aliases.set(`${a.fn}_${a.field}`, { func: a.fn, args: [{ ref: [a.field] }] });
+    }
+    const groupby = args.groupby ?? [];
+    for (const g of groupby) {
+        if (!allowed.has(g))
+            throw new Error(`groupby: '${g}' is not a groupable field`);
+    }
+    const columns = [
+        ...groupby.map((g) => ({ ref: [g] })),
+        ...Array.from(aliases.entries()).map(([as, fn]) => ({ ...fn, as })),
+    ];
+    let aggQuery = SELECT.from(baseQuery.SELECT.from).columns(columns);
+    const baseWhere = baseQuery.SELECT?.where;
+    if (baseWhere)
+        aggQuery = aggQuery.where(baseWhere);
+    if (groupby.length === 0) {
+        if (args.having)
+            throw new Error("having requires at least one `groupby` field");
+        return aggQuery;
+    }
+    aggQuery.SELECT.groupBy = groupby.map((g) => ({ ref: [g] }));
+    if (args.having) {
+        const having = [];
+        for (const h of args.having) {
+            const fn = aliases.get(h.alias);
+            if (!fn)
+                throw new Error(`having: '${h.alias}' is not declared in aggregate. Declared: ${Array.from(aliases.keys()).join(", ")}`);
+            if (having.length)
+                having.push("and");
+            // Repeat the aggregate expression instead of the alias: HANA and
+            // PostgreSQL do not resolve select aliases inside HAVING.
+            having.push({ ...fn }, ODATA_TO_CDS_OPERATORS.get(h.op), { val: h.value });
+        }
+        aggQuery.SELECT.having = having;
+    }
+    if (args.orderby?.length) {
+        const grouped = new Set(groupby);
+        aggQuery.SELECT.orderBy = args.orderby.map((o) => {
+            if (!grouped.has(o.field) && !aliases.has(o.field))
+                throw new Error(`orderby: '${o.field}' must be a groupby field or a declared aggregate alias in aggregate mode`);
+            return { ref: [o.field], sort: o.dir };
+        });
+    }
+    return aggQuery.limit(args.top ?? 25, args.skip ?? 0);
+}
+// Helper: derive the count query for return=count, includeCount and the
+// resource templates' $count.
+// Count ignores top/skip/orderby — they don't change the cardinality.
+// from/where are copied: running a query lets CAP rewrite them in place.
+function buildCountQuery(CDS, baseQuery) {
+    const { SELECT } = CDS.ql;
+    let countQuery = SELECT.from(structuredClone(baseQuery.SELECT.from)).columns("count(1) as count");
+    const baseWhere = baseQuery.SELECT?.where;
+    if (baseWhere)
+        countQuery = countQuery.where(structuredClone(baseWhere));
+    return countQuery;
+}
+async function runCountQuery(svc, countQuery) {
+    const result = await svc.run(countQuery);
+    const row = Array.isArray(result) ? result[0] : result;
+    return row?.count ?? 0;
+}
 // Helper: execute query supporting return=count/aggregate
 // Supports three modes:
 // - rows (default): returns the selected rows
 // - count: returns { count: number }
-// - aggregate: returns aggregation result rows based on provided definitions
-async function executeQuery(CDS, svc, args, baseQuery) {
-    const { SELECT } = CDS.ql;
-    const baseWhere = baseQuery.SELECT?.where;
+// - aggregate: runs the grouped query from buildAggregateQuery
+async function executeQuery(CDS, svc, args, baseQuery, aggQuery) {
     switch (args.return) {
         case "count": {
-            // count ignores top/skip/orderby — they don't change the cardinality.
-            let countQuery = SELECT.from(baseQuery.SELECT.from).columns("count(1) as count");
-            if (baseWhere)
-                countQuery = countQuery.where(baseWhere);
-            const result = await svc.run(countQuery);
-            const row = Array.isArray(result) ? result[0] : result;
-            return { count: row?.count ?? 0 };
+            return { count: await runCountQuery(svc, buildCountQuery(CDS, baseQuery)) };
         }
         case "aggregate": {
-            if (!args.aggregate?.length)
+            if (!aggQuery)
                 return [];
-            const cols = args.aggregate.map((a) => `${a.fn}(${a.field}) as ${a.fn}_${a.field}`);
-            let aggQuery = SELECT.from(baseQuery.SELECT.from).columns(...cols);
-            if (baseWhere)
-                aggQuery = aggQuery.where(baseWhere);
             return await svc.run(aggQuery);
         }
         default:
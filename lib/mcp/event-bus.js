@@ -0,0 +1,277 @@
+"use strict";
+/**
+ * Event bus for server-to-client notifications (list_changed, resource
+ * updates, log messages). Only the instance holding a session's standalone
+ * SSE stream (GET /mcp) can deliver them. The session stores route each
+ * notification without a local stream through the bus, and the bus hands
+ * it to the instance that holds the stream.
+ *
+ * A bus implements `publish(sessionId, message, eventId)`, `reap()` and
+ * `stop()` and is constructed as `new Bus(sessions, options)`. `sessions`
+ * is the store's local session map and `deliverLocally` sends to it.
+ * `eventId` is set when the sending instance already stored the message
+ * in the session store's event store (see ./event-store); the stream then
+ * carries it under that ID instead of storing it again.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DbEventBus = exports.InProcessEventBus = exports.EventCursor = void 0;
+exports.holdsStream = holdsStream;
+exports.deliverLocally = deliverLocally;
+exports.routeNotifications = routeNotifications;
+exports.createEventBus = createEventBus;
+const crypto_1 = require("crypto");
+const path_1 = require("path");
+const logger_1 = require("../logger");
+/* @ts-ignore */
+const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
+// Notifications are kept this long for instances that poll late.
+const EVENT_RETENTION_MS = 5 * 60 * 1000;
+// Polls read back this far, covering publishers whose clocks lag behind.
+const CLOCK_SKEW_MS = 30 * 1000;
+/**
+ * Whether a transport can deliver notifications now. HTTP transports need
+ * an open standalone SSE stream; transports without streams (in-memory,
+ * stdio) are always connected.
+ */
+function holdsStream(transport) {
+    if (!transport)
+        return false;
+    const inner = transport._webStandardTransport ?? transport;
+    if (!inner._streamMapping)
+        return true;
+    return inner._streamMapping.has(inner._standaloneSseStreamId);
+}
+/**
+ * Writes an already stored event to the transport's standalone stream,
+ * unless resuming the stream replayed it already.
+ */
+function writeStoredEvent(transport, message, eventId) {
+    const inner = transport._webStandardTransport ?? transport;
+    if (inner._eventStore?.wasReplayed?.(eventId))
+        return;
+    const stream = inner._streamMapping.get(inner._standaloneSseStreamId);
+    if (stream?.controller)
+        inner.writeSSEEvent(stream.controller, stream.encoder, message, eventId);
+}
+/**
+ * Sends a notification to a session cached in `sessions`, if its stream is
+ * open here.
+ * @param eventId - Event ID the message was stored under, if any
+ * @returns Whether the notification was handed to the transport
+ */
+function deliverLocally(sessions, sessionId, message, eventId) {
+    const session = sessions.get(sessionId);
+    if (!session || !holdsStream(session.transport))
+        return false;
+    void Promise.resolve()
+        .then(() => eventId && session.transport._webStandardTransport
+        ? writeStoredEvent(session.transport, message, eventId)
+        : session.transport.send(message))
+        .catch((e) => logger_1.LOGGER.debug(`[EVENT-BUS] Notification to ${sessionId} failed: ${e?.message || e}`));
+    return true;
+}
+/**
+ * Makes a transport publish its notifications to `bus` while it has no
+ * stream of its own. With an event store, the notification is stored first,
+ * so a client resuming the stream later receives it too. Notifications tied
+ * to a request travel on that request's response and are left alone, as
+ * are server-to-client requests, whose responses could not find their way
+ * back.
+ */
+function routeNotifications(transport, bus) {
+    const send = transport.send.bind(transport);
+    const inner = transport._webStandardTransport ?? transport;
+    transport.send = async (message, options) => {
+        const standalone = options?.relatedRequestId === undefined && "method" in message && !("id" in message);
+        if (!standalone || !transport.sessionId || holdsStream(transport))
+            return send(message, options);
+        let eventId;
+        try {
+            eventId = await inner._eventStore?.storeEvent(inner._standaloneSseStreamId, message);
+        }
+        catch (e) {
+            logger_1.LOGGER.error(`[EVENT-BUS] Storing ${message.method} for ${transport.sessionId} failed: ${e?.message || e}`);
+        }
+        return bus.publish(transport.sessionId, message, eventId);
+    };
+}
+/**
+ * Read position in an events entity whose `created_at` comes from each
+ * publishing instance's clock. Every read starts `overlapMs` before the
+ * previous read began on this instance's clock, so rows from a lagging
+ * publisher (or committed late) are still picked up; rows returned by the
+ * previous read are skipped by ID.
+ */
+class EventCursor {
+    overlapMs;
+    polledAt;
+    pendingAt;
+    seen;
+    constructor(overlapMs = CLOCK_SKEW_MS) {
+        this.overlapMs = overlapMs;
+        this.polledAt = Date.now();
+        this.seen = new Set();
+    }
+    /**
+     * Lower bound for `created_at` of the next read. Call right before the
+     * read; {@link advance} then moves the cursor past it.
+     */
+    since() {
+        this.pendingAt = Date.now();
+        return new Date(this.polledAt - this.overlapMs).toISOString();
+    }
+    /**
+     * Advances over the rows of a read started with {@link since}.
+     * @returns The rows not handled before
+     */
+    advance(rows) {
+        const fresh = rows.filter((row) => !this.seen.has(row.ID));
+        this.seen = new Set(rows.map((row) => row.ID));
+        this.polledAt = this.pendingAt ?? Date.now();
+        return fresh;
+    }
+    /** Skips what was written before the overlap window from now on. */
+    reset() {
+        this.polledAt = Date.now();
+    }
+}
+exports.EventCursor = EventCursor;
+/**
+ * Bus of a single process: a notification is delivered when the session's
+ * stream is open here. Otherwise only the event store, if any, keeps it.
+ * @param sessions - The store's session map
+ */
+class InProcessEventBus {
+    sessions;
+    constructor(sessions) {
+        this.sessions = sessions;
+    }
+    async publish(sessionId, message, eventId) {
+        if (!deliverLocally(this.sessions, sessionId, message, eventId))
+            logger_1.LOGGER.debug(`[EVENT-BUS] No open stream for ${message.method} to ${sessionId}`);
+    }
+    async reap() {
+        // nothing stored
+    }
+    stop() {
+        // no timers
+    }
+}
+exports.InProcessEventBus = InProcessEventBus;
+/**
+ * Bus for the db session store. Notifications for streams held elsewhere
+ * become rows of `entity`, which every instance polls every `pollMs` for
+ * the sessions whose streams it holds. Rows of sessions that are gone from
+ * `sessionsEntity` are removed by the reap.
+ * @param sessions - The store's local session cache
+ * @param options - `{ entity, sessionsEntity, pollMs }`
+ */
+class DbEventBus {
+    sessions;
+    entity;
+    sessionsEntity;
+    instanceId;
+    cursor;
+    pollTimer;
+    constructor(sessions, options) {
+        this.sessions = sessions;
+        this.entity = options.entity;
+        this.sessionsEntity = options.sessionsEntity;
+        this.instanceId = (0, crypto_1.randomUUID)();
+        this.cursor = new EventCursor();
+        this.pollTimer = setInterval(() => void this.poll(), options.pollMs);
+        this.pollTimer?.unref?.();
+    }
+    async publish(sessionId, message, eventId) {
+        if (deliverLocally(this.sessions, sessionId, message, eventId))
+            return;
+        try {
+            await cds.run(INSERT.into(this.entity).entries({
+                ID: (0, crypto_1.randomUUID)(),
+                session_id: sessionId,
+                message: JSON.stringify(message),
+                event_id: eventId ?? null,
+                origin: this.instanceId,
+                created_at: new Date().toISOString(),
+            }));
+        }
+        catch (e) {
+            logger_1.LOGGER.error(`[EVENT-BUS] Publishing ${message.method} for ${sessionId} failed: ${e?.message || e}`);
+        }
+    }
+    /**
+     * Delivers notifications other instances published since the last poll
+     * to the streams open on this instance.
+     */
+    async poll() {
+        const open = Array.from(this.sessions.entries())
+            .filter(([, session]) => holdsStream(session.transport))
+            .map(([sid]) => sid);
+        if (open.length === 0) {
+            this.cursor.reset();
+            return;
+        }
+        let rows;
+        try {
+            rows = await cds.run(SELECT.from(this.entity)
+                .where`created_at >= ${this.cursor.since()} and origin != ${this.instanceId} and session_id in ${open}`
+                .orderBy("created_at"));
+        }
+        catch (e) {
+            logger_1.LOGGER.debug(`[EVENT-BUS] Poll skipped: ${e?.message || e}`);
+            return;
+        }
+        for (const row of this.cursor.advance(rows)) {
+            let message;
+            try {
+                message = JSON.parse(row.message);
+            }
+            catch {
+                continue;
+            }
+            deliverLocally(this.sessions, row.session_id, message, row.event_id ?? undefined);
+        }
+    }
+    /**
+     * Removes old notifications and those of sessions that no longer exist.
+     * Idempotent across instances, like the session reap.
+     */
+    async reap() {
+        try {
+            const cutoff = new Date(Date.now() - EVENT_RETENTION_MS).toISOString();
+            await cds.run(DELETE.from(this.entity).where`created_at < ${cutoff}`);
+            await cds.run(DELETE.from(this.entity).where`session_id not in ${SELECT("session_id").from(this.sessionsEntity)}`);
+        }
+        catch (e) {
+            logger_1.LOGGER.debug(`[EVENT-BUS] Reap skipped: ${e?.message || e}`);
+        }
+    }
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = undefined;
+        }
+    }
+}
+exports.DbEventBus = DbEventBus;
+/**
+ * Builds the bus configured as `session_store.event_bus`: "memory", "db",
+ * or the path of a module (relative to the project root) exporting a bus
+ * class.
+ * @param kind - Configured value; stores pass their default when unset
+ * @param sessions - The store's local session map
+ * @param options - `{ entity, sessionsEntity, pollMs }`, passed on to the bus
+ */
+function createEventBus(kind, sessions, options) {
+    if (kind === "memory")
+        return new InProcessEventBus(sessions);
+    if (kind === "db")
+        return new DbEventBus(sessions, options);
+    const CDS = global.cds || cds;
+    const module = require((0, path_1.resolve)(CDS.root ?? process.cwd(), kind));
+    const Bus = module?.default ?? module;
+    if (typeof Bus !== "function")
+        throw new Error(`[EVENT-BUS] session_store.event_bus='${kind}' does not export a class`);
+    logger_1.LOGGER.info(`[EVENT-BUS] Using event bus from ${kind}`);
+    return new Bus(sessions, options);
+}
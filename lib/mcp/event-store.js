@@ -0,0 +1,222 @@
+"use strict";
+/**
+ * Event stores for resumable SSE streams. The transport gives every message
+ * written to an SSE stream an event ID. A client that lost the connection
+ * reconnects with `GET /mcp` and `Last-Event-ID`, and the transport replays
+ * what the stream carried after that event.
+ *
+ * A store keeps events per session and implements
+ * `storeEvent(sessionId, streamId, message)`, `streamOf(sessionId, eventId)`,
+ * `replayAfter(sessionId, eventId, send)`, `dropSession(sessionId)`,
+ * `reap(ttlMs)` and `stop()`. It is constructed as `new Store(options)`.
+ * `scopedEventStore` adapts it to the SDK's EventStore for one transport, so
+ * an event ID is only ever replayed to the session that received it.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DbEventStore = exports.InMemoryEventStore = void 0;
+exports.scopedEventStore = scopedEventStore;
+exports.createEventStore = createEventStore;
+const crypto_1 = require("crypto");
+const path_1 = require("path");
+const logger_1 = require("../logger");
+/* @ts-ignore */
+const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
+// Events the in-memory store keeps per session; older ones are dropped first.
+const MAX_EVENTS_PER_SESSION = 1000;
+let sequence = 0;
+/**
+ * Event IDs sort in the order they were stored: milliseconds, a
+ * per-process sequence, and a random suffix against clashes between
+ * instances.
+ */
+function nextEventId() {
+    sequence = (sequence + 1) % 1e6;
+    return `${String(Date.now()).padStart(13, "0")}-${String(sequence).padStart(6, "0")}-${(0, crypto_1.randomBytes)(4).toString("hex")}`;
+}
+/**
+ * Messages to replay. Priming events carry an empty message that only
+ * establishes an event ID, so they are not sent again.
+ */
+function isReplayable(message) {
+    return !!message && typeof message === "object" && "jsonrpc" in message;
+}
+/**
+ * Per-process event store for the memory session store. Events are
+ * dropped with their session, after the session TTL, and beyond
+ * 1000 per session.
+ */
+class InMemoryEventStore {
+    bySession;
+    constructor() {
+        this.bySession = new Map();
+    }
+    async storeEvent(sessionId, streamId, message) {
+        const eventId = nextEventId();
+        if (!this.bySession.has(sessionId))
+            this.bySession.set(sessionId, []);
+        const events = this.bySession.get(sessionId);
+        events.push({ eventId, streamId, message, at: Date.now() });
+        if (events.length > MAX_EVENTS_PER_SESSION)
+            events.splice(0, events.length - MAX_EVENTS_PER_SESSION);
+        return eventId;
+    }
+    async streamOf(sessionId, eventId) {
+        return this.bySession.get(sessionId)?.find((e) => e.eventId === eventId)?.streamId;
+    }
+    async replayAfter(sessionId, eventId, send) {
+        const events = this.bySession.get(sessionId) ?? [];
+        const index = events.findIndex((e) => e.eventId === eventId);
+        if (index < 0)
+            return undefined;
+        const { streamId } = events[index];
+        for (const event of events.slice(index + 1)) {
+            if (event.streamId === streamId && isReplayable(event.message))
+                await send(event.eventId, event.message);
+        }
+        return streamId;
+    }
+    async dropSession(sessionId) {
+        this.bySession.delete(sessionId);
+    }
+    async reap(ttlMs) {
+        const cutoff = Date.now() - ttlMs;
+        for (const [sid, events] of this.bySession) {
+            const kept = events.filter((e) => e.at >= cutoff);
+            if (kept.length === 0)
+                this.bySession.delete(sid);
+            else if (kept.length < events.length)
+                this.bySession.set(sid, kept);
+        }
+    }
+    stop() {
+        // no timers
+    }
+}
+exports.InMemoryEventStore = InMemoryEventStore;
+/**
+ * Event store for the db session store: events are rows of `entity`, so a
+ * client may resume on any instance. The reap removes events older than
+ * the session TTL and those of sessions gone from `sessionsEntity`.
+ * @param options - `{ entity, sessionsEntity }`
+ */
+class DbEventStore {
+    entity;
+    sessionsEntity;
+    constructor(options) {
+        this.entity = options.entity;
+        this.sessionsEntity = options.sessionsEntity;
+    }
+    async storeEvent(sessionId, streamId, message) {
+        const eventId = nextEventId();
+        await cds.run(INSERT.into(this.entity).entries({
+            event_id: eventId,
+            session_id: sessionId,
+            stream_id: streamId,
+            message: JSON.stringify(message),
+            created_at: new Date().toISOString(),
+        }));
+        return eventId;
+    }
+    async streamOf(sessionId, eventId) {
+        const row = await cds.run(SELECT.one.from(this.entity).columns("stream_id").where({ event_id: eventId, session_id: sessionId }));
+        return row?.stream_id;
+    }
+    async replayAfter(sessionId, eventId, send) {
+        const streamId = await this.streamOf(sessionId, eventId);
+        if (!streamId)
+            return undefined;
+        const rows = await cds.run(SELECT.from(this.entity).columns("event_id", "message")
+            .where`session_id = ${sessionId} and stream_id = ${streamId} and event_id > ${eventId}`
+            .orderBy("event_id"));
+        for (const row of rows) {
+            let message;
+            try {
+                message = JSON.parse(row.message);
+            }
+            catch {
+                continue;
+            }
+            if (isReplayable(message))
+                await send(row.event_id, message);
+        }
+        return streamId;
+    }
+    async dropSession(sessionId) {
+        try {
+            await cds.run(DELETE.from(this.entity).where({ session_id: sessionId }));
+        }
+        catch (e) {
+            logger_1.LOGGER.error(`[EVENT-STORE] Cleanup failed for ${sessionId}: ${e?.message || e}`);
+        }
+    }
+    /**
+     * Removes events older than `ttlMs` and those of sessions that no longer
+     * exist. Idempotent across instances, like the session reap.
+     */
+    async reap(ttlMs) {
+        try {
+            const cutoff = new Date(Date.now() - ttlMs).toISOString();
+            await cds.run(DELETE.from(this.entity).where`created_at < ${cutoff}`);
+            await cds.run(DELETE.from(this.entity).where`session_id not in ${SELECT("session_id").from(this.sessionsEntity)}`);
+        }
+        catch (e) {
+            logger_1.LOGGER.debug(`[EVENT-STORE] Reap skipped: ${e?.message || e}`);
+        }
+    }
+    stop() {
+        // no timers
+    }
+}
+exports.DbEventStore = DbEventStore;
+/**
+ * The SDK EventStore of one transport over a session-aware store. Unknown
+ * event IDs and those of other sessions resolve to no stream, which the
+ * transport answers with `400`.
+ *
+ * `wasReplayed(eventId)` tells whether the latest replay sent an event. The
+ * event bus may still bring the same stored event afterwards and checks it
+ * before writing (see ./event-bus).
+ * @param store - Event store of the session store
+ * @param sessionIdOf - Returns the transport's session ID, which is only
+ *   assigned at `initialize`
+ */
+function scopedEventStore(store, sessionIdOf) {
+    const sid = () => sessionIdOf() ?? "";
+    const replayed = new Set();
+    return {
+        storeEvent: (streamId, message) => store.storeEvent(sid(), streamId, message),
+        getStreamIdForEventId: (eventId) => store.streamOf(sid(), eventId),
+        replayEventsAfter: async (eventId, { send }) => {
+            replayed.clear();
+            const streamId = await store.replayAfter(sid(), eventId, (id, message) => {
+                replayed.add(id);
+                return send(id, message);
+            });
+            return streamId ?? "";
+        },
+        wasReplayed: (eventId) => replayed.has(eventId),
+    };
+}
+/**
+ * Builds the store configured as `session_store.event_store`: "memory",
+ * "db", "none", or the path of a module (relative to the project root)
+ * exporting a store class.
+ * @param kind - Configured value; session stores pass their default when unset
+ * @param options - `{ entity, sessionsEntity }`, passed on to the store
+ * @returns The store, or undefined for "none"
+ */
+function createEventStore(kind, options) {
+    if (kind === "none")
+        return undefined;
+    if (kind === "memory")
+        return new InMemoryEventStore();
+    if (kind === "db")
+        return new DbEventStore(options);
+    const CDS = global.cds || cds;
+    const module = require((0, path_1.resolve)(CDS.root ?? process.cwd(), kind));
+    const Store = module?.default ?? module;
+    if (typeof Store !== "function")
+        throw new Error(`[EVENT-STORE] session_store.event_store='${kind}' does not export a class`);
+    logger_1.LOGGER.info(`[EVENT-STORE] Using event store from ${kind}`);
+    return new Store(options);
+}
@@ -4,8 +4,7 @@ exports.parseExpand = parseExpand;
 exports.resolveExpand = resolveExpand;
 exports.listExpandableNavigations = listExpandableNavigations;
 const validation_1 = require("./validation");
-/* @ts-ignore */
-const cds = global.cds || require("@sap/cds");
+const filter_parser_1 = require("./filter-parser");
 
 /**
  * Lightweight recursive-descent parser for a safe subset of OData v4 $expand.
@@ -115,7 +114,7 @@ function parseExpandItem(state, entityDef) {
         throw new Error(`$expand: expected ")" at position ${state.pos}`);
     }
     state.pos++;
-    applyOptionsToColumn(col, options, targetDef);
+    applyOptionsToColumn(col, options, targetDef, state.modelDefs);
     return col;
 }
 
@@ -196,7 +195,7 @@ function parseOptionList(state, targetDef) {
     return opts;
 }
 
-function applyOptionsToColumn(col, options, targetDef) {
+function applyOptionsToColumn(col, options, targetDef, modelDefs) {
     // Build the inner `expand` array: $select → specific columns; else '*' + nested expands.
     const inner = [];
     if (options.select) {
@@ -216,14 +215,16 @@ function applyOptionsToColumn(col, options, targetDef) {
     }
     col.expand = inner;
     if (options.filter) {
-        // Validate inside the subquery's property scope, then translate to CDS.
-        const props = new Map(Object.entries(targetDef?.elements ?? {})
-            .filter(([, v]) => v.type && !["cds.Composition", "cds.Association"].includes(v.type))
-            .map(([k, v]) => [k, String(v.type).replace("cds.", "")]));
-        const validator = new validation_1.ODataQueryValidator(props);
-        const cdsExpr = validator.validateFilter(options.filter);
-        const parsed = (global.cds || cds).parse.expr(cdsExpr);
-        col.where = parsed.xpr ?? parsed;
+        // Parse inside the subquery's property scope; navigations stay
+        // available so `any` / `all` work on the expanded entity too.
+        const props = (0, filter_parser_1.propertiesOf)(targetDef);
+        const validator = new validation_1.ODataQueryValidator(props, { entityDef: targetDef, modelDefs });
+        try {
+            col.where = validator.validateFilter(options.filter).xpr;
+        }
+        catch (e) {
+            throw new Error(`$expand: ${e?.message || String(e)}`);
+        }
     }
     if (options.top !== undefined || options.skip !== undefined) {
         col.limit = {
@@ -12,14 +12,18 @@ const utils_1 = require("../auth/utils");
 // Use relative import without extension for ts-jest resolver compatibility
 const entity_tools_1 = require("./entity-tools");
 const describe_model_1 = require("./describe-model");
+const batch_tool_1 = require("./batch-tool");
+const subscriptions_1 = require("./subscriptions");
 const instructions_1 = require("../config/instructions");
 /**
  * Creates and configures an MCP server instance with the given configuration and annotations
  * @param config - CAP configuration object
  * @param annotations - Optional parsed annotations to register with the server
+ * @param subscriptions - The session store's resource subscriptions, used when
+ * `capabilities.resources.subscribe` is on
  * @returns Configured MCP server instance
  */
-function createMcpServer(config, annotations) {
+function createMcpServer(config, annotations, subscriptions) {
     logger_1.LOGGER.debug("Creating MCP server instance");
     const server = new mcp_js_1.McpServer({
         name: config.name,
@@ -33,7 +37,7 @@ function createMcpServer(config, annotations) {
     logger_1.LOGGER.debug("Annotations found for server: ", annotations);
     const authEnabled = (0, utils_1.isAuthEnabled)(config.auth);
     // Always register discovery tool for better model planning
-    (0, describe_model_1.registerDescribeModelTool)(server);
+    (0, describe_model_1.registerDescribeModelTool)(server, annotations);
     // Always register the whoami introspection tool — needed for diagnosing
     // DRAFT_LOCKED and other principal-mismatch scenarios even when every
     // other tool would reject the caller.
@@ -44,6 +48,7 @@ function createMcpServer(config, annotations) {
     // Instead, register ALL tools/resources and check authorization at execution time
     // This matches how CAP services handle authorization
     
+    const wrapped = [];
     for (const entry of annotations.values()) {
         if (entry instanceof structures_1.McpToolAnnotation) {
             // Register tool without checking access rights at creation time
@@ -75,15 +80,25 @@ function createMcpServer(config, annotations) {
                 const before = snapshotToolNames(server);
                 (0, entity_tools_1.registerEntityWrappers)(entry, server, authEnabled, modes, fullAccesses);
                 installToolVisibilityGates(server, before, authEnabled, (toolName) => entityWrapperGate(entry.restrictions, toolName));
+                wrapped.push({ entry, modes });
             }
             continue;
         }
         else if (entry instanceof structures_1.McpPromptAnnotation) {
-            (0, prompts_1.assignPromptToServer)(entry, server);
+            (0, prompts_1.assignPromptToServer)(entry, server, authEnabled);
             continue;
         }
         logger_1.LOGGER.warn("Invalid annotation entry - Cannot be parsed by MCP server, skipping...");
     }
+    if (config.batch?.enabled) {
+        const before = snapshotToolNames(server);
+        const batchTools = (0, batch_tool_1.registerBatchTools)(server, wrapped, authEnabled, config.batch);
+        installToolVisibilityGates(server, before, authEnabled, (toolName) => batchToolGate(batchTools.get(toolName) ?? []));
+    }
+    (0, resources_1.installResourceListPaging)(server);
+    if (config.capabilities?.resources?.subscribe) {
+        (0, subscriptions_1.installResourceSubscriptions)(server, annotations, subscriptions, authEnabled);
+    }
     return server;
 }
 /**
@@ -182,8 +197,21 @@ function entityWrapperGate(restrictions, toolName) {
         return true;
     };
 }
+/**
+ * Predicate for a `<Service>_batch` tool — visible when the caller may write
+ * to at least one of the entities it covers. Each step is still checked
+ * against its own entity's grants when the batch runs.
+ */
+function batchToolGate(entries) {
+    if (entries.every((e) => !e.restrictions || e.restrictions.length === 0))
+        return null;
+    return (user) => entries.some((e) => {
+        const access = (0, utils_1.getWrapAccesses)(user, e.restrictions);
+        return !!(access.canCreate || access.canUpdate || access.canDelete);
+    });
+}
 function wrapperOperationForName(toolName) {
-    if (toolName.endsWith("_query") || toolName.endsWith("_get"))
+    if (toolName.endsWith("_query") || toolName.endsWith("_get") || toolName.endsWith("_media"))
         return "READ";
     if (toolName.endsWith("_create") || toolName.endsWith("_draft-new"))
         return "CREATE";
@@ -0,0 +1,592 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.parseFilter = parseFilter;
+exports.propertiesOf = propertiesOf;
+/**
+ * Recursive-descent parser for OData v4 $filter that emits CQN directly.
+ *
+ * Grammar (lowest precedence first):
+ *   filter      := orExpr
+ *   orExpr      := andExpr ("or" andExpr)*
+ *   andExpr     := notExpr ("and" notExpr)*
+ *   notExpr     := "not" notExpr | compareExpr
+ *   compareExpr := addExpr ( cmpOp addExpr | "in" list | "has" enumValue )?
+ *   addExpr     := mulExpr (("add" | "sub") mulExpr)*
+ *   mulExpr     := primary (("mul" | "div" | "mod") primary)*
+ *   primary     := "(" orExpr ")" | literal | function "(" args ")" | path
+ *   path        := ident ("/" ident)* ("/" ("any" | "all") "(" (var ":" orExpr)? ")")?
+ *   list        := "(" primary ("," primary)* ")"
+ *   literal     := 'string' | number | true | false | null
+ *                | date | dateTimeOffset | timeOfDay | guid
+ *
+ * Every operand carries an inferred type (string, number, boolean, date,
+ * datetime, time, guid), so comparisons like `stock eq 'ten'` on an Integer
+ * are rejected here rather than failing (or silently coercing) in the
+ * database. Literals become CQN `{val}` nodes and properties `{ref}` nodes —
+ * no CDS string is built, so there is nothing to inject into.
+ *
+ * Lambda operators compile to `exists` over an infix filter:
+ *   reviews/any(r: r/rating gt 3)  →  exists reviews[rating > 3]
+ *   reviews/all(r: r/rating gt 3)  →  not exists reviews[not (rating > 3)]
+ */
+const MAX_FILTER_DEPTH = 16;
+const COMPARISON_OPERATORS = new Map([
+    ["eq", "="],
+    ["ne", "!="],
+    ["gt", ">"],
+    ["ge", ">="],
+    ["lt", "<"],
+    ["le", "<="],
+]);
+const ARITHMETIC_OPERATORS = new Map([
+    ["add", "+"],
+    ["sub", "-"],
+    ["mul", "*"],
+    ["div", "/"],
+    ["mod", "%"],
+]);
+const TYPE_CATEGORIES = {
+    String: "string",
+    LargeString: "string",
+    UUID: "guid",
+    Boolean: "boolean",
+    Integer: "number",
+    Int16: "number",
+    Int32: "number",
+    Int64: "number",
+    Integer64: "number",
+    UInt8: "number",
+    Decimal: "number",
+    DecimalFloat: "number",
+    Double: "number",
+    Date: "date",
+    DateTime: "datetime",
+    Timestamp: "datetime",
+    Time: "time",
+    Association: "nav",
+    Composition: "nav",
+};
+// Canonical OData functions that CAP's database services translate for
+// every supported database. An argument slot lists the accepted types.
+const FILTER_FUNCTIONS = {
+    contains: { args: [["string"], ["string"]], returns: "boolean" },
+    startswith: { args: [["string"], ["string"]], returns: "boolean" },
+    endswith: { args: [["string"], ["string"]], returns: "boolean" },
+    indexof: { args: [["string"], ["string"]], returns: "number" },
+    length: { args: [["string"]], returns: "number" },
+    substring: { args: [["string"], ["number"], ["number"]], optional: 1, returns: "string" },
+    tolower: { args: [["string"]], returns: "string" },
+    toupper: { args: [["string"]], returns: "string" },
+    trim: { args: [["string"]], returns: "string" },
+    concat: { args: [["string"], ["string"]], returns: "string" },
+    year: { args: [["date", "datetime"]], returns: "number" },
+    month: { args: [["date", "datetime"]], returns: "number" },
+    day: { args: [["date", "datetime"]], returns: "number" },
+    hour: { args: [["datetime", "time"]], returns: "number" },
+    minute: { args: [["datetime", "time"]], returns: "number" },
+    second: { args: [["datetime", "time"]], returns: "number" },
+    round: { args: [["number"]], returns: "number" },
+    floor: { args: [["number"]], returns: "number" },
+    ceiling: { args: [["number"]], returns: "number" },
+};
+// Numeric types whose values a JS number cannot always hold exactly.
+const PRECISE_NUMBER_TYPES = new Set(["Int64", "Integer64", "Decimal", "DecimalFloat"]);
+const KEYWORDS = new Set(["and", "or", "not", "in", "has", "true", "false", "null",
+    ...COMPARISON_OPERATORS.keys(), ...ARITHMETIC_OPERATORS.keys()]);
+/**
+ * Parse an OData $filter string into a CQN expression.
+ *
+ * @param {string} input — decoded $filter value
+ * @param {object} ctx — { properties, entityDef, modelDefs }
+ *   `properties` maps filterable names to CDS type names (as on
+ *   McpResourceAnnotation); `entityDef` / `modelDefs` are needed for
+ *   navigation paths, lambda operators and `has` on enums.
+ * @returns {{xpr: Array<any>}} CQN usable in `.where()` or an infix filter
+ */
+function parseFilter(input, ctx) {
+    const state = {
+        src: input,
+        tokens: tokenize(input),
+        pos: 0,
+        depth: 0,
+        modelDefs: ctx?.modelDefs,
+    };
+    const scope = {
+        properties: ctx?.properties ?? new Map(),
+        entityDef: ctx?.entityDef,
+        variable: undefined,
+    };
+    const expr = parseOr(state, scope);
+    const rest = peek(state);
+    if (rest.kind !== "eof") {
+        throw new Error(`$filter: unexpected ${describeToken(rest)} at position ${rest.pos}`);
+    }
+    const predicate = asPredicate(expr, state);
+    return predicate.cqn.xpr ? predicate.cqn : { xpr: [predicate.cqn] };
+}
+const GUID = /[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}(?![\w-])/y;
+const DATETIME = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,12})?)?(?:Z|[+-]\d{2}:\d{2})(?![\w:])/y;
+const DATE = /\d{4}-\d{2}-\d{2}(?![\w:-])/y;
+const TIME = /\d{2}:\d{2}(?::\d{2}(?:\.\d{1,12})?)?(?![\w:])/y;
+const NUMBER = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?(?![\w.])/y;
+const IDENT = /[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/y;
+function matchAt(re, src, pos) {
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    return m ? m[0] : undefined;
+}
+function tokenize(src) {
+    const tokens = [];
+    let pos = 0;
+    while (pos < src.length) {
+        const ch = src[pos];
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+        if ("(),/:".includes(ch)) {
+            tokens.push({ kind: "punct", value: ch, pos });
+            pos++;
+            continue;
+        }
+        if (ch === "'") {
+            const { value, end } = readString(src, pos);
+            tokens.push({ kind: "string", value, pos });
+            pos = end;
+            continue;
+        }
+        let text;
+        if ((text = matchAt(GUID, src, pos))) {
+            tokens.push({ kind: "guid", value: text, pos });
+        }
+        else if ((text = matchAt(DATETIME, src, pos))) {
+            if (Number.isNaN(Date.parse(text))) {
+                throw new Error(`$filter: invalid date-time literal "${text}" at position ${pos}`);
+            }
+            tokens.push({ kind: "datetime", value: text, pos });
+        }
+        else if ((text = matchAt(DATE, src, pos))) {
+            if (Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+                throw new Error(`$filter: invalid date literal "${text}" at position ${pos}`);
+            }
+            tokens.push({ kind: "date", value: text, pos });
+        }
+        else if ((text = matchAt(TIME, src, pos))) {
+            tokens.push({ kind: "time", value: text, pos });
+        }
+        else if ((text = matchAt(NUMBER, src, pos))) {
+            tokens.push({ kind: "number", value: Number(text), text, pos });
+        }
+        else if ((text = matchAt(IDENT, src, pos))) {
+            if (src[pos + text.length] === "'") {
+                // Qualified enum literal, e.g. `Sales.Status'Open'`
+                const { value, end } = readString(src, pos + text.length);
+                tokens.push({ kind: "enum", value, typeName: text, pos });
+                pos = end;
+                continue;
+            }
+            if (text.includes(".")) {
+                throw new Error(`$filter: unexpected "." in "${text}" at position ${pos + text.indexOf(".")}`);
+            }
+            tokens.push({ kind: "ident", value: text, pos });
+        }
+        else {
+            const hint = /[=<>!]/.test(ch) ? " — use eq, ne, gt, ge, lt or le" : "";
+            throw new Error(`$filter: unexpected character "${ch}" at position ${pos}${hint}`);
+        }
+        pos += text.length;
+    }
+    tokens.push({ kind: "eof", pos: src.length });
+    return tokens;
+}
+function readString(src, start) {
+    let value = "";
+    let pos = start + 1;
+    while (pos < src.length) {
+        if (src[pos] === "'") {
+            if (src[pos + 1] === "'") {
+                value += "'";
+                pos += 2;
+                continue;
+            }
+            return { value, end: pos + 1 };
+        }
+        value += src[pos++];
+    }
+    throw new Error(`$filter: unterminated string literal starting at position ${start}`);
+}
+function peek(state) {
+    return state.tokens[state.pos];
+}
+function next(state) {
+    return state.tokens[state.pos++];
+}
+function isWord(token, word) {
+    return token.kind === "ident" && token.value.toLowerCase() === word;
+}
+function isPunct(token, ch) {
+    return token.kind === "punct" && token.value === ch;
+}
+function expectPunct(state, ch) {
+    const token = next(state);
+    if (!isPunct(token, ch)) {
+        throw new Error(`$filter: expected "${ch}" but found ${describeToken(token)} at position ${token.pos}`);
+    }
+    return token;
+}
+function describeToken(token) {
+    switch (token.kind) {
+        case "eof":
+            return "end of input";
+        case "string":
+            return `string '${token.value}'`;
+        case "enum":
+            return `enum literal ${token.typeName}'${token.value}'`;
+        default:
+            return `"${token.value}"`;
+    }
+}
+function parseOr(state, scope) {
+    if (++state.depth > MAX_FILTER_DEPTH) {
+        throw new Error(`$filter: expression nested deeper than ${MAX_FILTER_DEPTH} levels at position ${peek(state).pos}`);
+    }
+    try {
+        return parseJunction(state, scope, "or", parseAnd);
+    }
+    finally {
+        state.depth--;
+    }
+}
+function parseAnd(state, scope) {
+    return parseJunction(state, scope, "and", parseNot);
+}
+function parseJunction(state, scope, word, parseOperand) {
+    const first = parseOperand(state, scope);
+    if (!isWord(peek(state), word))
+        return first;
+    const xpr = [asPredicate(first, state).cqn];
+    while (isWord(peek(state), word)) {
+        next(state);
+        xpr.push(word, asPredicate(parseOperand(state, scope), state).cqn);
+    }
+    return predicate({ xpr });
+}
+function parseNot(state, scope) {
+    if (!isWord(peek(state), "not"))
+        return parseCompare(state, scope);
+    next(state);
+    const operand = asPredicate(parseNot(state, scope), state);
+    return predicate({ xpr: ["not", operand.cqn] });
+}
+function parseCompare(state, scope) {
+    const left = parseAdditive(state, scope);
+    const opToken = peek(state);
+    if (opToken.kind !== "ident")
+        return left;
+    const word = opToken.value.toLowerCase();
+    if (COMPARISON_OPERATORS.has(word)) {
+        next(state);
+        const right = parseAdditive(state, scope);
+        return compare(left, word, right, opToken);
+    }
+    if (word === "in") {
+        next(state);
+        return parseInList(state, scope, left, opToken);
+    }
+    if (word === "has") {
+        next(state);
+        return parseHas(state, left, opToken);
+    }
+    return left;
+}
+function compare(left, word, right, opToken) {
+    const op = COMPARISON_OPERATORS.get(word);
+    if (left.type === "null" || right.type === "null") {
+        if (word !== "eq" && word !== "ne") {
+            throw new Error(`$filter: "${word}" cannot be used with null at position ${opToken.pos}`);
+        }
+        const operand = left.type === "null" ? right : left;
+        return predicate({ xpr: word === "eq" ? [operand.cqn, "is", "null"] : [operand.cqn, "is", "not", "null"] });
+    }
+    // `contains(title,'x') eq false` — fold boolean literals into the predicate
+    const literal = left.literal ? left : right.literal ? right : undefined;
+    const other = literal === left ? right : left;
+    if (literal?.type === "boolean" && other.predicate && (word === "eq" || word === "ne")) {
+        const positive = (literal.cqn.val === true) === (word === "eq");
+        return predicate(positive ? other.cqn : { xpr: ["not", other.cqn] });
+    }
+    if (left.predicate || right.predicate) {
+        throw new Error(`$filter: cannot apply "${word}" to a boolean expression at position ${opToken.pos}`);
+    }
+    if (!comparable(left.type, right.type)) {
+        throw new Error(`$filter: cannot compare ${left.label} with ${right.label} at position ${opToken.pos}`);
+    }
+    if (word !== "eq" && word !== "ne" && (left.type === "boolean" || right.type === "boolean")) {
+        throw new Error(`$filter: "${word}" is not defined for ${left.type === "boolean" ? left.label : right.label} at position ${opToken.pos}`);
+    }
+    return predicate({ xpr: [numericOperand(left, right).cqn, op, numericOperand(right, left).cqn] });
+}
+function parseInList(state, scope, left, opToken) {
+    expectPunct(state, "(");
+    const values = [];
+    while (true) {
+        const item = parsePrimary(state, scope);
+        if (!item.literal || item.type === "null") {
+            throw new Error(`$filter: "in" expects a list of literals, found ${item.label} at position ${opToken.pos}`);
+        }
+        if (!comparable(left.type, item.type)) {
+            throw new Error(`$filter: cannot compare ${left.label} with ${item.label} in "in" list at position ${opToken.pos}`);
+        }
+        values.push(numericOperand(item, left).cqn);
+        if (isPunct(peek(state), ",")) {
+            next(state);
+            continue;
+        }
+        break;
+    }
+    expectPunct(state, ")");
+    return predicate({ xpr: [left.cqn, "in", { list: values }] });
+}
+// CDS enums are not OData flag enums, so `has` tests for the one member.
+function parseHas(state, left, opToken) {
+    const token = next(state);
+    if (token.kind !== "enum" && token.kind !== "string") {
+        throw new Error(`$filter: "has" expects an enum literal such as Type'Member', found ${describeToken(token)} at position ${token.pos}`);
+    }
+    const enumDef = left.element?.enum;
+    if (!enumDef) {
+        throw new Error(`$filter: "has" requires an enum property, found ${left.label} at position ${opToken.pos}`);
+    }
+    const member = enumDef[token.value];
+    if (!member) {
+        throw new Error(`$filter: "${token.value}" is not a member of ${left.label}. Allowed: ${Object.keys(enumDef).join(", ")}`);
+    }
+    return predicate({ xpr: [left.cqn, "=", { val: member.val ?? token.value }] });
+}
+function parseAdditive(state, scope) {
+    return parseArithmetic(state, scope, ["add", "sub"], parseMultiplicative);
+}
+function parseMultiplicative(state, scope) {
+    return parseArithmetic(state, scope, ["mul", "div", "mod"], parsePrimary);
+}
+function parseArithmetic(state, scope, words, parseOperand) {
+    let left = parseOperand(state, scope);
+    while (peek(state).kind === "ident" && words.includes(peek(state).value.toLowerCase())) {
+        const opToken = next(state);
+        const word = opToken.value.toLowerCase();
+        const right = parseOperand(state, scope);
+        for (const operand of [left, right]) {
+            if (operand.type !== "number" && operand.type !== "any") {
+                throw new Error(`$filter: "${word}" expects numbers, found ${operand.label} at position ${opToken.pos}`);
+            }
+        }
+        left = { cqn: { xpr: [left.cqn, ARITHMETIC_OPERATORS.get(word), right.cqn] }, type: "number", label: "arithmetic expression", pos: left.pos };
+    }
+    return left;
+}
+function parsePrimary(state, scope) {
+    const start = peek(state).pos;
+    const operand = parseOperand(state, scope);
+    return { pos: start, ...operand };
+}
+function parseOperand(state, scope) {
+    const token = next(state);
+    switch (token.kind) {
+        case "punct":
+            if (token.value === "(") {
+                const inner = parseOr(state, scope);
+                expectPunct(state, ")");
+                return inner;
+            }
+            break;
+        case "string":
+            return literal(token.value, "string", `string literal '${token.value}'`);
+        case "number":
+            return { ...literal(token.value, "number", `number ${token.text}`), text: token.text };
+        case "date":
+        case "datetime":
+        case "time":
+        case "guid":
+            return literal(token.value, token.kind, `${token.kind} literal ${token.value}`);
+        case "ident": {
+            const word = token.value.toLowerCase();
+            if (word === "true" || word === "false")
+                return literal(word === "true", "boolean", `boolean ${word}`);
+            if (word === "null")
+                return literal(null, "null", "null");
+            if (isPunct(peek(state), "(")) {
+                if (FILTER_FUNCTIONS[word])
+                    return parseFunction(state, scope, word, token);
+                throw new Error(`$filter: unknown function "${token.value}" at position ${token.pos}. Supported: ${Object.keys(FILTER_FUNCTIONS).join(", ")}`);
+            }
+            if (KEYWORDS.has(word))
+                break;
+            return parsePath(state, scope, token);
+        }
+    }
+    throw new Error(`$filter: expected a property, literal or function but found ${describeToken(token)} at position ${token.pos}`);
+}
+function parseFunction(state, scope, name, nameToken) {
+    const spec = FILTER_FUNCTIONS[name];
+    expectPunct(state, "(");
+    const args = [];
+    if (!isPunct(peek(state), ")")) {
+        while (true) {
+            args.push(parseAdditive(state, scope));
+            if (isPunct(peek(state), ",")) {
+                next(state);
+                continue;
+            }
+            break;
+        }
+    }
+    expectPunct(state, ")");
+    const min = spec.args.length - (spec.optional ?? 0);
+    if (args.length < min || args.length > spec.args.length) {
+        const expected = min === spec.args.length ? `${min}` : `${min}-${spec.args.length}`;
+        throw new Error(`$filter: ${name}() takes ${expected} argument(s), got ${args.length} at position ${nameToken.pos}`);
+    }
+    args.forEach((arg, i) => {
+        if (arg.type !== "any" && !spec.args[i].some((t) => comparable(t, arg.type))) {
+            throw new Error(`$filter: argument ${i + 1} of ${name}() must be ${spec.args[i].join(" or ")}, found ${arg.label} at position ${nameToken.pos}`);
+        }
+    });
+    const cqn = { func: name, args: args.map((a) => a.cqn) };
+    if (spec.returns === "boolean")
+        return predicate(cqn);
+    return { cqn, type: spec.returns, label: `${name}() result` };
+}
+/**
+ * Resolves `a/b/c` against the current scope. Inside a lambda the path must
+ * start with the lambda variable; CQN infix filters are relative to the
+ * navigation target, so outer properties cannot be referenced there.
+ */
+function parsePath(state, scope, first) {
+    let segment = first;
+    if (scope.variable) {
+        if (first.value !== scope.variable) {
+            throw new Error(`$filter: "${first.value}" at position ${first.pos} is not the lambda variable "${scope.variable}"; use ${scope.variable}/<property>`);
+        }
+        expectPunct(state, "/");
+        segment = next(state);
+    }
+    const ref = [];
+    let properties = scope.properties;
+    let entityDef = scope.entityDef;
+    while (true) {
+        if (segment.kind !== "ident" || !properties.has(segment.value)) {
+            const allowed = Array.from(properties.keys()).join(", ");
+            throw new Error(`$filter: unknown property ${describeToken(segment)} at position ${segment.pos}. Allowed properties: ${allowed}`);
+        }
+        const name = segment.value;
+        const cdsType = properties.get(name);
+        const element = entityDef?.elements?.[name];
+        const category = TYPE_CATEGORIES[cdsType] ?? "any";
+        if (category !== "nav") {
+            ref.push(name);
+            return { cqn: { ref }, type: category, label: `${cdsType} property "${[...ref].join("/")}"`, element, precise: PRECISE_NUMBER_TYPES.has(cdsType) };
+        }
+        const targetDef = element?.target ? state.modelDefs?.[element.target] : undefined;
+        if (!targetDef) {
+            throw new Error(`$filter: navigation "${name}" at position ${segment.pos} cannot be resolved`);
+        }
+        if (!isPunct(peek(state), "/")) {
+            throw new Error(`$filter: navigation "${name}" at position ${segment.pos} must be followed by /<property>, /any(...) or /all(...)`);
+        }
+        next(state);
+        const after = peek(state);
+        if ((isWord(after, "any") || isWord(after, "all")) && isPunct(state.tokens[state.pos + 1], "(")) {
+            next(state);
+            return parseLambda(state, ref, name, targetDef, after.value.toLowerCase());
+        }
+        if (element.cardinality?.max === "*") {
+            throw new Error(`$filter: "${name}" is a collection; use ${name}/any(...) or ${name}/all(...) at position ${after.pos}`);
+        }
+        ref.push(name);
+        properties = propertiesOf(targetDef);
+        entityDef = targetDef;
+        segment = next(state);
+    }
+}
+function parseLambda(state, ref, navName, targetDef, operator) {
+    expectPunct(state, "(");
+    if (isPunct(peek(state), ")")) {
+        next(state);
+        if (operator === "all") {
+            throw new Error(`$filter: ${navName}/all() needs a lambda expression, e.g. ${navName}/all(x: x/prop eq 1)`);
+        }
+        return predicate({ xpr: ["exists", { ref: [...ref, navName] }] });
+    }
+    const variable = next(state);
+    if (variable.kind !== "ident" || KEYWORDS.has(variable.value.toLowerCase())) {
+        throw new Error(`$filter: expected lambda variable but found ${describeToken(variable)} at position ${variable.pos}`);
+    }
+    expectPunct(state, ":");
+    const inner = asPredicate(parseOr(state, {
+        properties: propertiesOf(targetDef),
+        entityDef: targetDef,
+        variable: variable.value,
+    }), state);
+    expectPunct(state, ")");
+    const where = operator === "any" ? inner.cqn : { xpr: ["not", inner.cqn] };
+    const nav = { id: navName, where: where.xpr ?? [where] };
+    const exists = ["exists", { ref: [...ref, nav] }];
+    return predicate({ xpr: operator === "any" ? exists : ["not", ...exists] });
+}
+/**
+ * Filterable elements of a navigation target or lambda scope. `@mcp.omit`
+ * and `@Core.MediaType` elements are left out: a predicate on them would
+ * leak their values even though rows never carry them.
+ */
+function propertiesOf(entityDef) {
+    const props = new Map();
+    for (const [k, v] of Object.entries(entityDef?.elements ?? {})) {
+        if (typeof v.type !== "string" || v["@mcp.omit"] || v["@Core.MediaType"] !== undefined)
+            continue;
+        props.set(k, v.type.replace("cds.", ""));
+    }
+    return props;
+}
+/**
+ * A number literal compared with an Int64 / Decimal property keeps its text
+ * when `Number` would change it, like keys in ./row-uri, so the database
+ * compares the exact value.
+ */
+function numericOperand(operand, other) {
+    if (!other.precise || operand.text === undefined || String(operand.cqn.val) === operand.text)
+        return operand;
+    return { ...operand, cqn: { val: operand.text } };
+}
+function literal(val, type, label) {
+    return { cqn: { val }, type, label, literal: true };
+}
+function predicate(cqn) {
+    return { cqn, type: "boolean", label: "boolean expression", predicate: true };
+}
+/**
+ * Coerces an operand into something `and` / `or` / `not` / `where` accept:
+ * a bare Boolean property becomes `prop = true`.
+ */
+function asPredicate(operand, state) {
+    if (operand.predicate)
+        return operand;
+    if (operand.type === "boolean" && !operand.literal) {
+        return predicate({ xpr: [operand.cqn, "=", { val: true }] });
+    }
+    if (operand.type === "boolean") {
+        return predicate({ xpr: [{ val: 1 }, "=", { val: operand.cqn.val ? 1 : 0 }] });
+    }
+    throw new Error(`$filter: expected a boolean expression but found ${operand.label} at position ${operand.pos ?? peek(state).pos}`);
+}
+/**
+ * Whether two inferred types may be compared. Temporal values and GUIDs are
+ * also accepted as quoted strings, as CAP does for its own OData endpoints.
+ */
+function comparable(a, b) {
+    if (a === "any" || b === "any" || a === b)
+        return true;
+    if (a === "string" || b === "string") {
+        return ["guid", "date", "datetime", "time"].includes(a === "string" ? b : a);
+    }
+    return (a === "date" && b === "datetime") || (a === "datetime" && b === "date");
+}
@@ -0,0 +1,159 @@
+"use strict";
+/**
+ * Media elements: `Binary` / `LargeBinary` elements annotated with
+ * `@Core.MediaType`. They are left out of row JSON and travel as MCP content
+ * instead: `image` or `audio` items for those media types, and `blob`
+ * resource contents for everything else. Each one is addressed as
+ * `odata://<service>/<name>(<keys>)/<element>`.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.mediaUri = mediaUri;
+exports.mediaLinksFor = mediaLinksFor;
+exports.mediaTypeOf = mediaTypeOf;
+exports.readMedia = readMedia;
+exports.mediaToolContent = mediaToolContent;
+exports.decodeMediaUpload = decodeMediaUpload;
+const row_uri_1 = require("./row-uri");
+/* @ts-ignore */
+const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
+const DEFAULT_MEDIA_TYPE = "application/octet-stream";
+/**
+ * Error for media beyond `media.max_bytes`, in either direction.
+ */
+class MediaTooLargeError extends Error {
+    code;
+    constructor(field, maxBytes) {
+        super(`Media '${field}' exceeds the limit of ${maxBytes} bytes`);
+        this.code = "MEDIA_TOO_LARGE";
+        this.name = "MediaTooLargeError";
+    }
+}
+exports.MediaTooLargeError = MediaTooLargeError;
+/**
+ * URI of one media element of a row, or undefined when the row lacks a key.
+ * @param resAnno - Resource annotation of the entity
+ * @param row - Row carrying the key elements
+ * @param field - Media element name
+ */
+function mediaUri(resAnno, row, field) {
+    const uri = (0, row_uri_1.rowUri)(resAnno, row);
+    return uri && `${uri}/${field}`;
+}
+/**
+ * Media type of a media element for the given row: the fixed
+ * `@Core.MediaType`, else the value of the element it points to.
+ */
+function mediaTypeOf(resAnno, field, row) {
+    const media = resAnno.mediaFields?.get(field);
+    if (media?.mimeType)
+        return media.mimeType;
+    const value = media?.mimeTypeElement ? row?.[media.mimeTypeElement] : undefined;
+    return typeof value === "string" && value.length > 0 ? value : DEFAULT_MEDIA_TYPE;
+}
+/**
+ * `resource_link` items for the media elements of one row.
+ * @param resAnno - Resource annotation of the entity
+ * @param row - Row as read, carrying keys and media type elements
+ */
+function mediaLinksFor(resAnno, row) {
+    const links = [];
+    for (const field of resAnno.mediaFields?.keys() ?? []) {
+        const uri = mediaUri(resAnno, row, field);
+        if (!uri)
+            continue;
+        links.push({
+            type: "resource_link",
+            uri,
+            name: uri.slice(uri.lastIndexOf("/", uri.lastIndexOf("(")) + 1),
+            mimeType: mediaTypeOf(resAnno, field, row),
+        });
+    }
+    return links;
+}
+/**
+ * Collects a media value into a Buffer, stopping as soon as it passes
+ * `maxBytes`. Databases return `LargeBinary` as a stream, `Binary` as a
+ * Buffer, and some drivers as base64.
+ */
+async function toBuffer(value, field, maxBytes) {
+    if (value === null || value === undefined)
+        return undefined;
+    let data;
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        data = Buffer.from(value);
+    }
+    else if (typeof value === "string") {
+        data = Buffer.from(value, "base64");
+    }
+    else if (typeof value[Symbol.asyncIterator] === "function") {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of value) {
+            size += chunk.length;
+            if (size > maxBytes) {
+                value.destroy?.();
+                throw new MediaTooLargeError(field, maxBytes);
+            }
+            chunks.push(Buffer.from(chunk));
+        }
+        data = Buffer.concat(chunks);
+    }
+    else {
+        return undefined;
+    }
+    if (data.length > maxBytes)
+        throw new MediaTooLargeError(field, maxBytes);
+    return data;
+}
+/**
+ * Reads one media element of one row.
+ * @param tx - Service transaction of the caller
+ * @param resAnno - Resource annotation of the entity
+ * @param keys - Key values of the row
+ * @param field - Media element name
+ * @param maxBytes - Largest value returned
+ * @returns `{ row, data, mimeType }`; `row` is null when no row matches and
+ *   `data` undefined when the element is empty
+ * @throws MediaTooLargeError when the value exceeds `maxBytes`
+ */
+async function readMedia(tx, resAnno, keys, field, maxBytes) {
+    const { SELECT } = (global.cds || cds).ql;
+    const mimeTypeElement = resAnno.mediaFields.get(field)?.mimeTypeElement;
+    const columns = [...resAnno.resourceKeys.keys(), field];
+    if (mimeTypeElement)
+        columns.push(mimeTypeElement);
+    const row = await tx.run(SELECT.one.from(resAnno.target).columns(columns).where(keys));
+    if (!row)
+        return { row: null };
+    const data = await toBuffer(row[field], field, maxBytes);
+    return { row, data, mimeType: mediaTypeOf(resAnno, field, row) };
+}
+/**
+ * Tool result content for a media value: `image` and `audio` items for those
+ * media types, an embedded `blob` resource for anything else.
+ * @param uri - Media URI of the value
+ * @param data - Media bytes
+ * @param mimeType - Media type of the value
+ */
+function mediaToolContent(uri, data, mimeType) {
+    const base64 = data.toString("base64");
+    if (mimeType.startsWith("image/"))
+        return { type: "image", data: base64, mimeType };
+    if (mimeType.startsWith("audio/"))
+        return { type: "audio", data: base64, mimeType };
+    return { type: "resource", resource: { uri, mimeType, blob: base64 } };
+}
+/**
+ * Decodes a base64 upload and checks it against the size limit.
+ * @throws MediaTooLargeError when the decoded value exceeds `maxBytes`
+ * @throws Error when the text is not base64
+ */
+function decodeMediaUpload(field, base64, maxBytes) {
+    const text = String(base64).replace(/\s+/g, "");
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text) || text.length % 4 === 1)
+        throw new Error(`Media '${field}' must be base64 encoded`);
+    const data = Buffer.from(text, "base64");
+    if (data.length > maxBytes)
+        throw new MediaTooLargeError(field, maxBytes);
+    return data;
+}
@@ -0,0 +1,171 @@
+"use strict";
+/**
+ * Output schemas for MCP tools, derived from CSN.
+ *
+ * Every field is optional and nullable and every object passes unknown keys
+ * through. The SDK validates `structuredContent` against the schema, and a
+ * row narrowed by `select`, an aggregate row or a declined elicitation must
+ * not fail a call that CAP answered fine. The schemas describe what a field
+ * holds when it is there; they do not promise that it is.
+ *
+ * Tool results follow the convention of {@link asMcpResult}: objects are the
+ * structured content as-is, arrays are wrapped as `{ rows }` and scalars as
+ * `{ value }`.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.entityRowSchema = entityRowSchema;
+exports.wrapperOutputSchema = wrapperOutputSchema;
+exports.operationOutputSchema = operationOutputSchema;
+const zod_1 = require("zod");
+const constants_1 = require("../annotations/constants");
+/**
+ * Maps a CSN scalar element to its JSON output type. Int64 and Decimal come
+ * back as strings on databases that keep their precision (HANA, PostgreSQL).
+ * Binary columns and unknown types get no entry and pass through untyped.
+ */
+function scalarOutputType(el) {
+    switch (el?._type ?? el?.type) {
+        case "cds.String":
+        case "cds.LargeString":
+        case "cds.UUID":
+        case "cds.Date":
+        case "cds.Time":
+        case "cds.DateTime":
+        case "cds.Timestamp":
+            return zod_1.z.string();
+        case "cds.Boolean":
+            return zod_1.z.boolean();
+        case "cds.Integer":
+        case "cds.Int16":
+        case "cds.Int32":
+        case "cds.UInt8":
+        case "cds.Double":
+            return zod_1.z.number();
+        case "cds.Int64":
+        case "cds.Decimal":
+            return zod_1.z.union([zod_1.z.number(), zod_1.z.string()]);
+        default:
+            return undefined;
+    }
+}
+/**
+ * Object schema for one row of an entity (or an inline structured type).
+ * Elements with `@mcp.omit` are left out. With `expand`, associations and
+ * compositions are typed as the expanded target rows — one level deep,
+ * since deeper expansions pass through.
+ * @param def - Linked CSN definition with `elements`
+ * @param defs - Model definitions to resolve navigation targets
+ * @param omitted - Additional element names to leave out
+ */
+function entityRowSchema(def, defs, omitted, expand = true) {
+    const shape = {};
+    for (const [name, el] of Object.entries(def?.elements ?? {})) {
+        if (omitted?.has(name) || el[constants_1.MCP_OMIT_PROP_KEY])
+            continue;
+        let type;
+        if (el.isAssociation) {
+            const target = expand ? defs?.[el.target] : undefined;
+            if (target?.elements) {
+                const row = entityRowSchema(target, defs, undefined, false);
+                type = el.is2many ? zod_1.z.array(row) : row;
+            }
+        }
+        else if (el.items) {
+            const item = scalarOutputType(el.items);
+            type = item && zod_1.z.array(item);
+        }
+        else {
+            type = scalarOutputType(el);
+        }
+        if (!type)
+            continue;
+        const hint = el[constants_1.MCP_HINT_ELEMENT];
+        shape[name] = (hint ? type.describe(hint) : type).nullable().optional();
+    }
+    return zod_1.z.object(shape).passthrough();
+}
+/**
+ * Fields a write wrapper adds to its result for `dryRun: true`.
+ */
+function dryRunShape(row) {
+    return {
+        dryRun: zod_1.z.boolean().optional(),
+        committed: zod_1.z.boolean().optional(),
+        row: row.nullable().optional(),
+        before: row.nullable().optional(),
+        after: row.nullable().optional(),
+        changes: zod_1.z.record(zod_1.z.object({ from: zod_1.z.unknown(), to: zod_1.z.unknown() })).optional(),
+    };
+}
+/**
+ * Output schema for an entity wrapper tool of the given mode, or undefined
+ * when the entity is not in the model.
+ * @param resAnno - Resource annotation of the wrapped entity
+ * @param def - Linked CSN definition of the entity
+ * @param mode - Wrapper mode, e.g. "query", "get", "draft-patch"
+ */
+function wrapperOutputSchema(resAnno, def, mode) {
+    if (!def?.elements)
+        return undefined;
+    const row = entityRowSchema(def, global.cds?.model?.definitions, resAnno.omittedFields);
+    const keys = zod_1.z.record(zod_1.z.unknown()).optional();
+    switch (mode) {
+        case "query":
+            return zod_1.z.object({
+                rows: zod_1.z.array(row).optional().describe("Matching rows; aggregate rows for return: 'aggregate'"),
+                count: zod_1.z.number().optional(),
+                hasMore: zod_1.z.boolean().optional(),
+                nextCursor: zod_1.z.string().nullable().optional(),
+                restricted: zod_1.z.object({ where: zod_1.z.array(zod_1.z.string()) }).optional(),
+                data: zod_1.z.unknown().optional(),
+                plan: zod_1.z.unknown().optional(),
+            }).passthrough();
+        case "get":
+            return row;
+        case "delete":
+            return zod_1.z.object({
+                deleted: zod_1.z.boolean().optional(),
+                affectedRows: zod_1.z.number().nullable().optional(),
+                keys,
+                ...dryRunShape(row),
+            }).passthrough();
+        case "draft-discard":
+            return zod_1.z.object({ discarded: zod_1.z.boolean().optional(), keys, ...dryRunShape(row) }).passthrough();
+        default:
+            return row.extend(dryRunShape(row));
+    }
+}
+/**
+ * Output schema for an `@mcp.tool` operation from its CSN `returns`, or
+ * undefined when the operation returns nothing.
+ * @param model - Tool annotation of the operation
+ */
+function operationOutputSchema(model) {
+    const defs = global.cds?.model?.definitions;
+    const op = model.entityKey
+        ? defs?.[`${model.serviceName}.${model.entityKey}`]?.actions?.[model.target]
+        : defs?.[`${model.serviceName}.${model.target}`];
+    const returns = op?.returns;
+    if (!returns)
+        return undefined;
+    if (returns.items) {
+        const item = returnTypeSchema(returns.items, defs);
+        return item && zod_1.z.object({ rows: zod_1.z.array(item).optional() }).passthrough();
+    }
+    const type = returnTypeSchema(returns, defs);
+    if (type instanceof zod_1.z.ZodObject)
+        return type;
+    return type && zod_1.z.object({ value: type.nullable().optional() }).passthrough();
+}
+/**
+ * Schema for a return type: a row for entities and structured types, the
+ * scalar type otherwise.
+ */
+function returnTypeSchema(type, defs) {
+    const named = typeof type.type === "string" ? defs?.[type.type] : undefined;
+    if (named?.elements)
+        return entityRowSchema(named, defs);
+    if (type.elements)
+        return entityRowSchema(type, defs);
+    return scalarOutputType(type);
+}
@@ -1,67 +1,200 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.assignPromptToServer = assignPromptToServer;
+const zod_1 = require("zod");
 const logger_1 = require("../logger");
 const utils_1 = require("./utils");
-// NOTE: Not satisfied with below implementation, will need to be revised for full effect
+const completions_1 = require("./completions");
+const types_js_1 = require("@modelcontextprotocol/sdk/types.js");
+// @ts-ignore - MCP SDK types may not be present at compile time in all environments
+const completable_js_1 = require("@modelcontextprotocol/sdk/server/completable.js");
+/* @ts-ignore */
+const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
 /*
 annotate CatalogService with @mcp.prompts: [{
-  name      : 'give-me-book-abstract',
-  title     : 'Book Abstract',
-  description: 'Gives an abstract of a book based on the title',
-  template  : 'Search the internet and give me an abstract of the book {{book-id}}', = template
-  inputs    : [{ Inputs = Args
-    key : 'book-id',
-    type: 'String'
-  }]
+  name       : 'review-book',
+  title      : 'Review Book',
+  description: 'Reviews a book against its stock data',
+  inputs     : [
+    { key: 'book', type: 'Integer' },
+    { key: 'tone', type: 'String', optional: true }
+  ],
+  messages   : [
+    { role: 'system', template: 'You review books for a bookshop.' },
+    { role: 'user', resource: 'odata://CatalogService/books({{book}})' },
+    { role: 'user', template: 'Review this book{{#if tone}} in a {{tone}} tone{{/if}}.' }
+  ]
 }];
  */
+const NUMERIC_TYPES = new Set(["Integer", "Int16", "Int32", "Int64", "UInt8", "Decimal", "Double"]);
+// MCP prompt messages only know `user` and `assistant`. `system` messages are
+// sent as `user` messages addressed to the model.
+const SYSTEM_AUDIENCE = { audience: ["assistant"], priority: 1 };
+// Innermost `{{#if x}}…{{else}}…{{/if}}` / `{{#unless x}}…{{/unless}}` section
+const SECTION = /\{\{#(if|unless)\s+([\w.-]+)\s*\}\}((?:(?!\{\{#(?:if|unless)\s)[\s\S])*?)\{\{\/\1\}\}/;
 /**
- * Registers prompt templates from a prompt annotation with the MCP server
- * Each prompt template supports variable substitution using {{variable}} syntax
+ * Registers prompt templates from a prompt annotation with the MCP server.
+ * A prompt is either a single `template` with a `role`, or a list of
+ * `messages`, each with a `template` or an `odata://` `resource` URI. Both
+ * support `{{variable}}` substitution and `{{#if}}` / `{{#unless}}` sections;
+ * messages with `when` are only sent when that input is given.
  * @param model - The prompt annotation containing template definitions and inputs
  * @param server - The MCP server instance to register prompts with
+ * @param authEnabled - Whether value suggestions and embedded resources are read as the caller
  */
-function assignPromptToServer(model, server) {
+function assignPromptToServer(model, server, authEnabled) {
     logger_1.LOGGER.debug("Adding prompt", model);
     for (const prompt of model.prompts) {
-        const inputs = constructInputArgs(prompt.inputs);
+        const inputs = constructInputArgs(prompt.inputs, authEnabled);
+        const names = (prompt.inputs ?? []).map((el) => el.key);
+        const messages = prompt.messages ?? [{ role: prompt.role, template: prompt.template }];
         server.registerPrompt(prompt.name, {
             title: prompt.title,
             description: prompt.description,
             argsSchema: inputs,
-        }, async (args) => {
-            let parsedMsg = prompt.template;
-            for (const [k, v] of Object.entries(args)) {
-                parsedMsg = parsedMsg.replaceAll(`{{${k}}}`, String(v));
+        }, async (...params) => {
+            // The SDK passes `(args, extra)` with an args schema, `(extra)` without.
+            const [args, extra] = inputs ? params : [{}, params[0]];
+            const result = [];
+            for (const message of messages) {
+                if (!sectionApplies(message.when, args))
+                    continue;
+                const role = message.role === "system" ? "user" : message.role;
+                if (message.resource) {
+                    const uri = renderTemplate(message.resource, args, names, encodeUriValue);
+                    for (const resource of await readEmbeddedResource(server, uri, extra)) {
+                        result.push({ role, content: { type: "resource", resource } });
+                    }
+                    continue;
+                }
+                const text = renderTemplate(message.template, args, names, String);
+                if (text.trim().length === 0)
+                    continue;
+                const content = { type: "text", text };
+                if (message.role === "system")
+                    content.annotations = SYSTEM_AUDIENCE;
+                result.push({ role, content });
             }
-            return {
-                messages: [
-                    {
-                        role: prompt.role,
-                        content: {
-                            type: "text",
-                            text: parsedMsg,
-                        },
-                    },
-                ],
-            };
+            return { messages: result };
         });
     }
 }
+/**
+ * Whether a section or message guarded by `name` applies: the input is given
+ * and neither false nor empty. `!name` negates; no guard always applies.
+ */
+function sectionApplies(guard, args) {
+    if (!guard)
+        return true;
+    const negated = guard.startsWith("!");
+    const value = args[negated ? guard.slice(1) : guard];
+    const present = value !== undefined && value !== null && value !== false && value !== "";
+    return negated ? !present : present;
+}
+/**
+ * Resolves the sections of a template, then substitutes `{{name}}` for the
+ * declared inputs; inputs not given become empty. Other `{{…}}` stay as is.
+ * @param format - Turns an input value into text
+ */
+function renderTemplate(template, args, names, format) {
+    let text = String(template ?? "");
+    for (let match = SECTION.exec(text); match; match = SECTION.exec(text)) {
+        const [section, kind, name, body] = match;
+        const elseAt = body.indexOf("{{else}}");
+        const [then, otherwise] = elseAt < 0 ? [body, ""] : [body.slice(0, elseAt), body.slice(elseAt + 8)];
+        const applies = sectionApplies(kind === "if" ? name : `!${name}`, args);
+        text = text.replace(section, () => (applies ? then : otherwise));
+    }
+    for (const name of names) {
+        const value = args[name];
+        text = text.replaceAll(`{{${name}}}`, value === undefined || value === null ? "" : format(value));
+    }
+    return text;
+}
+/**
+ * Encodes a value for an `odata://` URI the way row URIs quote key strings
+ * (see ./row-uri): percent-encoded, with `'` doubled.
+ */
+function encodeUriValue(value) {
+    return encodeURIComponent(String(value)).replace(/'/g, "''");
+}
+/**
+ * Reads an `odata://` resource for embedding into a prompt, through the
+ * same callbacks as `resources/read` and therefore under the caller's
+ * rights.
+ * @returns The resource contents
+ * @throws McpError when no resource matches or the read fails
+ */
+async function readEmbeddedResource(server, uri, extra) {
+    let result;
+    try {
+        const url = new URL(uri);
+        const fixed = server._registeredResources?.[url.toString()];
+        if (fixed?.enabled) {
+            result = await fixed.readCallback(url, extra);
+        }
+        else {
+            for (const template of Object.values(server._registeredResourceTemplates ?? {})) {
+                const variables = template.resourceTemplate.uriTemplate.match(url.toString());
+                if (variables) {
+                    result = await template.readCallback(url, variables, extra);
+                    break;
+                }
+            }
+        }
+    }
+    catch (error) {
+        throw new types_js_1.McpError(types_js_1.ErrorCode.InvalidParams, `Resource ${uri} could not be read: ${error?.message || String(error)}`);
+    }
+    if (!result)
+        throw new types_js_1.McpError(types_js_1.ErrorCode.InvalidParams, `Resource ${uri} not found`);
+    const failed = result.contents.find((c) => typeof c.text === "string" && c.text.startsWith("ERROR:"));
+    if (failed)
+        throw new types_js_1.McpError(types_js_1.ErrorCode.InvalidParams, `Resource ${uri} could not be read: ${failed.text.slice(6).trim()}`);
+    return result.contents;
+}
 /**
  * Builds Zod schema definitions for prompt input parameters
- * Converts CDS type strings to appropriate Zod validation schemas
+ * Converts CDS type strings to appropriate Zod validation schemas; inputs
+ * with suggestions (see {@link promptInputCompleter}) become completable.
+ * Prompt arguments always arrive as text, so numeric and Boolean inputs are
+ * converted before validation; `optional: true` inputs may be left out.
  * @param inputs - Array of prompt input parameter definitions
+ * @param authEnabled - Whether value suggestions are read as the caller
  * @returns Record mapping parameter names to Zod schemas, or undefined if no inputs
  */
-function constructInputArgs(inputs) {
+function constructInputArgs(inputs, authEnabled) {
     // Not happy with using any here, but zod types are hard to figure out....
     if (!inputs || inputs.length <= 0)
         return undefined;
     const result = {};
     for (const el of inputs) {
-        result[el.key] = (0, utils_1.determineMcpParameterType)(el.type);
+        // Inputs typed with a CSN type (e.g. an enum type) take its constraints.
+        const typeDef = (global.cds || cds).model?.definitions?.[el.type];
+        const baseType = typeDef ? String(typeDef._type ?? typeDef.type ?? "").replace(/^cds\./, "") : el.type;
+        let schema = fromPromptText((0, utils_1.constrainToElement)((0, utils_1.determineMcpParameterType)(baseType), typeDef), baseType);
+        if (el.optional)
+            schema = schema.optional();
+        if (el.description)
+            schema = schema.describe(el.description);
+        const complete = (0, completions_1.promptInputCompleter)(el, authEnabled);
+        // describe() copies the schema, so shared instances are never marked
+        result[el.key] = complete
+            ? (0, completable_js_1.completable)(schema.describe(schema.description), complete)
+            : schema;
     }
     return result;
 }
+/**
+ * Converts prompt argument text to the number or Boolean the input's schema
+ * expects; anything else is validated as given.
+ */
+function fromPromptText(schema, baseType) {
+    if (NUMERIC_TYPES.has(baseType)) {
+        return zod_1.z.preprocess((v) => (typeof v === "string" && v.trim() !== "" && !Number.isNaN(Number(v)) ? Number(v) : v), schema);
+    }
+    if (baseType === "Boolean") {
+        return zod_1.z.preprocess((v) => (v === "true" ? true : v === "false" ? false : v), schema);
+    }
+    return schema;
+}
@@ -1,6 +1,8 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.assignResourceToServer = assignResourceToServer;
+exports.installResourceListPaging = installResourceListPaging;
+const types_js_1 = require("@modelcontextprotocol/sdk/types.js");
 const custom_resource_template_1 = require("./custom-resource-template");
 const logger_1 = require("../logger");
 const utils_1 = require("./utils");
@@ -8,6 +10,11 @@ const validation_1 = require("./validation");
 const utils_2 = require("../auth/utils");
 const expand_parser_1 = require("./expand-parser");
 const loader_1 = require("../config/loader");
+const cursor_1 = require("./cursor");
+const row_uri_1 = require("./row-uri");
+const entity_tools_1 = require("./entity-tools");
+const completions_1 = require("./completions");
+const media_1 = require("./media");
 /* @ts-ignore */
 const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
 async function resolveServiceInstance(serviceName) {
@@ -34,6 +41,11 @@ async function resolveServiceInstance(serviceName) {
  */
 function assignResourceToServer(model, server, authEnabled) {
     logger_1.LOGGER.debug("Adding resource", model);
+    if (model.resourceKeys?.size > 0) {
+        registerRowResource(model, server, authEnabled);
+        if (model.mediaFields?.size > 0)
+            registerMediaResource(model, server, authEnabled);
+    }
     if (model.functionalities.size <= 0) {
         registerStaticResource(model, server, authEnabled);
         return;
@@ -47,6 +59,7 @@ function assignResourceToServer(model, server, authEnabled) {
     const resourceTemplateUri = `odata://${model.serviceName}/${model.name}${templateParams}`;
     const template = new custom_resource_template_1.CustomResourceTemplate(resourceTemplateUri, {
         list: undefined,
+        complete: (0, completions_1.collectionCompleters)(model, authEnabled),
     });
     server.registerResource(model.name, template, // Type assertion to bypass strict type checking - necessary due to broken URI parser in the MCP SDK
     { title: model.target, description: detailedDescription }, async (uri, variables) => {
@@ -56,11 +69,14 @@ function assignResourceToServer(model, server, authEnabled) {
             logger_1.LOGGER.error(`Invalid service found for service '${model.serviceName}'`);
             throw new Error(`Invalid service found for service '${model.serviceName}'`);
         }
+        const modelDefs = (global.cds || cds).model?.definitions ?? {};
+        const entityDef = modelDefs[`${model.serviceName}.${model.target}`] || modelDefs[model.target];
         // Create validator with entity properties
-        const validator = new validation_1.ODataQueryValidator(model.properties);
+        const validator = new validation_1.ODataQueryValidator(model.properties, { entityDef, modelDefs });
         // Validate and build query with secure parameter handling
         let query;
         let selectedColumns;
+        let includeCount = false;
         try {
             query = SELECT.from(model.target).limit(queryParameters.top
                 ? validator.validateTop(queryParameters.top)
@@ -73,10 +89,7 @@ function assignResourceToServer(model, server, authEnabled) {
                     continue;
                 switch (k) {
                     case "filter":
-                        // BUG: If filter value is e.g. "filter=1234" the value 1234 will go through
-                        const validatedFilter = validator.validateFilter(v);
-                        const expression = (global.cds || cds).parse.expr(validatedFilter);
-                        query.where(expression);
+                        query.where(validator.validateFilter(v));
                         continue;
                     case "select":
                         selectedColumns = validator.validateSelect(v);
@@ -85,6 +98,9 @@ function assignResourceToServer(model, server, authEnabled) {
                         const validatedOrderBy = validator.validateOrderBy(v);
                         query.orderBy(validatedOrderBy);
                         continue;
+                    case "count":
+                        includeCount = validator.validateCount(v);
+                        continue;
                     default:
                         continue;
                 }
@@ -92,8 +108,6 @@ function assignResourceToServer(model, server, authEnabled) {
             // Resolve expand AFTER filter/select/orderby so the CQN columns
             // list can merge user-selected scalars with expand column specs.
             const runtimeCfg = (0, loader_1.loadConfiguration)();
-            const modelDefs = (global.cds || cds).model?.definitions ?? {};
-            const entityDef = modelDefs[`${model.serviceName}.${model.target}`] || modelDefs[model.target];
             const expandColumns = (0, expand_parser_1.resolveExpand)({
                 userExpand: queryParameters.expand,
                 defaultMode: model.expandMode ?? runtimeCfg.expand.default,
@@ -121,8 +135,22 @@ function assignResourceToServer(model, server, authEnabled) {
         }
         try {
             const accessRights = (0, utils_2.getAccessRights)(authEnabled);
-            const response = await service.tx({ user: accessRights }).run(query);
+            const countQuery = includeCount ? (0, entity_tools_1.buildCountQuery)(cds, query) : undefined;
+            const [response, total] = await service.tx({ user: accessRights }, async (tx) => [
+                await tx.run(query),
+                countQuery ? await (0, entity_tools_1.runCountQuery)(tx, countQuery) : undefined,
+            ]);
             const result = response?.map((el) => (0, utils_1.applyOmissionFilter)(el, model));
+            if (countQuery) {
+                return {
+                    contents: [
+                        {
+                            uri: uri.href,
+                            text: JSON.stringify({ "@odata.count": total, value: result ?? [] }),
+                        },
+                    ],
+                };
+            }
             return {
                 contents: [
                     {
@@ -145,6 +173,169 @@ function assignResourceToServer(model, server, authEnabled) {
         }
     });
 }
+/**
+ * Registers the per-row template `odata://<service>/<name>({keys})`. Rows are
+ * read through the same path as the `_get` wrapper tool (see
+ * {@link readByKeys}), so expansion defaults, `@mcp.omit`, `@odata.etag` and
+ * authorization behave the same.
+ * @param model - The resource annotation of the entity
+ * @param server - The MCP server instance to register with
+ */
+function registerRowResource(model, server, authEnabled) {
+    const template = new custom_resource_template_1.CustomResourceTemplate(new custom_resource_template_1.CustomRowUriTemplate(`odata://${model.serviceName}/${model.name}`), {
+        list: model.list ? rowListCallback(model, authEnabled) : undefined,
+        complete: { keys: (0, completions_1.rowKeyCompleter)(model, authEnabled) },
+    });
+    const keyList = Array.from(model.resourceKeys.keys()).join(", ");
+    server.registerResource(`${model.name}-row`, template, {
+        title: `${model.target} by key`,
+        description: `One ${model.target}, addressed by its key(s) ${keyList} as an OData key predicate, e.g. (42), ('abc') or (ID=42,locale='en').`,
+        mimeType: "application/json",
+    }, async (uri, variables) => {
+        let keys;
+        try {
+            keys = (0, row_uri_1.parseKeyPredicate)(model, String(variables.keys ?? ""));
+        }
+        catch (error) {
+            return { contents: [{ uri: uri.href, text: `ERROR: Invalid key - ${error.message}` }] };
+        }
+        const result = await (0, entity_tools_1.readByKeys)(model, keys, authEnabled, undefined, uri.href);
+        if (result.isError) {
+            const { error, message } = JSON.parse(result.content[0].text);
+            return { contents: [{ uri: uri.href, text: `ERROR: ${error} - ${message}` }] };
+        }
+        return { contents: [{ uri: uri.href, mimeType: "application/json", text: result.content[0].text }] };
+    });
+}
+/**
+ * Registers the media template `odata://<service>/<name>({keys})/{field}`
+ * for entities with `@Core.MediaType` elements. The element is returned as
+ * `blob` contents with its media type, read as the caller and capped at
+ * `media.max_bytes`.
+ * @param model - The resource annotation of the entity
+ * @param server - The MCP server instance to register with
+ */
+function registerMediaResource(model, server, authEnabled) {
+    const fields = Array.from(model.mediaFields.keys());
+    const template = new custom_resource_template_1.CustomResourceTemplate(new custom_resource_template_1.CustomMediaUriTemplate(`odata://${model.serviceName}/${model.name}`), {
+        list: undefined,
+        complete: {
+            keys: (0, completions_1.rowKeyCompleter)(model, authEnabled),
+            field: (value) => fields.filter((f) => f.startsWith(String(value ?? ""))),
+        },
+    });
+    server.registerResource(`${model.name}-media`, template, {
+        title: `${model.target} media`,
+        description: `Media element (${fields.join(", ")}) of one ${model.target}, addressed by its key predicate and element name.`,
+    }, async (uri, variables) => {
+        const field = String(variables.field ?? "");
+        let keys;
+        try {
+            if (!model.mediaFields.has(field))
+                throw new Error(`'${field}' is not a media element of ${model.target}`);
+            keys = (0, row_uri_1.parseKeyPredicate)(model, String(variables.keys ?? ""));
+        }
+        catch (error) {
+            return { contents: [{ uri: uri.href, text: `ERROR: Invalid media URI - ${error.message}` }] };
+        }
+        try {
+            const service = await (0, entity_tools_1.resolveServiceInstance)(model.serviceName);
+            if (!service)
+                throw new Error(`Service not found: ${model.serviceName}`);
+            const maxBytes = (0, loader_1.loadConfiguration)().media.max_bytes;
+            const { row, data, mimeType } = await service.tx({ user: (0, utils_2.getAccessRights)(authEnabled) }, (tx) => (0, media_1.readMedia)(tx, model, keys, field, maxBytes));
+            if (!row)
+                return { contents: [{ uri: uri.href, text: `ERROR: NOT_FOUND - No ${model.target} found for keys ${JSON.stringify(keys)}` }] };
+            return { contents: [{ uri: uri.href, mimeType, blob: (data ?? Buffer.alloc(0)).toString("base64") }] };
+        }
+        catch (error) {
+            return { contents: [{ uri: uri.href, text: `ERROR: ${error.code ?? "MEDIA_READ_FAILED"} - ${error.message}` }] };
+        }
+    });
+}
+/**
+ * Element holding a row's display title: the path in
+ * `@UI.HeaderInfo.Title.Value`, if it names an element of the entity.
+ */
+function headerTitleElement(def) {
+    const value = def?.["@UI.HeaderInfo.Title.Value"] ?? def?.["@UI.HeaderInfo"]?.Title?.Value;
+    const path = typeof value === "string" ? value : value?.["="];
+    return typeof path === "string" && def.elements?.[path] ? path : undefined;
+}
+/**
+ * List callback for the row template of an `@mcp.resource.list` entity.
+ * Enumerates row URIs in key order, at most `model.list.max` rows in total,
+ * `extra.limit` per call. The inner cursor is a signed keyset cursor (see
+ * ./cursor) holding the keys of the last listed row and the number of rows
+ * listed so far, so rows inserted or deleted between pages do not shift the
+ * window. Titles come from `@UI.HeaderInfo.Title.Value`, else from the
+ * entity's `@title` and the row's keys. Rows are read as the caller, so
+ * `@restrict` applies; callers who may not read the entity get no rows.
+ * @param model - The resource annotation of the entity
+ */
+function rowListCallback(model, authEnabled) {
+    const scope = `${LIST_CURSOR_SCOPE}:${model.serviceName}.${model.name}`;
+    const keyNames = Array.from(model.resourceKeys.keys());
+    const sort = keyNames.map((field) => ({ field, dir: "asc" }));
+    return async (extra) => {
+        let after;
+        let listed = 0;
+        if (extra?.cursor) {
+            try {
+                const payload = (0, cursor_1.decodeCursor)(scope, extra.cursor);
+                if (!Array.isArray(payload.k) || payload.k.length !== sort.length)
+                    throw new cursor_1.CursorError("malformed cursor");
+                after = payload.k;
+                listed = Number(payload.n) || 0;
+            }
+            catch (e) {
+                throw new types_js_1.McpError(types_js_1.ErrorCode.InvalidParams, e?.message || String(e));
+            }
+        }
+        const count = Math.min(extra?.limit ?? model.list.max, model.list.max - listed);
+        if (count <= 0)
+            return { resources: [] };
+        const service = await resolveServiceInstance(model.serviceName);
+        if (!service) {
+            logger_1.LOGGER.error(`Invalid service found for service '${model.serviceName}'`);
+            return { resources: [] };
+        }
+        const modelDefs = (global.cds || cds).model?.definitions ?? {};
+        const entityDef = modelDefs[`${model.serviceName}.${model.target}`] || modelDefs[model.target];
+        const titleElement = headerTitleElement(entityDef);
+        const label = entityDef?.["@title"] ?? model.target;
+        // One extra row tells whether another page exists.
+        const query = SELECT.from(model.target)
+            .columns(titleElement && !keyNames.includes(titleElement) ? [...keyNames, titleElement] : keyNames)
+            .orderBy(keyNames.map((k) => `${k} asc`).join(", "))
+            .limit(count + 1);
+        if (after)
+            query.where((0, cursor_1.buildKeysetPredicate)(sort, after));
+        let rows;
+        try {
+            const accessRights = (0, utils_2.getAccessRights)(authEnabled);
+            rows = await service.tx({ user: accessRights }, (tx) => tx.run(query));
+        }
+        catch (e) {
+            logger_1.LOGGER.debug(`Listing rows of ${model.target} skipped: ${e?.message || e}`);
+            return { resources: [] };
+        }
+        const page = rows.slice(0, count);
+        const resources = [];
+        for (const row of page) {
+            const uri = (0, row_uri_1.rowUri)(model, row);
+            if (!uri)
+                continue;
+            const predicate = uri.slice(uri.lastIndexOf("("));
+            const title = titleElement && row[titleElement] != null ? String(row[titleElement]) : `${label} ${predicate}`;
+            resources.push({ uri, name: `${model.name}${predicate}`, title, mimeType: "application/json" });
+        }
+        const next = listed + count;
+        return rows.length > count && next < model.list.max
+            ? { resources, nextCursor: (0, cursor_1.encodeCursor)(scope, { k: keyNames.map((k) => page[page.length - 1][k]), n: next }) }
+            : { resources };
+    };
+}
 /**
  * Registers a static resource without OData query functionality
  * Used when no query functionalities are configured for the resource
@@ -212,3 +403,80 @@ function registerStaticResource(model, server, authEnabled) {
         }
     });
 }
+const LIST_CURSOR_SCOPE = "resources/list";
+/**
+ * Replaces the SDK's `resources/list` handler with a paginated one. The SDK
+ * handler ignores `params.cursor` and returns every static resource plus the
+ * full output of every template list callback in one response.
+ *
+ * Sources are walked in registration order: static resources first, then
+ * the templates that carry a list callback. The position between pages is a
+ * signed cursor (see ./cursor) holding the source index, the offset into the
+ * static list, and the template's own inner cursor. Template list callbacks
+ * receive that inner cursor and the remaining page size as `extra.cursor` /
+ * `extra.limit`; when one returns a `nextCursor`, the page closes there and
+ * the next request resumes inside that template.
+ * @param server - MCP server whose resources are already registered
+ */
+function installResourceListPaging(server) {
+    if (!server?._resourceHandlersInitialized)
+        return;
+    server.server.setRequestHandler(types_js_1.ListResourcesRequestSchema, async (request, extra) => {
+        const pageSize = (0, loader_1.loadConfiguration)().pagination.list_page_size;
+        const sources = [
+            {
+                items: Object.entries(server._registeredResources ?? {})
+                    .filter(([, resource]) => resource.enabled)
+                    .map(([uri, resource]) => ({ uri, name: resource.name, ...resource.metadata })),
+            },
+            ...Object.values(server._registeredResourceTemplates ?? {})
+                .filter((template) => template.resourceTemplate.listCallback)
+                .map((template) => ({
+                list: template.resourceTemplate.listCallback,
+                metadata: template.metadata,
+            })),
+        ];
+        let position = { s: 0, o: 0 };
+        if (request.params?.cursor) {
+            try {
+                position = (0, cursor_1.decodeCursor)(LIST_CURSOR_SCOPE, request.params.cursor);
+            }
+            catch (e) {
+                throw new types_js_1.McpError(types_js_1.ErrorCode.InvalidParams, e?.message || String(e));
+            }
+        }
+        let sourceIndex = Number(position.s) || 0;
+        let offset = Number(position.o) || 0;
+        let inner = position.c;
+        const resources = [];
+        while (sourceIndex < sources.length && resources.length < pageSize) {
+            const source = sources[sourceIndex];
+            if (source.items) {
+                const slice = source.items.slice(offset, offset + pageSize - resources.length);
+                resources.push(...slice);
+                offset += slice.length;
+                if (offset >= source.items.length) {
+                    sourceIndex++;
+                    offset = 0;
+                }
+                continue;
+            }
+            const result = await source.list({ ...extra, cursor: inner, limit: pageSize - resources.length });
+            for (const resource of result?.resources ?? []) {
+                resources.push({ ...source.metadata, ...resource });
+            }
+            if (result?.nextCursor) {
+                inner = result.nextCursor;
+                break;
+            }
+            sourceIndex++;
+            inner = undefined;
+        }
+        if (sourceIndex >= sources.length)
+            return { resources };
+        return {
+            resources,
+            nextCursor: (0, cursor_1.encodeCursor)(LIST_CURSOR_SCOPE, { s: sourceIndex, o: offset, c: inner }),
+        };
+    });
+}
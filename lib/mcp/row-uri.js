@@ -0,0 +1,130 @@
+"use strict";
+/**
+ * Per-row resource URIs: `odata://<service>/<name>(<keys>)`, with the keys
+ * written as an OData key predicate — `books(1)` for a single key,
+ * `texts(ID=1,locale='en')` for several. Strings are quoted with `'` (doubled
+ * inside the value) and percent-encoded; numbers, booleans and UUIDs are
+ * bare.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.rowUri = rowUri;
+exports.parseKeyPredicate = parseKeyPredicate;
+exports.resourceLinksFor = resourceLinksFor;
+const NUMERIC_KEY_TYPES = new Set(["Integer", "Int16", "Int32", "Int64", "UInt8", "Decimal", "Double"]);
+// Links are a convenience for pinning rows; a page larger than this gets
+// links for its first rows only.
+const MAX_RESOURCE_LINKS = 100;
+function formatKeyLiteral(value, cdsType) {
+    if (NUMERIC_KEY_TYPES.has(cdsType) || cdsType === "Boolean" || cdsType === "UUID")
+        return encodeURIComponent(String(value));
+    return `'${encodeURIComponent(String(value)).replace(/'/g, "''")}'`;
+}
+function parseKeyLiteral(raw, name, cdsType) {
+    const quoted = /^'(.*)'$/s.exec(raw);
+    const text = decodeURIComponent(quoted ? quoted[1].replace(/''/g, "'") : raw);
+    if (NUMERIC_KEY_TYPES.has(cdsType)) {
+        if (quoted || text.trim() === "" || Number.isNaN(Number(text)))
+            throw new Error(`Key '${name}' must be a number, got ${raw}`);
+        const n = Number(text);
+        // Keep Int64 / Decimal values beyond JS precision as strings.
+        return Number.isSafeInteger(n) || !/^-?\d+$/.test(text) ? n : text;
+    }
+    if (cdsType === "Boolean") {
+        if (text !== "true" && text !== "false")
+            throw new Error(`Key '${name}' must be true or false, got ${raw}`);
+        return text === "true";
+    }
+    if (!quoted && cdsType !== "UUID")
+        throw new Error(`Key '${name}' must be a quoted string, got ${raw}`);
+    return text;
+}
+/**
+ * Splits a key predicate at the commas outside quoted strings.
+ */
+function splitPredicate(predicate) {
+    const parts = [];
+    let current = "";
+    let inQuote = false;
+    for (const ch of predicate) {
+        if (ch === "'")
+            inQuote = !inQuote;
+        if (ch === "," && !inQuote) {
+            parts.push(current);
+            current = "";
+            continue;
+        }
+        current += ch;
+    }
+    parts.push(current);
+    return parts;
+}
+/**
+ * URI of one row of a resource, or undefined when the row lacks a key value
+ * (e.g. narrowed by `select`, or an aggregate row).
+ * @param resAnno - Resource annotation of the entity
+ * @param row - Row carrying the key elements
+ */
+function rowUri(resAnno, row) {
+    const keys = Array.from(resAnno.resourceKeys?.entries() ?? []);
+    if (keys.length === 0 || !row || typeof row !== "object")
+        return undefined;
+    if (keys.some(([name]) => row[name] === undefined || row[name] === null))
+        return undefined;
+    const predicate = keys.length === 1
+        ? formatKeyLiteral(row[keys[0][0]], keys[0][1])
+        : keys.map(([name, type]) => `${name}=${formatKeyLiteral(row[name], type)}`).join(",");
+    return `odata://${resAnno.serviceName}/${resAnno.name}(${predicate})`;
+}
+/**
+ * Parses the text between the parentheses of a row URI into a keys object.
+ * A single-key entity accepts the bare value as well as `key=value`.
+ * Draft roots may leave out `IsActiveEntity`.
+ * @param resAnno - Resource annotation of the entity
+ * @param predicate - e.g. `1` or `ID=1,locale='en'`
+ * @throws Error naming the offending key when the predicate does not fit
+ */
+function parseKeyPredicate(resAnno, predicate) {
+    const keyTypes = resAnno.resourceKeys ?? new Map();
+    const parts = splitPredicate(predicate);
+    const keys = {};
+    if (keyTypes.size === 1 && parts.length === 1 && !/^[A-Za-z_]\w*=/.test(parts[0])) {
+        const [[name, type]] = keyTypes.entries();
+        keys[name] = parseKeyLiteral(parts[0], name, type);
+        return keys;
+    }
+    for (const part of parts) {
+        const eq = part.indexOf("=");
+        const name = eq > 0 ? part.slice(0, eq) : "";
+        if (!keyTypes.has(name))
+            throw new Error(`Unknown key '${name || part}' for ${resAnno.target}`);
+        keys[name] = parseKeyLiteral(part.slice(eq + 1), name, keyTypes.get(name));
+    }
+    for (const name of keyTypes.keys()) {
+        if (keys[name] === undefined && name !== "IsActiveEntity")
+            throw new Error(`Missing key '${name}'`);
+    }
+    return keys;
+}
+/**
+ * `resource_link` content items pointing at the given rows, for clients that
+ * want to pin or re-read them via `resources/read`.
+ * @param resAnno - Resource annotation of the entity
+ * @param rows - Result rows; rows without all key values are skipped
+ */
+function resourceLinksFor(resAnno, rows) {
+    const links = [];
+    for (const row of rows) {
+        if (links.length >= MAX_RESOURCE_LINKS)
+            break;
+        const uri = rowUri(resAnno, row);
+        if (!uri)
+            continue;
+        links.push({
+            type: "resource_link",
+            uri,
+            name: uri.slice(uri.lastIndexOf("/") + 1),
+            mimeType: "application/json",
+        });
+    }
+    return links;
+}
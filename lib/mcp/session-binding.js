@@ -0,0 +1,56 @@
+"use strict";
+/**
+ * Binds MCP sessions to the caller that initialized them: the principal id,
+ * the tenant, and a SHA-256 hash of the token's `sub` and `azp` claims. The
+ * stores record the binding when a session is created and compare it on
+ * every later request, so a leaked or guessed session ID is useless to
+ * anyone else.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.currentBinding = currentBinding;
+exports.bindingMatches = bindingMatches;
+const crypto_1 = require("crypto");
+/* @ts-ignore */
+const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
+/**
+ * Claims of the caller's token, when CAP's jwt / xsuaa / ias middleware
+ * authenticated the request.
+ */
+function tokenPayload(user) {
+    try {
+        return user?.authInfo?.token?.getPayload?.() ?? user?.tokenInfo?.getPayload?.();
+    }
+    catch {
+        return undefined;
+    }
+}
+/**
+ * Binding of the current `cds.context`. Requests without a user (auth
+ * `none`) bind to `anonymous`.
+ * @returns `{ principal, tenant, subject_hash }`, named like the session
+ *   entity's columns; `subject_hash` is null without a token
+ */
+function currentBinding() {
+    const ctx = (global.cds || cds).context;
+    const user = ctx?.user;
+    const payload = tokenPayload(user);
+    const client = payload?.azp ?? payload?.cid ?? payload?.client_id ?? "";
+    return {
+        principal: user?.id ?? "anonymous",
+        tenant: ctx?.tenant ?? user?.tenant ?? null,
+        subject_hash: payload?.sub
+            ? (0, crypto_1.createHash)("sha256").update(`${payload.sub}\n${client}`).digest("hex")
+            : null,
+    };
+}
+/**
+ * Whether a request with binding `current` may use a session bound to
+ * `bound`. Sessions without a binding match nobody.
+ */
+function bindingMatches(bound, current) {
+    if (!bound?.principal)
+        return false;
+    return bound.principal === current.principal &&
+        (bound.tenant ?? null) === (current.tenant ?? null) &&
+        (bound.subject_hash ?? null) === (current.subject_hash ?? null);
+}
@@ -7,9 +7,14 @@ exports.McpSessionManager = void 0;
 exports.createSessionStore = createSessionStore;
 const streamableHttp_js_1 = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
 const crypto_1 = require("crypto");
+const os_1 = require("os");
 const env_sanitizer_1 = require("../config/env-sanitizer");
 const logger_1 = require("../logger");
 const factory_1 = require("./factory");
+const subscriptions_1 = require("./subscriptions");
+const event_bus_1 = require("./event-bus");
+const event_store_1 = require("./event-store");
+const session_binding_1 = require("./session-binding");
 /* @ts-ignore */
 const cds = global.cds || require("@sap/cds");
 // Idle sessions are reaped after this many ms of inactivity.
@@ -21,47 +26,125 @@ const DEFAULT_SESSION_SWEEP_MS = 5 * 60 * 1000;
 // Hard cap to bound memory even under session churn (e.g. buggy clients
 // that never send DELETE and initialize new sessions on every call).
 const DEFAULT_SESSION_MAX = 256;
+// Name of this app instance in session listings: the Cloud Foundry instance
+// GUID where available, else host and process ID.
+const INSTANCE_ID = process.env.CF_INSTANCE_GUID || `${(0, os_1.hostname)()}:${process.pid}`;
 
 /**
  * Shared constructor configuration for the StreamableHTTPServerTransport used
- * by both stores. The plugin relies on JSON response mode (enableJsonResponse)
- * so every POST /mcp is self-contained — this is what makes DB-backed session
- * sharing across instances feasible in the first place (SSE streams are
- * inherently sticky to the instance that opened them).
+ * by both stores. JSON response mode (enableJsonResponse) makes every
+ * POST /mcp self-contained. Without it POST responses are SSE streams, which
+ * still end with their request; only the standalone GET stream is sticky to
+ * one instance, and the stores' event bus carries notifications to it.
  */
 function resolveEnableJson() {
     return (0, env_sanitizer_1.getSafeEnvVar)("MCP_ENABLE_JSON", "true") === "true" ||
         (0, env_sanitizer_1.isTestEnvironment)();
 }
 
-/** Factory shared by both stores to build a live server+transport pair. */
-function buildServerAndTransport(config, annotations, sessionIdGenerator, onSessionInit) {
-    const server = (0, factory_1.createMcpServer)(config, annotations);
+/**
+ * Factory shared by the stores to build a live server+transport pair.
+ * @param options - `subscriptions` of the store; `onHandshake`, which
+ *   receives what the client negotiated at `initialize`; `eventBus`, which
+ *   takes the notifications the transport cannot deliver itself; and
+ *   `eventStore`, which keeps stream events for `Last-Event-ID` resumption
+ */
+function buildServerAndTransport(config, annotations, sessionIdGenerator, onSessionInit, options = {}) {
+    const { subscriptions, onHandshake, eventBus, eventStore } = options;
+    const server = (0, factory_1.createMcpServer)(config, annotations, subscriptions);
     const enableJson = resolveEnableJson();
     const transport = new streamableHttp_js_1.StreamableHTTPServerTransport({
         sessionIdGenerator,
         enableJsonResponse: enableJson,
         onsessioninitialized: onSessionInit,
+        eventStore: eventStore && (0, event_store_1.scopedEventStore)(eventStore, () => transport.sessionId),
     });
+    if (onHandshake)
+        captureHandshake(server, onHandshake);
+    if (eventBus)
+        (0, event_bus_1.routeNotifications)(transport, eventBus);
     return { server, transport, enableJson };
 }
 
+/**
+ * Reports the `initialize` handshake of a server's client: the negotiated
+ * protocol version, the client capabilities and clientInfo. The SDK keeps
+ * the latter two on the low-level Server but not the protocol version, so
+ * its initialize handler (dispatched through `this._oninitialize`) is
+ * wrapped.
+ */
+function captureHandshake(server, onHandshake) {
+    const inner = server.server;
+    const oninitialize = inner._oninitialize.bind(inner);
+    inner._oninitialize = async (request) => {
+        const result = await oninitialize(request);
+        await onHandshake({
+            protocolVersion: result.protocolVersion,
+            capabilities: request.params.capabilities ?? {},
+            clientInfo: request.params.clientInfo,
+        });
+        return result;
+    };
+}
+
+/**
+ * Restores a stored handshake onto a rehydrated server, so capability checks
+ * (elicitation, sampling, roots) see what the client negotiated.
+ */
+function restoreHandshake(server, handshake) {
+    server.server._clientCapabilities = handshake.capabilities;
+    server.server._clientVersion = handshake.clientInfo;
+}
+
+/** ISO timestamp of an epoch value, or null. */
+function isoOf(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Whether the caller of the current request may use a session bound to
+ * `bound` (see ./session-binding). Mismatches are logged and then treated
+ * like an unknown session ID, so the client has to initialize a new one.
+ */
+function admitsCaller(bound, sessionID) {
+    const current = (0, session_binding_1.currentBinding)();
+    if ((0, session_binding_1.bindingMatches)(bound, current))
+        return true;
+    logger_1.LOGGER.warn(`[SESSION-STORE] Rejected session ${sessionID}: bound to another principal or tenant`, { principal: current.principal, tenant: current.tenant });
+    return false;
+}
+
 /**
  * In-memory session store. Holds server/transport pairs in a per-process
  * Map. Keeps the exact behavior of the original McpSessionManager:
  *   - Sessions carry a last-access timestamp refreshed on every getSession
  *   - An interval sweeper removes sessions idle longer than TTL
  *   - A hard cap evicts the LRU session to prevent unbounded growth
+ *   - Sessions only serve the principal and tenant that initialized them
  *
  * Suitable for single-instance deployments or any topology with sticky
  * routing. Multi-instance deployments behind a round-robin LB need the
  * DbSessionStore instead.
+ *
+ * With `options.subscribe`, resource subscriptions are kept next to the
+ * sessions and dropped whenever a session is removed. Notifications go
+ * through an in-process event bus unless `options.eventBus` names another
+ * one; see ./event-bus. Stream events are kept in memory for resumption
+ * unless `options.eventStore` names another store; see ./event-store.
  */
 class InMemorySessionStore {
     sessions;
     sweepTimer;
-    constructor() {
+    subscriptions;
+    eventBus;
+    eventStore;
+    constructor(options) {
         this.sessions = new Map();
+        this.subscriptions = options?.subscribe
+            ? new subscriptions_1.InMemoryResourceSubscriptions(this.sessions)
+            : undefined;
+        this.eventBus = (0, event_bus_1.createEventBus)(options?.eventBus ?? "memory", this.sessions, {});
+        this.eventStore = (0, event_store_1.createEventStore)(options?.eventStore ?? "memory", {});
         const sweepMs = Number((0, env_sanitizer_1.getSafeEnvVar)("CDS_MCP_SESSION_SWEEP_MS", String(DEFAULT_SESSION_SWEEP_MS))) || DEFAULT_SESSION_SWEEP_MS;
         this.sweepTimer = setInterval(() => this.reap(), sweepMs);
         this.sweepTimer?.unref?.();
@@ -69,16 +152,34 @@ class InMemorySessionStore {
     getSessions() {
         return this.sessions;
     }
+    /**
+     * Sessions of this process for the admin API, whoever they are bound to.
+     * @returns `{ id, principal, tenant, created_at, last_access, instance,
+     *   client_name, cached }` per session
+     */
+    async listSessions() {
+        return Array.from(this.sessions, ([sid, session]) => ({
+            id: sid,
+            principal: session.binding?.principal ?? null,
+            tenant: session.binding?.tenant ?? null,
+            created_at: isoOf(session.createdAt),
+            last_access: isoOf(session.lastAccess),
+            instance: INSTANCE_ID,
+            client_name: session.handshake?.clientInfo?.name ?? null,
+            cached: true,
+        }));
+    }
     async hasSession(sessionID) {
-        return this.sessions.has(sessionID);
+        const session = this.sessions.get(sessionID);
+        return !!session && admitsCaller(session.binding, sessionID);
     }
     async getSession(sessionID) {
         if (!sessionID)
             return undefined;
         const session = this.sessions.get(sessionID);
-        if (session) {
-            session.lastAccess = Date.now();
-        }
+        if (!session || !admitsCaller(session.binding, sessionID))
+            return undefined;
+        session.lastAccess = Date.now();
         return session;
     }
     async deleteSession(sessionID) {
@@ -86,6 +187,8 @@ class InMemorySessionStore {
         if (!session)
             return;
         this.sessions.delete(sessionID);
+        void this.subscriptions?.dropSession(sessionID);
+        void this.eventStore?.dropSession(sessionID);
         void Promise.resolve().then(() => session.transport?.close?.()).catch(() => { });
         void Promise.resolve().then(() => session.server?.close?.()).catch(() => { });
     }
@@ -96,11 +199,14 @@ class InMemorySessionStore {
         for (const [sid, session] of this.sessions.entries()) {
             if ((session.lastAccess ?? 0) < cutoff) {
                 this.sessions.delete(sid);
+                void this.subscriptions?.dropSession(sid);
+                void this.eventStore?.dropSession(sid);
                 reaped += 1;
                 void Promise.resolve().then(() => session.transport?.close?.()).catch(() => { });
                 void Promise.resolve().then(() => session.server?.close?.()).catch(() => { });
             }
         }
+        await this.eventStore?.reap(ttl);
         if (reaped > 0) {
             logger_1.LOGGER.debug(`Session reaper removed ${reaped} idle session(s)`, { remaining: this.sessions.size });
         }
@@ -110,13 +216,27 @@ class InMemorySessionStore {
             clearInterval(this.sweepTimer);
             this.sweepTimer = undefined;
         }
+        this.subscriptions?.stop();
+        this.eventBus?.stop();
+        this.eventStore?.stop();
     }
     async createSession(config, annotations) {
         logger_1.LOGGER.debug("Initialize session request received");
         this.enforceSessionCap();
+        const binding = (0, session_binding_1.currentBinding)();
         const { server, transport, enableJson } = buildServerAndTransport(config, annotations, () => (0, crypto_1.randomUUID)(), (sid) => {
             logger_1.LOGGER.debug("Session initialized", { sid, enableJsonResponse: enableJson });
-            this.sessions.set(sid, { server, transport, lastAccess: Date.now() });
+            const now = Date.now();
+            this.sessions.set(sid, { server, transport, createdAt: now, lastAccess: now, binding });
+        }, {
+            subscriptions: this.subscriptions,
+            eventBus: this.eventBus,
+            eventStore: this.eventStore,
+            onHandshake: (handshake) => {
+                const session = this.sessions.get(transport.sessionId);
+                if (session)
+                    session.handshake = handshake;
+            },
         });
         transport.onclose = () => {
             if (!enableJson) {
@@ -124,7 +244,7 @@ class InMemorySessionStore {
             }
         };
         await server.connect(transport);
-        return { server, transport, lastAccess: Date.now() };
+        return { server, transport, lastAccess: Date.now(), binding };
     }
     enforceSessionCap() {
         const max = Number((0, env_sanitizer_1.getSafeEnvVar)("CDS_MCP_SESSION_MAX", String(DEFAULT_SESSION_MAX))) || DEFAULT_SESSION_MAX;
@@ -142,6 +262,8 @@ class InMemorySessionStore {
         if (oldestSid) {
             const evicted = this.sessions.get(oldestSid);
             this.sessions.delete(oldestSid);
+            void this.subscriptions?.dropSession(oldestSid);
+            void this.eventStore?.dropSession(oldestSid);
             logger_1.LOGGER.warn(`Session cap (${max}) reached, evicting LRU session`, { sid: oldestSid });
             void Promise.resolve().then(() => evicted?.transport?.close?.()).catch(() => { });
             void Promise.resolve().then(() => evicted?.server?.close?.()).catch(() => { });
@@ -152,10 +274,48 @@ class InMemorySessionStore {
             return;
         }
         this.sessions.delete(transport.sessionId);
+        void this.subscriptions?.dropSession(transport.sessionId);
+        void this.eventStore?.dropSession(transport.sessionId);
     }
 }
 exports.InMemorySessionStore = InMemorySessionStore;
 
+// Session entity columns holding the binding; see ./session-binding.
+const BINDING_COLUMNS = ["principal", "tenant", "subject_hash"];
+/** The binding recorded in a session row. */
+function bindingOf(row) {
+    return { principal: row.principal, tenant: row.tenant ?? null, subject_hash: row.subject_hash ?? null };
+}
+/** Client name from the stored clientInfo of a session row. */
+function clientNameOf(row) {
+    try {
+        return JSON.parse(row.client_info ?? "null")?.name ?? null;
+    }
+    catch {
+        return null;
+    }
+}
+/**
+ * The `initialize` handshake recorded in a session row, or undefined when
+ * the row has none (the client never finished initializing) or it is
+ * unreadable.
+ */
+function handshakeOf(row) {
+    if (!row?.protocol_version)
+        return undefined;
+    try {
+        return {
+            protocolVersion: row.protocol_version,
+            capabilities: JSON.parse(row.client_capabilities ?? "{}") ?? {},
+            clientInfo: JSON.parse(row.client_info ?? "null") ?? undefined,
+        };
+    }
+    catch (e) {
+        logger_1.LOGGER.warn(`[SESSION-STORE] Ignoring unreadable handshake of session ${row.session_id}: ${e?.message || e}`);
+        return undefined;
+    }
+}
+
 /**
  * DB-backed session store for multi-instance runtimes. Session IDs and their
  * last-access timestamps live in a CAP-managed entity (default
@@ -166,22 +326,61 @@ exports.InMemorySessionStore = InMemorySessionStore;
  * rehydrates a fresh transport that adopts that session ID.
  *
  * Transport rehydration relies on private fields of the MCP SDK's
- * StreamableHTTPServerTransport. With enableJsonResponse=true, handleRequest
- * is stateless per POST, so a freshly-constructed transport whose
- * `sessionId` and `_initialized` are set to the stored values can serve any
- * JSON-RPC method (tools/call, resources/list, ...) without having processed
- * the original `initialize` request. SSE mode is unsupported and rejected
- * at startup.
+ * StreamableHTTPServerTransport. handleRequest is self-contained per POST,
+ * whether it answers with JSON or an SSE stream, so a freshly-constructed
+ * transport whose `sessionId` and `_initialized` are set to the stored
+ * values can serve any JSON-RPC method (tools/call, resources/list, ...)
+ * without having processed the original `initialize` request. What the
+ * client negotiated at `initialize` (protocol version,
+ * capabilities, clientInfo) is stored in the row and restored on the
+ * rehydrated server.
+ *
+ * Each row records the principal, tenant and token hash of the caller that
+ * initialized the session. Requests from anyone else are rejected, both on
+ * cached sessions and before rehydration. Every request also checks that
+ * the row still exists, so a session deleted on one instance (by its
+ * client or through the admin API) ends on all of them.
+ *
+ * With `subscribe`, resource subscriptions are rows of
+ * `subscriptions_entity`, so they outlive local cache eviction and can be
+ * served by any instance; see ./subscriptions.
+ *
+ * Notifications for a session whose GET /mcp stream is held by another
+ * instance travel over the event bus, by default rows of
+ * `notifications_entity`; see ./event-bus. Cached transports holding an
+ * open stream are not evicted. Stream events are rows of
+ * `stream_events_entity`, so a client can resume a dropped stream on any
+ * instance; see ./event-store.
  */
 class DbSessionStore {
     sessions;
     sweepTimer;
     entity;
     localCacheTtlMs;
-    constructor(storeConfig) {
+    subscriptions;
+    eventBus;
+    eventStore;
+    constructor(storeConfig, options) {
         this.sessions = new Map();
         this.entity = storeConfig?.entity || "cap.mcp.Sessions";
         this.localCacheTtlMs = Number(storeConfig?.local_cache_ttl_ms) || 10 * 60 * 1000;
+        this.subscriptions = options?.subscribe
+            ? new subscriptions_1.DbResourceSubscriptions(this.sessions, {
+                entity: storeConfig?.subscriptions_entity || "cap.mcp.Subscriptions",
+                eventsEntity: storeConfig?.events_entity || "cap.mcp.ResourceEvents",
+                sessionsEntity: this.entity,
+                pollMs: Number(storeConfig?.poll_ms) || 2000,
+            })
+            : undefined;
+        this.eventBus = (0, event_bus_1.createEventBus)(options?.eventBus ?? "db", this.sessions, {
+            entity: storeConfig?.notifications_entity || "cap.mcp.Notifications",
+            sessionsEntity: this.entity,
+            pollMs: Number(storeConfig?.poll_ms) || 2000,
+        });
+        this.eventStore = (0, event_store_1.createEventStore)(options?.eventStore ?? "db", {
+            entity: storeConfig?.stream_events_entity || "cap.mcp.StreamEvents",
+            sessionsEntity: this.entity,
+        });
         this._runtimeConfig = undefined;
         this._annotations = undefined;
         const sweepMs = Number((0, env_sanitizer_1.getSafeEnvVar)("CDS_MCP_SESSION_SWEEP_MS", String(DEFAULT_SESSION_SWEEP_MS))) || DEFAULT_SESSION_SWEEP_MS;
@@ -203,14 +402,50 @@ class DbSessionStore {
     getSessions() {
         return this.sessions;
     }
+    /**
+     * Sessions of all instances for the admin API: the rows of the session
+     * entity, plus sessions cached here whose row is missing.
+     * @returns `{ id, principal, tenant, created_at, last_access, instance,
+     *   client_name, cached }` per session; `instance` served it last
+     */
+    async listSessions() {
+        const rows = await cds.run(SELECT.from(this.entity).columns("session_id", "created_at", "last_access", "instance_id", "client_info", ...BINDING_COLUMNS));
+        const listed = rows.map((row) => ({
+            id: row.session_id,
+            principal: row.principal ?? null,
+            tenant: row.tenant ?? null,
+            created_at: row.created_at,
+            last_access: row.last_access,
+            instance: row.instance_id ?? null,
+            client_name: clientNameOf(row),
+            cached: this.sessions.has(row.session_id),
+        }));
+        const inDb = new Set(rows.map((row) => row.session_id));
+        for (const [sid, session] of this.sessions) {
+            if (inDb.has(sid))
+                continue;
+            listed.push({
+                id: sid,
+                principal: session.binding?.principal ?? null,
+                tenant: session.binding?.tenant ?? null,
+                created_at: isoOf(session.createdAt),
+                last_access: isoOf(session.lastAccess),
+                instance: INSTANCE_ID,
+                client_name: session.handshake?.clientInfo?.name ?? null,
+                cached: true,
+            });
+        }
+        return listed;
+    }
     async hasSession(sessionID) {
         if (!sessionID)
             return false;
-        if (this.sessions.has(sessionID))
-            return true;
+        const local = this.sessions.get(sessionID);
+        if (local)
+            return admitsCaller(local.binding, sessionID);
         try {
-            const row = await cds.run(SELECT.one.from(this.entity).columns("session_id").where({ session_id: sessionID }));
-            return !!row;
+            const row = await cds.run(SELECT.one.from(this.entity).columns("session_id", ...BINDING_COLUMNS).where({ session_id: sessionID }));
+            return !!row && admitsCaller(row, sessionID);
         }
         catch (e) {
             logger_1.LOGGER.error(`[SESSION-STORE] hasSession DB lookup failed for ${sessionID}: ${e?.message || e}`);
@@ -222,8 +457,16 @@ class DbSessionStore {
             return undefined;
         const local = this.sessions.get(sessionID);
         if (local) {
+            if (!admitsCaller(local.binding, sessionID))
+                return undefined;
             local.lastAccess = Date.now();
-            void this._touch(sessionID);
+            if (await this._touch(sessionID) === 0) {
+                // The row is gone: the session was deleted on another instance.
+                this.sessions.delete(sessionID);
+                void Promise.resolve().then(() => local.transport?.close?.()).catch(() => { });
+                void Promise.resolve().then(() => local.server?.close?.()).catch(() => { });
+                return undefined;
+            }
             return local;
         }
         // Cache miss — try to rehydrate from the DB row if present.
@@ -235,10 +478,11 @@ class DbSessionStore {
             logger_1.LOGGER.error(`[SESSION-STORE] getSession DB lookup failed for ${sessionID}: ${e?.message || e}`);
             return undefined;
         }
-        if (!row)
+        if (!row || !admitsCaller(row, sessionID))
             return undefined;
         try {
-            const session = await this._rehydrate(sessionID);
+            const session = await this._rehydrate(sessionID, row);
+            session.binding = bindingOf(row);
             this.sessions.set(sessionID, session);
             void this._touch(sessionID);
             logger_1.LOGGER.debug(`[SESSION-STORE] Rehydrated session ${sessionID} on this instance`);
@@ -262,6 +506,8 @@ class DbSessionStore {
         catch (e) {
             logger_1.LOGGER.error(`[SESSION-STORE] deleteSession DB delete failed for ${sessionID}: ${e?.message || e}`);
         }
+        await this.subscriptions?.dropSession(sessionID);
+        await this.eventStore?.dropSession(sessionID);
     }
     async reap() {
         const ttl = Number((0, env_sanitizer_1.getSafeEnvVar)("CDS_MCP_SESSION_TTL_MS", String(DEFAULT_SESSION_TTL_MS))) || DEFAULT_SESSION_TTL_MS;
@@ -275,12 +521,17 @@ class DbSessionStore {
         catch (e) {
             logger_1.LOGGER.debug(`[SESSION-STORE] Global DB reap skipped: ${e?.message || e}`);
         }
+        await this.subscriptions?.reap();
+        await this.eventBus?.reap();
+        await this.eventStore?.reap(ttl);
         // Local reap: close cached transports idle longer than local cache TTL.
         // The DB row may still be live — a future request just re-hydrates.
+        // Transports holding the session's GET stream stay: other instances
+        // deliver notifications to it through the event bus.
         const localCutoff = Date.now() - this.localCacheTtlMs;
         let evicted = 0;
         for (const [sid, session] of this.sessions.entries()) {
-            if ((session.lastAccess ?? 0) < localCutoff) {
+            if ((session.lastAccess ?? 0) < localCutoff && !(0, event_bus_1.holdsStream)(session.transport)) {
                 this.sessions.delete(sid);
                 evicted += 1;
                 void Promise.resolve().then(() => session.transport?.close?.()).catch(() => { });
@@ -296,27 +547,53 @@ class DbSessionStore {
             clearInterval(this.sweepTimer);
             this.sweepTimer = undefined;
         }
+        this.subscriptions?.stop();
+        this.eventBus?.stop();
+        this.eventStore?.stop();
     }
     async createSession(config, annotations) {
         logger_1.LOGGER.debug("Initialize session request received (db store)");
         // Also refresh in case setRuntimeConfig wasn't called (belt & braces).
         this._runtimeConfig = config;
         this._annotations = annotations;
+        const binding = (0, session_binding_1.currentBinding)();
         const { server, transport, enableJson } = buildServerAndTransport(config, annotations, () => (0, crypto_1.randomUUID)(), async (sid) => {
             logger_1.LOGGER.debug("Session initialized (db store)", { sid, enableJsonResponse: enableJson });
             const now = Date.now();
-            this.sessions.set(sid, { server, transport, lastAccess: now });
+            this.sessions.set(sid, { server, transport, createdAt: now, lastAccess: now, binding });
             const iso = new Date(now).toISOString();
             try {
                 await cds.run(INSERT.into(this.entity).entries({
                     session_id: sid,
                     created_at: iso,
                     last_access: iso,
+                    instance_id: INSTANCE_ID,
+                    ...binding,
                 }));
             }
             catch (e) {
                 logger_1.LOGGER.error(`[SESSION-STORE] INSERT failed for ${sid}: ${e?.message || e}. Requests routed to other instances will be rejected.`);
             }
+        }, {
+            subscriptions: this.subscriptions,
+            eventBus: this.eventBus,
+            eventStore: this.eventStore,
+            onHandshake: async (handshake) => {
+                const sid = transport.sessionId;
+                const session = this.sessions.get(sid);
+                if (session)
+                    session.handshake = handshake;
+                try {
+                    await cds.run(UPDATE(this.entity).set({
+                        protocol_version: handshake.protocolVersion,
+                        client_info: JSON.stringify(handshake.clientInfo ?? null),
+                        client_capabilities: JSON.stringify(handshake.capabilities),
+                    }).where({ session_id: sid }));
+                }
+                catch (e) {
+                    logger_1.LOGGER.error(`[SESSION-STORE] Handshake update failed for ${sid}: ${e?.message || e}. Other instances will assume a client without capabilities.`);
+                }
+            },
         });
         transport.onclose = () => {
             if (!enableJson) {
@@ -324,13 +601,20 @@ class DbSessionStore {
             }
         };
         await server.connect(transport);
-        return { server, transport, lastAccess: Date.now() };
+        return { server, transport, lastAccess: Date.now(), binding };
     }
-    async _rehydrate(sessionId) {
+    async _rehydrate(sessionId, row) {
         if (!this._runtimeConfig) {
             throw new Error("DbSessionStore.rehydrate called before runtime config was seeded. Ensure setRuntimeConfig is called in the plugin's 'serving' hook.");
         }
-        const { server, transport } = buildServerAndTransport(this._runtimeConfig, this._annotations, () => sessionId, undefined);
+        const { server, transport } = buildServerAndTransport(this._runtimeConfig, this._annotations, () => sessionId, undefined, {
+            subscriptions: this.subscriptions,
+            eventBus: this.eventBus,
+            eventStore: this.eventStore,
+        });
+        const handshake = handshakeOf(row);
+        if (handshake)
+            restoreHandshake(server, handshake);
         await server.connect(transport);
         // Force the transport to accept subsequent JSON-RPC requests for this
         // session without replaying the original `initialize`. The outer
@@ -342,15 +626,21 @@ class DbSessionStore {
         const inner = transport._webStandardTransport ?? transport;
         inner.sessionId = sessionId;
         inner._initialized = true;
-        return { server, transport, lastAccess: Date.now() };
+        return { server, transport, createdAt: Date.parse(row?.created_at) || undefined, lastAccess: Date.now(), handshake };
     }
+    /**
+     * Records a request on this instance in the session row.
+     * @returns The number of rows updated, or undefined when the update
+     *   failed
+     */
     async _touch(sessionID) {
         try {
             const iso = new Date().toISOString();
-            await cds.run(UPDATE(this.entity).set({ last_access: iso }).where({ session_id: sessionID }));
+            return await cds.run(UPDATE(this.entity).set({ last_access: iso, instance_id: INSTANCE_ID }).where({ session_id: sessionID }));
         }
         catch (e) {
             logger_1.LOGGER.debug(`[SESSION-STORE] last_access update skipped for ${sessionID}: ${e?.message || e}`);
+            return undefined;
         }
     }
     _onLocalClose(transport) {
@@ -369,13 +659,18 @@ exports.DbSessionStore = DbSessionStore;
  * Zero per-instance state, no DB dependency, trivially multi-instance safe.
  *
  * GET /mcp (SSE) and DELETE /mcp return 400 because no sessions exist to open
- * a stream on or close.
+ * a stream on or close. There is no event store either: without a session
+ * id every caller's events would share one stream, so `Last-Event-ID` could
+ * replay another client's messages.
  */
 class StatelessSessionStore {
     isStateless = true;
     getSessions() {
         return new Map();
     }
+    async listSessions() {
+        return [];
+    }
     async hasSession() {
         return false;
     }
@@ -413,6 +708,7 @@ exports.StatelessSessionStore = StatelessSessionStore;
  */
 function createSessionStore(runtimeConfig) {
     const storeCfg = runtimeConfig?.session_store ?? {};
+    const subscribe = !!runtimeConfig?.capabilities?.resources?.subscribe;
     const explicitKind = storeCfg.kind;
     const hasDbBinding = !!cds.env?.requires?.db;
     const VALID = new Set(["memory", "db", "stateless"]);
@@ -436,21 +732,30 @@ function createSessionStore(runtimeConfig) {
             throw new Error(`[SESSION-STORE] session_store.kind='stateless' requires enableJsonResponse (MCP_ENABLE_JSON=true). SSE streams depend on a persistent transport and are incompatible with stateless mode.`);
         }
         logger_1.LOGGER.info(`[SESSION-STORE] Stateless session store enabled (no session tracking, no DB dependency)`);
+        if (subscribe) {
+            logger_1.LOGGER.warn(`[SESSION-STORE] capabilities.resources.subscribe has no effect with session_store.kind='stateless': subscriptions need a session. resources/subscribe requests will be rejected.`);
+        }
+        if (storeCfg.event_store !== undefined) {
+            logger_1.LOGGER.warn(`[SESSION-STORE] session_store.event_store has no effect with session_store.kind='stateless': there are no sessions to scope resumable streams to; ignoring it.`);
+        }
         return new StatelessSessionStore();
     }
     if (kind === "db") {
         if (!hasDbBinding) {
             throw new Error(`[SESSION-STORE] session_store.kind='db' requires a DB binding (cds.env.requires.db). Bind a database or switch to session_store.kind='memory' or session_store.kind='stateless'.`);
         }
-        const enableJson = resolveEnableJson();
-        if (!enableJson) {
-            throw new Error(`[SESSION-STORE] session_store.kind='db' requires enableJsonResponse (MCP_ENABLE_JSON=true). SSE streams are sticky to one instance and cannot be rehydrated.`);
-        }
-        logger_1.LOGGER.info(`[SESSION-STORE] DB-backed session store enabled (entity=${storeCfg.entity ?? "cap.mcp.Sessions"})`);
-        return new DbSessionStore(storeCfg);
+        logger_1.LOGGER.info(`[SESSION-STORE] DB-backed session store enabled (entity=${storeCfg.entity ?? "cap.mcp.Sessions"}, event_bus=${storeCfg.event_bus ?? "db"})`);
+        return new DbSessionStore(storeCfg, { subscribe, eventBus: storeCfg.event_bus, eventStore: storeCfg.event_store });
     }
     logger_1.LOGGER.debug(`[SESSION-STORE] In-memory session store active`);
-    return new InMemorySessionStore();
+    const options = { subscribe, eventBus: storeCfg.event_bus, eventStore: storeCfg.event_store };
+    for (const [key, option] of [["event_bus", "eventBus"], ["event_store", "eventStore"]]) {
+        if (storeCfg[key] === "db") {
+            logger_1.LOGGER.warn(`[SESSION-STORE] session_store.${key}='db' needs session_store.kind='db'; keeping it in memory.`);
+            options[option] = undefined;
+        }
+    }
+    return new InMemorySessionStore(options);
 }
 
 // Legacy alias kept so existing imports (e.g. `new McpSessionManager()`) still work.
@@ -1,6 +1,9 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.applySessionModel = applySessionModel;
+exports.applySubscriptionModel = applySubscriptionModel;
+exports.applyNotificationModel = applyNotificationModel;
+exports.applyEventStoreModel = applyEventStoreModel;
 const logger_1 = require("../logger");
 /**
  * Programmatically injects a CSN entity definition that backs the DB-based
@@ -10,10 +13,11 @@ const logger_1 = require("../logger");
  * Mirrors the pattern used by cap-collaborative-draft's model-augmenter:
  * mutate `model.definitions` in place with a minimal entity CSN fragment.
  *
- * The entity intentionally carries no tenant column. When the hosting app is
- * multi-tenant, CAP's tenant middleware isolates reads/writes at query time
- * via the ambient `cds.context`, and the per-tenant schema / table prefix
- * keeps rows separated physically.
+ * When the hosting app is multi-tenant, CAP's tenant middleware isolates
+ * reads/writes at query time via the ambient `cds.context`, and the
+ * per-tenant schema / table prefix keeps rows separated physically. The
+ * `tenant` column records the tenant the session was bound to on top of
+ * that, next to the principal and token hash.
  *
  * @param {object} model - CSN model (cds.model or the argument of onLoaded)
  * @param {string} entityName - Fully-qualified entity name (e.g. "cap.mcp.Sessions")
@@ -32,10 +36,119 @@ function applySessionModel(model, entityName) {
         kind: "entity",
         "@cds.persistence.skip": false,
         elements: {
-            session_id:  { key: true, type: "cds.String", length: 64, notNull: true },
-            created_at:  { type: "cds.Timestamp", notNull: true },
-            last_access: { type: "cds.Timestamp", notNull: true },
+            session_id:          { key: true, type: "cds.String", length: 64, notNull: true },
+            created_at:          { type: "cds.Timestamp", notNull: true },
+            last_access:         { type: "cds.Timestamp", notNull: true },
+            // App instance that served the session last.
+            instance_id:         { type: "cds.String", length: 255 },
+            // Caller that initialized the session; see ./session-binding.
+            principal:           { type: "cds.String", length: 255 },
+            tenant:              { type: "cds.String", length: 255 },
+            subject_hash:        { type: "cds.String", length: 64 },
+            // What the client negotiated at `initialize`, restored on
+            // rehydration. Capabilities and clientInfo are stored as JSON.
+            protocol_version:    { type: "cds.String", length: 32 },
+            client_info:         { type: "cds.LargeString" },
+            client_capabilities: { type: "cds.LargeString" },
         },
     };
     logger_1.LOGGER.debug(`[SESSION-STORE] Injected CSN entity ${entityName} for DB-backed session store`);
 }
+/**
+ * Injects the two entities behind resource subscriptions in the DB session
+ * store: one row per subscribed session and URI, and a short-lived log of
+ * changed resources that every instance polls. See lib/mcp/subscriptions.js.
+ *
+ * @param {object} model - CSN model (cds.model or the argument of onLoaded)
+ * @param {string} subscriptionsEntity - e.g. "cap.mcp.Subscriptions"
+ * @param {string} eventsEntity - e.g. "cap.mcp.ResourceEvents"
+ */
+function applySubscriptionModel(model, subscriptionsEntity, eventsEntity) {
+    if (!model || !model.definitions) {
+        logger_1.LOGGER.warn(`[SESSION-STORE] Cannot inject ${subscriptionsEntity} — CSN model has no definitions map`);
+        return;
+    }
+    const entities = {
+        [subscriptionsEntity]: {
+            session_id: { key: true, type: "cds.String", length: 64, notNull: true },
+            uri:        { key: true, type: "cds.String", length: 1024, notNull: true },
+            base_uri:   { type: "cds.String", length: 512, notNull: true },
+        },
+        [eventsEntity]: {
+            ID:         { key: true, type: "cds.UUID", notNull: true },
+            uri:        { type: "cds.String", length: 512, notNull: true },
+            origin:     { type: "cds.String", length: 64 },
+            created_at: { type: "cds.Timestamp", notNull: true },
+        },
+    };
+    for (const [name, elements] of Object.entries(entities)) {
+        if (model.definitions[name]) {
+            logger_1.LOGGER.debug(`[SESSION-STORE] Entity ${name} already present in CSN; skipping injection`);
+            continue;
+        }
+        model.definitions[name] = { kind: "entity", "@cds.persistence.skip": false, elements };
+        logger_1.LOGGER.debug(`[SESSION-STORE] Injected CSN entity ${name} for resource subscriptions`);
+    }
+}
+/**
+ * Injects the entity behind the db event bus: notifications published for
+ * sessions whose SSE stream another instance holds, polled by every
+ * instance. See lib/mcp/event-bus.js.
+ *
+ * @param {object} model - CSN model (cds.model or the argument of onLoaded)
+ * @param {string} entityName - e.g. "cap.mcp.Notifications"
+ */
+function applyNotificationModel(model, entityName) {
+    if (!model || !model.definitions) {
+        logger_1.LOGGER.warn(`[SESSION-STORE] Cannot inject ${entityName} — CSN model has no definitions map`);
+        return;
+    }
+    if (model.definitions[entityName]) {
+        logger_1.LOGGER.debug(`[SESSION-STORE] Entity ${entityName} already present in CSN; skipping injection`);
+        return;
+    }
+    model.definitions[entityName] = {
+        kind: "entity",
+        "@cds.persistence.skip": false,
+        elements: {
+            ID:         { key: true, type: "cds.UUID", notNull: true },
+            session_id: { type: "cds.String", length: 64, notNull: true },
+            message:    { type: "cds.LargeString", notNull: true },
+            // Set when the message is already in the event store.
+            event_id:   { type: "cds.String", length: 64 },
+            origin:     { type: "cds.String", length: 64 },
+            created_at: { type: "cds.Timestamp", notNull: true },
+        },
+    };
+    logger_1.LOGGER.debug(`[SESSION-STORE] Injected CSN entity ${entityName} for the event bus`);
+}
+/**
+ * Injects the entity behind the db event store: the events of every SSE
+ * stream, replayed when a client resumes with `Last-Event-ID`. See
+ * lib/mcp/event-store.js.
+ *
+ * @param {object} model - CSN model (cds.model or the argument of onLoaded)
+ * @param {string} entityName - e.g. "cap.mcp.StreamEvents"
+ */
+function applyEventStoreModel(model, entityName) {
+    if (!model || !model.definitions) {
+        logger_1.LOGGER.warn(`[SESSION-STORE] Cannot inject ${entityName} — CSN model has no definitions map`);
+        return;
+    }
+    if (model.definitions[entityName]) {
+        logger_1.LOGGER.debug(`[SESSION-STORE] Entity ${entityName} already present in CSN; skipping injection`);
+        return;
+    }
+    model.definitions[entityName] = {
+        kind: "entity",
+        "@cds.persistence.skip": false,
+        elements: {
+            event_id:   { key: true, type: "cds.String", length: 64, notNull: true },
+            session_id: { type: "cds.String", length: 64, notNull: true },
+            stream_id:  { type: "cds.String", length: 64, notNull: true },
+            message:    { type: "cds.LargeString", notNull: true },
+            created_at: { type: "cds.Timestamp", notNull: true },
+        },
+    };
+    logger_1.LOGGER.debug(`[SESSION-STORE] Injected CSN entity ${entityName} for the event store`);
+}
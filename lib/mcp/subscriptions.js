@@ -0,0 +1,303 @@
+"use strict";
+/**
+ * Resource subscriptions (`resources/subscribe`) and the
+ * `notifications/resources/updated` messages that follow CAP writes.
+ *
+ * A client subscribes to the URI it read, e.g. `odata://CatalogService/books`
+ * or the same URI with query parameters. CAP `after` handlers on the
+ * resource's entity publish the base URI once the writing transaction has
+ * committed, and every subscribed session whose transport lives on this
+ * instance is notified with the URI it subscribed to. Notifications travel
+ * over the session's standalone SSE stream (GET /mcp); sessions without an
+ * open stream on this instance are skipped, as the instance holding the
+ * stream notifies them itself.
+ *
+ * Subscriptions are tracked per session by the session store: in memory for
+ * the memory store, in a CAP entity for the db store. The db variant also
+ * records each change in an events entity that every instance polls, so a
+ * write on one instance reaches streams held by another.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DbResourceSubscriptions = exports.InMemoryResourceSubscriptions = void 0;
+exports.resourceBaseUri = resourceBaseUri;
+exports.installResourceSubscriptions = installResourceSubscriptions;
+exports.registerResourceChangeHandlers = registerResourceChangeHandlers;
+const types_js_1 = require("@modelcontextprotocol/sdk/types.js");
+const crypto_1 = require("crypto");
+const logger_1 = require("../logger");
+const structures_1 = require("../annotations/structures");
+const utils_1 = require("../auth/utils");
+const event_bus_1 = require("./event-bus");
+/* @ts-ignore */
+const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
+// Published changes are kept this long for instances that poll late.
+const EVENT_RETENTION_MS = 5 * 60 * 1000;
+/**
+ * URI of a resource without query parameters, as registered by
+ * ./resources (`odata://<service>/<name>`).
+ */
+function resourceBaseUri(model) {
+    return `odata://${model.serviceName}/${model.name}`;
+}
+/**
+ * Resource URI without query parameters or row key predicate: a
+ * subscription to `books?top=5` or `books(42)` follows every change to books.
+ */
+function baseOf(uri) {
+    const end = uri.search(/[?(]/);
+    return end < 0 ? uri : uri.slice(0, end);
+}
+function deliver(sessionId, session, uri) {
+    if (!(0, event_bus_1.holdsStream)(session.transport))
+        return;
+    void Promise.resolve()
+        .then(() => session.server.server.sendResourceUpdated({ uri }))
+        .catch((e) => logger_1.LOGGER.debug(`[SUBSCRIPTIONS] Notification to ${sessionId} failed: ${e?.message || e}`));
+}
+/**
+ * Per-process subscriptions for the memory session store.
+ * @param sessions - The store's session map; sessions no longer in it are dropped
+ */
+class InMemoryResourceSubscriptions {
+    sessions;
+    bySession;
+    constructor(sessions) {
+        this.sessions = sessions;
+        this.bySession = new Map();
+    }
+    async subscribe(sessionId, uri) {
+        if (!this.bySession.has(sessionId))
+            this.bySession.set(sessionId, new Set());
+        this.bySession.get(sessionId).add(uri);
+    }
+    async unsubscribe(sessionId, uri) {
+        const uris = this.bySession.get(sessionId);
+        uris?.delete(uri);
+        if (uris?.size === 0)
+            this.bySession.delete(sessionId);
+    }
+    async subscriptionsOf(sessionId) {
+        return Array.from(this.bySession.get(sessionId) ?? []);
+    }
+    async dropSession(sessionId) {
+        this.bySession.delete(sessionId);
+    }
+    async publish(baseUri) {
+        await this.notifyLocal(baseUri);
+    }
+    async notifyLocal(baseUri) {
+        for (const [sid, uris] of this.bySession) {
+            const session = this.sessions.get(sid);
+            if (!session) {
+                this.bySession.delete(sid);
+                continue;
+            }
+            for (const uri of uris) {
+                if (baseOf(uri) === baseUri)
+                    deliver(sid, session, uri);
+            }
+        }
+    }
+    async reap() {
+        // sessions are dropped by the store as it removes them
+    }
+    stop() {
+        // no timers
+    }
+}
+exports.InMemoryResourceSubscriptions = InMemoryResourceSubscriptions;
+/**
+ * Subscriptions for the db session store. Rows live in `entity` so any
+ * instance can serve `resources/subscribe`; changes go to `eventsEntity`,
+ * which every instance polls every `pollMs` for changes published elsewhere.
+ * Each instance notifies only the sessions in its own transport cache.
+ * @param sessions - The store's local session cache
+ * @param options - `{ entity, eventsEntity, sessionsEntity, pollMs }`
+ */
+class DbResourceSubscriptions {
+    sessions;
+    entity;
+    eventsEntity;
+    sessionsEntity;
+    instanceId;
+    cursor;
+    pollTimer;
+    constructor(sessions, options) {
+        this.sessions = sessions;
+        this.entity = options.entity;
+        this.eventsEntity = options.eventsEntity;
+        this.sessionsEntity = options.sessionsEntity;
+        this.instanceId = (0, crypto_1.randomUUID)();
+        this.cursor = new event_bus_1.EventCursor();
+        this.pollTimer = setInterval(() => void this.poll(), options.pollMs);
+        this.pollTimer?.unref?.();
+    }
+    async subscribe(sessionId, uri) {
+        await cds.run(UPSERT.into(this.entity).entries({ session_id: sessionId, uri, base_uri: baseOf(uri) }));
+    }
+    async unsubscribe(sessionId, uri) {
+        await cds.run(DELETE.from(this.entity).where({ session_id: sessionId, uri }));
+    }
+    async subscriptionsOf(sessionId) {
+        const rows = await cds.run(SELECT.from(this.entity).columns("uri").where({ session_id: sessionId }));
+        return rows.map((r) => r.uri);
+    }
+    async dropSession(sessionId) {
+        try {
+            await cds.run(DELETE.from(this.entity).where({ session_id: sessionId }));
+        }
+        catch (e) {
+            logger_1.LOGGER.error(`[SUBSCRIPTIONS] Cleanup failed for ${sessionId}: ${e?.message || e}`);
+        }
+    }
+    async publish(baseUri) {
+        await this.notifyLocal(baseUri);
+        try {
+            await cds.run(INSERT.into(this.eventsEntity).entries({
+                ID: (0, crypto_1.randomUUID)(),
+                uri: baseUri,
+                origin: this.instanceId,
+                created_at: new Date().toISOString(),
+            }));
+        }
+        catch (e) {
+            logger_1.LOGGER.error(`[SUBSCRIPTIONS] Publishing ${baseUri} to other instances failed: ${e?.message || e}`);
+        }
+    }
+    async notifyLocal(baseUri) {
+        const local = Array.from(this.sessions.keys());
+        if (local.length === 0)
+            return;
+        let rows;
+        try {
+            rows = await cds.run(SELECT.from(this.entity).columns("session_id", "uri").where({ base_uri: baseUri, session_id: { in: local } }));
+        }
+        catch (e) {
+            logger_1.LOGGER.error(`[SUBSCRIPTIONS] Lookup for ${baseUri} failed: ${e?.message || e}`);
+            return;
+        }
+        for (const { session_id, uri } of rows) {
+            const session = this.sessions.get(session_id);
+            if (session)
+                deliver(session_id, session, uri);
+        }
+    }
+    /**
+     * Notifies local sessions about changes other instances published since
+     * the last poll.
+     */
+    async poll() {
+        let rows;
+        try {
+            rows = await cds.run(SELECT.from(this.eventsEntity)
+                .where`created_at >= ${this.cursor.since()} and origin != ${this.instanceId}`
+                .orderBy("created_at"));
+        }
+        catch (e) {
+            logger_1.LOGGER.debug(`[SUBSCRIPTIONS] Poll skipped: ${e?.message || e}`);
+            return;
+        }
+        const changed = new Set(this.cursor.advance(rows).map((row) => row.uri));
+        for (const uri of changed)
+            await this.notifyLocal(uri);
+    }
+    /**
+     * Removes old events and the subscriptions of sessions that no longer
+     * exist. Idempotent across instances, like the session reap.
+     */
+    async reap() {
+        try {
+            const cutoff = new Date(Date.now() - EVENT_RETENTION_MS).toISOString();
+            await cds.run(DELETE.from(this.eventsEntity).where`created_at < ${cutoff}`);
+            await cds.run(DELETE.from(this.entity).where`session_id not in ${SELECT("session_id").from(this.sessionsEntity)}`);
+        }
+        catch (e) {
+            logger_1.LOGGER.debug(`[SUBSCRIPTIONS] Reap skipped: ${e?.message || e}`);
+        }
+    }
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = undefined;
+        }
+    }
+}
+exports.DbResourceSubscriptions = DbResourceSubscriptions;
+/**
+ * Handles `resources/subscribe` and `resources/unsubscribe` on one server.
+ * Only URIs of `@mcp.resource` entities are accepted, and with auth enabled
+ * only for callers allowed to read the entity.
+ * @param server - MCP server of one session
+ * @param annotations - Parsed annotations
+ * @param subscriptions - The session store's subscriptions, if it keeps any
+ */
+function installResourceSubscriptions(server, annotations, subscriptions, authEnabled) {
+    const resources = new Map();
+    for (const entry of annotations.values()) {
+        if (entry instanceof structures_1.McpResourceAnnotation)
+            resources.set(resourceBaseUri(entry), entry);
+    }
+    const resolve = (uri, sessionId) => {
+        const model = resources.get(baseOf(String(uri)));
+        if (!model)
+            throw new types_js_1.McpError(types_js_1.ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+        if (!subscriptions || !sessionId) {
+            throw new types_js_1.McpError(types_js_1.ErrorCode.InvalidRequest, "Resource subscriptions need a session: set session_store.kind to 'memory' or 'db'");
+        }
+        return model;
+    };
+    server.server.setRequestHandler(types_js_1.SubscribeRequestSchema, async (request, extra) => {
+        const { uri } = request.params;
+        const model = resolve(uri, extra.sessionId);
+        if (authEnabled && !(0, utils_1.getWrapAccesses)((0, utils_1.getAccessRights)(authEnabled), model.restrictions).canRead) {
+            throw new types_js_1.McpError(types_js_1.ErrorCode.InvalidParams, `Not authorized to read ${uri}`);
+        }
+        await subscriptions.subscribe(extra.sessionId, uri);
+        logger_1.LOGGER.debug(`[SUBSCRIPTIONS] ${extra.sessionId} subscribed to ${uri}`);
+        return {};
+    });
+    server.server.setRequestHandler(types_js_1.UnsubscribeRequestSchema, async (request, extra) => {
+        const { uri } = request.params;
+        resolve(uri, extra.sessionId);
+        await subscriptions.unsubscribe(extra.sessionId, uri);
+        return {};
+    });
+}
+// Services whose entities already carry change handlers, by entity name.
+const hookedTargets = new WeakMap();
+/**
+ * Registers CAP `after` handlers that publish a resource's base URI when its
+ * entity is created, updated, upserted or deleted through the service.
+ * Publishing waits for the transaction to commit, so rolled-back writes and
+ * dry runs notify nobody. Safe to call once per served service: entities
+ * that already carry the handlers are skipped. Writes that bypass the
+ * service (plain `cds.db` statements) are not seen.
+ * @param annotations - Parsed annotations
+ * @param publish - Called with the base URI of each changed resource
+ */
+function registerResourceChangeHandlers(annotations, publish) {
+    const CDS = global.cds || cds;
+    for (const entry of annotations.values()) {
+        if (!(entry instanceof structures_1.McpResourceAnnotation))
+            continue;
+        const srv = CDS.services?.[entry.serviceName];
+        if (typeof srv?.after !== "function")
+            continue;
+        if (!hookedTargets.has(srv))
+            hookedTargets.set(srv, new Set());
+        const hooked = hookedTargets.get(srv);
+        if (hooked.has(entry.target))
+            continue;
+        hooked.add(entry.target);
+        const uri = resourceBaseUri(entry);
+        const notify = () => Promise.resolve()
+            .then(() => publish(uri))
+            .catch((e) => logger_1.LOGGER.error(`[SUBSCRIPTIONS] Publishing ${uri} failed: ${e?.message || e}`));
+        srv.after(["CREATE", "UPDATE", "UPSERT", "DELETE"], entry.target, (_result, req) => {
+            if (typeof req?.on === "function")
+                req.on("succeeded", notify);
+            else
+                void notify();
+        });
+    }
+}
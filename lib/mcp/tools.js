@@ -8,6 +8,7 @@ const zod_1 = require("zod");
 const utils_2 = require("../auth/utils");
 const elicited_input_1 = require("./elicited-input");
 const entity_tools_1 = require("./entity-tools");
+const output_schema_1 = require("./output-schema");
 /* @ts-ignore */
 const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
 /**
@@ -18,7 +19,7 @@ const cds = global.cds || require("@sap/cds"); // This is a work around for miss
  */
 function assignToolToServer(model, server, authEnabled) {
     logger_1.LOGGER.debug("Adding tool", model);
-    const parameters = buildToolParameters(model.parameters, model.propertyHints);
+    const parameters = buildToolParameters(model.parameters, model.propertyHints, operationDefinition(model)?.params);
     if (model.entityKey) {
         // Assign tool as bound operation
         assignBoundOperation(parameters, model, server, authEnabled);
@@ -38,7 +39,8 @@ function assignBoundOperation(params, model, server, authEnabled) {
         logger_1.LOGGER.error("Invalid tool assignment - missing key map for bound operation");
         throw new Error("Bound operation cannot be assigned to tool list, missing keys");
     }
-    const keys = buildToolParameters(model.keyTypeMap, model.propertyHints);
+    const entityDef = (global.cds || cds).model?.definitions?.[`${model.serviceName}.${model.entityKey}`];
+    const keys = buildToolParameters(model.keyTypeMap, model.propertyHints, entityDef?.elements);
     const useElicitInput = (0, elicited_input_1.isElicitInput)(model.elicits);
     const inputSchema = buildZodSchema({
         ...keys,
@@ -49,6 +51,7 @@ function assignBoundOperation(params, model, server, authEnabled) {
         title: model.name,
         description: model.description,
         inputSchema: inputSchema,
+        outputSchema: (0, output_schema_1.operationOutputSchema)(model),
     }, async (args) => {
         // Resolve from current CAP context; prefer global to align with Jest mocks
         const cdsMod = global.cds || cds;
@@ -114,6 +117,7 @@ function assignUnboundOperation(params, model, server, authEnabled) {
         title: model.name,
         description: model.description,
         inputSchema: inputSchema,
+        outputSchema: (0, output_schema_1.operationOutputSchema)(model),
     }, async (args) => {
         // Resolve from current CAP context; prefer global to align with Jest mocks
         const cdsMod = global.cds || cds;
@@ -148,17 +152,35 @@ function assignUnboundOperation(params, model, server, authEnabled) {
         }
     });
 }
+/**
+ * CSN definition of the tool's action or function: the bound operation on its
+ * entity, or the unbound one in its service.
+ * @param model - Tool annotation
+ */
+function operationDefinition(model) {
+    const definitions = (global.cds || cds).model?.definitions ?? {};
+    if (model.entityKey)
+        return definitions[`${model.serviceName}.${model.entityKey}`]?.actions?.[model.target];
+    return definitions[`${model.serviceName}.${model.target}`];
+}
 /**
  * Converts a map of CDS parameter types to MCP parameter schema definitions
  * @param params - Map of parameter names to their CDS type strings
+ * @param definitions - CSN parameters or elements by name, whose enum,
+ *   `@assert.*`, length and precision constrain the schemas; structured
+ *   ones are built from CSN (see {@link buildStructuredZodType})
  * @returns Record of parameter names to Zod schema types
  */
-function buildToolParameters(params, propertyHints) {
+function buildToolParameters(params, propertyHints, definitions) {
     if (!params || params.size <= 0)
         return {};
     const result = {};
     for (const [k, v] of params.entries()) {
-        result[k] = (0, utils_1.determineMcpParameterType)(v)?.describe(propertyHints.get(k) ?? "");
+        const definition = definitions?.[k];
+        const schema = (0, utils_1.isStructuredDefinition)(definition)
+            ? (0, utils_1.buildStructuredZodType)(definition)
+            : (0, utils_1.constrainToElement)((0, utils_1.determineMcpParameterType)(v), definition);
+        result[k] = schema?.describe(propertyHints.get(k) ?? "");
     }
     return result;
 }
@@ -1,6 +1,10 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.determineMcpParameterType = determineMcpParameterType;
+exports.buildCompositionZodType = buildCompositionZodType;
+exports.constrainToElement = constrainToElement;
+exports.isStructuredDefinition = isStructuredDefinition;
+exports.buildStructuredZodType = buildStructuredZodType;
 exports.handleMcpSessionRequest = handleMcpSessionRequest;
 exports.writeODataDescriptionForResource = writeODataDescriptionForResource;
 exports.toolError = toolError;
@@ -8,6 +12,7 @@ exports.asMcpResult = asMcpResult;
 exports.applyOmissionFilter = applyOmissionFilter;
 exports.toCdsTemporalString = toCdsTemporalString;
 const constants_1 = require("./constants");
+const constants_2 = require("../annotations/constants");
 const zod_1 = require("zod");
 /* @ts-ignore */
 const cds = global.cds || require("@sap/cds"); // This is a work around for missing cds context
@@ -61,11 +66,21 @@ const zTimestamp = zod_1.z
     .union([zod_1.z.string(), zod_1.z.number(), zod_1.z.date(), zod_1.z.null()])
     .transform((v) => toCdsTemporalString(v, "Timestamp"));
 /**
- * Converts a CDS type string to the corresponding Zod schema type
+ * Converts a CDS type string to the corresponding Zod schema type. With
+ * `key` and `target`, the schema also carries the constraints CAP asserts on
+ * that element (see {@link constrainToElement}).
  * @param cdsType - The CDS type name (e.g., 'String', 'Integer')
+ * @param key - Element name, for compositions and element constraints
+ * @param target - Qualified name of the entity holding the element
  * @returns Zod schema instance for the given type
  */
 function determineMcpParameterType(cdsType, key, target) {
+    const schema = baseParameterType(cdsType, key, target);
+    if (!key || !target || cdsType === "Composition")
+        return schema;
+    return constrainToElement(schema, cds.model?.definitions?.[target]?.elements?.[key]);
+}
+function baseParameterType(cdsType, key, target) {
     switch (cdsType) {
         case "String":
             return zod_1.z.string();
@@ -145,13 +160,89 @@ function determineMcpParameterType(cdsType, key, target) {
             return zod_1.z.string();
     }
 }
+/**
+ * One bound of `@assert.range`: a number is inclusive, a parenthesised
+ * number (`(0)`, CSN `{ "=": "0", val: 0 }`) exclusive, and `_` open.
+ */
+function rangeBound(bound) {
+    if (typeof bound === "number")
+        return { value: bound, exclusive: false };
+    if (bound && typeof bound === "object" && typeof bound.val === "number")
+        return { value: bound.val, exclusive: true };
+    return undefined;
+}
+/**
+ * Narrows a parameter schema with the constraints CAP asserts on the CSN
+ * element or parameter, so agents see them up front instead of hitting
+ * ASSERT_* errors: `enum` values, numeric `@assert.range`, `@assert.format`,
+ * String `length` and Decimal precision/scale. Schemas other than plain
+ * strings and numbers (temporal unions, arrays, objects) are returned as is.
+ * @param schema - Schema from {@link determineMcpParameterType}
+ * @param element - CSN element or parameter definition
+ * @returns Constrained schema
+ */
+function constrainToElement(schema, element) {
+    if (!element)
+        return schema;
+    const isString = schema instanceof zod_1.z.ZodString;
+    const isNumber = schema instanceof zod_1.z.ZodNumber;
+    if (!isString && !isNumber)
+        return schema;
+    const enumValues = element.enum
+        ? Object.entries(element.enum).map(([name, v]) => v?.val ?? name)
+        : [];
+    if (enumValues.length > 0) {
+        if (isString)
+            return zod_1.z.enum(enumValues.map(String));
+        const literals = enumValues.filter((v) => typeof v === "number").map((v) => zod_1.z.literal(v));
+        if (literals.length === 1)
+            return literals[0];
+        if (literals.length > 1)
+            return zod_1.z.union(literals);
+    }
+    let result = schema;
+    if (isString) {
+        if (typeof element.length === "number")
+            result = result.max(element.length);
+        const format = element["@assert.format"];
+        if (typeof format === "string") {
+            try {
+                result = result.regex(new RegExp(format), `Must match ${format}`);
+            }
+            catch {
+                // CAP would reject the pattern too; leave the input unconstrained.
+            }
+        }
+        return result;
+    }
+    const range = element["@assert.range"];
+    if (Array.isArray(range) && range.length === 2) {
+        const min = rangeBound(range[0]);
+        const max = rangeBound(range[1]);
+        if (min)
+            result = min.exclusive ? result.gt(min.value) : result.gte(min.value);
+        if (max)
+            result = max.exclusive ? result.lt(max.value) : result.lte(max.value);
+    }
+    const type = String(element._type ?? element.type ?? "");
+    if (type === "cds.Decimal" && typeof element.precision === "number") {
+        const scale = typeof element.scale === "number" ? element.scale : 0;
+        const limit = 10 ** (element.precision - scale);
+        result = result.gt(-limit).lt(limit);
+        if (scale > 0)
+            result = result.multipleOf(10 ** -scale);
+    }
+    return result;
+}
 /**
  * Builds the complex ZodType for a CDS type of 'Composition'
  * @param key
  * @param target
+ * @param options - `allowDelete` adds the `_delete` marker used by the
+ *   non-draft update tool to remove a child by key
  * @returns ZodType
  */
-function buildCompositionZodType(key, target) {
+function buildCompositionZodType(key, target, options) {
     const model = cds.model;
     if (!model.definitions || !target || !key) {
         return zod_1.z.object({}); // fallback, might have to reconsider type later
@@ -216,12 +307,95 @@ function buildCompositionZodType(key, target) {
         const isDraftSurrogate = k === "ID_texts";
         const isUuidKey = v.key === true && String(v.type) === "cds.UUID";
         const isOptional = !v.key || hasInsertDefault || isDraftSurrogate || isUuidKey;
-        const paramType = determineMcpParameterType(parsedType);
+        const paramType = determineMcpParameterType(parsedType, k, targetProp.target);
         compProperties.set(k, isOptional ? paramType.optional() : paramType);
     }
+    if (options?.allowDelete) {
+        compProperties.set("_delete", zod_1.z
+            .boolean()
+            .optional()
+            .describe("Set to true (with the child's key fields) to delete this child instead of upserting it"));
+    }
     const zodType = zod_1.z.object(Object.fromEntries(compProperties));
     return isArray ? zod_1.z.array(zodType) : zodType;
 }
+// At most this many named types nest inside a structured parameter; deeper
+// levels are passed through unchecked.
+const MAX_STRUCT_DEPTH = 8;
+/**
+ * Whether a CSN parameter or element is structured: a named or inline struct,
+ * or `many` of one.
+ * @param def - Linked CSN parameter or element
+ */
+function isStructuredDefinition(def) {
+    return !!(def?.elements || def?.items?.elements);
+}
+/**
+ * Builds the recursive Zod schema of a CSN parameter or element: structs
+ * (named or inline) become objects, `many` becomes arrays, managed
+ * associations become objects of their target's keys, and scalars get the
+ * usual type plus its CSN constraints. Struct elements keep their
+ * `@mcp.hint` as description and are optional unless `not null` or
+ * `@mandatory`; generated foreign keys are left out in favour of the
+ * association. Named types or association targets already on the current
+ * path are not expanded again, which guards against cycles.
+ * @param def - Linked CSN parameter, element or type definition
+ * @param path - Named types and targets on the current path
+ * @returns Zod schema for the definition
+ */
+function buildStructuredZodType(def, path = new Set()) {
+    if (def?.items)
+        return zod_1.z.array(buildStructuredZodType(def.items, path));
+    const named = typeof def?.type === "string" && !def.type.startsWith("cds.") ? def.type : undefined;
+    if (def?.elements) {
+        if (path.size >= MAX_STRUCT_DEPTH || (named && path.has(named))) {
+            return zod_1.z.object({}).passthrough().describe(`Nested ${named ?? "structure"}, not expanded`);
+        }
+        const inner = named ? new Set([...path, named]) : path;
+        const shape = {};
+        for (const [name, el] of Object.entries(def.elements)) {
+            if (el["@odata.foreignKey4"])
+                continue;
+            const type = el.isAssociation || el.type === "cds.Association" || el.type === "cds.Composition"
+                ? associationKeysZodType(el, inner)
+                : buildStructuredZodType(el, inner);
+            if (!type)
+                continue;
+            const required = el.notNull === true || el["@mandatory"] === true;
+            const hint = el[constants_2.MCP_HINT_ELEMENT];
+            const field = required ? type : type.optional();
+            shape[name] = hint ? field.describe(hint) : field;
+        }
+        return zod_1.z.object(shape);
+    }
+    const cdsType = String(def?._type ?? def?.type ?? "").replace(/^cds\./, "");
+    return constrainToElement(determineMcpParameterType(cdsType), def);
+}
+/**
+ * Object of the target keys of a managed to-one association inside a
+ * structured parameter, e.g. `book: { ID: 1 }`; undefined for unmanaged or
+ * to-many associations and for targets already on the path.
+ */
+function associationKeysZodType(el, path) {
+    const target = cds.model?.definitions?.[el.target];
+    if (!target?.elements || !Array.isArray(el.keys) || path.has(el.target))
+        return undefined;
+    const inner = new Set([...path, el.target]);
+    const shape = {};
+    for (const key of el.keys) {
+        const name = key.ref?.length === 1 ? key.ref[0] : undefined;
+        const keyElement = name ? target.elements[name] : undefined;
+        if (!keyElement)
+            return undefined;
+        const type = keyElement.isAssociation
+            ? associationKeysZodType(keyElement, inner)
+            : buildStructuredZodType(keyElement, inner);
+        if (!type)
+            return undefined;
+        shape[name] = type;
+    }
+    return zod_1.z.object(shape).describe(`Key(s) of the ${el.target.split(".").pop()} to reference`);
+}
 /**
  * Handles incoming MCP session requests by validating session IDs and routing
  * to the appropriate transport.
@@ -262,6 +436,9 @@ function writeODataDescriptionForResource(model) {
     if (model.functionalities.has("skip")) {
         description += `- skip: OData $skip syntax (e.g., $skip=10)${constants_1.NEW_LINE}`;
     }
+    if (model.functionalities.has("count")) {
+        description += `- count: OData $count syntax (e.g., $count=true). Wraps the result as {"@odata.count": total, "value": [...rows]}; total ignores top/skip${constants_1.NEW_LINE}`;
+    }
     if (model.functionalities.has("select")) {
         description += `- select: OData $select syntax (e.g., $select=property1,property2, etc..)${constants_1.NEW_LINE}`;
     }
@@ -321,7 +498,8 @@ function toolError(code, message, extra, cause) {
 }
 /**
  * Formats a payload as MCP result content with a single text part.
- * This ensures compatibility with all MCP clients.
+ * This ensures compatibility with all MCP clients. The same payload is
+ * returned as `structuredContent` for tools that declare an output schema.
  */
 function asMcpResult(payload) {
     // Pretty-print for objects, stringify primitives, and split arrays into multiple parts
@@ -354,6 +532,7 @@ function asMcpResult(payload) {
                     text: JSON.stringify(payload, null, 2),
                 },
             ],
+            structuredContent: structuredContentFor(payload),
         };
     }
     return {
@@ -363,8 +542,22 @@ function asMcpResult(payload) {
                 text: toText(payload),
             },
         ],
+        structuredContent: structuredContentFor(payload),
     };
 }
+/**
+ * `structuredContent` must be a JSON object: arrays are wrapped as
+ * `{ rows }`, the shape the query tool already uses for cursor pages, and
+ * scalars as `{ value }`. The text part stays the fallback for clients
+ * that ignore structured output.
+ */
+function structuredContentFor(payload) {
+    if (Array.isArray(payload))
+        return { rows: payload };
+    if (payload !== null && typeof payload === "object")
+        return payload;
+    return { value: payload };
+}
 /**
  * Applies the omit rules for the resulting object based on the annotations.
  * Creates a copy of the input object to avoid unwanted mutations.
@@ -375,7 +568,12 @@ function asMcpResult(payload) {
 function applyOmissionFilter(res, annotations) {
     if (!res)
         return res; // We do not want to parse something that does not exist
-    const omit = annotations?.omittedFields;
+    // Media elements never travel inside row JSON; they are read through
+    // the `_media` tool or their media resource URI instead.
+    const media = annotations?.mediaFields;
+    const omit = media?.size > 0
+        ? new Set([...(annotations.omittedFields ?? []), ...media.keys()])
+        : annotations?.omittedFields;
     // Build a per-nav-target omission lookup so expanded subtrees get their
     // own entity's `@mcp.omit` fields stripped too. Falls back to the root
     // entity's omit set when no per-target map is available.
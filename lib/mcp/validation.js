@@ -2,55 +2,11 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.ODataValidationError = exports.ODataQueryValidator = exports.ODataQueryValidationSchemas = void 0;
 const zod_1 = require("zod");
-const logger_1 = require("../logger");
+const filter_parser_1 = require("./filter-parser");
 /**
  * Comprehensive validation system for OData query parameters with security controls
  * Provides schema validation, injection attack prevention, and type safety
  */
-// Allowed OData operators
-const ALLOWED_OPERATORS = new Set([
-    "eq",
-    "ne",
-    "gt",
-    "ge",
-    "lt",
-    "le",
-    "and",
-    "or",
-    "not",
-    "contains",
-    "startswith",
-    "endswith",
-    "indexof",
-    "length",
-    "substring",
-    "tolower",
-    "toupper",
-    "trim",
-]);
-// Forbidden patterns that could indicate injection attempts
-const FORBIDDEN_PATTERNS = [
-    /;/g, // SQL statement terminator
-    /--/g, // SQL comment
-    /\/\*/g, // Multi-line comment start
-    /\*\//g, // Multi-line comment end
-    /xp_/gi, // Extended procedures
-    /sp_/gi, // Stored procedures
-    /exec/gi, // Execute command
-    /union/gi, // Union queries
-    /insert/gi, // Insert statements
-    /update/gi, // Update statements
-    /delete/gi, // Delete statements
-    /drop/gi, // Drop statements
-    /create/gi, // Create statements
-    /alter/gi, // Alter statements
-    /script/gi, // Script tags
-    /javascript/gi, // JavaScript
-    /eval/gi, // Eval function
-    /expression/gi, // Expression evaluation
-    /\bor\s+\d+\s*=\s*\d+/gi, // SQL injection pattern like \"OR 1=1\"
-    /\band\s+\d+\s*=\s*\d+/gi, // SQL injection pattern like \"AND 1=1\"
-];
 // Validation schemas
 exports.ODataQueryValidationSchemas = {
     top: zod_1.z.number().int().min(1).max(1000),
@@ -65,12 +21,15 @@ exports.ODataQueryValidationSchemas = {
         .min(1)
         .max(200)
         .regex(/^[a-zA-Z_][a-zA-Z0-9_]*(?:\s+(asc|desc))?(?:\s*,\s*[a-zA-Z_][a-zA-Z0-9_]*(?:\s+(asc|desc))?)*$/i),
+    // Parsed by the recursive-descent grammar in `./filter-parser.js`,
+    // which type-checks every comparison and emits CQN directly.
     filter: zod_1.z.string().min(1).max(1000),
     // OData v4 $expand with nested subqueries. Length cap guards against
     // pathological nesting; the recursive-descent parser in
     // `./expand-parser.js` enforces depth/breadth and navigation-prop
     // whitelisting before we ever build CQN.
     expand: zod_1.z.string().min(1).max(2000),
+    count: zod_1.z.enum(["true", "false"]),
 };
 /**
  * Validates and sanitizes OData query parameters with comprehensive security checks
@@ -79,13 +38,19 @@ exports.ODataQueryValidationSchemas = {
 class ODataQueryValidator {
     allowedProperties;
     allowedTypes;
+    entityDef;
+    modelDefs;
     /**
      * Creates a new OData query validator for a specific entity
      * @param properties - Map of allowed entity properties to their CDS types
+     * @param context - Optional CSN entity and model definitions; required for
+     *   navigation paths, `any` / `all` and `has` in $filter
      */
-    constructor(properties) {
+    constructor(properties, context) {
         this.allowedProperties = new Set(properties.keys());
         this.allowedTypes = new Map(properties);
+        this.entityDef = context?.entityDef;
+        this.modelDefs = context?.modelDefs;
     }
     /**
      * Validates and parses the $top query parameter
@@ -113,6 +78,19 @@ class ODataQueryValidator {
         }
         return exports.ODataQueryValidationSchemas.skip.parse(parsed);
     }
+    /**
+     * Validates and parses the $count query parameter
+     * @param value - String value of the $count parameter ("true" or "false")
+     * @returns Whether the total count should be included
+     * @throws Error if value is neither "true" nor "false"
+     */
+    validateCount(value) {
+        const parsed = exports.ODataQueryValidationSchemas.count.safeParse(decodeURIComponent(value).trim().toLowerCase());
+        if (!parsed.success) {
+            throw new Error(`Invalid count parameter: ${value}. Use true or false`);
+        }
+        return parsed.data === "true";
+    }
     /**
      * Validates and sanitizes the $select query parameter
      * @param value - Comma-separated list of property names
@@ -152,151 +130,30 @@ class ODataQueryValidator {
         return validated;
     }
     /**
-     * Validates and sanitizes the $filter query parameter with comprehensive security checks
-     * Prevents injection attacks, validates operators and property references
+     * Validates the $filter query parameter and compiles it to CQN
+     * Every property, operator and function is checked against the OData
+     * grammar and the entity's types; literals end up as CQN values
      * @param value - OData filter expression
-     * @returns Sanitized filter string in CDS syntax
-     * @throws Error if filter contains forbidden patterns or invalid syntax
+     * @returns CQN expression (`{ xpr }`) ready for `.where()`
+     * @throws ODataValidationError with the position of the offending token
      */
     validateFilter(value) {
-        const input = value?.replace("filter=", "");
+        const input = value?.replace(/^filter=/, "");
         if (!input || input.trim().length === 0) {
             throw new Error("Filter parameter cannot be empty");
         }
         const decoded = decodeURIComponent(input);
         const validated = exports.ODataQueryValidationSchemas.filter.parse(decoded);
-        // Check for forbidden patterns
-        for (const pattern of FORBIDDEN_PATTERNS) {
-            if (pattern.test(validated)) {
-                logger_1.LOGGER.warn(`Potentially malicious filter pattern detected: ${pattern.source}`);
-                throw new Error("Filter contains forbidden patterns");
-            }
-        }
-        // Parse and validate filter structure
-        return this.parseAndValidateFilter(validated);
-    }
-    /**
-     * Parses OData filter expression and validates all components
-     * @param filter - Decoded and pre-validated filter string
-     * @returns CDS-compatible filter expression
-     */
-    parseAndValidateFilter(filter) {
-        // Tokenize the filter expression
-        const tokens = this.tokenizeFilter(filter);
-        // Validate tokens
-        this.validateFilterTokens(tokens);
-        // Convert OData operators to CDS syntax
-        return this.convertToCdsFilter(tokens);
-    }
-    /**
-     * Tokenizes filter expression into structured components for validation
-     * @param filter - Filter string to tokenize
-     * @returns Array of typed tokens representing the filter structure
-     */
-    tokenizeFilter(filter) {
-        const tokens = [];
-        // Enhanced tokenizer with OData operator support - literals first to avoid misclassification
-        const tokenRegex = /(\b(?:eq|ne|gt|ge|lt|le|contains|startswith|endswith)\b)|('[^']*'|"[^"]*"|\d+(?:\.\d+)?)|([<>=!]+)|(\b(?:and|or|not)\b)|(\(|\))|(\w+)/gi;
-        let match;
-        while ((match = tokenRegex.exec(filter)) !== null) {
-            const token = match[0];
-            if (match[1]) {
-                // OData operators
-                tokens.push({ type: "operator", value: token.toLowerCase() });
-            }
-            else if (match[2]) {
-                // Literal values (strings, numbers) - prioritized to avoid misclassification
-                tokens.push({ type: "literal", value: token });
-            }
-            else if (match[3]) {
-                // Comparison operators
-                tokens.push({ type: "operator", value: token });
-            }
-            else if (match[4]) {
-                // Logical operators
-                tokens.push({ type: "logical", value: token.toLowerCase() });
-            }
-            else if (match[5]) {
-                // Parentheses
-                tokens.push({ type: "paren", value: token });
-            }
-            else if (match[6]) {
-                // Property or function names
-                tokens.push({ type: "property", value: token });
-            }
-        }
-        return tokens;
-    }
-    /**
-     * Validates all filter tokens against allowed properties and operators
-     * @param tokens - Array of parsed filter tokens to validate
-     * @throws Error if any token contains invalid properties or operators
-     */
-    validateFilterTokens(tokens) {
-        for (const token of tokens) {
-            switch (token.type) {
-                case "property":
-                    // Check if it's a known OData function
-                    if (!ALLOWED_OPERATORS.has(token.value.toLowerCase()) &&
-                        !this.allowedProperties.has(token.value)) {
-                        throw new Error(`Invalid property in filter: ${token.value}. Allowed properties: ${Array.from(this.allowedProperties).join(", ")}`);
-                    }
-                    break;
-                case "operator":
-                    // Validate operator format (both symbols and OData operators)
-                    if (!/^[<>=!]+$/.test(token.value) &&
-                        !ALLOWED_OPERATORS.has(token.value.toLowerCase())) {
-                        throw new Error(`Invalid operator: ${token.value}`);
-                    }
-                    break;
-                case "logical":
-                    if (!["and", "or", "not"].includes(token.value)) {
-                        throw new Error(`Invalid logical operator: ${token.value}`);
-                    }
-                    break;
-            }
+        try {
+            return (0, filter_parser_1.parseFilter)(validated, {
+                properties: this.allowedTypes,
+                entityDef: this.entityDef,
+                modelDefs: this.modelDefs,
+            });
         }
-    }
-    /**
-     * Converts validated OData filter tokens to CDS-compatible filter syntax
-     * @param tokens - Array of validated filter tokens
-     * @returns CDS filter expression string
-     */
-    convertToCdsFilter(tokens) {
-        const cdsTokens = [];
-        for (const token of tokens) {
-            if (token.type === "operator") {
-                // Convert OData operators to CDS operators
-                switch (token.value.toLowerCase()) {
-                    case "eq":
-                        cdsTokens.push("=");
-                        break;
-                    case "ne":
-                        cdsTokens.push("!=");
-                        break;
-                    case "gt":
-                        cdsTokens.push(">");
-                        break;
-                    case "ge":
-                        cdsTokens.push(">=");
-                        break;
-                    case "lt":
-                        cdsTokens.push("<");
-                        break;
-                    case "le":
-                        cdsTokens.push("<=");
-                        break;
-                    default:
-                        cdsTokens.push(token.value);
-                        break;
-                }
-            }
-            else {
-                cdsTokens.push(token.value);
-                continue;
-            }
+        catch (e) {
+            throw new ODataValidationError(e?.message || String(e), "filter", validated);
         }
-        return cdsTokens.join(" ");
     }
 }
 exports.ODataQueryValidator = ODataQueryValidator;
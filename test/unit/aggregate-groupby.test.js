@@ -0,0 +1,187 @@
+"use strict";
+
+/**
+ * Grouped aggregation (`return: "aggregate"` + `groupby` / `having`) against
+ * a real CAP runtime. Boots an inline schema via `cds.test`, registers the
+ * query wrapper with a capturing server stub and calls the handler directly.
+ *
+ * What we assert:
+ *   - No groupby → a single total row (previous behaviour).
+ *   - groupby → one row per group, aggregate aliased {fn}_{field}.
+ *   - having filters on aggregate aliases; orderby sorts on them.
+ *   - @mcp.omit fields cannot be grouped.
+ *   - aliases outside aggregate mode / undeclared in having are rejected.
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-aggregate-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Sales {
+  key ID    : Integer;
+  genre     : String;
+  month     : String;
+  revenue   : Integer;
+  secret    : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Sales as projection on demo.Sales;
+}
+
+annotate CatalogService.Sales with @mcp: {
+  name       : 'sales',
+  description: 'Sales lines',
+  resource   : true
+};
+
+annotate CatalogService.Sales with @mcp.wrap: {
+  tools: true,
+  modes: ['query']
+};
+
+annotate CatalogService.Sales with {
+  secret @mcp.omit;
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-aggregate-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("grouped aggregation against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let queryHandler;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const resAnno = parseDefinitions(cds.model).get("CatalogService.Sales");
+    expect(resAnno).toBeDefined();
+
+    const tools = new Map();
+    const server = { registerTool: (name, _meta, handler) => tools.set(name, handler) };
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    registerEntityWrappers(resAnno, server, false, ["query"], {
+      canRead: true, canCreate: false, canUpdate: false, canDelete: false,
+    });
+    queryHandler = tools.get("sales_query");
+    expect(queryHandler).toBeDefined();
+
+    await cds.run(INSERT.into("CatalogService.Sales").entries([
+      { ID: 1, genre: "Fantasy", month: "2026-01", revenue: 100, secret: "x" },
+      { ID: 2, genre: "Fantasy", month: "2026-01", revenue: 50, secret: "x" },
+      { ID: 3, genre: "Fantasy", month: "2026-02", revenue: 70, secret: "y" },
+      { ID: 4, genre: "Crime", month: "2026-01", revenue: 20, secret: "y" },
+      { ID: 5, genre: "Drama", month: "2026-02", revenue: 300, secret: "z" },
+    ]));
+  });
+
+  const parse = (res) => JSON.parse(res.content[0].text);
+
+  test("without groupby returns a single total row", async () => {
+    const rows = parse(await queryHandler({
+      return: "aggregate",
+      aggregate: [{ fn: "sum", field: "revenue" }],
+    }));
+    expect(rows).toEqual([{ sum_revenue: 540 }]);
+  });
+
+  test("groupby emits one row per group and honours the base WHERE", async () => {
+    const rows = parse(await queryHandler({
+      return: "aggregate",
+      aggregate: [{ fn: "sum", field: "revenue" }, { fn: "count", field: "ID" }],
+      groupby: ["genre", "month"],
+      where: [{ field: "genre", op: "eq", value: "Fantasy" }],
+      orderby: [{ field: "month", dir: "asc" }],
+    }));
+    expect(rows).toEqual([
+      { genre: "Fantasy", month: "2026-01", sum_revenue: 150, count_ID: 2 },
+      { genre: "Fantasy", month: "2026-02", sum_revenue: 70, count_ID: 1 },
+    ]);
+  });
+
+  test("having filters on an aggregate alias, orderby sorts on it", async () => {
+    const rows = parse(await queryHandler({
+      return: "aggregate",
+      aggregate: [{ fn: "sum", field: "revenue" }],
+      groupby: ["genre"],
+      having: [{ alias: "sum_revenue", op: "ge", value: 200 }],
+      orderby: [{ field: "sum_revenue", dir: "desc" }],
+    }));
+    expect(rows).toEqual([
+      { genre: "Drama", sum_revenue: 300 },
+      { genre: "Fantasy", sum_revenue: 220 },
+    ]);
+  });
+
+  test("top/skip page through groups", async () => {
+    const rows = parse(await queryHandler({
+      return: "aggregate",
+      aggregate: [{ fn: "max", field: "revenue" }],
+      groupby: ["genre"],
+      orderby: [{ field: "genre", dir: "asc" }],
+      top: 1,
+      skip: 1,
+    }));
+    expect(rows).toEqual([{ genre: "Drama", max_revenue: 300 }]);
+  });
+
+  test("@mcp.omit fields cannot be grouped", async () => {
+    const res = await queryHandler({
+      return: "aggregate",
+      aggregate: [{ fn: "sum", field: "revenue" }],
+      groupby: ["secret"],
+    });
+    expect(res.isError).toBe(true);
+    expect(parse(res).error).toBe("INVALID_INPUT");
+  });
+
+  test("having on an undeclared alias is rejected", async () => {
+    const res = await queryHandler({
+      return: "aggregate",
+      aggregate: [{ fn: "sum", field: "revenue" }],
+      groupby: ["genre"],
+      having: [{ alias: "avg_revenue", op: "gt", value: 1 }],
+    });
+    expect(res.isError).toBe(true);
+    expect(parse(res).error).toBe("AGGREGATE_PARSE_ERROR");
+  });
+
+  test("aggregate aliases in orderby require return: 'aggregate'", async () => {
+    const res = await queryHandler({ orderby: [{ field: "sum_revenue", dir: "desc" }] });
+    expect(res.isError).toBe(true);
+    expect(parse(res).error).toBe("AGGREGATE_PARSE_ERROR");
+  });
+
+  test("orderby on a non-grouped field is rejected in aggregate mode", async () => {
+    const res = await queryHandler({
+      return: "aggregate",
+      aggregate: [{ fn: "sum", field: "revenue" }],
+      groupby: ["genre"],
+      orderby: [{ field: "month", dir: "asc" }],
+    });
+    expect(res.isError).toBe(true);
+    expect(parse(res).error).toBe("AGGREGATE_PARSE_ERROR");
+  });
+});
@@ -0,0 +1,241 @@
+"use strict";
+
+/**
+ * The opt-in `<Service>_batch` tool. Boots an inline schema via `cds.test`,
+ * registers the batch tool with a capturing server stub and calls the
+ * handler directly; `createMcpServer` is used only to check the opt-in.
+ *
+ * What we assert:
+ *   - later steps can reference keys generated by earlier creates
+ *   - a failing step rolls back every earlier step
+ *   - `$ref` only reaches fields the step's result shows, not @mcp.omit ones
+ *   - references, disabled modes and missing grants are rejected up front
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-batch-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+using { cuid } from '@sap/cds/common';
+
+entity Customers : cuid {
+  name   : String;
+  rating : String default 'B' @mcp.omit;
+}
+
+entity Orders : cuid {
+  customer : Association to Customers;
+  status   : String;
+  items    : Composition of many OrderItems on items.order = $self;
+}
+
+entity OrderItems : cuid {
+  order    : Association to Orders;
+  product  : String;
+  quantity : Integer;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/orders.cds"), `
+using {demo} from '../db/schema';
+
+service OrderService {
+  @restrict: [
+    { grant: 'READ', to: 'authenticated-user' },
+    { grant: '*', to: 'sales' }
+  ]
+  entity Customers as projection on demo.Customers;
+  entity Orders as projection on demo.Orders;
+  entity OrderItems as projection on demo.OrderItems;
+}
+
+annotate OrderService.Customers with @mcp: {
+  name       : 'customers',
+  description: 'Customers',
+  resource   : true
+};
+
+annotate OrderService.Customers with @mcp.wrap: {
+  tools: true,
+  modes: ['create', 'update']
+};
+
+annotate OrderService.Orders with @mcp: {
+  name       : 'orders',
+  description: 'Orders',
+  resource   : true
+};
+
+annotate OrderService.Orders with @mcp.wrap: {
+  tools: true,
+  modes: ['query', 'create', 'update', 'delete']
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-batch-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("transactional batch tool against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  const BATCH = { enabled: true, max_operations: 10 };
+  let annotations;
+  let wrapped;
+
+  const register = (authEnabled) => {
+    const tools = new Map();
+    const server = { registerTool: (name, _meta, handler) => tools.set(name, handler) };
+    const { registerBatchTools } = require("../../lib/mcp/batch-tool");
+    registerBatchTools(server, wrapped, authEnabled, BATCH);
+    return tools.get("OrderService_batch");
+  };
+  const call = async (handler, operations) => {
+    const res = await handler({ operations });
+    return { isError: !!res.isError, body: JSON.parse(res.content[0].text) };
+  };
+  const count = async (entity) => (await cds.run(SELECT.from(`OrderService.${entity}`))).length;
+
+  beforeAll(() => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    annotations = parseDefinitions(cds.model);
+    wrapped = [
+      { entry: annotations.get("OrderService.Customers"), modes: ["create", "update"] },
+      { entry: annotations.get("OrderService.Orders"), modes: ["query", "create", "update", "delete"] },
+    ];
+  });
+
+  test("later steps reference keys generated by earlier steps", async () => {
+    const batch = register(false);
+    const { isError, body } = await call(batch, [
+      { op: "create", entity: "Customers", data: { name: "Ada" }, as: "c" },
+      { op: "create", entity: "Orders", data: { customer_ID: { $ref: "c.ID" }, status: "new", items: [{ product: "Pen", quantity: 2 }] }, as: "o" },
+      { op: "update", entity: "Orders", keys: { ID: { $ref: "o.ID" } }, data: { status: "placed" } },
+    ]);
+    expect(isError).toBe(false);
+    expect(body.committed).toBe(true);
+    expect(body.results.map((r) => [r.step, r.op, r.entity])).toEqual([
+      [1, "create", "Customers"], [2, "create", "Orders"], [3, "update", "Orders"],
+    ]);
+    const customerId = body.results[0].row.ID;
+    expect(customerId).toEqual(expect.any(String));
+    const order = await cds.run(SELECT.one.from("OrderService.Orders", body.results[1].row.ID, (o) => {
+      o`.*`, o.items((i) => i`.*`);
+    }));
+    expect(order).toMatchObject({ customer_ID: customerId, status: "placed", items: [{ product: "Pen", quantity: 2 }] });
+    expect(body.results[2].row.status).toBe("placed");
+  });
+
+  test("a failing step rolls back every earlier step", async () => {
+    const batch = register(false);
+    const [customers, orders] = [await count("Customers"), await count("Orders")];
+    const { isError, body } = await call(batch, [
+      { op: "create", entity: "Customers", data: { name: "Grace" }, as: "c" },
+      { op: "create", entity: "Orders", data: { customer_ID: { $ref: "c.ID" }, status: "new" } },
+      { op: "delete", entity: "Orders", keys: { ID: "00000000-0000-0000-0000-000000000000" } },
+    ]);
+    expect(isError).toBe(true);
+    expect(body.error).toBe("NOT_FOUND");
+    expect(body.step).toBe(3);
+    expect(body.committed).toBe(false);
+    expect(body.message).toMatch(/^step 3 \(delete Orders\): .*no step was committed/);
+    expect(await count("Customers")).toBe(customers);
+    expect(await count("Orders")).toBe(orders);
+  });
+
+  test("a reference to a field the earlier row lacks fails at run time and rolls back", async () => {
+    const batch = register(false);
+    const customers = await count("Customers");
+    const { body } = await call(batch, [
+      { op: "create", entity: "Customers", data: { name: "Linus" }, as: "c" },
+      { op: "update", entity: "Customers", keys: { ID: { $ref: "c.code" } }, data: { name: "L." } },
+    ]);
+    expect(body.error).toBe("INVALID_REFERENCE");
+    expect(body.message).toMatch(/step 2 .*has no field "code"/);
+    expect(await count("Customers")).toBe(customers);
+  });
+
+  test("a reference to an @mcp.omit field of an earlier row is rejected", async () => {
+    const batch = register(false);
+    const customers = await count("Customers");
+    const { body } = await call(batch, [
+      { op: "create", entity: "Customers", data: { name: "Grace" }, as: "c" },
+      { op: "update", entity: "Customers", keys: { ID: { $ref: "c.ID" } }, data: { name: "G." }, as: "u" },
+      { op: "update", entity: "Customers", keys: { ID: { $ref: "u.ID" } }, data: { name: { $ref: "u.rating" } } },
+    ]);
+    expect(body.error).toBe("INVALID_REFERENCE");
+    expect(body.message).toMatch(/step 3 .*has no field "rating"/);
+    expect(await count("Customers")).toBe(customers);
+  });
+
+  test("unknown aliases, disabled modes and unknown fields are rejected", async () => {
+    const batch = register(false);
+    const customers = await count("Customers");
+    let { body } = await call(batch, [
+      { op: "create", entity: "Customers", data: { name: "A" } },
+      { op: "update", entity: "Customers", keys: { ID: { $ref: "x.ID" } }, data: { name: "B" } },
+    ]);
+    expect(body.error).toBe("INVALID_REFERENCE");
+    expect(body.step).toBe(2);
+    ({ body } = await call(batch, [{ op: "delete", entity: "Customers", keys: { ID: "x" } }]));
+    expect(body.error).toBe("INVALID_INPUT");
+    expect(body.message).toMatch(/delete is not enabled for Customers/);
+    ({ body } = await call(batch, [{ op: "create", entity: "Customers", data: { name: "A", nickname: "a" } }]));
+    expect(body.error).toBe("INVALID_INPUT");
+    expect(body.message).toMatch(/unknown field\(s\): nickname/);
+    expect(await count("Customers")).toBe(customers);
+  });
+
+  test("each step is checked against the entity's @restrict grants", async () => {
+    const batch = register(true);
+    const [customers, orders] = [await count("Customers"), await count("Orders")];
+    cds.context = { user: new cds.User({ id: "bob", roles: ["authenticated-user"] }) };
+    try {
+      const { body } = await call(batch, [
+        { op: "create", entity: "Orders", data: { status: "new" } },
+        { op: "create", entity: "Customers", data: { name: "Bob" } },
+      ]);
+      expect(body.error).toBe("FORBIDDEN");
+      expect(body.step).toBe(2);
+      expect(await count("Orders")).toBe(orders);
+    }
+    finally {
+      cds.context = undefined;
+    }
+    cds.context = { user: new cds.User({ id: "sue", roles: ["sales"] }) };
+    try {
+      const { isError } = await call(batch, [{ op: "create", entity: "Customers", data: { name: "Sue" } }]);
+      expect(isError).toBe(false);
+    }
+    finally {
+      cds.context = undefined;
+    }
+    expect(await count("Customers")).toBe(customers + 1);
+  });
+
+  test("the tool is only registered when mcp.batch.enabled opts the service in", () => {
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const base = { name: "t", version: "1.0.0", auth: "none", capabilities: {} };
+    const on = createMcpServer({ ...base, batch: { enabled: ["OrderService"], max_operations: 5 } }, annotations);
+    expect(Object.keys(on._registeredTools)).toContain("OrderService_batch");
+    const off = createMcpServer({ ...base, batch: { enabled: false } }, annotations);
+    expect(Object.keys(off._registeredTools)).not.toContain("OrderService_batch");
+    const other = createMcpServer({ ...base, batch: { enabled: ["CatalogService"] } }, annotations);
+    expect(Object.keys(other._registeredTools)).not.toContain("OrderService_batch");
+  });
+});
@@ -0,0 +1,199 @@
+"use strict";
+
+/**
+ * Argument completion (`completion/complete`) for `odata://` templates and
+ * `@mcp.prompts` inputs. Boots an inline schema via `cds.test`, builds the
+ * real MCP server with `createMcpServer` and completes through an in-memory
+ * SDK client as different users.
+ *
+ * What we assert:
+ *   - select / orderby complete field names, omitting `@mcp.omit` fields
+ *   - filter completes field names, enum values, distinct column values and
+ *     `@Common.ValueList` values, quoted per type
+ *   - row templates complete key predicates
+ *   - prompt inputs complete enum values and `valueList` values
+ *   - suggestions are read as the caller, so `@restrict` applies
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-completions-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+type Status : String enum { draft; published = 'PUB'; }
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+  status : Status;
+  genre  : String;
+  stock  : Integer;
+  secret : String @mcp.omit;
+}
+
+entity Genres {
+  key code : String;
+  name     : String;
+}
+
+entity Ledgers {
+  key ID : Integer;
+  owner  : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+  entity Genres as projection on demo.Genres;
+
+  @restrict: [
+    { grant: 'READ', to: 'auditor' },
+    { grant: 'READ', to: 'owner', where: 'owner = $user' }
+  ]
+  entity Ledgers as projection on demo.Ledgers;
+}
+
+annotate CatalogService.Books with {
+  genre @Common.ValueList: {
+    CollectionPath: 'Genres',
+    Parameters: [{ $Type: 'Common.ValueListParameterInOut', LocalDataProperty: genre, ValueListProperty: 'code' }]
+  };
+};
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: ['filter', 'select', 'orderby', 'top'] };
+annotate CatalogService.Ledgers with @mcp: { name: 'ledgers', description: 'Ledgers', resource: ['filter'] };
+
+annotate CatalogService with @mcp.prompts: [{
+  name       : 'summarize',
+  title      : 'Summarize',
+  description: 'Summarizes a book',
+  template   : 'Summarize {{book}} ({{status}}) in {{genre}} for {{audience}}',
+  role       : 'user',
+  inputs     : [
+    { key: 'book', type: 'String', valueList: { entity: 'CatalogService.Books', element: 'title' } },
+    { key: 'status', type: 'demo.Status' },
+    { key: 'genre', type: 'String', valueList: { entity: 'CatalogService.Books', element: 'genre' } },
+    { key: 'audience', type: 'String' }
+  ]
+}];
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-completions-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("argument completion against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let client;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    const server = createMcpServer({
+      name: "completions-test",
+      version: "1.0.0",
+      capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+      auth: "inherit",
+    }, parseDefinitions(cds.model));
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "completions-test-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+
+    await cds.run(INSERT.into("CatalogService.Books").entries([
+      { ID: 1, title: "Emma", status: "PUB", genre: "novel", stock: 12 },
+      { ID: 2, title: "Emma", status: "draft", genre: "novel", stock: 3 },
+      { ID: 11, title: "Ethan's Frome", status: "PUB", genre: "novella", stock: 15 },
+      { ID: 20, title: "Villette", status: "PUB", genre: "novel", stock: 7 },
+    ]));
+    await cds.run(INSERT.into("CatalogService.Genres").entries([
+      { code: "novel", name: "Novel" },
+      { code: "novella", name: "Novella" },
+      { code: "poetry", name: "Poetry" },
+    ]));
+    await cds.run(INSERT.into("CatalogService.Ledgers").entries([{ ID: 1, owner: "alice" }, { ID: 2, owner: "bob" }]));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  const auditor = new cds.User({ id: "carol", roles: ["auditor"] });
+  const as = async (user, fn) => {
+    cds.context = { user };
+    try {
+      return await fn();
+    }
+    finally {
+      cds.context = undefined;
+    }
+  };
+  const BOOKS = "odata://CatalogService/books{?filter,select,orderby,top}";
+  const complete = async (ref, name, value, user = auditor) =>
+    (await as(user, () => client.complete({ ref, argument: { name, value } }))).completion.values;
+  const resource = (uri, name, value, user) => complete({ type: "ref/resource", uri }, name, value, user);
+  const prompt = (name, value, user) => complete({ type: "ref/prompt", name: "summarize" }, name, value, user);
+
+  test("select and orderby complete field names", async () => {
+    expect(await resource(BOOKS, "select", "")).toEqual(["ID", "title", "status", "genre", "stock"]);
+    expect(await resource(BOOKS, "select", "ID,s")).toEqual(["ID,status", "ID,stock"]);
+    expect(await resource(BOOKS, "select", "title,t")).toEqual([]);
+    expect(await resource(BOOKS, "orderby", "stock d")).toEqual(["stock desc"]);
+    expect(await resource(BOOKS, "orderby", "stock desc, ti")).toEqual(["stock desc, title"]);
+    expect(await resource(BOOKS, "top", "1")).toEqual([]);
+  });
+
+  test("filter completes fields, enum, distinct and value-list values", async () => {
+    expect(await resource(BOOKS, "filter", "stock gt 3 and st")).toEqual(["stock gt 3 and status", "stock gt 3 and stock"]);
+    expect(await resource(BOOKS, "filter", "status eq ")).toEqual(["status eq 'draft'", "status eq 'PUB'"]);
+    expect(await resource(BOOKS, "filter", "title eq 'E")).toEqual(["title eq 'Emma'", "title eq 'Ethan''s Frome'"]);
+    expect(await resource(BOOKS, "filter", "title eq 'Ethan''")).toEqual(["title eq 'Ethan''s Frome'"]);
+    expect(await resource(BOOKS, "filter", "stock ge 1")).toEqual(["stock ge 12", "stock ge 15"]);
+    expect(await resource(BOOKS, "filter", "genre eq 'p")).toEqual(["genre eq 'poetry'"]);
+    expect(await resource(BOOKS, "filter", "secret eq '")).toEqual([]);
+  });
+
+  test("row templates complete key predicates", async () => {
+    expect(await resource("odata://CatalogService/books({keys})", "keys", "1")).toEqual(["1", "11"]);
+    expect(await resource("odata://CatalogService/books({keys})", "keys", "ID=2")).toEqual(["2", "20"]);
+  });
+
+  test("prompt inputs complete enum and value-list values", async () => {
+    expect(await prompt("status", "")).toEqual(["draft", "PUB"]);
+    expect(await prompt("book", "E")).toEqual(["Emma", "Ethan's Frome"]);
+    expect(await prompt("genre", "nov")).toEqual(["novel", "novella"]);
+    expect(await prompt("audience", "a")).toEqual([]);
+  });
+
+  test("suggestions are read as the caller", async () => {
+    const LEDGERS = "odata://CatalogService/ledgers{?filter}";
+    expect(await resource(LEDGERS, "filter", "owner eq '")).toEqual(["owner eq 'alice'", "owner eq 'bob'"]);
+    const alice = new cds.User({ id: "alice", roles: ["owner"] });
+    expect(await resource(LEDGERS, "filter", "owner eq '", alice)).toEqual(["owner eq 'alice'"]);
+    expect(await resource("odata://CatalogService/ledgers({keys})", "keys", "", alice)).toEqual(["1"]);
+    const stranger = new cds.User({ id: "eve", roles: [] });
+    expect(await resource(LEDGERS, "filter", "owner eq '", stranger)).toEqual([]);
+    expect(await resource("odata://CatalogService/ledgers({keys})", "keys", "", stranger)).toEqual([]);
+  });
+});
@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+ * CSN constraints in generated input schemas. Boots an inline schema via
+ * `cds.test`, builds the real MCP server with `createMcpServer` and inspects
+ * the tools and prompts through an in-memory SDK client.
+ *
+ * What we assert:
+ *   - wrapper inputs carry enum values, `@assert.range`, `@assert.format`,
+ *     String length and Decimal precision / scale
+ *   - bound and unbound action parameters carry the same constraints
+ *   - prompt inputs typed with an enum type offer its values
+ *   - values outside the constraints are rejected before CAP sees them
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-csn-constraints-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+type Status : String enum { draft; published = 'PUB'; }
+type Prio : Integer enum { low = 1; high = 3; }
+
+entity Products {
+  key ID : Integer;
+  code   : String(8) @assert.format: '^[A-Z]+$';
+  status : Status;
+  prio   : Prio;
+  price  : Decimal(5, 2);
+  qty    : Integer @assert.range: [0, _];
+  rating : Integer @assert.range: [(0), 5];
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Products as projection on demo.Products actions {
+    @mcp: { name: 'restock', description: 'Restocks a product', tool: true }
+    action restock(qty: Integer @assert.range: [1, 9], status: demo.Status) returns Integer;
+  };
+
+  @mcp: { name: 'rate', description: 'Rates something', tool: true }
+  action rate(level: demo.Prio, note: String(3)) returns String;
+}
+
+annotate CatalogService.Products with @mcp: {
+  name       : 'products',
+  description: 'Products',
+  resource   : true,
+  wrap       : { tools: true, modes: ['query', 'get', 'create', 'update'] }
+};
+
+annotate CatalogService with @mcp.prompts: [{
+  name       : 'describe-status',
+  title      : 'Describe status',
+  description: 'Explains a status',
+  template   : 'Explain the status {{status}}',
+  role       : 'user',
+  inputs     : [{ key: 'status', type: 'demo.Status' }]
+}];
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.js"), `
+module.exports = (srv) => {
+  srv.on("restock", "Products", (req) => req.data.qty);
+  srv.on("rate", (req) => String(req.data.level));
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-csn-constraints-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("CSN constraints in input schemas against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let client;
+  let tools;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    const server = createMcpServer({
+      name: "csn-constraints-test",
+      version: "1.0.0",
+      capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+      auth: "none",
+    }, parseDefinitions(cds.model));
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "csn-constraints-test-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+    tools = new Map((await client.listTools()).tools.map((t) => [t.name, t]));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  const propertiesOf = (name) => tools.get(name).inputSchema.properties;
+  const call = (name, args) => client.callTool({ name, arguments: args });
+
+  test("wrapper inputs carry enum, range, format, length and precision", () => {
+    const props = propertiesOf("products_create");
+    expect(props.status.enum).toEqual(["draft", "PUB"]);
+    expect(JSON.stringify(props.prio)).toMatch(/"const":1|"enum":\[1,3\]/);
+    expect(props.code).toMatchObject({ type: "string", maxLength: 8, pattern: "^[A-Z]+$" });
+    expect(props.qty).toMatchObject({ minimum: 0 });
+    expect(props.qty.maximum).toBeUndefined();
+    expect(props.rating).toMatchObject({ exclusiveMinimum: 0, maximum: 5 });
+    expect(props.price).toMatchObject({ exclusiveMinimum: -1000, exclusiveMaximum: 1000, multipleOf: 0.01 });
+    expect(propertiesOf("products_update").status.enum).toEqual(["draft", "PUB"]);
+  });
+
+  test("bound and unbound action parameters carry the constraints", () => {
+    const restock = propertiesOf("restock");
+    expect(restock.qty).toMatchObject({ minimum: 1, maximum: 9 });
+    expect(restock.status.enum).toEqual(["draft", "PUB"]);
+    const rate = propertiesOf("rate");
+    expect(rate.note).toMatchObject({ maxLength: 3 });
+    expect(JSON.stringify(rate.level)).toMatch(/1.*3/);
+  });
+
+  test("prompt inputs typed with an enum type offer its values", async () => {
+    const values = (await client.complete({
+      ref: { type: "ref/prompt", name: "describe-status" },
+      argument: { name: "status", value: "" },
+    })).completion.values;
+    expect(values).toEqual(["draft", "PUB"]);
+  });
+
+  test("values outside the constraints are rejected before CAP sees them", async () => {
+    const ok = await call("products_create", { ID: 1, code: "ABC", status: "PUB", prio: 3, price: 12.5, qty: 0, rating: 5 });
+    expect(ok.isError).toBeFalsy();
+
+    for (const bad of [{ status: "gone" }, { prio: 2 }, { code: "abc" }, { code: "ABCDEFGHI" }, { qty: -1 }, { rating: 0 }, { price: 1.234 }, { price: 1000 }]) {
+      const res = await call("products_create", { ID: 2, ...bad });
+      expect(res.isError).toBe(true);
+      expect(res.content[0].text).toMatch(/validation/i);
+    }
+    expect(await cds.run(SELECT.from("demo.Products").where({ ID: 2 }))).toEqual([]);
+
+    expect((await call("restock", { ID: 1, qty: 10 })).isError).toBe(true);
+    expect((await call("rate", { level: 3, note: "long" })).isError).toBe(true);
+    expect((await call("rate", { level: 3, note: "ok" })).isError).toBeFalsy();
+  });
+});
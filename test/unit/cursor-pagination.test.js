@@ -0,0 +1,207 @@
+"use strict";
+
+/**
+ * Keyset cursors and `includeCount` for `_query` tools, `count=true` on
+ * odata:// templates, and the paginated `resources/list` handler. Boots an
+ * inline schema via `cds.test`, registers the query wrapper with a capturing
+ * server stub, and drives the SDK's request handler map directly for
+ * `resources/read` and `resources/list`.
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-cursor-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID    : Integer;
+  title     : String;
+  stock     : Integer;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+}
+
+annotate CatalogService.Books with @mcp: {
+  name       : 'books',
+  description: 'Books',
+  resource   : true
+};
+
+annotate CatalogService.Books with @mcp.wrap: {
+  tools: true,
+  modes: ['query']
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-cursor-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: {
+      auth: "none",
+      session_store: { kind: "stateless" },
+      pagination: { cursor_secret: "test-secret", list_page_size: 2 },
+    },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("cursor pagination against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let queryHandler;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const resAnno = parseDefinitions(cds.model).get("CatalogService.Books");
+    const tools = new Map();
+    const server = { registerTool: (name, _meta, handler) => tools.set(name, handler) };
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    registerEntityWrappers(resAnno, server, false, ["query"], {
+      canRead: true, canCreate: false, canUpdate: false, canDelete: false,
+    });
+    queryHandler = tools.get("books_query");
+
+    await cds.run(INSERT.into("CatalogService.Books").entries([
+      { ID: 1, title: "A", stock: 5 },
+      { ID: 2, title: "B", stock: 3 },
+      { ID: 3, title: "C", stock: 5 },
+      { ID: 4, title: "D", stock: null },
+      { ID: 5, title: "E", stock: 1 },
+    ]));
+  });
+
+  const call = async (args) => JSON.parse((await queryHandler(args)).content[0].text);
+
+  test("pages follow orderby with keys as tie-breakers and end with a null cursor", async () => {
+    const base = { top: 2, orderby: [{ field: "stock", dir: "desc" }], select: ["title"] };
+    const p1 = await call({ ...base, cursor: "" });
+    expect(p1.rows).toEqual([{ title: "A" }, { title: "C" }]);
+    expect(typeof p1.nextCursor).toBe("string");
+    const p2 = await call({ ...base, cursor: p1.nextCursor });
+    expect(p2.rows).toEqual([{ title: "B" }, { title: "E" }]);
+    const p3 = await call({ ...base, cursor: p2.nextCursor });
+    expect(p3.rows).toEqual([{ title: "D" }]);
+    expect(p3.nextCursor).toBeNull();
+  });
+
+  test("paged queries pin NULL placement so every database pages alike", async () => {
+    const base = { top: 2, orderby: [{ field: "stock", dir: "asc" }], select: ["title"] };
+    const p1 = await call({ ...base, cursor: "", explain: true });
+    expect(p1.data.rows).toEqual([{ title: "D" }, { title: "E" }]);
+    expect(p1.plan.cqn.SELECT.orderBy).toEqual([
+      { ref: ["stock"], sort: "asc", nulls: "first" },
+      { ref: ["ID"], sort: "asc", nulls: "first" },
+    ]);
+    const p2 = await call({ ...base, cursor: p1.data.nextCursor });
+    expect(p2.rows).toEqual([{ title: "B" }, { title: "A" }]);
+  });
+
+  test("rows inserted before the cursor position do not shift the next page", async () => {
+    const base = { top: 2, orderby: [{ field: "ID", dir: "asc" }] };
+    const p1 = await call({ ...base, cursor: "" });
+    expect(p1.rows.map((r) => r.ID)).toEqual([1, 2]);
+    await cds.run(INSERT.into("CatalogService.Books").entries({ ID: 0, title: "Z", stock: 9 }));
+    try {
+      const p2 = await call({ ...base, cursor: p1.nextCursor });
+      expect(p2.rows.map((r) => r.ID)).toEqual([3, 4]);
+    }
+    finally {
+      await cds.run(DELETE.from("CatalogService.Books").where({ ID: 0 }));
+    }
+  });
+
+  test("tampered cursors are rejected", async () => {
+    const p1 = await call({ top: 2, cursor: "" });
+    const [body, mac] = p1.nextCursor.split(".");
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url")), k: [4] })).toString("base64url");
+    const res = await call({ top: 2, cursor: `${forged}.${mac}` });
+    expect(res.error).toBe("INVALID_CURSOR");
+  });
+
+  test("a cursor cannot be replayed with a different filter", async () => {
+    const p1 = await call({ top: 2, cursor: "" });
+    const res = await call({ top: 2, cursor: p1.nextCursor, where: [{ field: "stock", op: "gt", value: 0 }] });
+    expect(res.error).toBe("INVALID_CURSOR");
+  });
+
+  test("cursor cannot be combined with skip", async () => {
+    const res = await call({ top: 2, skip: 2, cursor: "" });
+    expect(res.error).toBe("INVALID_CURSOR");
+  });
+
+  test("includeCount returns rows, total and hasMore in one call", async () => {
+    const page = await call({ top: 2, skip: 2, includeCount: true, orderby: [{ field: "ID", dir: "asc" }] });
+    expect(page.rows.map((r) => r.ID)).toEqual([3, 4]);
+    expect(page.count).toBe(5);
+    expect(page.hasMore).toBe(true);
+    const filtered = await call({ includeCount: true, where: [{ field: "stock", op: "ge", value: 3 }] });
+    expect(filtered.count).toBe(3);
+    expect(filtered.hasMore).toBe(false);
+  });
+
+  test("includeCount with a cursor counts every match, not just the rows after it", async () => {
+    const p1 = await call({ top: 3, cursor: "", includeCount: true });
+    const p2 = await call({ top: 3, cursor: p1.nextCursor, includeCount: true });
+    expect(p2.rows.map((r) => r.ID)).toEqual([4, 5]);
+    expect(p2.count).toBe(5);
+    expect(p2.hasMore).toBe(false);
+    expect(p2.nextCursor).toBeNull();
+  });
+
+  test("includeCount is rejected outside return: 'rows'", async () => {
+    const res = await call({ return: "count", includeCount: true });
+    expect(res.error).toBe("INVALID_INPUT");
+  });
+
+  test("odata:// templates accept count=true", async () => {
+    const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { assignResourceToServer } = require("../../lib/mcp/resources");
+    const server = new McpServer({ name: "t", version: "1.0.0" });
+    assignResourceToServer(parseDefinitions(cds.model).get("CatalogService.Books"), server, false);
+    const read = server.server._requestHandlers.get("resources/read");
+    const res = await read({
+      method: "resources/read",
+      params: { uri: "odata://CatalogService/books?filter=stock%20gt%202&top=1&count=true" },
+    }, {});
+    const payload = JSON.parse(res.contents[0].text);
+    expect(payload["@odata.count"]).toBe(3);
+    expect(payload.value).toHaveLength(1);
+  });
+
+  test("resources/list pages through static resources with a signed cursor", async () => {
+    const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+    const { installResourceListPaging } = require("../../lib/mcp/resources");
+    const server = new McpServer({ name: "t", version: "1.0.0" });
+    for (const name of ["r1", "r2", "r3"]) {
+      server.registerResource(name, `odata://Svc/${name}`, {}, async () => ({ contents: [] }));
+    }
+    installResourceListPaging(server);
+    const list = server.server._requestHandlers.get("resources/list");
+
+    const page1 = await list({ method: "resources/list", params: {} }, {});
+    expect(page1.resources.map((r) => r.name)).toEqual(["r1", "r2"]);
+    const page2 = await list({ method: "resources/list", params: { cursor: page1.nextCursor } }, {});
+    expect(page2.resources.map((r) => r.name)).toEqual(["r3"]);
+    expect(page2.nextCursor).toBeUndefined();
+    await expect(list({ method: "resources/list", params: { cursor: "bogus.cursor" } }, {}))
+      .rejects.toThrow(/cursor/);
+  });
+});
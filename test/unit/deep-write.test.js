@@ -0,0 +1,273 @@
+"use strict";
+
+/**
+ * Deep writes of compositions through the non-draft `_create` and `_update`
+ * tools. Boots an inline schema via `cds.test`, registers the wrappers with
+ * a capturing server stub and calls the handlers directly.
+ *
+ * What we assert:
+ *   - create inserts parent and children atomically (deep insert)
+ *   - update upserts children by key and leaves unlisted children alone
+ *   - `_delete` removes a child; a missing child rolls back the whole call
+ *   - a child key belonging to another parent is never updated in place
+ *   - children of a composition of an aspect are matched by their own keys
+ *     plus the `up_` back-reference filled from the parent
+ *   - composition-only updates still need UPDATE rights on the parent
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-deep-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Orders {
+  key ID   : Integer;
+  customer : String;
+  items    : Composition of many OrderItems on items.order = $self;
+}
+
+entity OrderItems {
+  key ID   : Integer;
+  order    : Association to Orders;
+  product  : String;
+  quantity : Integer;
+}
+
+entity Invoices {
+  key ID : Integer;
+  lines  : Composition of many {
+    key pos : Integer;
+    text    : String;
+    amount  : Integer;
+  };
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/orders.cds"), `
+using {demo} from '../db/schema';
+
+service OrderService {
+  entity Orders as projection on demo.Orders;
+  entity OrderItems as projection on demo.OrderItems;
+  @restrict: [
+    { grant: 'READ', to: 'viewer' },
+    { grant: '*', to: 'clerk' }
+  ]
+  entity Invoices as projection on demo.Invoices;
+}
+
+annotate OrderService.Orders with @mcp: {
+  name       : 'orders',
+  description: 'Orders',
+  resource   : true
+};
+
+annotate OrderService.Orders with @mcp.wrap: {
+  tools: true,
+  modes: ['create', 'update']
+};
+
+annotate OrderService.Invoices with @mcp: {
+  name       : 'invoices',
+  description: 'Invoices',
+  resource   : true
+};
+
+annotate OrderService.Invoices with @mcp.wrap: {
+  tools: true,
+  modes: ['create', 'update']
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-deep-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("deep create/update of compositions against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  const tools = new Map();
+
+  beforeAll(() => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const annotations = parseDefinitions(cds.model);
+    const server = { registerTool: (name, meta, handler) => tools.set(name, { meta, handler }) };
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    for (const target of ["OrderService.Orders", "OrderService.Invoices"]) {
+      registerEntityWrappers(annotations.get(target), server, false, ["create", "update"], {
+        canRead: true, canCreate: true, canUpdate: true, canDelete: false,
+      });
+    }
+  });
+
+  const call = async (name, args) => {
+    const res = await tools.get(name).handler(args);
+    return { isError: res.isError, body: JSON.parse(res.content[0].text) };
+  };
+  const itemsOf = async (order) =>
+    cds.run(SELECT.from("OrderService.OrderItems").columns("ID", "product", "quantity").where({ order_ID: order }).orderBy("ID"));
+
+  test("create inserts the order and its items in one call", async () => {
+    const res = await call("orders_create", {
+      ID: 1, customer: "ACME",
+      items: [{ ID: 10, product: "bolt", quantity: 5 }, { ID: 11, product: "nut", quantity: "7" }],
+    });
+    expect(res.isError).toBeFalsy();
+    expect(await itemsOf(1)).toEqual([
+      { ID: 10, product: "bolt", quantity: 5 },
+      { ID: 11, product: "nut", quantity: 7 },
+    ]);
+  });
+
+  test("a failing child rolls back the whole create", async () => {
+    const res = await call("orders_create", {
+      ID: 2, customer: "Dup",
+      items: [{ ID: 10, product: "clash", quantity: 1 }],
+    });
+    expect(res.isError).toBe(true);
+    expect(await cds.run(SELECT.one.from("OrderService.Orders").where({ ID: 2 }))).toBeFalsy();
+  });
+
+  test("update upserts children by key and keeps unlisted ones", async () => {
+    const res = await call("orders_update", {
+      ID: 1, customer: "ACME Corp",
+      items: [{ ID: 10, quantity: 6 }, { ID: 12, product: "washer", quantity: 3 }],
+    });
+    expect(res.isError).toBeFalsy();
+    expect(res.body.customer).toBe("ACME Corp");
+    expect(res.body.items.map((i) => i.ID).sort()).toEqual([10, 11, 12]);
+    expect(await itemsOf(1)).toEqual([
+      { ID: 10, product: "bolt", quantity: 6 },
+      { ID: 11, product: "nut", quantity: 7 },
+      { ID: 12, product: "washer", quantity: 3 },
+    ]);
+  });
+
+  test("_delete removes a child by key", async () => {
+    const res = await call("orders_update", { ID: 1, items: [{ ID: 11, _delete: true }] });
+    expect(res.isError).toBeFalsy();
+    expect((await itemsOf(1)).map((i) => i.ID)).toEqual([10, 12]);
+  });
+
+  test("deleting a missing child fails and rolls back sibling changes", async () => {
+    const res = await call("orders_update", {
+      ID: 1, customer: "Changed",
+      items: [{ ID: 10, quantity: 99 }, { ID: 404, _delete: true }],
+    });
+    expect(res.isError).toBe(true);
+    expect(res.body.error).toBe("NOT_FOUND");
+    const order = await cds.run(SELECT.one.from("OrderService.Orders").where({ ID: 1 }));
+    expect(order.customer).toBe("ACME Corp");
+    expect((await itemsOf(1))[0].quantity).toBe(6);
+  });
+
+  test("_delete without the child key is rejected up front", async () => {
+    const res = await call("orders_update", { ID: 1, items: [{ product: "bolt", _delete: true }] });
+    expect(res.body.error).toBe("INVALID_INPUT");
+  });
+
+  test("a child key owned by another order is not updated in place", async () => {
+    await call("orders_create", { ID: 3, customer: "Other", items: [] });
+    const res = await call("orders_update", { ID: 3, items: [{ ID: 10, product: "stolen", quantity: 1 }] });
+    expect(res.isError).toBe(true);
+    expect((await itemsOf(1))[0].product).toBe("bolt");
+  });
+
+  test("update of an unknown parent with children is NOT_FOUND", async () => {
+    const res = await call("orders_update", { ID: 999, items: [{ ID: 50, product: "x", quantity: 1 }] });
+    expect(res.body.error).toBe("NOT_FOUND");
+  });
+
+  test("the update schema exposes _delete on composition items only", async () => {
+    const { z } = require("zod");
+    const updateSchema = z.object(tools.get("orders_update").meta.inputSchema);
+    const createSchema = z.object(tools.get("orders_create").meta.inputSchema);
+    expect(updateSchema.parse({ ID: 1, items: [{ ID: 1, _delete: true }] }).items[0]._delete).toBe(true);
+    expect(createSchema.parse({ ID: 1, items: [{ ID: 1, _delete: true }] }).items[0]._delete).toBeUndefined();
+  });
+
+  describe("composition of an aspect", () => {
+    const linesOf = async (invoice) =>
+      cds.run(SELECT.from("OrderService.Invoices.lines").columns("pos", "text", "amount").where({ up__ID: invoice }).orderBy("pos"));
+
+    beforeAll(async () => {
+      await call("invoices_create", { ID: 1, lines: [{ pos: 1, text: "a", amount: 10 }, { pos: 2, text: "b", amount: 20 }] });
+      await call("invoices_create", { ID: 2, lines: [{ pos: 1, text: "other", amount: 99 }] });
+    });
+
+    test("the item schema leaves out the up_ back-reference", () => {
+      const { z } = require("zod");
+      const parsed = z.object(tools.get("invoices_update").meta.inputSchema)
+        .parse({ ID: 1, lines: [{ pos: 1, up__ID: 2, amount: 1 }] });
+      expect(parsed.lines[0]).toEqual({ pos: 1, amount: 1 });
+    });
+
+    test("update matches an existing line by pos under this parent", async () => {
+      const res = await call("invoices_update", { ID: 1, lines: [{ pos: 1, amount: 11 }, { pos: 3, text: "c", amount: 30 }] });
+      expect(res.isError).toBeFalsy();
+      expect(await linesOf(1)).toEqual([
+        { pos: 1, text: "a", amount: 11 },
+        { pos: 2, text: "b", amount: 20 },
+        { pos: 3, text: "c", amount: 30 },
+      ]);
+      expect(await linesOf(2)).toEqual([{ pos: 1, text: "other", amount: 99 }]);
+    });
+
+    test("_delete only needs the line's own key", async () => {
+      const res = await call("invoices_update", { ID: 1, lines: [{ pos: 2, _delete: true }] });
+      expect(res.isError).toBeFalsy();
+      expect((await linesOf(1)).map((l) => l.pos)).toEqual([1, 3]);
+      expect(await linesOf(2)).toHaveLength(1);
+    });
+
+    test("lines are not written for a caller who may only read the invoice", async () => {
+      const restricted = new Map();
+      const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+      const { parseDefinitions } = require("../../lib/annotations/parser");
+      registerEntityWrappers(parseDefinitions(cds.model).get("OrderService.Invoices"), {
+        registerTool: (name, _meta, handler) => restricted.set(name, handler),
+      }, true, ["update"], { canRead: true, canCreate: true, canUpdate: true, canDelete: false });
+      const as = async (user, args) => {
+        cds.context = { user };
+        try {
+          const res = await restricted.get("invoices_update")(args);
+          return { isError: res.isError, body: JSON.parse(res.content[0].text) };
+        }
+        finally {
+          cds.context = undefined;
+        }
+      };
+      const before = await linesOf(1);
+      const viewer = new cds.User({ id: "vera", roles: ["viewer"] });
+      const denied = await as(viewer, { ID: 1, lines: [{ pos: 9, text: "x", amount: 1 }, { pos: 1, _delete: true }] });
+      expect(denied.isError).toBe(true);
+      expect(await linesOf(1)).toEqual(before);
+
+      const clerk = new cds.User({ id: "carl", roles: ["clerk"] });
+      const allowed = await as(clerk, { ID: 1, lines: [{ pos: 1, amount: 12 }] });
+      expect(allowed.isError).toBeFalsy();
+      expect((await linesOf(1))[0].amount).toBe(12);
+    });
+
+    test("a failing line rolls back the other line writes", async () => {
+      const res = await call("invoices_update", { ID: 1, lines: [{ pos: 1, amount: 500 }, { pos: 404, _delete: true }] });
+      expect(res.body.error).toBe("NOT_FOUND");
+      expect((await linesOf(1))[0].amount).toBe(12);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+"use strict";
+
+/**
+ * `dryRun: true` on the write wrappers. Boots an inline schema via
+ * `cds.test`, registers the wrappers with a capturing server stub and calls
+ * the handlers directly, checking the database afterwards.
+ *
+ * What we assert:
+ *   - create / update / delete previews return the row (or diff) and
+ *     leave the data untouched
+ *   - CAP validation errors come back classified and marked dryRun
+ *   - draft-new / draft-patch / draft-activate / draft-discard /
+ *     draft-upsert previews roll back, including DB-layer draft patches
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-dryrun-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+using { cuid } from '@sap/cds/common';
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+  stock  : Integer @assert.range: [0, 100];
+  status : String default 'new';
+}
+
+entity Tasks : cuid {
+  title  : String @mandatory;
+  status : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+  entity Tasks as projection on demo.Tasks;
+}
+
+annotate CatalogService.Tasks with @odata.draft.enabled;
+
+annotate CatalogService.Books with @mcp: {
+  name       : 'books',
+  description: 'Books',
+  resource   : true
+};
+
+annotate CatalogService.Tasks with @mcp: {
+  name       : 'tasks',
+  description: 'Tasks',
+  resource   : true
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-dryrun-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("dry-run previews against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  const tools = new Map();
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    const server = { registerTool: (name, _meta, handler) => tools.set(name, handler) };
+    const annotations = parseDefinitions(cds.model);
+    const all = { canRead: true, canCreate: true, canUpdate: true, canDelete: true };
+    registerEntityWrappers(annotations.get("CatalogService.Books"), server, false, ["get", "create", "update", "delete"], all);
+    registerEntityWrappers(annotations.get("CatalogService.Tasks"), server, false, ["get"], all);
+
+    await cds.run(INSERT.into("CatalogService.Books").entries({ ID: 1, title: "Emma", stock: 5 }));
+  });
+
+  const call = async (name, args) => {
+    const res = await tools.get(name)(args);
+    return { isError: !!res.isError, body: JSON.parse(res.content[0].text) };
+  };
+  const book = (ID) => cds.run(SELECT.one.from("CatalogService.Books").where({ ID }));
+  const drafts = () => cds.run(SELECT.from("CatalogService.Tasks.drafts"));
+
+  test("create previews the row with defaults and persists nothing", async () => {
+    const { isError, body } = await call("books_create", { ID: 2, title: "Persuasion", stock: 3, dryRun: true });
+    expect(isError).toBe(false);
+    expect(body).toMatchObject({ dryRun: true, committed: false, row: { ID: 2, title: "Persuasion", status: "new" } });
+    expect(await book(2)).toBeUndefined();
+  });
+
+  test("validation errors are classified and marked as a dry run", async () => {
+    const { isError, body } = await call("books_create", { ID: 3, title: "Too many", stock: 500, dryRun: true });
+    expect(isError).toBe(true);
+    expect(body).toMatchObject({ dryRun: true, committed: false });
+    expect(body.message).toMatch(/stock|range/i);
+    expect(await book(3)).toBeUndefined();
+  });
+
+  test("update previews before, after and the changed fields", async () => {
+    const { body } = await call("books_update", { ID: 1, title: "Emma (2nd ed.)", stock: 7, dryRun: true });
+    expect(body.before).toMatchObject({ title: "Emma", stock: 5 });
+    expect(body.after).toMatchObject({ title: "Emma (2nd ed.)", stock: 7 });
+    expect(body.changes).toEqual({
+      title: { from: "Emma", to: "Emma (2nd ed.)" },
+      stock: { from: 5, to: 7 },
+    });
+    expect(await book(1)).toMatchObject({ title: "Emma", stock: 5 });
+    expect((await call("books_update", { ID: 99, title: "x", dryRun: true })).body.error).toBe("NOT_FOUND");
+  });
+
+  test("delete previews the row and keeps it", async () => {
+    const { body } = await call("books_delete", { ID: 1, dryRun: true });
+    expect(body).toMatchObject({ dryRun: true, deleted: true, row: { ID: 1, title: "Emma" } });
+    expect(await book(1)).not.toBeNull();
+  });
+
+  test("draft-new and draft-upsert previews leave no draft or active row", async () => {
+    const created = await call("tasks_draft-new", { title: "Plan", dryRun: true });
+    expect(created.body).toMatchObject({ dryRun: true, row: { title: "Plan" } });
+    expect(await drafts()).toHaveLength(0);
+
+    const upserted = await call("tasks_draft-upsert", { title: "Ship", dryRun: true });
+    expect(upserted.body).toMatchObject({ dryRun: true, row: { title: "Ship", IsActiveEntity: true } });
+    const invalid = await call("tasks_draft-upsert", { status: "open", dryRun: true });
+    expect(invalid.isError).toBe(true);
+    expect(invalid.body).toMatchObject({ error: "DRAFT_UPSERT_FAILED", dryRun: true });
+    expect(await cds.run(SELECT.from("CatalogService.Tasks"))).toHaveLength(0);
+    expect(await drafts()).toHaveLength(0);
+  });
+
+  test("draft-patch, draft-activate and draft-discard previews roll back", async () => {
+    const { body: draft } = await call("tasks_draft-new", { status: "open" });
+    const ID = draft.ID;
+
+    const patched = await call("tasks_draft-patch", { ID, status: "done", dryRun: true });
+    expect(patched.body.changes.status).toEqual({ from: "open", to: "done" });
+    expect((await drafts())[0].status).toBe("open");
+
+    await call("tasks_draft-patch", { ID, title: "Review" });
+    const activated = await call("tasks_draft-activate", { ID, dryRun: true });
+    expect(activated.body).toMatchObject({ dryRun: true, row: { ID, title: "Review", IsActiveEntity: true } });
+    expect(await cds.run(SELECT.from("CatalogService.Tasks"))).toHaveLength(0);
+
+    const discarded = await call("tasks_draft-discard", { ID, dryRun: true });
+    expect(discarded.body).toMatchObject({ dryRun: true, discarded: true, row: { title: "Review" } });
+    expect(await drafts()).toHaveLength(1);
+
+    // Last: CAP records DraftMessages for a failed activation in its own tx.
+    const { body: other } = await call("tasks_draft-new", { status: "open" });
+    const blocked = await call("tasks_draft-activate", { ID: other.ID, dryRun: true });
+    expect(blocked.body).toMatchObject({ error: "DRAFT_ACTIVATE_FAILED", dryRun: true, committed: false });
+    expect(await cds.run(SELECT.from("CatalogService.Tasks"))).toHaveLength(0);
+  });
+});
@@ -0,0 +1,169 @@
+"use strict";
+
+/**
+ * Optimistic concurrency on `@odata.etag` entities. Boots an inline schema
+ * via `cds.test`, registers the wrappers with a capturing server stub and
+ * calls the handlers directly.
+ *
+ * What we assert:
+ *   - `_get` / `_query` return `@odata.etag`, also when `select` omits it
+ *   - update / delete with the current etag succeed and rotate the etag
+ *   - a stale etag yields CONFLICT and leaves the row untouched, also when
+ *     the row changes between the etag check and the delete
+ *   - entities without `@odata.etag` keep the old contract
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-etag-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID  : Integer;
+  title   : String;
+  version : UUID @odata.etag;
+}
+
+entity Notes {
+  key ID : Integer;
+  text   : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+  entity Notes as projection on demo.Notes;
+}
+
+annotate CatalogService.Books with @mcp: {
+  name       : 'books',
+  description: 'Books',
+  resource   : true
+};
+
+annotate CatalogService.Notes with @mcp: {
+  name       : 'notes',
+  description: 'Notes',
+  resource   : true
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-etag-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("ETag preconditions against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  const tools = new Map();
+  const schemas = new Map();
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    const server = {
+      registerTool: (name, meta, handler) => {
+        tools.set(name, handler);
+        schemas.set(name, meta.inputSchema);
+      },
+    };
+    const annotations = parseDefinitions(cds.model);
+    const all = { canRead: true, canCreate: true, canUpdate: true, canDelete: true };
+    const modes = ["query", "get", "create", "update", "delete"];
+    registerEntityWrappers(annotations.get("CatalogService.Books"), server, false, modes, all);
+    registerEntityWrappers(annotations.get("CatalogService.Notes"), server, false, modes, all);
+
+    await cds.run(INSERT.into("CatalogService.Books").entries([
+      { ID: 1, title: "Emma", version: cds.utils.uuid() },
+      { ID: 2, title: "Persuasion", version: cds.utils.uuid() },
+    ]));
+    await cds.run(INSERT.into("CatalogService.Notes").entries({ ID: 1, text: "n" }));
+  });
+
+  const call = async (name, args) => {
+    const res = await tools.get(name)(args);
+    return { isError: !!res.isError, body: JSON.parse(res.content[0].text) };
+  };
+
+  test("get and query return @odata.etag", async () => {
+    const { body: book } = await call("books_get", { ID: 1 });
+    expect(book["@odata.etag"]).toBe(`W/"${book.version}"`);
+    expect(book.version).toEqual(expect.any(String));
+    const { body: rows } = await call("books_query", { select: ["title"], orderby: [{ field: "ID", dir: "asc" }] });
+    expect(rows[0]).toEqual({ title: "Emma", "@odata.etag": expect.stringMatching(/^W\/"/) });
+    const { body: note } = await call("notes_get", { ID: 1 });
+    expect(note["@odata.etag"]).toBeUndefined();
+  });
+
+  test("etag is offered only on etag-enabled entities", () => {
+    expect(schemas.get("books_update").etag).toBeDefined();
+    expect(schemas.get("books_delete").etag).toBeDefined();
+    expect(schemas.get("notes_update").etag).toBeUndefined();
+  });
+
+  test("update with the current etag succeeds and rotates it; a stale one conflicts", async () => {
+    const { body: before } = await call("books_get", { ID: 1 });
+    const ok = await call("books_update", { ID: 1, title: "Emma (2nd ed.)", etag: before["@odata.etag"] });
+    expect(ok.isError).toBe(false);
+    expect(ok.body.title).toBe("Emma (2nd ed.)");
+    expect(ok.body["@odata.etag"]).not.toBe(before["@odata.etag"]);
+
+    const stale = await call("books_update", { ID: 1, title: "Overwrite", etag: before["@odata.etag"] });
+    expect(stale.isError).toBe(true);
+    expect(stale.body.error).toBe("CONFLICT");
+    expect(stale.body.message).toMatch(/was modified since its etag was read/);
+    const { body: after } = await call("books_get", { ID: 1 });
+    expect(after.title).toBe("Emma (2nd ed.)");
+  });
+
+  test("etag accepts bare values and * skips the check", async () => {
+    const { body: before } = await call("books_get", { ID: 1 });
+    expect((await call("books_update", { ID: 1, title: "Emma", etag: before.version })).isError).toBe(false);
+    expect((await call("books_update", { ID: 1, title: "Emma!", etag: "*" })).isError).toBe(false);
+    expect((await call("books_update", { ID: 1, title: "Emma" })).isError).toBe(false);
+  });
+
+  test("delete honours the etag and reports a missing row as NOT_FOUND", async () => {
+    const { body: before } = await call("books_get", { ID: 2 });
+    const stale = await call("books_delete", { ID: 2, etag: 'W/"00000000-0000-0000-0000-000000000000"' });
+    expect(stale.body.error).toBe("CONFLICT");
+    expect((await call("books_get", { ID: 2 })).isError).toBe(false);
+    const ok = await call("books_delete", { ID: 2, etag: before["@odata.etag"] });
+    expect(ok.body).toMatchObject({ deleted: true });
+    const gone = await call("books_delete", { ID: 2, etag: before["@odata.etag"] });
+    expect(gone.body.error).toBe("NOT_FOUND");
+  });
+
+  test("a delete racing a concurrent update conflicts instead of reporting success", async () => {
+    await cds.run(INSERT.into("CatalogService.Books").entries({ ID: 3, title: "Villette", version: cds.utils.uuid() }));
+    const { body: before } = await call("books_get", { ID: 3 });
+    // Rotates the etag after the tool's check, right before the DELETE runs.
+    let race = true;
+    cds.services.CatalogService.before("DELETE", "Books", async () => {
+      if (!race) return;
+      race = false;
+      await cds.db.run(UPDATE("demo.Books", 3).set({ version: cds.utils.uuid() }));
+    });
+    const raced = await call("books_delete", { ID: 3, etag: before["@odata.etag"] });
+    expect(raced.body.error).toBe("CONFLICT");
+    expect((await call("books_get", { ID: 3 })).isError).toBe(false);
+  });
+});
@@ -0,0 +1,241 @@
+"use strict";
+
+/**
+ * Notifications across instances through the session stores' event bus.
+ * Boots an inline schema via `cds.test`, serves two DB session stores as
+ * two "instances" over plain HTTP, and connects an SDK client whose GET
+ * stream is held by the first one.
+ *
+ * What we assert:
+ *   - a notification sent on another instance reaches the stream via the
+ *     notifications entity, once, also when that instance's clock lags
+ *   - the holding instance delivers directly, without a row
+ *   - the in-process bus delivers to open streams and drops the rest
+ *   - the reap removes notifications of deleted sessions
+ *   - the db kind accepts SSE mode; `event_bus` may name a module
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const http = require("http");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-event-bus-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+}
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: true };
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/custom-bus.js"), `
+module.exports = class CustomBus {
+  constructor(sessions, options) { this.sessions = sessions; this.options = options; }
+  async publish() {}
+  async reap() {}
+  stop() {}
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-event-bus-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "db" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+const { applySessionModel, applyNotificationModel, applyEventStoreModel } = require("../../lib/mcp/session-model");
+cds.on("loaded", (model) => {
+  applySessionModel(model, "cap.mcp.Sessions");
+  applyNotificationModel(model, "cap.mcp.Notifications");
+  applyEventStoreModel(model, "cap.mcp.StreamEvents");
+});
+
+const CONFIG = {
+  name: "event-bus-test",
+  version: "1.0.0",
+  capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+  auth: "none",
+};
+
+const until = async (predicate) => {
+  for (let i = 0; i < 100 && !predicate(); i++) await new Promise((r) => setTimeout(r, 10));
+};
+const settle = () => new Promise((r) => setTimeout(r, 50));
+
+describe("event bus against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+  const { StreamableHTTPClientTransport } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+  const { ToolListChangedNotificationSchema } = require("@modelcontextprotocol/sdk/types.js");
+  const { InMemorySessionStore, DbSessionStore, createSessionStore } = require("../../lib/mcp/session-manager");
+  const { holdsStream } = require("../../lib/mcp/event-bus");
+
+  const STORE_CFG = { entity: "cap.mcp.Sessions", notifications_entity: "cap.mcp.Notifications", poll_ms: 60 * 60 * 1000 };
+  const stores = [];
+  const clients = [];
+  let httpServer;
+  let baseUrl;
+  let annotations;
+  // Instances by path prefix, e.g. /a/mcp is served by routes.a.
+  const routes = {};
+
+  /** Minimal /mcp endpoint over a session store, like lib/mcp.js. */
+  const serve = async (store, req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : undefined;
+    const sid = req.headers["mcp-session-id"];
+    const session = sid ? await store.getSession(sid) : await store.createSession(CONFIG, annotations);
+    if (!session) {
+      res.writeHead(400).end();
+      return;
+    }
+    await session.transport.handleRequest(req, res, body);
+  };
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    annotations = parseDefinitions(cds.model);
+    httpServer = http.createServer((req, res) => {
+      const store = routes[req.url.split("/")[1]];
+      if (!store) return res.writeHead(404).end();
+      serve(store, req, res).catch(() => !res.headersSent && res.writeHead(500).end());
+    });
+    await new Promise((r) => httpServer.listen(0, "127.0.0.1", r));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    for (const client of clients) await client.close();
+    for (const store of stores) store.stop();
+    await new Promise((r) => httpServer.close(r));
+  });
+
+  /** Connects a client through instance `name`; returns it with its tools/list_changed count. */
+  const connect = async (name) => {
+    const transport = new StreamableHTTPClientTransport(new URL(`/${name}/mcp`, baseUrl));
+    const client = new Client({ name: `client-${name}`, version: "1.0.0" });
+    const received = { changed: 0 };
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => { received.changed += 1; });
+    await client.connect(transport);
+    clients.push(client);
+    const sid = transport.sessionId;
+    await until(() => holdsStream(routes[name].getSessions().get(sid)?.transport));
+    return { client, sid, received };
+  };
+
+  test("notifications from another instance reach the stream once", async () => {
+    const holder = new DbSessionStore(STORE_CFG);
+    const other = new DbSessionStore(STORE_CFG);
+    stores.push(holder, other);
+    routes.a = holder;
+    other.setRuntimeConfig(CONFIG, annotations);
+    const { sid, received } = await connect("a");
+    expect(holdsStream(holder.getSessions().get(sid).transport)).toBe(true);
+
+    const remote = await other.getSession(sid);
+    expect(holdsStream(remote.transport)).toBe(false);
+    await remote.server.sendToolListChanged();
+    await settle();
+    const rows = await cds.run(SELECT.from("cap.mcp.Notifications").where({ session_id: sid }));
+    expect(rows).toHaveLength(1);
+    expect(JSON.parse(rows[0].message)).toMatchObject({ method: "notifications/tools/list_changed" });
+    expect(received.changed).toBe(0);
+
+    await holder.eventBus.poll();
+    await until(() => received.changed > 0);
+    expect(received.changed).toBe(1);
+    await holder.eventBus.poll();
+    await settle();
+    expect(received.changed).toBe(1);
+
+    // An instance whose clock lags stamps its row before the last poll.
+    await cds.run(INSERT.into("cap.mcp.Notifications").entries({
+      ID: cds.utils.uuid(),
+      session_id: sid,
+      message: JSON.stringify({ jsonrpc: "2.0", method: "notifications/tools/list_changed" }),
+      origin: "lagging",
+      created_at: new Date(Date.now() - 10 * 1000).toISOString(),
+    }));
+    await holder.eventBus.poll();
+    await until(() => received.changed > 1);
+    expect(received.changed).toBe(2);
+  });
+
+  test("the holding instance delivers without a row", async () => {
+    const holder = routes.a;
+    const { sid, received } = await connect("a");
+    await holder.getSessions().get(sid).server.sendToolListChanged();
+    await until(() => received.changed > 0);
+    expect(received.changed).toBe(1);
+    expect(await cds.run(SELECT.from("cap.mcp.Notifications").where({ session_id: sid }))).toEqual([]);
+  });
+
+  test("the in-process bus delivers to open streams and drops the rest", async () => {
+    const store = new InMemorySessionStore();
+    stores.push(store);
+    routes.m = store;
+    const { sid, received } = await connect("m");
+    await store.eventBus.publish(sid, { jsonrpc: "2.0", method: "notifications/tools/list_changed" });
+    await until(() => received.changed > 0);
+    expect(received.changed).toBe(1);
+    await expect(store.eventBus.publish("unknown", { jsonrpc: "2.0", method: "notifications/tools/list_changed" })).resolves.toBeUndefined();
+  });
+
+  test("the reap removes notifications of deleted sessions", async () => {
+    const store = new DbSessionStore(STORE_CFG);
+    stores.push(store);
+    const now = new Date().toISOString();
+    await cds.run(INSERT.into("cap.mcp.Sessions").entries({ session_id: "s-gone", created_at: now, last_access: now }));
+    await store.eventBus.publish("s-gone", { jsonrpc: "2.0", method: "notifications/tools/list_changed" });
+    expect(await cds.run(SELECT.from("cap.mcp.Notifications").where({ session_id: "s-gone" }))).toHaveLength(1);
+
+    await store.deleteSession("s-gone");
+    await store.reap();
+    expect(await cds.run(SELECT.from("cap.mcp.Notifications").where({ session_id: "s-gone" }))).toEqual([]);
+  });
+
+  test("the db kind accepts SSE mode and event_bus may name a module", () => {
+    const { NODE_ENV, MCP_ENABLE_JSON } = process.env;
+    process.env.NODE_ENV = "production";
+    process.env.MCP_ENABLE_JSON = "false";
+    try {
+      const sse = createSessionStore({ session_store: { kind: "db" } });
+      stores.push(sse);
+      expect(sse).toBeInstanceOf(DbSessionStore);
+      expect(() => createSessionStore({ session_store: { kind: "stateless" } })).toThrow(/MCP_ENABLE_JSON/);
+    }
+    finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (MCP_ENABLE_JSON === undefined) delete process.env.MCP_ENABLE_JSON;
+      else process.env.MCP_ENABLE_JSON = MCP_ENABLE_JSON;
+    }
+    const custom = createSessionStore({ session_store: { kind: "memory", event_bus: "srv/custom-bus.js" } });
+    stores.push(custom);
+    expect(custom.eventBus.constructor.name).toBe("CustomBus");
+    expect(custom.eventBus.sessions).toBe(custom.getSessions());
+  });
+});
@@ -0,0 +1,265 @@
+"use strict";
+
+/**
+ * Resumable SSE streams through the session stores' event stores. Boots an
+ * inline schema via `cds.test`, serves session stores over plain HTTP, and
+ * lets an SDK client lose its GET stream and resume with `Last-Event-ID`.
+ *
+ * What we assert:
+ *   - the memory store replays notifications sent while the stream was down
+ *   - the db store replays them on another instance, and its event bus does
+ *     not deliver a replayed event a second time
+ *   - event IDs of other sessions are rejected
+ *   - events expire with CDS_MCP_SESSION_TTL_MS and with their session
+ *   - the stateless store ignores event_store: it has no session to scope to
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const http = require("http");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-event-store-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+}
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: true };
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-event-store-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "db" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+const { applySessionModel, applyNotificationModel, applyEventStoreModel } = require("../../lib/mcp/session-model");
+cds.on("loaded", (model) => {
+  applySessionModel(model, "cap.mcp.Sessions");
+  applyNotificationModel(model, "cap.mcp.Notifications");
+  applyEventStoreModel(model, "cap.mcp.StreamEvents");
+});
+
+const CONFIG = {
+  name: "event-store-test",
+  version: "1.0.0",
+  capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+  auth: "none",
+};
+
+const until = async (predicate) => {
+  for (let i = 0; i < 200 && !predicate(); i++) await new Promise((r) => setTimeout(r, 10));
+};
+const settle = () => new Promise((r) => setTimeout(r, 50));
+
+describe("event stores against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+  const { StreamableHTTPClientTransport } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+  const { ToolListChangedNotificationSchema } = require("@modelcontextprotocol/sdk/types.js");
+  const { InMemorySessionStore, DbSessionStore } = require("../../lib/mcp/session-manager");
+  const { holdsStream } = require("../../lib/mcp/event-bus");
+
+  const STORE_CFG = {
+    entity: "cap.mcp.Sessions",
+    notifications_entity: "cap.mcp.Notifications",
+    stream_events_entity: "cap.mcp.StreamEvents",
+    poll_ms: 60 * 60 * 1000,
+  };
+  const stores = [];
+  const clients = [];
+  let httpServer;
+  let baseUrl;
+  let annotations;
+  // Instances by path prefix, e.g. /a/mcp is served by routes.a.
+  const routes = {};
+
+  /** Minimal /mcp endpoint over a session store, like lib/mcp.js. */
+  const serve = async (store, req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : undefined;
+    const sid = req.headers["mcp-session-id"];
+    const session = sid ? await store.getSession(sid) : await store.createSession(CONFIG, annotations);
+    if (!session) {
+      res.writeHead(400).end();
+      return;
+    }
+    await session.transport.handleRequest(req, res, body);
+  };
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    annotations = parseDefinitions(cds.model);
+    httpServer = http.createServer((req, res) => {
+      const store = routes[req.url.split("/")[1]];
+      if (!store) return res.writeHead(404).end();
+      serve(store, req, res).catch(() => !res.headersSent && res.writeHead(500).end());
+    });
+    await new Promise((r) => httpServer.listen(0, "127.0.0.1", r));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    for (const client of clients) await client.close();
+    for (const store of stores) store.stop();
+    await new Promise((r) => httpServer.close(r));
+  });
+
+  /** Connects a client through instance `name`; returns it with its tools/list_changed count. */
+  const connect = async (name) => {
+    const transport = new StreamableHTTPClientTransport(new URL(`/${name}/mcp`, baseUrl), {
+      reconnectionOptions: { initialReconnectionDelay: 200, maxReconnectionDelay: 200, reconnectionDelayGrowFactor: 1, maxRetries: 2 },
+    });
+    const client = new Client({ name: `client-${name}`, version: "1.0.0" });
+    const received = { changed: 0 };
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => { received.changed += 1; });
+    await client.connect(transport);
+    clients.push(client);
+    const sid = transport.sessionId;
+    await until(() => holdsStream(routes[name].getSessions().get(sid)?.transport));
+    return { client, sid, received };
+  };
+
+  /** Drops the session's GET stream on the server side; the client resumes it. */
+  const dropStream = (store, sid) => store.getSessions().get(sid).transport.closeStandaloneSSEStream();
+
+  test("the memory store replays notifications sent while the stream was down", async () => {
+    const store = new InMemorySessionStore();
+    stores.push(store);
+    routes.m = store;
+    const { sid, received } = await connect("m");
+    const server = store.getSessions().get(sid).server;
+
+    server.sendToolListChanged();
+    await until(() => received.changed === 1);
+    dropStream(store, sid);
+    server.sendToolListChanged();
+    server.sendToolListChanged();
+    await settle();
+    expect(received.changed).toBe(1);
+
+    await until(() => received.changed === 3);
+    expect(received.changed).toBe(3);
+    expect(holdsStream(store.getSessions().get(sid).transport)).toBe(true);
+    expect(store.eventStore.bySession.get(sid).map((e) => e.streamId)).toEqual(["_GET_stream", "_GET_stream", "_GET_stream"]);
+  });
+
+  test("the db store replays them on another instance", async () => {
+    const first = new DbSessionStore(STORE_CFG);
+    const second = new DbSessionStore(STORE_CFG);
+    stores.push(first, second);
+    routes.d = first;
+    second.setRuntimeConfig(CONFIG, annotations);
+    const { sid, received } = await connect("d");
+    const server = first.getSessions().get(sid).server;
+
+    server.sendToolListChanged();
+    await until(() => received.changed === 1);
+    routes.d = second;
+    dropStream(first, sid);
+    server.sendToolListChanged();
+    await settle();
+    expect(await cds.run(SELECT.from("cap.mcp.StreamEvents").where({ session_id: sid }))).toHaveLength(2);
+
+    await until(() => received.changed === 2);
+    expect(received.changed).toBe(2);
+    expect(holdsStream(second.getSessions().get(sid)?.transport)).toBe(true);
+
+    // The bus carries the same stored event; the replay already sent it.
+    await second.eventBus.poll();
+    await settle();
+    expect(received.changed).toBe(2);
+  });
+
+  test("event IDs of other sessions are rejected", async () => {
+    const store = routes.m;
+    const mine = await connect("m");
+    const theirs = await connect("m");
+    store.getSessions().get(theirs.sid).server.sendToolListChanged();
+    await until(() => theirs.received.changed === 1);
+    const [foreign] = store.eventStore.bySession.get(theirs.sid);
+
+    dropStream(store, mine.sid);
+    const res = await fetch(new URL("/m/mcp", baseUrl), {
+      headers: {
+        Accept: "text/event-stream",
+        "Mcp-Session-Id": mine.sid,
+        "Mcp-Protocol-Version": "2025-11-25",
+        "Last-Event-ID": foreign.eventId,
+      },
+    });
+    expect(res.status).toBe(400);
+    await res.body?.cancel();
+  });
+
+  test("events expire with the session TTL and with their session", async () => {
+    const store = new DbSessionStore(STORE_CFG);
+    stores.push(store);
+    const now = new Date().toISOString();
+    const old = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    await cds.run(INSERT.into("cap.mcp.Sessions").entries([
+      { session_id: "s-live", created_at: now, last_access: now },
+      { session_id: "s-ended", created_at: now, last_access: now },
+    ]));
+    await cds.run(INSERT.into("cap.mcp.StreamEvents").entries([
+      { event_id: "e-old", session_id: "s-live", stream_id: "_GET_stream", message: "{}", created_at: old },
+      { event_id: "e-new", session_id: "s-live", stream_id: "_GET_stream", message: "{}", created_at: now },
+      { event_id: "e-ended", session_id: "s-ended", stream_id: "_GET_stream", message: "{}", created_at: now },
+    ]));
+    await store.deleteSession("s-ended");
+    const { CDS_MCP_SESSION_TTL_MS } = process.env;
+    process.env.CDS_MCP_SESSION_TTL_MS = String(30 * 60 * 1000);
+    try {
+      await store.reap();
+    }
+    finally {
+      if (CDS_MCP_SESSION_TTL_MS === undefined) delete process.env.CDS_MCP_SESSION_TTL_MS;
+      else process.env.CDS_MCP_SESSION_TTL_MS = CDS_MCP_SESSION_TTL_MS;
+    }
+    const left = await cds.run(SELECT.from("cap.mcp.StreamEvents").columns("event_id").where({ session_id: { in: ["s-live", "s-ended"] } }));
+    expect(left.map((r) => r.event_id)).toEqual(["e-new"]);
+
+    const memory = new InMemorySessionStore();
+    stores.push(memory);
+    await memory.eventStore.storeEvent("s-1", "_GET_stream", { jsonrpc: "2.0", method: "x" });
+    memory.eventStore.bySession.get("s-1")[0].at = Date.now() - 60 * 60 * 1000;
+    await memory.eventStore.storeEvent("s-2", "_GET_stream", { jsonrpc: "2.0", method: "x" });
+    await memory.reap();
+    expect(Array.from(memory.eventStore.bySession.keys())).toEqual(["s-2"]);
+  });
+
+  test("the stateless store ignores event_store", async () => {
+    const { createSessionStore, StatelessSessionStore } = require("../../lib/mcp/session-manager");
+    const store = createSessionStore({ session_store: { kind: "stateless", event_store: "memory" } });
+    stores.push(store);
+    expect(store).toBeInstanceOf(StatelessSessionStore);
+    expect(store.eventStore).toBeUndefined();
+    const { transport } = await store.createSession(CONFIG, annotations);
+    expect(transport._webStandardTransport._eventStore).toBeUndefined();
+    await transport.close();
+  });
+});
@@ -5,9 +5,8 @@
  * parser that turns user-supplied strings into CQN column specs. The parser
  * is schema-aware (rejects nav props that don't exist on the CSN entity)
  * and enforces depth/breadth caps. These tests cover both happy paths and
- * the safety net. The parser calls `cds.parse.expr()` indirectly via the
- * filter validator, so we stub that via the same global.cds pattern as
- * `query-result-shape.test.js`.
+ * the safety net. No CAP runtime is booted, so global.cds is stubbed the
+ * same way as in `query-result-shape.test.js`.
  */
 
 const stubCds = {
@@ -39,6 +38,7 @@ const modelDefs = {
       ID: { type: "cds.Integer", key: true },
       name: { type: "cds.String" },
       email: { type: "cds.String" },
+      secret: { type: "cds.String", "@mcp.omit": true },
     },
   },
   "Catalog.Genres": {
@@ -186,6 +186,12 @@ describe("parseExpand — rejections (safety net)", () => {
     ).toThrow();
   });
 
+  test("$filter in subquery rejects @mcp.omit fields of the target", () => {
+    expect(() =>
+      parseExpand("author($filter=secret eq 'x')", { entityDef: booksDef, modelDefs })
+    ).toThrow(/unknown property "secret"/);
+  });
+
   test("$filter with SQL-injection pattern rejected", () => {
     expect(() =>
       parseExpand("reviews($filter=rating gt 1; DROP TABLE users)", {
@@ -0,0 +1,199 @@
+"use strict";
+
+/**
+ * OData $filter on odata:// resource templates. Boots an inline schema via
+ * `cds.test`, registers the resource on a real McpServer and reads it
+ * through the SDK's request handler map, so every compiled expression runs
+ * against SQLite.
+ *
+ * What we assert:
+ *   - logical / comparison precedence, in, has, arithmetic, functions
+ *   - Int64 literals beyond JS number precision compare exactly
+ *   - date literals, null, navigation paths, any / all on compositions
+ *   - type errors and syntax errors carry the offending position
+ *   - a bare literal (`filter=1234`) is no longer accepted as a filter
+ *   - `@mcp.omit` fields of navigation targets cannot be filtered on
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-filter-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+type Status : String enum { Open = 'O'; Closed = 'C' };
+
+entity Authors {
+  key ID : Integer;
+  name   : String;
+  secret : String @mcp.omit;
+}
+
+entity Books {
+  key ID    : Integer;
+  title     : String;
+  stock     : Integer;
+  price     : Decimal(9,2);
+  serial    : Int64;
+  published : Date;
+  status    : Status;
+  author    : Association to Authors;
+  reviews   : Composition of many Reviews on reviews.book = $self;
+}
+
+entity Reviews {
+  key ID : Integer;
+  book   : Association to Books;
+  rating : Integer;
+  note   : String @mcp.omit;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+  entity Authors as projection on demo.Authors;
+  entity Reviews as projection on demo.Reviews;
+}
+
+annotate CatalogService.Books with @mcp: {
+  name       : 'books',
+  description: 'Books',
+  resource   : ['filter', 'orderby', 'top']
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-filter-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("OData $filter parser against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let read;
+
+  beforeAll(async () => {
+    const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { assignResourceToServer } = require("../../lib/mcp/resources");
+    const server = new McpServer({ name: "t", version: "1.0.0" });
+    assignResourceToServer(parseDefinitions(cds.model).get("CatalogService.Books"), server, false);
+    read = server.server._requestHandlers.get("resources/read");
+
+    await cds.run(INSERT.into("CatalogService.Authors").entries([
+      { ID: 1, name: "Brontë", secret: "Ellis Bell" },
+      { ID: 2, name: "Poe" },
+    ]));
+    await cds.run(INSERT.into("CatalogService.Books").entries([
+      { ID: 1, title: "Wuthering Heights", stock: 12, price: 11.5, published: "1847-12-01", status: "O", author_ID: 1, serial: "9007199254740993" },
+      { ID: 2, title: "The Raven", stock: 0, price: 4, published: "1845-01-29", status: "C", author_ID: 2, serial: "9007199254740992" },
+      { ID: 3, title: "Eleonora", stock: 5, price: 7.25, published: null, status: "O", author_ID: 2 },
+    ]));
+    await cds.run(INSERT.into("CatalogService.Reviews").entries([
+      { ID: 1, book_ID: 1, rating: 5 },
+      { ID: 2, book_ID: 1, rating: 4 },
+      { ID: 3, book_ID: 2, rating: 2 },
+      { ID: 4, book_ID: 2, rating: 5 },
+    ]));
+  });
+
+  const readText = async (filter) => {
+    const res = await read({
+      method: "resources/read",
+      params: { uri: `odata://CatalogService/books?filter=${encodeURIComponent(filter)}&orderby=ID` },
+    }, {});
+    return res.contents[0].text;
+  };
+  const ids = async (filter) => {
+    const text = await readText(filter);
+    expect(text).not.toMatch(/^ERROR/);
+    return JSON.parse(text).map((r) => r.ID);
+  };
+
+  test("and binds tighter than or; not and parentheses nest", async () => {
+    expect(await ids("stock gt 0 and title eq 'Eleonora' or stock eq 0")).toEqual([2, 3]);
+    expect(await ids("stock gt 0 and (title eq 'Eleonora' or stock eq 0)")).toEqual([3]);
+    expect(await ids("not (stock gt 0)")).toEqual([2]);
+  });
+
+  test("Int64 literals beyond JS number precision compare exactly", async () => {
+    expect(await ids("serial eq 9007199254740993")).toEqual([1]);
+    expect(await ids("serial in (9007199254740993)")).toEqual([1]);
+    expect(await ids("serial gt 9007199254740992")).toEqual([1]);
+  });
+
+  test("string literals escape quotes by doubling", async () => {
+    await cds.run(INSERT.into("CatalogService.Books").entries({ ID: 9, title: "O'Neil", stock: 1 }));
+    try {
+      expect(await ids("title eq 'O''Neil'")).toEqual([9]);
+    }
+    finally {
+      await cds.run(DELETE.from("CatalogService.Books").where({ ID: 9 }));
+    }
+  });
+
+  test("in, has, arithmetic and functions", async () => {
+    expect(await ids("stock in (0, 5)")).toEqual([2, 3]);
+    expect(await ids("status has demo.Status'Closed'")).toEqual([2]);
+    expect(await ids("price mul 2 gt 20")).toEqual([1]);
+    expect(await ids("stock mod 2 eq 0")).toEqual([1, 2]);
+    expect(await ids("contains(tolower(title), 'raven')")).toEqual([2]);
+    expect(await ids("startswith(title,'W') eq false")).toEqual([2, 3]);
+    expect(await ids("length(title) lt 10")).toEqual([2, 3]);
+  });
+
+  test("date literals, date functions and null", async () => {
+    expect(await ids("published ge 1846-01-01")).toEqual([1]);
+    expect(await ids("year(published) eq 1845")).toEqual([2]);
+    expect(await ids("published eq null")).toEqual([3]);
+    expect(await ids("published ne null")).toEqual([1, 2]);
+  });
+
+  test("navigation paths and any / all on compositions", async () => {
+    expect(await ids("author/name eq 'Poe'")).toEqual([2, 3]);
+    expect(await ids("reviews/any(r: r/rating ge 5)")).toEqual([1, 2]);
+    expect(await ids("reviews/any()")).toEqual([1, 2]);
+    expect(await ids("reviews/all(r: r/rating ge 4)")).toEqual([1, 3]);
+    expect(await ids("not reviews/any() or reviews/any(r: r/rating lt 3)")).toEqual([2, 3]);
+  });
+
+  test("type mismatches are rejected with a position", async () => {
+    expect(await readText("stock eq 'ten'"))
+      .toMatch(/cannot compare Integer property "stock" with string literal 'ten' at position 6/);
+    expect(await readText("contains(stock, 'x')")).toMatch(/argument 1 of contains\(\) must be string/);
+    expect(await readText("title gt true")).toMatch(/cannot compare String property "title" with boolean true/);
+  });
+
+  test("syntax errors point at the offending token", async () => {
+    expect(await readText("stock > 5")).toMatch(/unexpected character ">" at position 6 — use eq/);
+    expect(await readText("(stock gt 1")).toMatch(/expected "\)" but found end of input at position 11/);
+    expect(await readText("secret eq 1")).toMatch(/unknown property "secret" at position 0/);
+    expect(await readText("reviews/rating eq 1")).toMatch(/"reviews" is a collection/);
+    expect(await readText("reviews/any(r: rating gt 1)")).toMatch(/not the lambda variable "r"/);
+  });
+
+  test("omitted fields of a navigation target are not filterable", async () => {
+    expect(await readText("author/secret eq 'Ellis Bell'")).toMatch(/unknown property "secret" at position 7/);
+    expect(await readText("reviews/any(r: r/note eq 'x')")).toMatch(/unknown property "note"/);
+  });
+
+  test("a bare literal is not a filter", async () => {
+    expect(await readText("1234")).toMatch(/expected a boolean expression but found number 1234 at position 0/);
+  });
+});
@@ -0,0 +1,200 @@
+"use strict";
+
+/**
+ * Instance-based authorization (`@restrict` with `where`). Boots an inline
+ * schema via `cds.test`, registers the wrappers and `cap_describe_model`
+ * with a capturing server stub, and calls the handlers as different users.
+ *
+ * What we assert:
+ *   - where clauses and their `$user` references reach the annotation
+ *   - rules on `$user` attributes the caller lacks grant nothing
+ *   - get / update / delete report rows hidden by a where clause as
+ *     FORBIDDEN, and truly missing rows as NOT_FOUND
+ *   - query tells row-restricted callers which filters applied, without
+ *     counting the rows they cannot see
+ *   - cap_describe_model lists the rules
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-instance-auth-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Docs {
+  key ID  : Integer;
+  title   : String;
+  owner   : String;
+  country : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/docs.cds"), `
+using {demo} from '../db/schema';
+
+service DocService {
+  @restrict: [
+    { grant: ['READ', 'UPDATE', 'DELETE'], to: 'viewer', where: 'owner = $user' },
+    { grant: 'READ', to: 'regional', where: 'country = $user.country' },
+    { grant: '*', to: 'admin' }
+  ]
+  entity Docs as projection on demo.Docs;
+}
+
+annotate DocService.Docs with @mcp: {
+  name       : 'docs',
+  description: 'Documents',
+  resource   : true
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-instance-auth-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("instance-based authorization against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  const tools = new Map();
+  let docs;
+  let annotations;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    const { registerDescribeModelTool } = require("../../lib/mcp/describe-model");
+    const server = { registerTool: (name, _meta, handler) => tools.set(name, handler) };
+    annotations = parseDefinitions(cds.model);
+    docs = annotations.get("DocService.Docs");
+    const all = { canRead: true, canCreate: true, canUpdate: true, canDelete: true };
+    registerEntityWrappers(docs, server, true, ["query", "get", "update", "delete"], all);
+    registerDescribeModelTool(server, annotations);
+    await cds.run(INSERT.into("DocService.Docs").entries([
+      { ID: 1, title: "Alice's notes", owner: "alice", country: "DE" },
+      { ID: 2, title: "Bob's notes", owner: "bob", country: "FR" },
+    ]));
+  });
+
+  const as = async (user, fn) => {
+    cds.context = { user };
+    try {
+      return await fn();
+    }
+    finally {
+      cds.context = undefined;
+    }
+  };
+  const alice = new cds.User({ id: "alice", roles: ["viewer"] });
+  const call = async (name, args) => {
+    const res = await tools.get(name)(args);
+    return { isError: !!res.isError, body: JSON.parse(res.content[0].text) };
+  };
+
+  test("where clauses and $user references reach the annotation", () => {
+    expect(docs.instanceRestrictions).toEqual([
+      expect.objectContaining({ role: "viewer", where: "owner = $user", userAttributes: ["id"] }),
+      expect.objectContaining({ role: "regional", where: "country = $user.country", userAttributes: ["country"] }),
+    ]);
+    expect(docs.restrictions.find((r) => r.role === "admin").where).toBeUndefined();
+  });
+
+  test("rules on $user attributes the caller lacks grant nothing", () => {
+    const { getWrapAccesses, getInstanceRestrictions } = require("../../lib/auth/utils");
+    const bare = new cds.User({ id: "carl", roles: ["regional"] });
+    const located = new cds.User({ id: "dora", roles: ["regional"], attr: { country: ["DE"] } });
+    expect(getWrapAccesses(bare, docs.restrictions).canRead).toBeFalsy();
+    expect(getWrapAccesses(located, docs.restrictions).canRead).toBe(true);
+    expect(getInstanceRestrictions(located, docs.restrictions, "READ")).toEqual(["country = $user.country"]);
+    expect(getInstanceRestrictions(new cds.User({ id: "root", roles: ["admin"] }), docs.restrictions, "READ")).toBeUndefined();
+  });
+
+  test("a disjunction with a missing $user attribute still grants its other branch", () => {
+    const { getWrapAccesses, getInstanceRestrictions } = require("../../lib/auth/utils");
+    const bare = new cds.User({ id: "carl", roles: ["regional"] });
+    const rule = (where) => [{ role: "regional", operations: ["READ"], where, userAttributes: ["country"] }];
+    const open = rule("country = $user.country or owner = 'public'");
+    expect(getWrapAccesses(bare, open).canRead).toBe(true);
+    expect(getInstanceRestrictions(bare, open, "READ")).toEqual(["country = $user.country or owner = 'public'"]);
+    expect(getWrapAccesses(bare, rule("$user.country is null or owner = 'x'")).canRead).toBe(true);
+    expect(getWrapAccesses(bare, rule("owner = 'x' and ($user.country = country)")).canRead).toBeFalsy();
+  });
+
+  test("get reports a row filtered by instance auth as FORBIDDEN", async () => {
+    const own = await as(alice, () => call("docs_get", { ID: 1 }));
+    expect(own.body.title).toBe("Alice's notes");
+
+    const other = await as(alice, () => call("docs_get", { ID: 2 }));
+    expect(other.isError).toBe(true);
+    expect(other.body.error).toBe("FORBIDDEN");
+    expect(other.body.message).toMatch(/exists but is filtered out for user 'alice' by instance-based authorization \(@restrict where — READ: owner = \$user\)/);
+    expect(other.body.instanceAuthorization).toEqual({ READ: ["owner = $user"] });
+
+    const missing = await as(alice, () => call("docs_get", { ID: 99 }));
+    expect(missing.body.error).toBe("NOT_FOUND");
+  });
+
+  test("update and delete of another user's row are FORBIDDEN and change nothing", async () => {
+    const updated = await as(alice, () => call("docs_update", { ID: 2, title: "Mine now" }));
+    expect(updated.body).toMatchObject({ error: "FORBIDDEN", instanceAuthorization: { UPDATE: ["owner = $user"] } });
+    const deleted = await as(alice, () => call("docs_delete", { ID: 2 }));
+    expect(deleted.body).toMatchObject({ error: "FORBIDDEN", instanceAuthorization: { DELETE: ["owner = $user"] } });
+    expect(await cds.run(SELECT.one.from("DocService.Docs").where({ ID: 2 }))).toMatchObject({ title: "Bob's notes" });
+
+    const own = await as(alice, () => call("docs_update", { ID: 1, title: "Alice's draft" }));
+    expect(own.isError).toBe(false);
+  });
+
+  test("query tells row-restricted callers which filters applied", async () => {
+    const { body } = await as(alice, () => call("docs_query", {}));
+    expect(body.rows.map((r) => r.ID)).toEqual([1]);
+    expect(body.restricted).toEqual({ where: ["owner = $user"] });
+
+    const admin = new cds.User({ id: "root", roles: ["admin"] });
+    const { body: all } = await as(admin, () => call("docs_query", {}));
+    expect(Array.isArray(all)).toBe(true);
+    expect(all).toHaveLength(2);
+  });
+
+  test("the restricted query result passes the tool's output schema", async () => {
+    const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    const server = new McpServer({ name: "t", version: "1.0.0" });
+    registerEntityWrappers(docs, server, true, ["query"], { canRead: true, canCreate: false, canUpdate: false, canDelete: false });
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: "t-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+    try {
+      const res = await as(alice, () => client.callTool({ name: "docs_query", arguments: {} }));
+      expect(res.isError).toBeFalsy();
+      expect(res.structuredContent.restricted).toEqual({ where: ["owner = $user"] });
+    }
+    finally {
+      await client.close();
+    }
+  });
+
+  test("cap_describe_model lists the restrictions with their where clauses", async () => {
+    const { body } = await call("cap_describe_model", { service: "DocService", entity: "Docs" });
+    expect(body.authorization.instanceBased).toBe(true);
+    expect(body.authorization.restrictions).toContainEqual(expect.objectContaining({
+      role: "regional", operations: ["READ"], where: "country = $user.country", userAttributes: ["country"],
+    }));
+  });
+});
@@ -0,0 +1,199 @@
+"use strict";
+
+/**
+ * `@Core.MediaType` elements. Boots an inline schema via `cds.test`, builds
+ * the real MCP server with `createMcpServer` and reads and uploads media
+ * through an in-memory SDK client.
+ *
+ * What we assert:
+ *   - media elements are left out of `_query` and `_get` rows; `_get` links
+ *     them instead
+ *   - the media template returns `blob` contents with the right mimeType
+ *   - `_media` returns `image`, `audio` or embedded `blob` content
+ *   - uploads round-trip and set the media type element
+ *   - `media.max_bytes` caps reads and uploads
+ *   - `@mcp.omit` media elements are not served at all
+ *   - uploads honour an etag precondition
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-media-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Pictures {
+  key ID  : Integer;
+  name    : String;
+  content : LargeBinary @Core.MediaType: mime;
+  mime    : String @Core.IsMediaType;
+  thumb   : Binary(200) @Core.MediaType: 'image/png';
+}
+
+entity Scans {
+  key ID     : Integer;
+  page       : LargeBinary @Core.MediaType: 'application/pdf';
+  original   : LargeBinary @Core.MediaType: 'application/pdf' @mcp.omit;
+  modifiedAt : Timestamp @cds.on.insert: $now @cds.on.update: $now @odata.etag;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Pictures as projection on demo.Pictures;
+  entity Scans as projection on demo.Scans;
+}
+
+annotate CatalogService.Pictures with @mcp: {
+  name       : 'pics',
+  description: 'Pictures',
+  resource   : true,
+  wrap       : { tools: true, modes: ['query', 'get', 'media'] }
+};
+
+annotate CatalogService.Scans with @mcp: {
+  name       : 'scans',
+  description: 'Scans',
+  resource   : true,
+  wrap       : { tools: true, modes: ['get', 'media'] }
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-media-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" }, media: { max_bytes: 64 } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("media elements against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let client;
+  const PNG = Buffer.from("89504e470d0a1a0a", "hex");
+  const WAV = Buffer.from("RIFF....WAVE");
+  const PDF = Buffer.from("%PDF-1.7");
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    const server = createMcpServer({
+      name: "media-test",
+      version: "1.0.0",
+      capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+      auth: "none",
+    }, parseDefinitions(cds.model));
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "media-test-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+
+    await cds.run(INSERT.into("demo.Pictures").entries([
+      { ID: 1, name: "logo", content: PNG, mime: "image/png", thumb: PNG },
+      { ID: 2, name: "jingle", content: WAV, mime: "audio/wav" },
+      { ID: 3, name: "manual", content: PDF, mime: "application/pdf" },
+      { ID: 4, name: "huge", content: Buffer.alloc(100), mime: "image/png" },
+    ]));
+    await cds.run(INSERT.into("demo.Scans").entries({ ID: 1, page: PDF, original: PDF }));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  const call = (name, args) => client.callTool({ name, arguments: args });
+
+  test("query and get leave media out of rows and get links it", async () => {
+    const query = (await client.listTools()).tools.find((t) => t.name === "pics_query");
+    expect(query.inputSchema.properties.select.items.enum).toEqual(["ID", "name", "mime"]);
+
+    const rows = JSON.parse((await call("pics_query", { top: 10 })).content[0].text);
+    expect(rows[0]).toEqual({ ID: 1, name: "logo", mime: "image/png" });
+
+    const got = await call("pics_get", { ID: 1 });
+    expect(JSON.parse(got.content[0].text)).toEqual({ ID: 1, name: "logo", mime: "image/png" });
+    const links = got.content.filter((c) => c.type === "resource_link" && c.uri.includes(")/"));
+    expect(links).toEqual([
+      expect.objectContaining({ uri: "odata://CatalogService/pics(1)/content", name: "pics(1)/content", mimeType: "image/png" }),
+      expect.objectContaining({ uri: "odata://CatalogService/pics(1)/thumb", name: "pics(1)/thumb", mimeType: "image/png" }),
+    ]);
+  });
+
+  test("the media template returns blob contents", async () => {
+    const pdf = await client.readResource({ uri: "odata://CatalogService/pics(3)/content" });
+    expect(pdf.contents[0]).toEqual({ uri: "odata://CatalogService/pics(3)/content", mimeType: "application/pdf", blob: PDF.toString("base64") });
+
+    const thumb = await client.readResource({ uri: "odata://CatalogService/pics(1)/thumb" });
+    expect(thumb.contents[0]).toMatchObject({ mimeType: "image/png", blob: PNG.toString("base64") });
+
+    expect((await client.readResource({ uri: "odata://CatalogService/pics(1)/name" })).contents[0].text).toMatch(/not a media element/);
+    expect((await client.readResource({ uri: "odata://CatalogService/pics(9)/content" })).contents[0].text).toMatch(/NOT_FOUND/);
+    expect((await client.readResource({ uri: "odata://CatalogService/pics(4)/content" })).contents[0].text).toMatch(/MEDIA_TOO_LARGE/);
+  });
+
+  test("_media returns image, audio and blob content", async () => {
+    expect((await call("pics_media", { ID: 1 })).content).toEqual([{ type: "image", data: PNG.toString("base64"), mimeType: "image/png" }]);
+    expect((await call("pics_media", { ID: 2 })).content).toEqual([{ type: "audio", data: WAV.toString("base64"), mimeType: "audio/wav" }]);
+    expect((await call("pics_media", { ID: 3 })).content).toEqual([{
+      type: "resource",
+      resource: { uri: "odata://CatalogService/pics(3)/content", mimeType: "application/pdf", blob: PDF.toString("base64") },
+    }]);
+    expect(JSON.parse((await call("pics_media", { ID: 2, field: "thumb" })).content[0].text)).toMatchObject({ empty: true });
+    expect(JSON.parse((await call("pics_media", { ID: 9 })).content[0].text).error).toBe("NOT_FOUND");
+  });
+
+  test("uploads round-trip and set the media type element", async () => {
+    const jpeg = Buffer.from("ffd8ffe0", "hex");
+    const res = await call("pics_media", { ID: 3, data: jpeg.toString("base64"), mimeType: "image/jpeg" });
+    expect(JSON.parse(res.content[0].text)).toEqual({ uploaded: true, keys: { ID: 3 }, field: "content", bytes: 4, mimeType: "image/jpeg" });
+    expect((await call("pics_media", { ID: 3 })).content).toEqual([{ type: "image", data: jpeg.toString("base64"), mimeType: "image/jpeg" }]);
+
+    const mismatch = await call("pics_media", { ID: 3, field: "thumb", data: jpeg.toString("base64"), mimeType: "image/jpeg" });
+    expect(JSON.parse(mismatch.content[0].text).error).toBe("MEDIA_TYPE_MISMATCH");
+    const garbled = await call("pics_media", { ID: 3, data: "not base64!" });
+    expect(garbled.isError).toBe(true);
+  });
+
+  test("media.max_bytes caps reads and uploads", async () => {
+    const read = await call("pics_media", { ID: 4 });
+    expect(JSON.parse(read.content[0].text)).toMatchObject({ error: "MEDIA_TOO_LARGE", maxBytes: 64 });
+    const upload = await call("pics_media", { ID: 1, data: Buffer.alloc(65).toString("base64") });
+    expect(JSON.parse(upload.content[0].text)).toMatchObject({ error: "MEDIA_TOO_LARGE", maxBytes: 64 });
+    expect((await call("pics_media", { ID: 1 })).content[0].data).toBe(PNG.toString("base64"));
+  });
+
+  test("@mcp.omit media elements are not served", async () => {
+    const media = (await client.listTools()).tools.find((t) => t.name === "scans_media");
+    expect(media.inputSchema.properties.field.enum).toEqual(["page"]);
+    const hidden = await call("scans_media", { ID: 1, field: "original" });
+    expect(hidden.isError).toBe(true);
+    expect((await client.readResource({ uri: "odata://CatalogService/scans(1)/original" })).contents[0].text).toMatch(/not a media element/);
+    const got = await call("scans_get", { ID: 1 });
+    expect(got.content.filter((c) => c.type === "resource_link" && c.uri.endsWith("/original"))).toEqual([]);
+  });
+
+  test("uploads honour the etag precondition", async () => {
+    const stale = await call("scans_media", { ID: 1, data: PNG.toString("base64"), etag: 'W/"1999-01-01T00:00:00.000Z"' });
+    expect(JSON.parse(stale.content[0].text).error).toBe("CONFLICT");
+    expect((await call("scans_media", { ID: 1 })).content[0].resource.blob).toBe(PDF.toString("base64"));
+
+    const { modifiedAt } = await cds.run(SELECT.one.from("demo.Scans").columns("modifiedAt").where({ ID: 1 }));
+    const fresh = await call("scans_media", { ID: 1, data: PNG.toString("base64"), etag: `W/"${modifiedAt}"` });
+    expect(JSON.parse(fresh.content[0].text)).toMatchObject({ uploaded: true });
+  });
+});
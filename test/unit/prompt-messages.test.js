@@ -0,0 +1,202 @@
+"use strict";
+
+/**
+ * `@mcp.prompts` with several messages, embedded `odata://` resources,
+ * conditional sections and CSN-typed inputs. Boots an inline schema via
+ * `cds.test`, builds the real MCP server with `createMcpServer` and gets the
+ * prompts through an in-memory SDK client as different users.
+ *
+ * What we assert:
+ *   - messages render in order; `system` messages go out as `user` messages
+ *     addressed to the model
+ *   - `{{#if}}` / `{{#unless}}` sections and `when` guards follow the inputs
+ *   - `odata://` resources are embedded, read as the caller
+ *   - argument text is validated and converted per the CSN type
+ *   - single-template prompts render as before
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-prompt-messages-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+type Rating : Integer enum { poor = 1; great = 5; }
+type Copies : Integer @assert.range: [1, 10];
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+  stock  : Integer;
+  rating : Rating;
+  copies : Copies;
+}
+
+entity Ledgers {
+  key ID : Integer;
+  owner  : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+
+  @restrict: [{ grant: 'READ', to: 'owner', where: 'owner = $user' }]
+  entity Ledgers as projection on demo.Ledgers;
+}
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: ['filter'] };
+annotate CatalogService.Ledgers with @mcp: { name: 'ledgers', description: 'Ledgers', resource: ['filter'] };
+
+annotate CatalogService with @mcp.prompts: [
+  {
+    name       : 'review-book',
+    title      : 'Review Book',
+    description: 'Reviews a book',
+    inputs     : [
+      { key: 'book', type: 'Integer' },
+      { key: 'rating', type: 'demo.Rating', optional: true },
+      { key: 'tone', type: 'String', optional: true }
+    ],
+    messages   : [
+      { role: 'system', template: 'You review books.' },
+      { role: 'user', resource: 'odata://CatalogService/books({{book}})' },
+      { role: 'user', template: 'Review book {{book}}{{#if tone}} in a {{tone}} tone{{else}} neutrally{{/if}}.{{#unless rating}} Pick a rating.{{/unless}}' },
+      { role: 'assistant', template: 'Rated {{rating}} so far.', when: 'rating' }
+    ]
+  },
+  {
+    name       : 'find-title',
+    title      : 'Find Title',
+    description: 'Looks up books by title',
+    inputs     : [{ key: 'title', type: 'String' }],
+    messages   : [{ role: 'user', resource: 'odata://CatalogService/books?filter=title eq ''{{title}}''' }]
+  },
+  {
+    name       : 'audit-ledger',
+    title      : 'Audit Ledger',
+    description: 'Audits a ledger',
+    inputs     : [{ key: 'ledger', type: 'Integer' }],
+    messages   : [
+      { role: 'user', resource: 'odata://CatalogService/ledgers({{ledger}})' },
+      { role: 'user', template: 'Audit it.' }
+    ]
+  },
+  {
+    name       : 'order-copies',
+    title      : 'Order Copies',
+    description: 'Orders copies',
+    template   : 'Order {{copies}} copies',
+    role       : 'user',
+    inputs     : [{ key: 'copies', type: 'demo.Copies' }]
+  }
+];
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-prompt-messages-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("prompt messages against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let client;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    const server = createMcpServer({
+      name: "prompt-messages-test",
+      version: "1.0.0",
+      capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+      auth: "inherit",
+    }, parseDefinitions(cds.model));
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "prompt-messages-test-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+
+    await cds.run(INSERT.into("CatalogService.Books").entries([
+      { ID: 1, title: "Emma", stock: 12 },
+      { ID: 2, title: "Ethan's Frome", stock: 3 },
+    ]));
+    await cds.run(INSERT.into("CatalogService.Ledgers").entries([{ ID: 1, owner: "alice" }, { ID: 2, owner: "bob" }]));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  const alice = new cds.User({ id: "alice", roles: ["owner"] });
+  const get = async (name, args, user = alice) => {
+    cds.context = { user };
+    try {
+      return (await client.getPrompt({ name, arguments: args })).messages;
+    }
+    finally {
+      cds.context = undefined;
+    }
+  };
+  const texts = (messages) => messages.filter((m) => m.content.type === "text").map((m) => [m.role, m.content.text]);
+
+  test("messages render in order with system messages addressed to the model", async () => {
+    const messages = await get("review-book", { book: "1", tone: "playful", rating: "5" });
+    expect(messages.map((m) => [m.role, m.content.type])).toEqual([
+      ["user", "text"], ["user", "resource"], ["user", "text"], ["assistant", "text"],
+    ]);
+    expect(messages[0].content).toEqual({ type: "text", text: "You review books.", annotations: { audience: ["assistant"], priority: 1 } });
+    expect(texts(messages).slice(1)).toEqual([["user", "Review book 1 in a playful tone."], ["assistant", "Rated 5 so far."]]);
+  });
+
+  test("sections and when guards follow the inputs", async () => {
+    const messages = await get("review-book", { book: "2" });
+    expect(texts(messages)).toEqual([["user", "You review books."], ["user", "Review book 2 neutrally. Pick a rating."]]);
+  });
+
+  test("odata:// resources are embedded", async () => {
+    const [, row] = await get("review-book", { book: "2" });
+    expect(row.content.resource).toMatchObject({ uri: "odata://CatalogService/books(2)", mimeType: "application/json" });
+    expect(JSON.parse(row.content.resource.text)).toMatchObject({ ID: 2, title: "Ethan's Frome", stock: 3 });
+
+    const [found] = await get("find-title", { title: "Ethan's Frome" });
+    expect(JSON.parse(found.content.resource.text)).toMatchObject([{ ID: 2, title: "Ethan's Frome", stock: 3 }]);
+
+    await expect(get("review-book", { book: "9" })).rejects.toThrow(/books\(9\) could not be read: NOT_FOUND/);
+  });
+
+  test("embedded resources are read as the caller", async () => {
+    const [ledger, instruction] = await get("audit-ledger", { ledger: "1" });
+    expect(JSON.parse(ledger.content.resource.text)).toMatchObject({ ID: 1, owner: "alice" });
+    expect(instruction.content.text).toBe("Audit it.");
+    await expect(get("audit-ledger", { ledger: "2" })).rejects.toThrow(/ledgers\(2\) could not be read/);
+  });
+
+  test("argument text is validated per the CSN type", async () => {
+    await expect(get("review-book", { book: "one" })).rejects.toThrow(/Invalid arguments/);
+    await expect(get("review-book", { book: "1", rating: "3" })).rejects.toThrow(/Invalid arguments/);
+    await expect(get("order-copies", { copies: "11" })).rejects.toThrow(/Invalid arguments/);
+    expect(texts(await get("order-copies", { copies: "4" }))).toEqual([["user", "Order 4 copies"]]);
+
+    const listed = (await client.listPrompts()).prompts.find((p) => p.name === "review-book");
+    expect(listed.arguments.map((a) => [a.name, a.required])).toEqual([["book", true], ["rating", false], ["tone", false]]);
+  });
+});
@@ -0,0 +1,196 @@
+"use strict";
+
+/**
+ * `resources/list` enumeration of entity rows (`@mcp.resource.list`). Boots
+ * an inline schema via `cds.test`, builds the real MCP server with
+ * `createMcpServer` and lists through an in-memory SDK client as different
+ * users.
+ *
+ * What we assert:
+ *   - annotated entities list their row URIs in key order, bounded by the
+ *     annotation and paged with the list page size
+ *   - pages resume after the last listed key, so a row deleted in between
+ *     does not skip the next one
+ *   - titles come from `@UI.HeaderInfo`, else from `@title` and the keys
+ *   - entities without the annotation list no rows
+ *   - rows are read as the caller, so `@restrict` applies
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-resource-list-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+}
+
+entity Authors {
+  key ID : Integer;
+  name   : String;
+}
+
+entity Ledgers {
+  key ID : Integer;
+  owner  : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  @UI.HeaderInfo: { TypeName: 'Book', Title: { Value: title } }
+  entity Books as projection on demo.Books;
+
+  @title: 'Author'
+  entity Authors as projection on demo.Authors;
+
+  @restrict: [
+    { grant: 'READ', to: 'auditor' },
+    { grant: 'READ', to: 'owner', where: 'owner = $user' }
+  ]
+  entity Ledgers as projection on demo.Ledgers;
+}
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: ['top'] };
+annotate CatalogService.Books with @mcp.resource.list: 3;
+annotate CatalogService.Authors with @mcp: { name: 'authors', description: 'Authors', resource: true };
+annotate CatalogService.Authors with @mcp.resource.list;
+annotate CatalogService.Ledgers with @mcp: { name: 'ledgers', description: 'Ledgers', resource: true };
+annotate CatalogService.Ledgers with @mcp.resource.list: true;
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-resource-list-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" }, pagination: { list_page_size: 2 } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("resources/list enumeration against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let client;
+  let annotations;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    annotations = parseDefinitions(cds.model);
+    const server = createMcpServer({
+      name: "resource-list-test",
+      version: "1.0.0",
+      capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+      auth: "inherit",
+    }, annotations);
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "resource-list-test-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+
+    await cds.run(INSERT.into("CatalogService.Books").entries(
+      ["Emma", "Persuasion", "Villette", "Middlemarch", "Cranford"].map((title, i) => ({ ID: i + 1, title })),
+    ));
+    await cds.run(INSERT.into("CatalogService.Authors").entries([{ ID: 7, name: "Austen" }]));
+    await cds.run(INSERT.into("CatalogService.Ledgers").entries([{ ID: 1, owner: "alice" }, { ID: 2, owner: "bob" }]));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  const as = async (user, fn) => {
+    cds.context = { user };
+    try {
+      return await fn();
+    }
+    finally {
+      cds.context = undefined;
+    }
+  };
+  const listAll = async () => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await client.listResources(cursor ? { cursor } : {});
+      pages.push(page.resources);
+      cursor = page.nextCursor;
+    } while (cursor && pages.length < 20);
+    return pages;
+  };
+  const rowsOf = (pages, name) => pages.flat().filter((r) => r.uri.startsWith(`odata://CatalogService/${name}(`));
+
+  test("@mcp.resource.list reaches the annotation", () => {
+    expect(annotations.get("CatalogService.Books").list).toEqual({ max: 3 });
+    expect(annotations.get("CatalogService.Authors").list).toEqual({ max: 100 });
+  });
+
+  test("rows are listed in key order, bounded and paged", async () => {
+    const auditor = new cds.User({ id: "carol", roles: ["auditor"] });
+    const pages = await as(auditor, listAll);
+    expect(pages.every((p) => p.length <= 2)).toBe(true);
+    const books = rowsOf(pages, "books");
+    expect(books.map((r) => r.uri)).toEqual([
+      "odata://CatalogService/books(1)",
+      "odata://CatalogService/books(2)",
+      "odata://CatalogService/books(3)",
+    ]);
+    expect(books[0]).toMatchObject({ name: "books(1)", title: "Emma", mimeType: "application/json" });
+
+    const [author] = rowsOf(pages, "authors");
+    expect(author).toMatchObject({ uri: "odata://CatalogService/authors(7)", title: "Author (7)" });
+
+    const text = (await as(auditor, () => client.readResource({ uri: books[2].uri }))).contents[0].text;
+    expect(JSON.parse(text).title).toBe("Villette");
+  });
+
+  test("a row deleted between pages does not skip the next one", async () => {
+    const auditor = new cds.User({ id: "carol", roles: ["auditor"] });
+    const listed = [];
+    let cursor;
+    let deleted = false;
+    for (let i = 0; i < 20; i++) {
+      const page = await as(auditor, () => client.listResources(cursor ? { cursor } : {}));
+      const books = rowsOf([page.resources], "books");
+      listed.push(...books.map((r) => r.uri));
+      if (books.length && !deleted) {
+        await cds.run(DELETE.from("CatalogService.Books").where({ ID: 1 }));
+        deleted = true;
+      }
+      cursor = page.nextCursor;
+      if (!cursor) break;
+    }
+    await cds.run(INSERT.into("CatalogService.Books").entries({ ID: 1, title: "Emma" }));
+    expect(listed).toEqual([
+      "odata://CatalogService/books(1)",
+      "odata://CatalogService/books(2)",
+      "odata://CatalogService/books(3)",
+    ]);
+  });
+
+  test("rows are listed as the caller", async () => {
+    const alice = new cds.User({ id: "alice", roles: ["owner"] });
+    expect(rowsOf(await as(alice, listAll), "ledgers").map((r) => r.uri)).toEqual(["odata://CatalogService/ledgers(1)"]);
+
+    const stranger = new cds.User({ id: "eve", roles: [] });
+    const pages = await as(stranger, listAll);
+    expect(rowsOf(pages, "ledgers")).toEqual([]);
+    expect(rowsOf(pages, "books")).toHaveLength(3);
+  });
+});
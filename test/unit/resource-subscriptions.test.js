@@ -0,0 +1,226 @@
+"use strict";
+
+/**
+ * Resource subscriptions (`resources/subscribe`). Boots an inline schema via
+ * `cds.test` with the session and subscription entities injected the way
+ * the plugin does, builds real MCP servers with `createMcpServer` and talks
+ * to them through in-memory SDK clients, one per session.
+ *
+ * What we assert:
+ *   - a write through the service notifies only the sessions subscribed to
+ *     that entity's resource, with the URI they subscribed to
+ *   - rolled-back writes notify nobody; unknown URIs are rejected
+ *   - the memory store drops a session's subscriptions on delete and reap
+ *   - the db store keeps subscriptions in its entity, delivers changes
+ *     published on another instance via polling, also from an instance
+ *     whose clock lags behind, and reaps orphans
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-subscriptions-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+}
+
+entity Authors {
+  key ID : Integer;
+  name   : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+  entity Authors as projection on demo.Authors;
+}
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: true };
+annotate CatalogService.Authors with @mcp: { name: 'authors', description: 'Authors', resource: true };
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-subscriptions-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+const { applySessionModel, applySubscriptionModel } = require("../../lib/mcp/session-model");
+cds.on("loaded", (model) => {
+  applySessionModel(model, "cap.mcp.Sessions");
+  applySubscriptionModel(model, "cap.mcp.Subscriptions", "cap.mcp.ResourceEvents");
+});
+
+const CONFIG = {
+  name: "subscriptions-test",
+  version: "1.0.0",
+  capabilities: { tools: { listChanged: true }, resources: { listChanged: true, subscribe: true }, prompts: { listChanged: true } },
+  auth: "none",
+};
+
+const until = async (predicate) => {
+  for (let i = 0; i < 100 && !predicate(); i++) await new Promise((r) => setTimeout(r, 10));
+};
+const settle = () => new Promise((r) => setTimeout(r, 50));
+
+describe("resource subscriptions against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+  const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+  const { ResourceUpdatedNotificationSchema } = require("@modelcontextprotocol/sdk/types.js");
+  const { InMemorySessionStore, DbSessionStore } = require("../../lib/mcp/session-manager");
+
+  let annotations;
+  const stores = [];
+  const clients = [];
+  // Where published changes go; each test points it at the store under test.
+  let publishTo;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { registerResourceChangeHandlers } = require("../../lib/mcp/subscriptions");
+    annotations = parseDefinitions(cds.model);
+    registerResourceChangeHandlers(annotations, (uri) => publishTo?.publish(uri));
+  });
+
+  afterAll(async () => {
+    for (const client of clients) await client.close();
+    for (const store of stores) store.stop();
+  });
+
+  /** Connects a client to a fresh server registered as `sid` in `store`. */
+  const connect = async (store, sid) => {
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const server = createMcpServer(CONFIG, annotations, store.subscriptions);
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    serverSide.sessionId = sid;
+    const client = new Client({ name: `client-${sid}`, version: "1.0.0" });
+    const updates = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => updates.push(n.params.uri));
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+    store.getSessions().set(sid, { server, transport: serverSide, lastAccess: Date.now() });
+    clients.push(client);
+    return { client, updates };
+  };
+
+  const CatalogService = () => cds.services.CatalogService;
+
+  test("writes notify only the sessions subscribed to that resource", async () => {
+    const store = new InMemorySessionStore({ subscribe: true });
+    stores.push(store);
+    publishTo = store.subscriptions;
+    const reader = await connect(store, "s-books");
+    const other = await connect(store, "s-authors");
+    await reader.client.subscribeResource({ uri: "odata://CatalogService/books?top=5" });
+    await other.client.subscribeResource({ uri: "odata://CatalogService/authors" });
+
+    await CatalogService().run(INSERT.into("CatalogService.Books").entries({ ID: 1, title: "Emma" }));
+    await until(() => reader.updates.length > 0);
+    await settle();
+    expect(reader.updates).toEqual(["odata://CatalogService/books?top=5"]);
+    expect(other.updates).toEqual([]);
+
+    await cds.run(INSERT.into("demo.Authors").entries({ ID: 1, name: "Austen" }));
+    await settle();
+    expect(other.updates).toEqual([]);
+    await CatalogService().run(UPDATE("CatalogService.Authors").set({ name: "x" }).where({ ID: 1 }));
+    await until(() => other.updates.length > 0);
+    expect(other.updates).toEqual(["odata://CatalogService/authors"]);
+
+    await reader.client.unsubscribeResource({ uri: "odata://CatalogService/books?top=5" });
+    await CatalogService().run(DELETE.from("CatalogService.Books").where({ ID: 1 }));
+    await settle();
+    expect(reader.updates).toHaveLength(1);
+  });
+
+  test("rolled-back writes notify nobody and unknown URIs are rejected", async () => {
+    const store = new InMemorySessionStore({ subscribe: true });
+    stores.push(store);
+    publishTo = store.subscriptions;
+    const { client, updates } = await connect(store, "s-rollback");
+    await client.subscribeResource({ uri: "odata://CatalogService/books" });
+
+    await expect(CatalogService().tx(async (tx) => {
+      await tx.run(INSERT.into("CatalogService.Books").entries({ ID: 2, title: "Persuasion" }));
+      throw new Error("abort");
+    })).rejects.toThrow("abort");
+    await settle();
+    expect(updates).toEqual([]);
+
+    await expect(client.subscribeResource({ uri: "odata://CatalogService/nope" })).rejects.toThrow(/Unknown resource/);
+  });
+
+  test("the memory store drops subscriptions with the session", async () => {
+    const store = new InMemorySessionStore({ subscribe: true });
+    stores.push(store);
+    const a = await connect(store, "s-deleted");
+    const b = await connect(store, "s-idle");
+    await a.client.subscribeResource({ uri: "odata://CatalogService/books" });
+    await b.client.subscribeResource({ uri: "odata://CatalogService/books" });
+
+    await store.deleteSession("s-deleted");
+    expect(await store.subscriptions.subscriptionsOf("s-deleted")).toEqual([]);
+
+    store.getSessions().get("s-idle").lastAccess = 0;
+    await store.reap();
+    expect(await store.subscriptions.subscriptionsOf("s-idle")).toEqual([]);
+  });
+
+  test("the db store shares subscriptions and changes across instances", async () => {
+    const storeCfg = { entity: "cap.mcp.Sessions", poll_ms: 60 * 60 * 1000 };
+    const writer = new DbSessionStore(storeCfg, { subscribe: true });
+    const holder = new DbSessionStore(storeCfg, { subscribe: true });
+    stores.push(writer, holder);
+    publishTo = writer.subscriptions;
+    const now = new Date().toISOString();
+    await cds.run(INSERT.into("cap.mcp.Sessions").entries({ session_id: "s-remote", created_at: now, last_access: now }));
+    const remote = await connect(holder, "s-remote");
+    await remote.client.subscribeResource({ uri: "odata://CatalogService/books" });
+    expect(await cds.run(SELECT.from("cap.mcp.Subscriptions"))).toEqual([
+      { session_id: "s-remote", uri: "odata://CatalogService/books", base_uri: "odata://CatalogService/books" },
+    ]);
+
+    await CatalogService().run(INSERT.into("CatalogService.Books").entries({ ID: 3, title: "Villette" }));
+    await settle();
+    expect(remote.updates).toEqual([]);
+    expect(await cds.run(SELECT.from("cap.mcp.ResourceEvents"))).toHaveLength(1);
+
+    await holder.subscriptions.poll();
+    await until(() => remote.updates.length > 0);
+    expect(remote.updates).toEqual(["odata://CatalogService/books"]);
+    await holder.subscriptions.poll();
+    await settle();
+    expect(remote.updates).toHaveLength(1);
+
+    // An instance whose clock lags stamps its change before the last poll.
+    const lagging = new Date(Date.now() - 10 * 1000).toISOString();
+    await cds.run(INSERT.into("cap.mcp.ResourceEvents").entries({ ID: cds.utils.uuid(), uri: "odata://CatalogService/books", origin: "lagging", created_at: lagging }));
+    await holder.subscriptions.poll();
+    await until(() => remote.updates.length > 1);
+    expect(remote.updates).toHaveLength(2);
+
+    await cds.run(DELETE.from("cap.mcp.Sessions").where({ session_id: "s-remote" }));
+    await writer.reap();
+    expect(await cds.run(SELECT.from("cap.mcp.Subscriptions"))).toEqual([]);
+  });
+});
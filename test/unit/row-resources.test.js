@@ -0,0 +1,158 @@
+"use strict";
+
+/**
+ * Per-row resource URIs (`odata://<service>/<name>(<keys>)`) and the
+ * `resource_link` items of `_query` / `_get`. Boots an inline schema via
+ * `cds.test`, builds the real MCP server with `createMcpServer` and reads
+ * through an in-memory SDK client.
+ *
+ * What we assert:
+ *   - every keyed resource gets a `({keys})` template next to its collection
+ *   - single, composite and quoted string keys resolve to their row
+ *   - missing rows and malformed predicates come back as ERROR text
+ *   - query and get results link each row, and the links read back
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-row-resources-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+  secret : String @mcp.omit;
+}
+
+entity Texts {
+  key code   : String;
+  key locale : String;
+  text       : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+  entity Texts as projection on demo.Texts;
+}
+
+annotate CatalogService.Books with @mcp: {
+  name       : 'books',
+  description: 'Books',
+  resource   : ['filter', 'top'],
+  wrap       : { tools: true, modes: ['query', 'get'] }
+};
+
+annotate CatalogService.Texts with @mcp: {
+  name       : 'texts',
+  description: 'Texts',
+  resource   : []
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-row-resources-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("per-row resources against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let client;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    const server = createMcpServer({
+      name: "row-resources-test",
+      version: "1.0.0",
+      capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+      auth: "none",
+    }, parseDefinitions(cds.model));
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "row-resources-test-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+
+    await cds.run(INSERT.into("CatalogService.Books").entries([
+      { ID: 1, title: "Emma", secret: "s1" },
+      { ID: 2, title: "Persuasion", secret: "s2" },
+    ]));
+    await cds.run(INSERT.into("CatalogService.Texts").entries([
+      { code: "greet", locale: "en", text: "Hello" },
+      { code: "it's", locale: "en", text: "Quoted" },
+    ]));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  const read = async (uri) => (await client.readResource({ uri })).contents[0].text;
+
+  test("keyed resources get a row template next to their collection", async () => {
+    const { resourceTemplates } = await client.listResourceTemplates();
+    const uris = resourceTemplates.map((t) => t.uriTemplate);
+    expect(uris).toEqual(expect.arrayContaining([
+      "odata://CatalogService/books{?filter,top}",
+      "odata://CatalogService/books({keys})",
+      "odata://CatalogService/texts({keys})",
+    ]));
+  });
+
+  test("row URIs resolve single, composite and quoted string keys", async () => {
+    const book = JSON.parse(await read("odata://CatalogService/books(2)"));
+    expect(book).toMatchObject({ ID: 2, title: "Persuasion" });
+    expect(book.secret).toBeUndefined();
+    expect(JSON.parse(await read("odata://CatalogService/books(ID=1)")).title).toBe("Emma");
+
+    const text = JSON.parse(await read("odata://CatalogService/texts(code='greet',locale='en')"));
+    expect(text.text).toBe("Hello");
+    const quoted = JSON.parse(await read("odata://CatalogService/texts(code='it''s',locale='en')"));
+    expect(quoted.text).toBe("Quoted");
+
+    // The collection template still answers its own URIs.
+    expect(JSON.parse(await read("odata://CatalogService/books?top=1"))).toHaveLength(1);
+  });
+
+  test("missing rows and malformed predicates are reported", async () => {
+    expect(await read("odata://CatalogService/books(99)")).toMatch(/^ERROR: NOT_FOUND/);
+    expect(await read("odata://CatalogService/books('x')")).toMatch(/^ERROR: Invalid key - Key 'ID' must be a number/);
+    expect(await read("odata://CatalogService/texts(code='greet')")).toMatch(/Missing key 'locale'/);
+    expect(await read("odata://CatalogService/texts(nope='x',locale='en')")).toMatch(/Unknown key 'nope'/);
+  });
+
+  test("query and get results link their rows", async () => {
+    const res = await client.callTool({ name: "books_query", arguments: { orderby: [{ field: "ID", dir: "asc" }] } });
+    const links = res.content.filter((c) => c.type === "resource_link");
+    expect(links.map((l) => l.uri)).toEqual(["odata://CatalogService/books(1)", "odata://CatalogService/books(2)"]);
+    expect(links[0]).toMatchObject({ name: "books(1)", mimeType: "application/json" });
+    expect(JSON.parse(await read(links[1].uri)).title).toBe("Persuasion");
+
+    const counted = await client.callTool({ name: "books_query", arguments: { return: "count" } });
+    expect(counted.content.filter((c) => c.type === "resource_link")).toEqual([]);
+
+    const got = await client.callTool({ name: "books_get", arguments: { ID: 1 } });
+    expect(got.content[0].type).toBe("text");
+    expect(got.content[1]).toMatchObject({ type: "resource_link", uri: "odata://CatalogService/books(1)" });
+  });
+});
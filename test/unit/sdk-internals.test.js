@@ -0,0 +1,64 @@
+"use strict";
+
+/**
+ * Private fields of `@modelcontextprotocol/sdk` the plugin reads or patches.
+ * package.json pins the SDK version; this suite fails when a new version
+ * renames or drops one of them, so the pin is only lifted together with
+ * the code that depends on it.
+ *
+ * What we assert:
+ *   - the installed SDK is the exact version package.json pins
+ *   - McpServer keeps its registries in `_registeredTools`,
+ *     `_registeredResources` and `_registeredResourceTemplates` and flags
+ *     `_resourceHandlersInitialized`
+ *   - the low-level Server dispatches initialize through `_oninitialize`
+ *     and reads back `_clientCapabilities` / `_clientVersion`
+ *   - the HTTP transport delegates to `_webStandardTransport`, which holds
+ *     `_streamMapping`, `_standaloneSseStreamId`, `_eventStore`,
+ *     `_initialized` and `writeSSEEvent`
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+const { McpServer, ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { StreamableHTTPServerTransport } = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
+// The SDK's exports map hides its package.json from require().
+const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, "../../node_modules/@modelcontextprotocol/sdk/package.json"), "utf8"));
+const { dependencies } = require("../../package.json");
+
+describe("private SDK fields the plugin relies on", () => {
+  test("the installed SDK is the pinned version", () => {
+    expect(version).toBe(dependencies["@modelcontextprotocol/sdk"]);
+  });
+
+  test("McpServer registries and the low-level Server handshake", () => {
+    const server = new McpServer({ name: "sdk-internals", version: "1.0.0" });
+    server.registerTool("t", { description: "t" }, async () => ({ content: [] }));
+    server.registerResource("r", "test://r", {}, async () => ({ contents: [] }));
+    server.registerResource("rt", new ResourceTemplate("test://rt/{id}", { list: undefined }), {}, async () => ({ contents: [] }));
+
+    expect(Object.keys(server._registeredTools)).toEqual(["t"]);
+    expect(Object.keys(server._registeredResources)).toEqual(["test://r"]);
+    expect(Object.keys(server._registeredResourceTemplates)).toEqual(["rt"]);
+    expect(server._resourceHandlersInitialized).toBe(true);
+    expect(typeof server.server._oninitialize).toBe("function");
+    server.server._clientCapabilities = { elicitation: {} };
+    server.server._clientVersion = { name: "c", version: "1" };
+    expect(server.server.getClientCapabilities()).toEqual({ elicitation: {} });
+    expect(server.server.getClientVersion()).toEqual({ name: "c", version: "1" });
+  });
+
+  test("HTTP transport stream state", () => {
+    const eventStore = { storeEvent: async () => "", replayEventsAfter: async () => "" };
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: () => "s", eventStore });
+    const inner = transport._webStandardTransport;
+
+    expect(inner).toBeDefined();
+    expect(inner._streamMapping).toBeInstanceOf(Map);
+    expect(typeof inner._standaloneSseStreamId).toBe("string");
+    expect(inner._eventStore).toBe(eventStore);
+    expect(inner._initialized).toBe(false);
+    expect(typeof inner.writeSSEEvent).toBe("function");
+  });
+});
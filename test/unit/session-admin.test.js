@@ -0,0 +1,189 @@
+"use strict";
+
+/**
+ * Session administration under /mcp/admin/sessions. Boots an inline schema
+ * via `cds.test` with the plugin loaded, mocked users and the DB session
+ * store, connects SDK clients as different users and manages their
+ * sessions as an admin.
+ *
+ * What we assert:
+ *   - admins list sessions with principal, client name and instance
+ *   - users without the admin role are rejected
+ *   - terminating a session ends it, also where another instance cached it
+ *   - bulk revocation ends all sessions of a user
+ *   - the memory store lists its own sessions
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-session-admin-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+}
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: true };
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-session-admin-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: {
+      db: { kind: "sqlite", credentials: { url: ":memory:" } },
+      auth: {
+        kind: "mocked",
+        users: {
+          admin: { password: "admin", roles: ["mcp-admin"] },
+          alice: { password: "alice" },
+          bob: { password: "bob" },
+        },
+      },
+    },
+    mcp: { auth: "inherit", session_store: { kind: "db" }, admin: { enabled: true } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+// The plugin reads cds.env when loaded, so point it at the fixture first.
+cds.root = FIXTURE;
+// Preload plugin — the temp fixture has no node_modules for auto-discovery.
+require("../../cds-plugin.js");
+
+describe("session administration against a real CAP runtime", () => {
+  const T = cds.test(FIXTURE);
+
+  const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+  const { StreamableHTTPClientTransport } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+  const { DbSessionStore, InMemorySessionStore } = require("../../lib/mcp/session-manager");
+
+  const basic = (user) => `Basic ${Buffer.from(`${user}:${user}`).toString("base64")}`;
+  const clients = [];
+  const stores = [];
+
+  /** Connects an SDK client as `user`; returns its session ID. */
+  const connect = async (user) => {
+    const transport = new StreamableHTTPClientTransport(new URL("/mcp", T.url), {
+      requestInit: { headers: { Authorization: basic(user) } },
+    });
+    const client = new Client({ name: `client-${user}`, version: "1.0.0" });
+    await client.connect(transport);
+    clients.push(client);
+    return { client, sid: transport.sessionId };
+  };
+
+  const admin = (method, query = "", user = "admin") => fetch(new URL(`/mcp/admin/sessions${query}`, T.url), {
+    method,
+    headers: { Authorization: basic(user) },
+  });
+  const idsOf = async (res) => (await res.json()).sessions.map((s) => s.id).sort();
+
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await connect("alice");
+    bob = await connect("bob");
+  });
+
+  afterAll(async () => {
+    for (const client of clients) await client.close().catch(() => { });
+    for (const store of stores) store.stop();
+  });
+
+  test("admins list sessions with principal, client name and instance", async () => {
+    const res = await admin("GET");
+    expect(res.status).toBe(200);
+    const { sessions } = await res.json();
+    expect(sessions.find((s) => s.id === alice.sid)).toMatchObject({
+      principal: "alice",
+      tenant: null,
+      client_name: "client-alice",
+      instance: expect.any(String),
+      cached: true,
+    });
+    expect(sessions.find((s) => s.id === bob.sid)?.created_at).toEqual(expect.any(String));
+    expect(await idsOf(await admin("GET", "?principal=bob"))).toEqual([bob.sid]);
+  });
+
+  test("users without the admin role are rejected", async () => {
+    expect((await admin("GET", "", "alice")).status).toBe(403);
+    expect((await admin("DELETE", `/${bob.sid}`, "alice")).status).toBe(403);
+    expect((await fetch(new URL("/mcp/admin/sessions", T.url))).status).toBe(401);
+    expect((await bob.client.listTools()).tools.length).toBeGreaterThan(0);
+  });
+
+  test("terminating a session ends it on every instance", async () => {
+    const { loadConfiguration } = require("../../lib/config/loader");
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const other = new DbSessionStore({});
+    stores.push(other);
+    other.setRuntimeConfig(loadConfiguration(), parseDefinitions(cds.model));
+    const asAlice = async (fn) => {
+      cds.context = { user: new cds.User({ id: "alice" }) };
+      try {
+        return await fn();
+      }
+      finally {
+        cds.context = undefined;
+      }
+    };
+    expect(await asAlice(() => other.getSession(alice.sid))).toBeTruthy();
+
+    expect((await admin("DELETE", `/${alice.sid}`)).status).toBe(204);
+    expect((await admin("DELETE", `/${alice.sid}`)).status).toBe(404);
+    await expect(alice.client.listTools()).rejects.toThrow();
+    expect(await asAlice(() => other.getSession(alice.sid))).toBeUndefined();
+    expect(other.getSessions().has(alice.sid)).toBe(false);
+  });
+
+  test("bulk revocation ends all sessions of a user", async () => {
+    const second = await connect("bob");
+    expect((await admin("DELETE")).status).toBe(400);
+
+    const res = await admin("DELETE", "?principal=bob");
+    expect(res.status).toBe(200);
+    expect((await res.json()).revoked.sort()).toEqual([bob.sid, second.sid].sort());
+    expect(await idsOf(await admin("GET", "?principal=bob"))).toEqual([]);
+    await expect(bob.client.listTools()).rejects.toThrow();
+  });
+
+  test("the memory store lists its own sessions", async () => {
+    const store = new InMemorySessionStore();
+    stores.push(store);
+    store.getSessions().set("s-1", {
+      createdAt: Date.parse("2026-01-01T00:00:00Z"),
+      lastAccess: Date.parse("2026-01-01T00:05:00Z"),
+      binding: { principal: "alice", tenant: "t1", subject_hash: null },
+      handshake: { clientInfo: { name: "inspector", version: "1.0.0" } },
+    });
+    expect(await store.listSessions()).toEqual([{
+      id: "s-1",
+      principal: "alice",
+      tenant: "t1",
+      created_at: "2026-01-01T00:00:00.000Z",
+      last_access: "2026-01-01T00:05:00.000Z",
+      instance: expect.any(String),
+      client_name: "inspector",
+      cached: true,
+    }]);
+  });
+});
@@ -0,0 +1,180 @@
+"use strict";
+
+/**
+ * Sessions bound to the caller that initialized them. Boots an inline
+ * schema via `cds.test` with the plugin loaded, mocked users and the DB
+ * session store, and talks to `/mcp` over HTTP as different users.
+ *
+ * What we assert:
+ *   - a session row records principal, tenant and token hash
+ *   - another user's requests and DELETE on the session are rejected
+ *   - a second instance rehydrates only for the bound principal and tenant
+ *   - the memory store applies the same binding
+ *   - the token hash covers `sub` and `azp`
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-session-binding-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+}
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: true };
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-session-binding-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: {
+      db: { kind: "sqlite", credentials: { url: ":memory:" } },
+      auth: {
+        kind: "mocked",
+        users: {
+          alice: { password: "alice" },
+          bob: { password: "bob" },
+        },
+      },
+    },
+    mcp: { auth: "inherit", session_store: { kind: "db" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+// Preload plugin — the temp fixture has no node_modules for auto-discovery.
+require("../../cds-plugin.js");
+
+describe("session binding against a real CAP runtime", () => {
+  const T = cds.test(FIXTURE);
+
+  const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+  const { StreamableHTTPClientTransport } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+  const { DbSessionStore, InMemorySessionStore } = require("../../lib/mcp/session-manager");
+  const { currentBinding } = require("../../lib/mcp/session-binding");
+
+  const basic = (user) => `Basic ${Buffer.from(`${user}:${user}`).toString("base64")}`;
+  const as = async (ctx, fn) => {
+    cds.context = ctx;
+    try {
+      return await fn();
+    }
+    finally {
+      cds.context = undefined;
+    }
+  };
+  const alice = new cds.User({ id: "alice" });
+  const bob = new cds.User({ id: "bob" });
+
+  let client;
+  let sid;
+  const stores = [];
+
+  beforeAll(async () => {
+    const transport = new StreamableHTTPClientTransport(new URL("/mcp", T.url), {
+      requestInit: { headers: { Authorization: basic("alice") } },
+    });
+    client = new Client({ name: "binding-test-client", version: "1.0.0" });
+    await client.connect(transport);
+    sid = transport.sessionId;
+  });
+
+  afterAll(async () => {
+    await client?.close();
+    for (const store of stores) store.stop();
+  });
+
+  const post = (user, body) => fetch(new URL("/mcp", T.url), {
+    method: "POST",
+    headers: {
+      Authorization: basic(user),
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+      "Mcp-Session-Id": sid,
+      "Mcp-Protocol-Version": "2025-06-18",
+    },
+    body: JSON.stringify(body),
+  });
+
+  test("the session row records the caller", async () => {
+    const row = await cds.run(SELECT.one.from("cap.mcp.Sessions").where({ session_id: sid }));
+    expect(row).toMatchObject({ principal: "alice", tenant: null, subject_hash: null });
+  });
+
+  test("other users cannot use or delete the session", async () => {
+    const hijack = await post("bob", { jsonrpc: "2.0", id: 1, method: "tools/list" });
+    expect(hijack.status).toBe(400);
+    const own = await post("alice", { jsonrpc: "2.0", id: 2, method: "tools/list" });
+    expect(own.status).toBe(200);
+
+    const del = await fetch(new URL("/mcp", T.url), {
+      method: "DELETE",
+      headers: { Authorization: basic("bob"), "Mcp-Session-Id": sid },
+    });
+    expect(del.status).toBe(400);
+    expect(await cds.run(SELECT.one.from("cap.mcp.Sessions").where({ session_id: sid }))).toBeTruthy();
+    expect((await client.listTools()).tools.length).toBeGreaterThan(0);
+  });
+
+  test("another instance rehydrates only for the bound principal and tenant", async () => {
+    const { loadConfiguration } = require("../../lib/config/loader");
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const other = new DbSessionStore({});
+    stores.push(other);
+    other.setRuntimeConfig(loadConfiguration(), parseDefinitions(cds.model));
+
+    expect(await as({ user: bob }, () => other.getSession(sid))).toBeUndefined();
+    expect(await as({ user: bob }, () => other.hasSession(sid))).toBe(false);
+    expect(other.getSessions().size).toBe(0);
+
+    const session = await as({ user: alice }, () => other.getSession(sid));
+    expect(session?.binding).toEqual({ principal: "alice", tenant: null, subject_hash: null });
+    expect(await as({ user: bob }, () => other.getSession(sid))).toBeUndefined();
+    // Last: CAP propagates a context's tenant to the contexts set after it.
+    expect(await as({ user: alice, tenant: "t2" }, () => other.getSession(sid))).toBeUndefined();
+  });
+
+  test("the memory store applies the same binding", async () => {
+    const store = new InMemorySessionStore();
+    stores.push(store);
+    const binding = await as({ user: alice, tenant: "t1" }, () => currentBinding());
+    store.getSessions().set("s-1", { server: undefined, transport: undefined, lastAccess: Date.now(), binding });
+    store.getSessions().set("s-legacy", { server: undefined, transport: undefined, lastAccess: Date.now() });
+
+    expect(await as({ user: alice, tenant: "t1" }, () => store.getSession("s-1"))).toBeTruthy();
+    expect(await as({ user: bob, tenant: "t1" }, () => store.getSession("s-1"))).toBeUndefined();
+    expect(await as({ user: alice, tenant: "t2" }, () => store.hasSession("s-1"))).toBe(false);
+    expect(await as({ user: alice, tenant: "t1" }, () => store.getSession("s-legacy"))).toBeUndefined();
+  });
+
+  test("the token hash covers sub and azp", async () => {
+    const tokenUser = (payload) => Object.assign(new cds.User({ id: "alice" }), {
+      authInfo: { token: { getPayload: () => payload } },
+    });
+    const hashOf = (payload) => as({ user: tokenUser(payload), tenant: "t1" }, () => currentBinding().subject_hash);
+    const hash = await hashOf({ sub: "u-1", azp: "client-a" });
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(await hashOf({ sub: "u-1", azp: "client-a" })).toBe(hash);
+    expect(await hashOf({ sub: "u-1", azp: "client-b" })).not.toBe(hash);
+    expect(await hashOf({ sub: "u-2", azp: "client-a" })).not.toBe(hash);
+  });
+});
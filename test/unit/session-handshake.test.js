@@ -0,0 +1,133 @@
+"use strict";
+
+/**
+ * The `initialize` handshake persisted with DB sessions. Boots an inline
+ * schema via `cds.test` with the plugin loaded and the DB session store,
+ * initializes over HTTP with an elicitation-capable client, and rehydrates
+ * the session in a second store as another instance would.
+ *
+ * What we assert:
+ *   - the session row records protocol version, capabilities and clientInfo
+ *   - a rehydrated server reports the same client and accepts elicitation
+ *   - rows without a handshake rehydrate without client capabilities
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-session-handshake-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+}
+
+annotate CatalogService.Books with @mcp: { name: 'books', description: 'Books', resource: true };
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-session-handshake-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: {
+      db: { kind: "sqlite", credentials: { url: ":memory:" } },
+      auth: { kind: "mocked", users: { alice: { password: "alice" } } },
+    },
+    mcp: { auth: "inherit", session_store: { kind: "db" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+// Preload plugin — the temp fixture has no node_modules for auto-discovery.
+require("../../cds-plugin.js");
+
+describe("session handshake persistence against a real CAP runtime", () => {
+  const T = cds.test(FIXTURE);
+
+  const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+  const { StreamableHTTPClientTransport } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+  const { DbSessionStore } = require("../../lib/mcp/session-manager");
+
+  const alice = new cds.User({ id: "alice" });
+  const as = async (ctx, fn) => {
+    cds.context = ctx;
+    try {
+      return await fn();
+    }
+    finally {
+      cds.context = undefined;
+    }
+  };
+
+  let client;
+  let sid;
+  let negotiated;
+  let other;
+
+  beforeAll(async () => {
+    const transport = new StreamableHTTPClientTransport(new URL("/mcp", T.url), {
+      requestInit: { headers: { Authorization: `Basic ${Buffer.from("alice:alice").toString("base64")}` } },
+    });
+    client = new Client({ name: "handshake-test-client", version: "2.1.0" }, { capabilities: { elicitation: {} } });
+    await client.connect(transport);
+    sid = transport.sessionId;
+    negotiated = transport.protocolVersion;
+
+    const { loadConfiguration } = require("../../lib/config/loader");
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    other = new DbSessionStore({});
+    other.setRuntimeConfig(loadConfiguration(), parseDefinitions(cds.model));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+    other?.stop();
+  });
+
+  test("the session row records the handshake", async () => {
+    const row = await cds.run(SELECT.one.from("cap.mcp.Sessions").where({ session_id: sid }));
+    expect(negotiated).toBeTruthy();
+    expect(row.protocol_version).toBe(negotiated);
+    expect(JSON.parse(row.client_info)).toEqual({ name: "handshake-test-client", version: "2.1.0" });
+    expect(JSON.parse(row.client_capabilities)).toHaveProperty("elicitation");
+  });
+
+  test("a rehydrated server knows the client and may elicit", async () => {
+    const session = await as({ user: alice }, () => other.getSession(sid));
+    expect(session).toBeTruthy();
+    const inner = session.server.server;
+    expect(inner.getClientVersion()).toEqual({ name: "handshake-test-client", version: "2.1.0" });
+    expect(inner.getClientCapabilities()).toHaveProperty("elicitation");
+    expect(() => inner.assertCapabilityForMethod("elicitation/create")).not.toThrow();
+    expect(session.handshake.protocolVersion).toBe(negotiated);
+  });
+
+  test("rows without a handshake rehydrate without client capabilities", async () => {
+    await cds.run(INSERT.into("cap.mcp.Sessions").entries({
+      session_id: "no-handshake",
+      created_at: new Date().toISOString(),
+      last_access: new Date().toISOString(),
+      principal: "alice",
+    }));
+    const session = await as({ user: alice }, () => other.getSession("no-handshake"));
+    expect(session).toBeTruthy();
+    expect(session.handshake).toBeUndefined();
+    expect(session.server.server.getClientCapabilities()).toBeUndefined();
+  });
+});
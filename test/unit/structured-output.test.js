@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * Structured tool output (`outputSchema` + `structuredContent`). Boots an
+ * inline schema via `cds.test`, builds the real MCP server with
+ * `createMcpServer` and calls it through an in-memory SDK client, so both
+ * the server and the client validate every result against its schema.
+ *
+ * What we assert:
+ *   - wrapper schemas carry CSN types, expanded navigations and leave out
+ *     `@mcp.omit` fields
+ *   - rows, counts, single rows, deletes and batches come back as
+ *     structuredContent next to the unchanged text part
+ *   - `@mcp.tool` operations get schemas from their CSN return types
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-structured-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Authors {
+  key ID : Integer;
+  name   : String;
+  secret : String @mcp.omit;
+  books  : Composition of many Books on books.author = $self;
+}
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+  price  : Decimal(9, 2);
+  stock  : Integer;
+  author : Association to Authors;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Authors as projection on demo.Authors;
+  entity Books as projection on demo.Books actions {
+    @mcp: { name: 'restock', description: 'Adds stock to a book', tool: true }
+    action restock(amount : Integer) returns Books;
+  };
+
+  @mcp: { name: 'book-count', description: 'Counts books', tool: true }
+  function bookCount() returns Integer;
+
+  @mcp: { name: 'book-titles', description: 'Lists book titles', tool: true }
+  function bookTitles() returns array of String;
+}
+
+annotate CatalogService.Authors with @mcp: {
+  name       : 'authors',
+  description: 'Authors',
+  resource   : true,
+  wrap       : { tools: true, modes: ['query', 'get', 'create', 'delete'] }
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.js"), `
+module.exports = function () {
+  this.on("bookCount", async () => (await SELECT.one.from("CatalogService.Books").columns("count(1) as n")).n);
+  this.on("bookTitles", async () => (await SELECT.from("CatalogService.Books").columns("title")).map((b) => b.title));
+  this.on("restock", "Books", async (req) => {
+    const { ID } = req.params[0];
+    await UPDATE("CatalogService.Books", ID).with({ stock: { "+=": req.data.amount } });
+    return SELECT.one.from("CatalogService.Books", ID);
+  });
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-structured-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("structured tool output against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let client;
+  let tools;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    const server = createMcpServer({
+      name: "structured-test",
+      version: "1.0.0",
+      capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+      auth: "none",
+      batch: { enabled: true, max_operations: 10 },
+    }, parseDefinitions(cds.model));
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "structured-test-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+    tools = new Map((await client.listTools()).tools.map((t) => [t.name, t]));
+
+    await cds.run(INSERT.into("CatalogService.Authors").entries([
+      { ID: 1, name: "Austen", secret: "s1", books: [
+        { ID: 10, title: "Emma", price: 9.5, stock: 3 },
+        { ID: 11, title: "Persuasion", price: 12, stock: 0 },
+      ] },
+      { ID: 2, name: "Brontë", secret: "s2" },
+    ]));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  const call = (name, args) => client.callTool({ name, arguments: args });
+
+  test("wrapper schemas follow the CSN, with navigations and without omitted fields", () => {
+    const row = tools.get("authors_get").outputSchema;
+    expect(row.type).toBe("object");
+    expect(row.properties.ID.type).toEqual(expect.arrayContaining(["number"]));
+    expect(row.properties.name.type).toEqual(expect.arrayContaining(["string"]));
+    expect(row.properties.secret).toBeUndefined();
+    const [books] = row.properties.books.anyOf;
+    expect(books.type).toBe("array");
+    expect(books.items.properties.title.type).toEqual(["string", "null"]);
+
+    const query = tools.get("authors_query").outputSchema;
+    expect(query.properties.rows.items.properties.name).toBeDefined();
+    expect(query.properties.count).toBeDefined();
+  });
+
+  test("query rows and counts come back as structured content", async () => {
+    const res = await call("authors_query", { orderby: [{ field: "ID", dir: "asc" }], expand: "books" });
+    expect(res.isError).toBeFalsy();
+    expect(JSON.parse(res.content[0].text)).toHaveLength(2);
+    expect(res.structuredContent.rows.map((r) => r.name)).toEqual(["Austen", "Brontë"]);
+    expect(res.structuredContent.rows[0].books.map((b) => b.title).sort()).toEqual(["Emma", "Persuasion"]);
+    expect(res.structuredContent.rows[0].secret).toBeUndefined();
+
+    const counted = await call("authors_query", { return: "count" });
+    expect(counted.structuredContent).toEqual({ count: 2 });
+  });
+
+  test("get, create and delete return their payload as structured content", async () => {
+    const got = await call("authors_get", { ID: 1 });
+    expect(got.structuredContent).toMatchObject({ ID: 1, name: "Austen" });
+    expect(JSON.parse(got.content[0].text)).toEqual(got.structuredContent);
+
+    const created = await call("authors_create", { ID: 3, name: "Eliot" });
+    expect(created.structuredContent).toMatchObject({ ID: 3, name: "Eliot" });
+    const preview = await call("authors_create", { ID: 4, name: "Gaskell", dryRun: true });
+    expect(preview.structuredContent).toMatchObject({ dryRun: true, row: { ID: 4 } });
+
+    const deleted = await call("authors_delete", { ID: 3 });
+    expect(deleted.structuredContent).toEqual({ deleted: true, affectedRows: 1, keys: { ID: 3 } });
+  });
+
+  test("the batch tool returns its step results as structured content", async () => {
+    const res = await call("CatalogService_batch", { operations: [
+      { op: "create", entity: "Authors", data: { ID: 5, name: "Shelley" }, as: "a" },
+      { op: "delete", entity: "Authors", keys: { ID: { $ref: "a.ID" } } },
+    ] });
+    expect(res.isError).toBeFalsy();
+    expect(res.structuredContent.committed).toBe(true);
+    expect(res.structuredContent.results.map((r) => r.op)).toEqual(["create", "delete"]);
+  });
+
+  test("operations get output schemas from their return types", async () => {
+    expect(tools.get("book-count").outputSchema.properties.value.type).toEqual(expect.arrayContaining(["number"]));
+    expect((await call("book-count", {})).structuredContent).toEqual({ value: 2 });
+
+    expect(tools.get("book-titles").outputSchema.properties.rows.items.type).toBe("string");
+    expect((await call("book-titles", {})).structuredContent.rows.sort()).toEqual(["Emma", "Persuasion"]);
+
+    expect(tools.get("restock").outputSchema.properties.title).toBeDefined();
+    const restocked = await call("restock", { ID: 11, amount: 4 });
+    expect(restocked.structuredContent).toMatchObject({ ID: 11, title: "Persuasion", stock: 4 });
+  });
+
+  test("errors stay unstructured", async () => {
+    const res = await call("authors_get", { ID: 99 });
+    expect(res.isError).toBe(true);
+    expect(res.structuredContent).toBeUndefined();
+  });
+});
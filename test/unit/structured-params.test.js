@@ -0,0 +1,168 @@
+"use strict";
+
+/**
+ * Structured action parameters. Boots an inline schema via `cds.test`,
+ * builds the real MCP server with `createMcpServer` and calls the actions
+ * through an in-memory SDK client.
+ *
+ * What we assert:
+ *   - named structs, `many` of named types, inline structs and `many` of
+ *     inline structs get full object / array schemas
+ *   - managed associations inside a struct take their target's keys, and
+ *     `@mcp.hint`, `not null` and CSN constraints carry over
+ *   - calls pass the nested payload to the handler and reject bad shapes
+ *   - named types that recur on their own path are not expanded again
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-structured-params-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+}
+
+type CartItem {
+  book : Association to Books;
+  qty  : Integer not null @mcp.hint: 'How many copies';
+  note : String(5);
+}
+type ManyCartItems : many CartItem;
+
+type Address {
+  street : String;
+  city   : String not null;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/orders.cds"), `
+using {demo} from '../db/schema';
+
+service OrderService {
+  entity Books as projection on demo.Books;
+
+  @mcp: { name: 'submit-order', description: 'Submits an order', tool: true }
+  action submitOrder(cart: demo.ManyCartItems) returns String;
+
+  @mcp: { name: 'ship', description: 'Ships an order', tool: true }
+  action ship(
+    to      : demo.Address,
+    options : { express: Boolean; tags: many String; },
+    lines   : many { sku: String; qty: Integer; }
+  ) returns String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/orders.js"), `
+module.exports = (srv) => {
+  srv.on("submitOrder", (req) => JSON.stringify(req.data));
+  srv.on("ship", (req) => JSON.stringify(req.data));
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-structured-params-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("structured action parameters against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let client;
+  let tools;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { createMcpServer } = require("../../lib/mcp/factory");
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const { InMemoryTransport } = require("@modelcontextprotocol/sdk/inMemory.js");
+    const server = createMcpServer({
+      name: "structured-params-test",
+      version: "1.0.0",
+      capabilities: { tools: { listChanged: true }, resources: { listChanged: true }, prompts: { listChanged: true } },
+      auth: "none",
+    }, parseDefinitions(cds.model));
+    const [clientSide, serverSide] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: "structured-params-test-client", version: "1.0.0" });
+    await server.connect(serverSide);
+    await client.connect(clientSide);
+    tools = new Map((await client.listTools()).tools.map((t) => [t.name, t]));
+  });
+
+  afterAll(async () => {
+    await client?.close();
+  });
+
+  const call = (name, args) => client.callTool({ name, arguments: args });
+  const structuredOf = (res) => JSON.parse(res.structuredContent?.value ?? res.content[0].text);
+
+  test("many of a named struct becomes an array of objects", () => {
+    const { cart } = tools.get("submit-order").inputSchema.properties;
+    expect(cart.type).toBe("array");
+    const item = cart.items;
+    expect(Object.keys(item.properties)).toEqual(["book", "qty", "note"]);
+    expect(item.required).toEqual(["qty"]);
+    expect(item.properties.qty).toMatchObject({ type: "number", description: "How many copies" });
+    expect(item.properties.note).toMatchObject({ maxLength: 5 });
+    expect(item.properties.book).toMatchObject({ type: "object", properties: { ID: { type: "number" } } });
+  });
+
+  test("named and inline structs become objects", () => {
+    const { to, options, lines } = tools.get("ship").inputSchema.properties;
+    expect(to).toMatchObject({ type: "object", required: ["city"] });
+    expect(Object.keys(to.properties)).toEqual(["street", "city"]);
+    expect(options.properties).toMatchObject({ express: { type: "boolean" }, tags: { type: "array", items: { type: "string" } } });
+    expect(lines).toMatchObject({ type: "array", items: { type: "object", properties: { sku: { type: "string" }, qty: { type: "number" } } } });
+  });
+
+  test("calls pass nested payloads through and reject bad shapes", async () => {
+    const cart = [{ book: { ID: 1 }, qty: 2 }, { book: { ID: 2 }, qty: 1, note: "gift" }];
+    const res = await call("submit-order", { cart });
+    expect(res.isError).toBeFalsy();
+    expect(structuredOf(res).cart).toEqual(cart);
+
+    const shipped = await call("ship", {
+      to: { city: "Bath" },
+      options: { express: true, tags: ["fragile"] },
+      lines: [{ sku: "A-1", qty: 3 }],
+    });
+    expect(shipped.isError).toBeFalsy();
+    expect(structuredOf(shipped)).toMatchObject({ to: { city: "Bath" }, options: { express: true, tags: ["fragile"] } });
+
+    for (const bad of [
+      { cart: [{ book: { ID: 1 } }] },
+      { cart: [{ qty: "two" }] },
+      { cart: { qty: 1 } },
+      { cart: [{ qty: 1, note: "too long" }] },
+    ]) {
+      const rejected = await call("submit-order", bad);
+      expect(rejected.isError).toBe(true);
+      expect(rejected.content[0].text).toMatch(/validation/i);
+    }
+  });
+
+  test("named types recurring on their own path are not expanded again", () => {
+    const { buildStructuredZodType } = require("../../lib/mcp/utils");
+    const node = { type: "demo.Node", elements: { name: { type: "cds.String" } } };
+    node.elements.child = node;
+    const schema = buildStructuredZodType(node);
+    expect(schema.parse({ name: "a", child: { name: "b", anything: 1 } })).toEqual({ name: "a", child: { name: "b", anything: 1 } });
+    expect(() => schema.parse({ name: 1 })).toThrow();
+  });
+});
@@ -0,0 +1,169 @@
+"use strict";
+
+/**
+ * Boolean filter trees in the structured `where` of query tools. Boots an
+ * inline schema via `cds.test` and calls the registered query handler.
+ *
+ * What we assert:
+ *   - top-level entries stay AND-ed (previous behaviour)
+ *   - {or}, {and}, {not} groups nest and keep their precedence
+ *   - values are passed as CQN literals (quotes need no escaping)
+ *   - leaves inside groups are still validated against the field enum
+ *   - excessive nesting is rejected with FILTER_PARSE_ERROR
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-where-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID    : Integer;
+  title     : String;
+  genre     : String;
+  stock     : Integer;
+  secret    : String;
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+}
+
+annotate CatalogService.Books with @mcp: {
+  name       : 'books',
+  description: 'Books',
+  resource   : true
+};
+
+annotate CatalogService.Books with @mcp.wrap: {
+  tools: true,
+  modes: ['query']
+};
+
+annotate CatalogService.Books with {
+  secret @mcp.omit;
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-where-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("structured where trees against a real CAP runtime", () => {
+  cds.test(FIXTURE);
+
+  let queryHandler;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const resAnno = parseDefinitions(cds.model).get("CatalogService.Books");
+    const tools = new Map();
+    const server = { registerTool: (name, _meta, handler) => tools.set(name, handler) };
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    registerEntityWrappers(resAnno, server, false, ["query"], {
+      canRead: true, canCreate: false, canUpdate: false, canDelete: false,
+    });
+    queryHandler = tools.get("books_query");
+
+    await cds.run(INSERT.into("CatalogService.Books").entries([
+      { ID: 1, title: "Wuthering Heights", genre: "Drama", stock: 12 },
+      { ID: 2, title: "The Raven", genre: "Poetry", stock: 0 },
+      { ID: 3, title: "Eleonora", genre: "Romance", stock: 5 },
+      { ID: 4, title: "Catweazle's Diary", genre: "Fantasy", stock: 22 },
+    ]));
+  });
+
+  const ids = async (args) => {
+    const res = await queryHandler({ orderby: [{ field: "ID", dir: "asc" }], ...args });
+    expect(res.isError).toBeFalsy();
+    return JSON.parse(res.content[0].text).map((r) => r.ID);
+  };
+  const errorOf = async (args) => {
+    const res = await queryHandler(args);
+    expect(res.isError).toBe(true);
+    return JSON.parse(res.content[0].text).error;
+  };
+
+  test("top-level entries are AND-ed", async () => {
+    expect(await ids({
+      where: [
+        { field: "stock", op: "gt", value: 0 },
+        { field: "genre", op: "ne", value: "Drama" },
+      ],
+    })).toEqual([3, 4]);
+  });
+
+  test("or group matches either branch", async () => {
+    expect(await ids({
+      where: [{ or: [
+        { field: "stock", op: "eq", value: 0 },
+        { field: "genre", op: "eq", value: "Fantasy" },
+      ] }],
+    })).toEqual([2, 4]);
+  });
+
+  test("or group keeps precedence when AND-ed with a sibling", async () => {
+    expect(await ids({
+      where: [
+        { or: [
+          { field: "genre", op: "eq", value: "Drama" },
+          { field: "genre", op: "eq", value: "Poetry" },
+        ] },
+        { field: "stock", op: "gt", value: 0 },
+      ],
+    })).toEqual([1]);
+  });
+
+  test("not negates a nested group", async () => {
+    expect(await ids({
+      where: [{ not: { and: [
+        { field: "stock", op: "gt", value: 0 },
+        { field: "genre", op: "in", value: ["Drama", "Romance"] },
+      ] } }],
+    })).toEqual([2, 4]);
+  });
+
+  test("string values with quotes need no escaping", async () => {
+    expect(await ids({
+      where: [{ or: [
+        { field: "title", op: "contains", value: "Catweazle's" },
+        { field: "title", op: "startswith", value: "The" },
+      ] }],
+    })).toEqual([2, 4]);
+  });
+
+  test("leaves inside groups are validated against the field enum", async () => {
+    expect(await errorOf({
+      where: [{ or: [{ field: "secret", op: "eq", value: "x" }] }],
+    })).toBe("INVALID_INPUT");
+  });
+
+  test("empty groups are rejected", async () => {
+    expect(await errorOf({ where: [{ or: [] }] })).toBe("INVALID_INPUT");
+  });
+
+  test("excessive nesting is rejected", async () => {
+    let node = { field: "stock", op: "gt", value: 0 };
+    for (let i = 0; i < 12; i++) node = { not: node };
+    expect(await errorOf({ where: [node] })).toBe("FILTER_PARSE_ERROR");
+  });
+});
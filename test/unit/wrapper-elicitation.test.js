@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * `@mcp.wrap.elicit` on entity wrapper tools. Boots an inline schema via
+ * `cds.test`, registers the wrappers with a server stub whose
+ * `elicitInput` replays scripted answers, and calls the handlers directly.
+ *
+ * What we assert:
+ *   - delete / update ask for confirmation showing keys and payload, and
+ *     only write on an explicit confirm
+ *   - `input` lets the user fill the payload before the write; only the
+ *     offered fields are taken and they are validated like tool arguments
+ *   - dry runs skip the confirmation; unsupported types fail registration
+ *   - a client without elicitation support gets an error, not a write
+ *   - batch steps on confirm-guarded entities are confirmed together
+ */
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const FIXTURE = fs.mkdtempSync(path.join(os.tmpdir(), "cap-mcp-wrap-elicit-"));
+fs.mkdirSync(path.join(FIXTURE, "db"));
+fs.mkdirSync(path.join(FIXTURE, "srv"));
+
+fs.writeFileSync(path.join(FIXTURE, "db/schema.cds"), `
+namespace demo;
+
+entity Books {
+  key ID : Integer;
+  title  : String;
+  stock  : Integer @assert.range: [0, 100];
+  genre  : String enum { Novel; Poetry };
+}
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "srv/cat.cds"), `
+using {demo} from '../db/schema';
+
+service CatalogService {
+  entity Books as projection on demo.Books;
+}
+
+annotate CatalogService.Books with @mcp: {
+  name       : 'books',
+  description: 'Books',
+  resource   : true
+};
+
+annotate CatalogService.Books with @mcp.wrap: {
+  tools : true,
+  modes : ['get', 'create', 'update', 'delete'],
+  elicit: {
+    create: ['input'],
+    update: ['confirm'],
+    delete: ['confirm']
+  }
+};
+`);
+
+fs.writeFileSync(path.join(FIXTURE, "package.json"), JSON.stringify({
+  name: "cap-mcp-wrap-elicit-fixture",
+  private: true,
+  dependencies: { "@sap/cds": "^9" },
+  cds: {
+    requires: { db: { kind: "sqlite", credentials: { url: ":memory:" } } },
+    mcp: { auth: "none", session_store: { kind: "stateless" } },
+  },
+}));
+
+const cds = require("@sap/cds");
+global.cds = cds;
+
+describe("elicitation on entity wrapper tools", () => {
+  cds.test(FIXTURE);
+
+  const tools = new Map();
+  const requests = [];
+  let answers = [];
+  const server = {
+    registerTool: (name, _meta, handler) => tools.set(name, handler),
+    server: {
+      elicitInput: async (req) => {
+        requests.push(req);
+        const next = answers.shift();
+        if (next instanceof Error)
+          throw next;
+        return next;
+      },
+    },
+  };
+  let books;
+
+  beforeAll(async () => {
+    const { parseDefinitions } = require("../../lib/annotations/parser");
+    const { registerEntityWrappers } = require("../../lib/mcp/entity-tools");
+    books = parseDefinitions(cds.model).get("CatalogService.Books");
+    const all = { canRead: true, canCreate: true, canUpdate: true, canDelete: true };
+    registerEntityWrappers(books, server, false, [], all);
+    await cds.run(INSERT.into("CatalogService.Books").entries([
+      { ID: 1, title: "Emma", stock: 5 },
+      { ID: 2, title: "Persuasion", stock: 3 },
+    ]));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    answers = [];
+  });
+
+  const call = async (name, args) => {
+    const res = await tools.get(name)(args);
+    return { isError: !!res.isError, text: res.content[0].text };
+  };
+  const book = (ID) => cds.run(SELECT.one.from("CatalogService.Books").where({ ID }));
+
+  test("delete asks for confirmation with the resolved keys", async () => {
+    answers = [{ action: "decline" }];
+    expect((await call("books_delete", { ID: "2" })).text).toBe("Action was declined.");
+    expect(requests[0].message).toMatch(/'books_delete'/);
+    expect(requests[0].message).toContain('Keys: {"ID":2}');
+    expect(await book(2)).toBeDefined();
+
+    answers = [{ action: "accept", content: { confirm: false } }];
+    expect((await call("books_delete", { ID: 2 })).text).toBe("Action was declined.");
+    expect(await book(2)).toBeDefined();
+
+    answers = [{ action: "accept", content: { confirm: true } }];
+    expect(JSON.parse((await call("books_delete", { ID: 2 })).text)).toMatchObject({ deleted: true });
+    expect(await book(2)).toBeUndefined();
+  });
+
+  test("update shows the payload and dry runs skip the prompt", async () => {
+    answers = [{ action: "cancel" }];
+    expect((await call("books_update", { ID: 1, title: "Emma!" })).text).toBe("Action was cancelled");
+    expect(requests[0].message).toMatch(/Payload: \{\n {2}"title": "Emma!"\n\}/);
+    expect(await book(1)).toMatchObject({ title: "Emma" });
+
+    const preview = JSON.parse((await call("books_update", { ID: 1, title: "Emma!", dryRun: true })).text);
+    expect(preview.changes.title).toEqual({ from: "Emma", to: "Emma!" });
+    expect(requests).toHaveLength(1);
+  });
+
+  test("input lets the user fill the payload, offering the model's values", async () => {
+    answers = [{ action: "accept", content: { ID: 3, title: "Sanditon", stock: 1 } }];
+    const res = await call("books_create", { ID: 3, title: "Sandit" });
+    expect(res.isError).toBe(false);
+    const form = requests[0].requestedSchema.properties;
+    expect(Object.keys(form).sort()).toEqual(["ID", "genre", "stock", "title"]);
+    expect(form.title).toMatchObject({ type: "string", default: "Sandit" });
+    expect(form.stock.default).toBeUndefined();
+    expect(await book(3)).toMatchObject({ title: "Sanditon", stock: 1 });
+  });
+
+  test("input offers enums and only takes the offered fields, validated", async () => {
+    answers = [{ action: "accept", content: { ID: 6, title: "Lady Susan", genre: "Novel", dryRun: true } }];
+    const res = await call("books_create", { ID: 6 });
+    expect(res.isError).toBe(false);
+    expect(requests[0].requestedSchema.properties.genre).toMatchObject({ type: "string", enum: ["Novel", "Poetry"] });
+    expect(await book(6)).toMatchObject({ title: "Lady Susan", genre: "Novel" });
+
+    answers = [{ action: "accept", content: { ID: 7, title: "Juvenilia", stock: 500 } }];
+    const invalid = await call("books_create", { ID: 7 });
+    expect(invalid.isError).toBe(true);
+    expect(JSON.parse(invalid.text)).toMatchObject({ error: "INVALID_INPUT" });
+    expect(await book(7)).toBeUndefined();
+  });
+
+  test("a client without elicitation support gets an error instead of a write", async () => {
+    answers = [new Error("Client does not support form elicitation.")];
+    const res = await call("books_delete", { ID: 1 });
+    expect(res.isError).toBe(true);
+    expect(JSON.parse(res.text)).toMatchObject({ error: "ELICITATION_UNAVAILABLE" });
+    expect(await book(1)).toBeDefined();
+  });
+
+  test("batch steps on guarded entities are confirmed in one prompt", async () => {
+    const { registerBatchTools } = require("../../lib/mcp/batch-tool");
+    const batchTools = new Map();
+    registerBatchTools({ ...server, registerTool: (name, _m, h) => batchTools.set(name, h) },
+      [{ entry: books, modes: ["create", "update", "delete"] }], false, { enabled: true, max_operations: 10 });
+    const batch = batchTools.get("CatalogService_batch");
+    answers = [{ action: "decline" }];
+    const res = await batch({ operations: [
+      { op: "create", entity: "Books", data: { ID: 4, title: "Lady Susan" } },
+      { op: "delete", entity: "Books", keys: { ID: 1 } },
+    ] });
+    expect(res.content[0].text).toBe("Action was declined.");
+    expect(requests).toHaveLength(1);
+    expect(requests[0].message).toContain('"step 2 (delete Books)"');
+    expect(requests[0].message).not.toContain("step 1");
+    expect(await book(4)).toBeUndefined();
+  });
+
+  test("unsupported elicitation types are rejected when the tools are registered", () => {
+    const { wrapperElicits } = require("../../lib/mcp/elicited-input");
+    const anno = { serviceName: "CatalogService", target: "Books", wrap: { elicit: { delete: ["input"] } } };
+    expect(() => wrapperElicits(anno, "delete")).toThrow(/@mcp.wrap.elicit.delete does not support 'input'/);
+    expect(wrapperElicits(anno, "update")).toEqual([]);
+  });
+});